@@ -0,0 +1,2501 @@
+/**
+ * Admin Page Logic
+ * Handles admin form interactions and configuration management
+ * An ES module: start-admin.mjs runs it in the browser (bundled by npm run bundle);
+ * tests run it against a jsdom document (see tests/admin.test.js)
+ */
+
+import i18n from "./i18n.js";
+import themes from "./themes.js";
+import richText from "./rich-text.js";
+import imageVariants from "./image-variants.js";
+import officeHours from "./office-hours.js";
+import configSchema from "./schema.js";
+import translations from "./translations.js";
+import submissions from "./submissions.js";
+import inquiries from "./inquiries.js";
+import appointments from "./appointments.js";
+import waitlist from "./waitlist.js";
+import announcements from "./announcements.js";
+import {
+  ConfigManager,
+  HttpConfigBackend,
+  getBrowserStorage,
+} from "./config.mjs";
+
+/**
+ * Client for the config server's /api/session endpoint
+ * The session itself lives in an HttpOnly cookie set by the server
+ */
+export class AdminAuthClient {
+  constructor(endpoint = "api/session") {
+    this.endpoint = endpoint;
+  }
+
+  /**
+   * Checks whether the browser holds a valid admin session
+   * @returns {Promise<boolean>} True if logged in
+   */
+  async check() {
+    try {
+      const response = await fetch(this.endpoint, { cache: "no-store" });
+      if (!response.ok) return false;
+      const body = await response.json();
+      return body.authenticated === true;
+    } catch (error) {
+      console.warn("Unable to check admin session:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Logs in with the admin password
+   * @param {string} password - Entered password
+   * @param {string} [name] - Name recorded in the revision history
+   * @returns {Promise<Object>} { success, error }
+   */
+  async login(password, name) {
+    try {
+      const response = await fetch(this.endpoint, {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ password, name }),
+      });
+      if (response.ok) {
+        return { success: true };
+      }
+      const body = await response.json().catch(() => ({}));
+      return {
+        success: false,
+        error: body.error || "Login failed. Please try again.",
+      };
+    } catch (error) {
+      console.error("Error logging in:", error);
+      return {
+        success: false,
+        error: "Unable to reach the server. Please try again.",
+      };
+    }
+  }
+
+  /**
+   * Ends the current session
+   * @returns {Promise<void>}
+   */
+  async logout() {
+    try {
+      await fetch(this.endpoint, { method: "DELETE" });
+    } catch (error) {
+      console.error("Error logging out:", error);
+    }
+  }
+}
+
+const ANNOUNCEMENT_STATUS_LABELS = {
+  active: "Showing now",
+  scheduled: "Scheduled",
+  expired: "Expired",
+};
+
+/**
+ * Status badges for list entries, keyed by config key
+ * Each returns { state, label }; state doubles as the badge's CSS class
+ */
+const LIST_ITEM_STATUS = {
+  announcements(entry) {
+    const state = announcements.getStatus(entry);
+    return { state, label: ANNOUNCEMENT_STATUS_LABELS[state] };
+  },
+  customThemes(entry) {
+    const failures = themes.checkContrast(entry);
+    if (failures.length === 0) {
+      return { state: "active", label: "Readable" };
+    }
+    return {
+      state: "problem",
+      label: `Low contrast: ${failures
+        .map((failure) => failure.label.toLowerCase())
+        .join(", ")}`,
+    };
+  },
+};
+
+/**
+ * Tells whether an array field is edited as a list of entries (one fieldset each)
+ * rather than by a control of its own
+ * @param {Object} rule - Field definition from ConfigSchema
+ * @returns {boolean} True for list fields
+ */
+function isListField(rule) {
+  return rule.type === "array" && !rule.control;
+}
+
+/**
+ * Converts a stored ISO date-time to a datetime-local input value
+ * @param {string} value - ISO date-time, or empty
+ * @returns {string} Local "YYYY-MM-DDTHH:MM" value, or empty
+ */
+function toLocalDateTime(value) {
+  const date = value ? new Date(value) : null;
+  if (!date || Number.isNaN(date.getTime())) return "";
+  const pad = (number) => String(number).padStart(2, "0");
+  return (
+    `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}` +
+    `T${pad(date.getHours())}:${pad(date.getMinutes())}`
+  );
+}
+
+/**
+ * Converts a datetime-local input value (the admin's local time) to ISO
+ * @param {string} value - Local "YYYY-MM-DDTHH:MM" value, or empty
+ * @returns {string} ISO date-time in UTC, or empty
+ */
+function fromLocalDateTime(value) {
+  const date = value ? new Date(value) : null;
+  return date && !Number.isNaN(date.getTime()) ? date.toISOString() : "";
+}
+
+/**
+ * Saves generated text as a file through the browser's download prompt
+ * @param {Document} document - Admin page
+ * @param {string} content - File content
+ * @param {string} type - MIME type
+ * @param {string} filename - Suggested file name
+ */
+function downloadFile(document, content, type, filename) {
+  const blob = new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  URL.revokeObjectURL(url);
+}
+
+// JPEG/WebP quality for uploaded photo variants
+const IMAGE_QUALITY = 0.85;
+
+/**
+ * Loads an image file chosen in a file input
+ * @param {Window} window - Admin page's window
+ * @param {File} file - Selected file
+ * @returns {Promise<HTMLImageElement>} Decoded image
+ */
+function loadImageFile(window, file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new window.Image();
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`Unable to read ${file.name} as an image`));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Reads a blob as base64, without the data: URL prefix
+ * @param {Window} window - Admin page's window
+ * @param {Blob} blob - Encoded image
+ * @returns {Promise<string>} Base64 data
+ */
+function blobToBase64(window, blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new window.FileReader();
+    reader.onload = () =>
+      resolve(reader.result.slice(reader.result.indexOf(",") + 1));
+    reader.onerror = () => reject(reader.error);
+    reader.readAsDataURL(blob);
+  });
+}
+
+/**
+ * Resizes a cropped photo to every variant width and format
+ * @param {Document} document - Admin page
+ * @param {HTMLImageElement} source - Full-size photo
+ * @param {Object} crop - Source rectangle from ImageVariants.getCrop()
+ * @returns {Promise<Object[]>} Variants ({ type, width, height, data }) with base64 data
+ */
+async function createImageVariants(document, source, crop) {
+  const variants = [];
+  for (const type of imageVariants.TYPES) {
+    for (const width of imageVariants.getTargetWidths(crop.width)) {
+      const height = Math.round(width / imageVariants.ASPECT_RATIO);
+      const canvas = document.createElement("canvas");
+      canvas.width = width;
+      canvas.height = height;
+
+      const context = canvas.getContext("2d");
+      // JPEG has no transparency, so transparent PNGs would otherwise turn black
+      context.fillStyle = "#ffffff";
+      context.fillRect(0, 0, width, height);
+      context.imageSmoothingQuality = "high";
+      context.drawImage(
+        source,
+        crop.x,
+        crop.y,
+        crop.width,
+        crop.height,
+        0,
+        0,
+        width,
+        height
+      );
+
+      const blob = await new Promise((resolve) =>
+        canvas.toBlob(resolve, type, IMAGE_QUALITY)
+      );
+      // Browsers that can't encode WebP return a PNG instead; skip that format
+      if (blob && blob.type === type) {
+        variants.push({
+          type,
+          width,
+          height,
+          data: await blobToBase64(document.defaultView, blob),
+        });
+      }
+    }
+  }
+  return variants;
+}
+
+export class AdminController {
+  /**
+   * @param {Object} [options] - Dependencies; the defaults are the browser's
+   * @param {Document} [options.document] - Admin page
+   * @param {Storage} [options.storage] - Config cache (defaults to localStorage)
+   * @param {Function} [options.clock] - Returns the current Date
+   * @param {ConfigManager} [options.configManager] - Config source (defaults to the config server)
+   */
+  constructor(options = {}) {
+    this.document = options.document || document;
+    this.window = this.document.defaultView;
+    this.clock = options.clock || (() => new Date());
+    this.configManager =
+      options.configManager ||
+      new ConfigManager({
+        backend: new HttpConfigBackend(),
+        storage: options.storage || getBrowserStorage(),
+        clock: this.clock,
+      });
+    this.auth = new AdminAuthClient();
+    this.inquiryClient = new submissions.SubmissionClient("api/inquiries");
+    this.appointmentClient = new submissions.SubmissionClient(
+      "api/appointments"
+    );
+    this.waitlistClient = new submissions.SubmissionClient("api/waitlist");
+    this.waitlist = [];
+    this.config = this.configManager.load();
+    this.init();
+  }
+
+  /**
+   * Initializes the admin page
+   */
+  init() {
+    this.setupPasswordProtection();
+    this.setupForm();
+    this.setupLogout();
+    this.setupHistory();
+    this.setupTransfer();
+    this.setupInbox();
+    this.setupAppointments();
+    this.setupWaitlist();
+  }
+
+  /**
+   * Sets up password protection
+   * Restores an existing server session, otherwise waits for the password
+   * with focus in the password field
+   */
+  setupPasswordProtection() {
+    const passwordScreen = this.document.getElementById("password-screen");
+    const adminContent = this.document.getElementById("admin-content");
+    const passwordInput = this.document.getElementById("password-input");
+    const authorInput = this.document.getElementById("author-input");
+    const passwordSubmit = this.document.getElementById("password-submit");
+    const passwordError = this.document.getElementById("password-error");
+
+    if (!passwordScreen || !adminContent) return;
+
+    const checkPassword = async (e) => {
+      e.preventDefault();
+      passwordSubmit.disabled = true;
+      const result = await this.auth.login(
+        passwordInput.value,
+        authorInput ? authorInput.value.trim() : ""
+      );
+      passwordSubmit.disabled = false;
+      passwordInput.value = "";
+
+      if (result.success) {
+        passwordError.style.display = "none";
+        passwordInput.removeAttribute("aria-invalid");
+        await this.showAdminContent();
+      } else {
+        passwordError.textContent = result.error;
+        passwordError.style.display = "block";
+        passwordInput.setAttribute("aria-invalid", "true");
+        passwordInput.focus();
+      }
+    };
+
+    passwordScreen.addEventListener("submit", checkPassword);
+
+    this.auth.check().then((authenticated) => {
+      if (authenticated) {
+        this.showAdminContent();
+      } else {
+        passwordInput.focus();
+      }
+    });
+  }
+
+  /**
+   * Reveals the admin panel and fills the form with the draft,
+   * or the published config when there is no draft
+   * Focus moves to the panel's heading, since the password field it was in is gone
+   */
+  async showAdminContent() {
+    this.document.getElementById("password-screen").hidden = true;
+    this.document.getElementById("admin-content").hidden = false;
+    this.document.getElementById("admin-heading").focus();
+    this.config = await this.configManager.fetchPublished();
+    const draft = await this.configManager.fetchDraft();
+    this.setDraftStatus(Boolean(draft));
+    this.loadConfigIntoForm(draft || this.config);
+    await this.loadHistory();
+    await this.loadInbox();
+    await this.loadAppointments();
+    await this.loadWaitlist();
+  }
+
+  /**
+   * Updates the line telling the admin whether unpublished changes exist
+   * @param {boolean} hasDraft - True if a draft is saved on the server
+   */
+  setDraftStatus(hasDraft) {
+    this.hasDraft = hasDraft;
+    const status = this.document.getElementById("draft-status");
+    if (status) {
+      status.textContent = hasDraft
+        ? "You have unpublished draft changes. Preview them, then publish when ready."
+        : "No unpublished changes. The form shows the published configuration.";
+    }
+  }
+
+  /**
+   * Returns to the password screen, optionally explaining why, with focus in the password field
+   * @param {string} [reason] - Message shown on the password screen
+   */
+  showPasswordScreen(reason) {
+    const passwordError = this.document.getElementById("password-error");
+    this.document.getElementById("admin-content").hidden = true;
+    this.document.getElementById("password-screen").hidden = false;
+    if (reason) {
+      passwordError.textContent = reason;
+      passwordError.style.display = "block";
+    }
+    this.document.getElementById("password-input").focus();
+  }
+
+  /**
+   * Sets up the logout button
+   */
+  setupLogout() {
+    const logoutButton = this.document.getElementById("logout-button");
+    if (!logoutButton) return;
+
+    logoutButton.addEventListener("click", async () => {
+      await this.auth.logout();
+      this.showPasswordScreen();
+    });
+  }
+
+  /**
+   * Sets up the admin form
+   */
+  setupForm() {
+    const form = this.document.getElementById("admin-form");
+    if (!form) return;
+
+    this.renderForm();
+    form.addEventListener("submit", (e) => {
+      e.preventDefault();
+      this.saveDraft();
+    });
+    this.document
+      .getElementById("preview-button")
+      .addEventListener("click", () => this.previewDraft());
+    this.document
+      .getElementById("publish-button")
+      .addEventListener("click", () => this.publishDraft());
+    this.document
+      .getElementById("discard-draft-button")
+      .addEventListener("click", () => this.discardDraft());
+    // Edited English text or languages change what there is to translate
+    form.addEventListener("change", (e) => {
+      if (!e.target.closest(".translations-editor")) {
+        this.renderTranslations();
+      }
+    });
+  }
+
+  /**
+   * Renders form sections and fields from ConfigSchema
+   * Any key added to the schema becomes editable without HTML changes
+   */
+  renderForm() {
+    const container = this.document.getElementById("admin-form-fields");
+    if (!container) return;
+
+    const knownSections = configSchema.sections.map((section) => section.id);
+    const sections = [
+      ...configSchema.sections,
+      { id: "other", title: "Other Settings" },
+    ];
+
+    container.innerHTML = "";
+    sections.forEach((section) => {
+      const keys = Object.keys(configSchema.fields).filter((key) => {
+        const fieldSection = configSchema.fields[key].section;
+        return section.id === "other"
+          ? !knownSections.includes(fieldSection)
+          : fieldSection === section.id;
+      });
+      if (keys.length === 0) return;
+
+      if (container.children.length > 0) {
+        const divider = this.document.createElement("div");
+        divider.className = "section-divider";
+        container.appendChild(divider);
+      }
+
+      const heading = this.document.createElement("h2");
+      heading.textContent = section.title;
+      container.appendChild(heading);
+
+      keys.forEach((key) => {
+        container.appendChild(
+          this.createFieldGroup(key, configSchema.fields[key])
+        );
+      });
+    });
+  }
+
+  /**
+   * Builds the form group (label, control, help text) for one config field
+   * @param {string} key - Config key, used as the control's name
+   * @param {Object} rule - Field definition from ConfigSchema
+   * @returns {HTMLElement} Form group element
+   */
+  createFieldGroup(key, rule) {
+    if (isListField(rule)) {
+      return this.createListField(key, rule);
+    }
+    if (rule.control === "translations") {
+      return this.createTranslationsField(key, rule);
+    }
+    if (rule.control === "richtext") {
+      return this.createRichTextField(key, rule);
+    }
+    if (rule.control === "image") {
+      return this.createImageField(key, rule);
+    }
+
+    const group = this.document.createElement("div");
+    group.className = "form-group";
+
+    if (rule.control === "hidden") {
+      // Kept as a form group so validation errors still have somewhere to go
+      group.hidden = true;
+      const control = this.document.createElement("input");
+      control.type = "hidden";
+      control.id = `field-${key}`;
+      control.name = key;
+      group.appendChild(control);
+      return group;
+    }
+
+    const control = this.createControl(rule);
+    control.id = `field-${key}`;
+    control.name = key;
+    this.appendLabelledControl(group, control, rule);
+    return group;
+  }
+
+  /**
+   * Creates the input element matching a field rule
+   * @param {Object} rule - Field definition from ConfigSchema
+   * @returns {HTMLElement} Checkbox, select, textarea or input
+   */
+  createControl(rule) {
+    let control;
+    if (rule.type === "boolean") {
+      control = this.document.createElement("input");
+      control.type = "checkbox";
+    } else if (rule.enum || rule.options) {
+      control = this.document.createElement("select");
+      (rule.enum || rule.options).forEach((value) => {
+        const option = this.document.createElement("option");
+        option.value = value;
+        option.textContent =
+          (rule.optionLabels && rule.optionLabels[value]) || value;
+        control.appendChild(option);
+      });
+    } else if (rule.control === "textarea") {
+      control = this.document.createElement("textarea");
+    } else {
+      control = this.document.createElement("input");
+      control.type = rule.inputType || "text";
+    }
+
+    if (rule.placeholder) control.placeholder = rule.placeholder;
+    if (rule.maxLength) control.maxLength = rule.maxLength;
+    if (rule.min !== undefined) control.min = rule.min;
+    if (rule.max !== undefined) control.max = rule.max;
+    return control;
+  }
+
+  /**
+   * Adds a control to a form group with its label and help text
+   * @param {HTMLElement} group - Form group to fill
+   * @param {HTMLElement} control - Control with its id already set
+   * @param {Object} rule - Field definition from ConfigSchema
+   */
+  appendLabelledControl(group, control, rule) {
+    const label = this.document.createElement("label");
+    label.htmlFor = control.id;
+    label.textContent = rule.label;
+
+    if (rule.type === "boolean") {
+      const checkboxGroup = this.document.createElement("div");
+      checkboxGroup.className = "checkbox-group";
+      checkboxGroup.appendChild(control);
+      checkboxGroup.appendChild(label);
+      group.appendChild(checkboxGroup);
+    } else {
+      group.appendChild(label);
+      group.appendChild(control);
+    }
+
+    if (rule.help) {
+      const help = this.document.createElement("small");
+      help.className = "field-help";
+      help.textContent = rule.help;
+      group.appendChild(help);
+    }
+  }
+
+  /**
+   * Builds an image URL field with an uploader that crops the photo square,
+   * resizes it and stores the variants on the config server
+   * Uploading fills in the URL and the hidden variants field named by rule.variantsField
+   * @param {string} key - Config key
+   * @param {Object} rule - Field definition from ConfigSchema
+   * @returns {HTMLElement} Form group element
+   */
+  createImageField(key, rule) {
+    const group = this.document.createElement("div");
+    group.className = "form-group";
+
+    const control = this.createControl(rule);
+    control.id = `field-${key}`;
+    control.name = key;
+    this.appendLabelledControl(group, control, rule);
+    // A typed URL replaces any uploaded photo, so its sizes no longer apply
+    control.addEventListener("input", () => {
+      const variants = this.document.getElementById(
+        `field-${rule.variantsField}`
+      );
+      if (variants) variants.value = "[]";
+    });
+
+    const upload = this.document.createElement("div");
+    upload.className = "image-upload";
+
+    const fileLabel = this.document.createElement("label");
+    fileLabel.htmlFor = `field-${key}-file`;
+    fileLabel.textContent = "Upload a new photo";
+    const fileInput = this.document.createElement("input");
+    fileInput.type = "file";
+    fileInput.id = `field-${key}-file`;
+    fileInput.accept = "image/jpeg,image/png,image/webp";
+    upload.appendChild(fileLabel);
+    upload.appendChild(fileInput);
+
+    const cropper = this.document.createElement("div");
+    cropper.className = "image-crop";
+    cropper.hidden = true;
+
+    const preview = this.document.createElement("canvas");
+    preview.className = "image-crop-preview";
+    preview.width = 240;
+    preview.height = Math.round(240 / imageVariants.ASPECT_RATIO);
+    preview.setAttribute("role", "img");
+    preview.setAttribute("aria-label", "Cropped photo preview");
+    cropper.appendChild(preview);
+
+    const sliders = {};
+    [
+      ["zoom", "Zoom", 1, imageVariants.MAX_ZOOM, 0.05, 1],
+      ["x", "Horizontal position", 0, 1, 0.01, 0.5],
+      ["y", "Vertical position", 0, 1, 0.01, 0.5],
+    ].forEach(([name, text, min, max, step, value]) => {
+      const label = this.document.createElement("label");
+      label.textContent = text;
+      const slider = this.document.createElement("input");
+      slider.type = "range";
+      slider.min = min;
+      slider.max = max;
+      slider.step = step;
+      slider.value = value;
+      slider.dataset.default = value;
+      label.appendChild(slider);
+      cropper.appendChild(label);
+      sliders[name] = slider;
+    });
+
+    const uploadButton = this.document.createElement("button");
+    uploadButton.type = "button";
+    uploadButton.className = "btn-logout";
+    uploadButton.textContent = "Upload photo";
+    cropper.appendChild(uploadButton);
+    upload.appendChild(cropper);
+
+    const status = this.document.createElement("small");
+    status.className = "field-help";
+    status.setAttribute("role", "status");
+    upload.appendChild(status);
+    group.appendChild(upload);
+
+    let source = null;
+    const getCrop = () =>
+      imageVariants.getCrop(source.naturalWidth, source.naturalHeight, {
+        zoom: Number(sliders.zoom.value),
+        x: Number(sliders.x.value),
+        y: Number(sliders.y.value),
+      });
+    const drawPreview = () => {
+      const crop = getCrop();
+      const context = preview.getContext("2d");
+      context.clearRect(0, 0, preview.width, preview.height);
+      context.drawImage(
+        source,
+        crop.x,
+        crop.y,
+        crop.width,
+        crop.height,
+        0,
+        0,
+        preview.width,
+        preview.height
+      );
+    };
+
+    fileInput.addEventListener("change", async () => {
+      const file = fileInput.files[0];
+      if (!file) return;
+      try {
+        source = await loadImageFile(this.window, file);
+      } catch (error) {
+        source = null;
+        cropper.hidden = true;
+        status.textContent = "That file could not be read as an image.";
+        return;
+      }
+      Object.values(sliders).forEach((slider) => {
+        slider.value = slider.dataset.default;
+      });
+      cropper.hidden = false;
+      status.textContent =
+        "Adjust the crop, then upload. The hero shows the photo as a circle.";
+      drawPreview();
+    });
+    Object.values(sliders).forEach((slider) =>
+      slider.addEventListener("input", drawPreview)
+    );
+
+    uploadButton.addEventListener("click", async () => {
+      uploadButton.disabled = true;
+      status.textContent = "Uploading...";
+      const stored = await this.configManager.uploadImage(
+        await createImageVariants(this.document, source, getCrop())
+      );
+      uploadButton.disabled = false;
+
+      if (!stored) {
+        status.textContent = "";
+        this.showMessage(
+          "The photo could not be uploaded. Please try again.",
+          "error"
+        );
+        return;
+      }
+
+      control.value = imageVariants.getFallback(stored).src;
+      const variants = this.document.getElementById(
+        `field-${rule.variantsField}`
+      );
+      if (variants) {
+        this.setControlValue(
+          variants,
+          configSchema.fields[rule.variantsField],
+          stored
+        );
+      }
+      cropper.hidden = true;
+      fileInput.value = "";
+      status.textContent =
+        "Photo uploaded. Save a draft or publish to use it on the site.";
+    });
+
+    return group;
+  }
+
+  /**
+   * Builds a formatting editor for a rich-text field
+   * The editor is a contenteditable box; a hidden input carries the config key
+   * and always holds the sanitized HTML, so saving never sees raw markup
+   * @param {string} key - Config key
+   * @param {Object} rule - Field definition from ConfigSchema
+   * @returns {HTMLElement} Form group element
+   */
+  createRichTextField(key, rule) {
+    const group = this.document.createElement("div");
+    group.className = "form-group";
+
+    const label = this.document.createElement("label");
+    label.id = `field-${key}-label`;
+    label.htmlFor = `field-${key}-editor`;
+    label.textContent = rule.label;
+    group.appendChild(label);
+
+    const input = this.document.createElement("input");
+    input.type = "hidden";
+    input.id = `field-${key}`;
+    input.name = key;
+
+    const editor = this.document.createElement("div");
+    editor.id = `field-${key}-editor`;
+    editor.className = "rich-text-editor";
+    editor.contentEditable = "true";
+    editor.setAttribute("role", "textbox");
+    editor.setAttribute("aria-labelledby", label.id);
+
+    const sync = () => {
+      input.value = richText.sanitize(editor.innerHTML);
+    };
+
+    const toolbar = this.document.createElement("div");
+    toolbar.className = "rich-text-toolbar";
+    toolbar.setAttribute("role", "toolbar");
+    toolbar.setAttribute("aria-label", `${rule.label} formatting`);
+    [
+      ["Bold", () => this.document.execCommand("bold")],
+      ["Italic", () => this.document.execCommand("italic")],
+      ["Accent", () => this.wrapSelectionInAccent(editor)],
+      ["Link", () => this.linkSelection()],
+      ["Clear formatting", () => (editor.textContent = editor.textContent)],
+    ].forEach(([text, onClick]) => {
+      const button = this.document.createElement("button");
+      button.type = "button";
+      button.className = "btn-logout";
+      button.textContent = text;
+      // Keep the editor's selection when the button is pressed
+      button.addEventListener("mousedown", (e) => e.preventDefault());
+      button.addEventListener("click", () => {
+        editor.focus();
+        onClick();
+        sync();
+      });
+      toolbar.appendChild(button);
+    });
+
+    editor.addEventListener("input", sync);
+    // The subtitle is a single line of text
+    editor.addEventListener("keydown", (e) => {
+      if (e.key === "Enter") e.preventDefault();
+    });
+    // Pasted content arrives as plain text so outside styles don't leak in
+    editor.addEventListener("paste", (e) => {
+      e.preventDefault();
+      const text = (e.clipboardData || this.window.clipboardData).getData(
+        "text/plain"
+      );
+      this.document.execCommand("insertText", false, text.replace(/\s+/g, " "));
+    });
+
+    group.appendChild(toolbar);
+    group.appendChild(input);
+    group.appendChild(editor);
+
+    if (rule.help) {
+      const help = this.document.createElement("small");
+      help.className = "field-help";
+      help.textContent = rule.help;
+      group.appendChild(help);
+    }
+    return group;
+  }
+
+  /**
+   * Wraps the selected text of a rich-text editor in an accent-colored span
+   * @param {HTMLElement} editor - Editor the selection must be inside
+   */
+  wrapSelectionInAccent(editor) {
+    const selection = this.window.getSelection();
+    if (!selection || selection.rangeCount === 0) return;
+
+    const range = selection.getRangeAt(0);
+    if (range.collapsed || !editor.contains(range.commonAncestorContainer)) {
+      return;
+    }
+
+    const span = this.document.createElement("span");
+    span.className = "accent";
+    span.appendChild(range.extractContents());
+    range.insertNode(span);
+    selection.selectAllChildren(span);
+  }
+
+  /**
+   * Turns the selected text into a link, refusing addresses the sanitizer would drop
+   */
+  linkSelection() {
+    const href = this.window.prompt(
+      "Link address (https://..., mailto:... or a page on this site)"
+    );
+    if (!href) return;
+
+    const test = richText.sanitize(
+      `<a href="${href.trim().replace(/"/g, "&quot;")}">link</a>`
+    );
+    if (!test.startsWith("<a ")) {
+      this.showMessage(
+        "Links must start with http://, https:// or mailto:, or point to a page on this site.",
+        "error"
+      );
+      return;
+    }
+    this.document.execCommand("createLink", false, href.trim());
+  }
+
+  /**
+   * Builds the translations editor: a summary of what is still in English,
+   * then one box per translatable text of the chosen language
+   * The hidden input holds the translations as JSON, like the hidden fields
+   * @param {string} key - Config key
+   * @param {Object} rule - Field definition from ConfigSchema
+   * @returns {HTMLElement} Form group element
+   */
+  createTranslationsField(key, rule) {
+    const group = this.document.createElement("div");
+    group.className = "form-group translations-editor";
+
+    const heading = this.document.createElement("h3");
+    heading.textContent = rule.label;
+    group.appendChild(heading);
+
+    if (rule.help) {
+      const help = this.document.createElement("small");
+      help.className = "field-help";
+      help.textContent = rule.help;
+      group.appendChild(help);
+    }
+
+    const input = this.document.createElement("input");
+    input.type = "hidden";
+    input.id = `field-${key}`;
+    input.name = key;
+    input.value = "[]";
+    group.appendChild(input);
+
+    const summary = this.document.createElement("ul");
+    summary.id = `field-${key}-summary`;
+    summary.className = "translations-summary";
+    group.appendChild(summary);
+
+    const controls = this.document.createElement("div");
+    controls.className = "translations-controls";
+    const localeLabel = this.document.createElement("label");
+    localeLabel.htmlFor = `field-${key}-locale`;
+    localeLabel.textContent = "Translate into";
+    const localeSelect = this.document.createElement("select");
+    localeSelect.id = `field-${key}-locale`;
+    localeSelect.addEventListener("change", () => this.renderTranslations());
+
+    const missingGroup = this.document.createElement("div");
+    missingGroup.className = "checkbox-group";
+    const missingOnly = this.document.createElement("input");
+    missingOnly.type = "checkbox";
+    missingOnly.id = `field-${key}-missing`;
+    missingOnly.addEventListener("change", () => this.renderTranslations());
+    const missingLabel = this.document.createElement("label");
+    missingLabel.htmlFor = missingOnly.id;
+    missingLabel.textContent = "Only show missing translations";
+    missingGroup.appendChild(missingOnly);
+    missingGroup.appendChild(missingLabel);
+
+    controls.appendChild(localeLabel);
+    controls.appendChild(localeSelect);
+    controls.appendChild(missingGroup);
+    group.appendChild(controls);
+
+    const rows = this.document.createElement("div");
+    rows.id = `field-${key}-rows`;
+    rows.className = "translations-rows";
+    group.appendChild(rows);
+    return group;
+  }
+
+  /**
+   * Redraws the translations editor for the English text and languages now in the form
+   */
+  renderTranslations() {
+    const input = this.document.getElementById("field-translations");
+    if (!input) return;
+
+    const config = {
+      ...this.collectFormData(),
+      translations: JSON.parse(input.value || "[]"),
+    };
+    const locales = i18n
+      .getEnabledLocales(config)
+      .filter((locale) => locale !== i18n.DEFAULT_LOCALE);
+    const sources = translations.getSources(config);
+
+    const summary = this.document.getElementById("field-translations-summary");
+    summary.innerHTML = "";
+    locales.forEach((locale) => {
+      const missing = translations.getMissing(config, locale).length;
+      const pageMissing = i18n.getMissingMessages(locale).length;
+      const item = this.document.createElement("li");
+      item.textContent = `${i18n.LOCALE_NAMES[locale]}: ${
+        missing === 0
+          ? "all site text translated"
+          : `${missing} of ${sources.length} texts still shown in English`
+      }${
+        pageMissing === 0
+          ? ""
+          : `; ${pageMissing} built-in page labels have no translation yet`
+      }`;
+      item.className = missing + pageMissing === 0 ? "complete" : "missing";
+      summary.appendChild(item);
+    });
+
+    const localeSelect = this.document.getElementById(
+      "field-translations-locale"
+    );
+    const selected = localeSelect.value;
+    localeSelect.innerHTML = "";
+    locales.forEach((locale) => {
+      localeSelect.appendChild(
+        new this.window.Option(i18n.LOCALE_NAMES[locale], locale)
+      );
+    });
+    localeSelect.value = locales.includes(selected)
+      ? selected
+      : locales[0] || "";
+    localeSelect.disabled = locales.length === 0;
+
+    const rows = this.document.getElementById("field-translations-rows");
+    rows.innerHTML = "";
+    if (locales.length === 0) {
+      const empty = this.document.createElement("p");
+      empty.className = "field-help";
+      empty.textContent =
+        "Add a language above to translate the site text into it.";
+      rows.appendChild(empty);
+      return;
+    }
+
+    const locale = localeSelect.value;
+    const missingOnly = this.document.getElementById(
+      "field-translations-missing"
+    ).checked;
+    sources.forEach((source, index) => {
+      const text = translations.find(
+        config.translations,
+        locale,
+        source.field,
+        source.source
+      );
+      if (missingOnly && text) return;
+
+      const row = this.document.createElement("div");
+      row.className = "translation-row";
+
+      const textarea = this.document.createElement("textarea");
+      textarea.id = `field-translations-${index}`;
+      textarea.lang = locale;
+      textarea.rows = 2;
+      textarea.value = text;
+
+      const label = this.document.createElement("label");
+      label.htmlFor = textarea.id;
+      label.textContent = source.label;
+
+      const english = this.document.createElement("p");
+      english.className = "translation-source";
+      english.lang = i18n.DEFAULT_LOCALE;
+      english.textContent = source.source;
+
+      row.appendChild(label);
+      row.appendChild(english);
+      row.appendChild(textarea);
+      if (source.richText) {
+        const hint = this.document.createElement("small");
+        hint.className = "field-help";
+        hint.textContent =
+          "Keep the formatting tags of the English text; bold, italics, accent color and links are allowed.";
+        row.appendChild(hint);
+      }
+
+      textarea.addEventListener("input", () => {
+        const value = textarea.value.trim();
+        input.value = JSON.stringify(
+          translations.update(
+            JSON.parse(input.value || "[]"),
+            locale,
+            source.field,
+            source.source,
+            source.richText ? richText.sanitize(value) : value
+          )
+        );
+      });
+      rows.appendChild(row);
+    });
+
+    if (rows.children.length === 0) {
+      const done = this.document.createElement("p");
+      done.className = "field-help";
+      done.textContent = "Everything is translated.";
+      rows.appendChild(done);
+    }
+  }
+
+  /**
+   * Builds the editor for an array field: one fieldset per entry plus an Add button
+   * The outer fieldset carries the config key as its name, so errors attach to it
+   * @param {string} key - Config key
+   * @param {Object} rule - Array field definition from ConfigSchema
+   * @returns {HTMLElement} Form group element
+   */
+  createListField(key, rule) {
+    const group = this.document.createElement("div");
+    group.className = "form-group";
+
+    const fieldset = this.document.createElement("fieldset");
+    fieldset.id = `field-${key}`;
+    fieldset.name = key;
+    fieldset.className = "list-field";
+
+    const legend = this.document.createElement("legend");
+    legend.textContent = rule.label;
+    fieldset.appendChild(legend);
+
+    if (rule.help) {
+      const help = this.document.createElement("small");
+      help.className = "field-help";
+      help.textContent = rule.help;
+      fieldset.appendChild(help);
+    }
+
+    const items = this.document.createElement("div");
+    items.className = "list-items";
+    fieldset.appendChild(items);
+
+    const addButton = this.document.createElement("button");
+    addButton.type = "button";
+    addButton.className = "btn-logout";
+    addButton.textContent = `Add ${(rule.itemLabel || "item").toLowerCase()}`;
+    addButton.addEventListener("click", () => {
+      const entry = {};
+      Object.keys(rule.items).forEach((itemKey) => {
+        if (rule.items[itemKey].default !== undefined) {
+          entry[itemKey] = rule.items[itemKey].default;
+        }
+      });
+      this.renderListItems(key, [...this.readListItems(key), entry]);
+    });
+    fieldset.appendChild(addButton);
+
+    group.appendChild(fieldset);
+    return group;
+  }
+
+  /**
+   * Renders the entries of an array field, replacing any already shown
+   * @param {string} key - Config key of the array field
+   * @param {Object[]} entries - Entries to show
+   */
+  renderListItems(key, entries) {
+    const fieldset = this.document.getElementById(`field-${key}`);
+    if (!fieldset) return;
+
+    const rule = configSchema.fields[key];
+    const itemLabel = rule.itemLabel || "Item";
+    const container = fieldset.querySelector(".list-items");
+    container.innerHTML = "";
+
+    if (entries.length === 0) {
+      const empty = this.document.createElement("p");
+      empty.className = "field-help";
+      empty.textContent = `No ${rule.label.toLowerCase()} yet.`;
+      container.appendChild(empty);
+    }
+
+    entries.forEach((entry, index) => {
+      const item = this.document.createElement("fieldset");
+      item.className = "list-item";
+
+      const legend = this.document.createElement("legend");
+      legend.textContent = `${itemLabel} ${index + 1}`;
+      const status = this.document.createElement("span");
+      status.className = "list-item-status";
+      legend.appendChild(status);
+      item.appendChild(legend);
+
+      Object.keys(rule.items).forEach((itemKey) => {
+        const itemRule = rule.items[itemKey];
+        const group = this.document.createElement("div");
+        group.className = "form-group";
+        const control = this.createControl(itemRule);
+        control.id = `field-${key}-${index}-${itemKey}`;
+        control.dataset.itemKey = itemKey;
+        this.setControlValue(control, itemRule, entry[itemKey]);
+        this.appendLabelledControl(group, control, itemRule);
+        item.appendChild(group);
+      });
+
+      const actions = this.document.createElement("div");
+      actions.className = "list-item-actions";
+      [
+        ["Move up", index > 0, () => this.moveListItem(key, index, -1)],
+        [
+          "Move down",
+          index < entries.length - 1,
+          () => this.moveListItem(key, index, 1),
+        ],
+        ["Remove", true, () => this.removeListItem(key, index)],
+      ].forEach(([text, enabled, onClick]) => {
+        const button = this.document.createElement("button");
+        button.type = "button";
+        button.className = "btn-logout";
+        button.textContent = text;
+        button.disabled = !enabled;
+        button.addEventListener("click", onClick);
+        actions.appendChild(button);
+      });
+      item.appendChild(actions);
+
+      item.addEventListener("change", () => {
+        this.updateListItemStatus(key, item);
+        this.refreshDynamicOptions();
+      });
+      container.appendChild(item);
+      this.updateListItemStatus(key, item);
+    });
+
+    this.refreshDynamicOptions();
+    // Added or removed entries may add languages or text to translate
+    this.renderTranslations();
+  }
+
+  /**
+   * Rebuilds selects whose choices include the entries of a list field
+   * (e.g. the theme select lists the custom themes), keeping the selection
+   * @param {Object} [selected] - Values to select, keyed by config key (defaults to the current ones)
+   */
+  refreshDynamicOptions(selected = {}) {
+    const form = this.document.getElementById("admin-form");
+    if (!form) return;
+
+    Object.keys(configSchema.fields).forEach((key) => {
+      const rule = configSchema.fields[key];
+      const control = form.elements[key];
+      if (!rule.optionsFrom || !control) return;
+
+      const value = key in selected ? selected[key] : control.value;
+      const names = this.readListItems(rule.optionsFrom)
+        .map((entry) => entry.name)
+        .filter((name) => name && !rule.options.includes(name));
+
+      control.innerHTML = "";
+      rule.options.forEach((option) => {
+        control.appendChild(
+          new this.window.Option(
+            (rule.optionLabels && rule.optionLabels[option]) || option,
+            option
+          )
+        );
+      });
+      names.forEach((name) => {
+        control.appendChild(new this.window.Option(`${name} (custom)`, name));
+      });
+
+      control.value = value;
+      if (control.selectedIndex === -1) {
+        control.selectedIndex = 0;
+      }
+    });
+  }
+
+  /**
+   * Reads the entries currently shown for an array field
+   * Empty optional values are kept as empty strings; empty numbers are left out
+   * @param {string} key - Config key of the array field
+   * @returns {Object[]} Entries
+   */
+  readListItems(key) {
+    const fieldset = this.document.getElementById(`field-${key}`);
+    if (!fieldset) return [];
+
+    const rule = configSchema.fields[key];
+    return Array.from(fieldset.querySelectorAll(".list-item")).map((item) =>
+      this.readListItem(item, rule)
+    );
+  }
+
+  /**
+   * Reads one entry of an array field
+   * @param {HTMLElement} item - Entry fieldset
+   * @param {Object} rule - Array field definition from ConfigSchema
+   * @returns {Object} Entry values keyed by item key
+   */
+  readListItem(item, rule) {
+    const entry = {};
+    item.querySelectorAll("[data-item-key]").forEach((control) => {
+      const itemKey = control.dataset.itemKey;
+      const itemRule = rule.items[itemKey];
+      const value = control.value.trim();
+
+      if (itemRule.type === "boolean") {
+        entry[itemKey] = control.checked;
+      } else if (itemRule.type === "number") {
+        if (value !== "") entry[itemKey] = Number(value);
+      } else if (itemRule.format === "datetime") {
+        entry[itemKey] = fromLocalDateTime(value);
+      } else {
+        entry[itemKey] = value;
+      }
+    });
+    return entry;
+  }
+
+  /**
+   * Shows a value in a control, converting dates to the browser's local time
+   * @param {HTMLElement} control - Control to fill
+   * @param {Object} rule - Field definition from ConfigSchema
+   * @param {*} value - Value to show
+   */
+  setControlValue(control, rule, value) {
+    if (rule.type === "boolean") {
+      control.checked = value === true;
+    } else if (rule.format === "datetime") {
+      control.value = toLocalDateTime(value);
+    } else if (rule.control === "hidden") {
+      control.value = JSON.stringify(value !== undefined ? value : null);
+    } else if (rule.control === "translations") {
+      control.value = JSON.stringify(value || []);
+      this.renderTranslations();
+    } else if (rule.control === "richtext") {
+      control.value = richText.sanitize(value);
+      const editor = this.document.getElementById(`${control.id}-editor`);
+      if (editor) editor.innerHTML = control.value;
+    } else {
+      control.value = value !== undefined && value !== null ? value : "";
+      // Selects have no empty option, so start new entries on the first one
+      if (control.tagName === "SELECT" && control.selectedIndex === -1) {
+        control.selectedIndex = 0;
+      }
+    }
+  }
+
+  /**
+   * Moves an entry of an array field up or down
+   * @param {string} key - Config key of the array field
+   * @param {number} index - Entry position
+   * @param {number} offset - -1 to move up, 1 to move down
+   */
+  moveListItem(key, index, offset) {
+    const entries = this.readListItems(key);
+    const [entry] = entries.splice(index, 1);
+    entries.splice(index + offset, 0, entry);
+    this.renderListItems(key, entries);
+  }
+
+  /**
+   * Removes an entry of an array field
+   * @param {string} key - Config key of the array field
+   * @param {number} index - Entry position
+   */
+  removeListItem(key, index) {
+    const entries = this.readListItems(key);
+    entries.splice(index, 1);
+    this.renderListItems(key, entries);
+  }
+
+  /**
+   * Labels an entry with its status, for lists listed in LIST_ITEM_STATUS
+   * @param {string} key - Config key of the array field
+   * @param {HTMLElement} item - Entry fieldset
+   */
+  updateListItemStatus(key, item) {
+    const status = item.querySelector(".list-item-status");
+    if (!status || !LIST_ITEM_STATUS[key]) return;
+
+    const entry = this.readListItem(item, configSchema.fields[key]);
+    const { state, label } = LIST_ITEM_STATUS[key](entry);
+    status.className = `list-item-status ${state}`;
+    status.textContent = label;
+  }
+
+  /**
+   * Loads a configuration into the form
+   * @param {Object} [config] - Configuration to show (defaults to the published config)
+   */
+  loadConfigIntoForm(config = this.config) {
+    const form = this.document.getElementById("admin-form");
+    if (!form) return;
+
+    Object.keys(configSchema.fields).forEach((key) => {
+      const control = form.elements[key];
+      if (!control) return;
+
+      const rule = configSchema.fields[key];
+      if (isListField(rule)) {
+        this.renderListItems(key, config[key] || []);
+      } else {
+        this.setControlValue(control, rule, config[key]);
+      }
+    });
+
+    // Custom theme names only become options once their list is rendered
+    this.refreshDynamicOptions(config);
+  }
+
+  /**
+   * Reads every schema field from the form
+   * @returns {Object} Configuration values keyed by config key
+   */
+  collectFormData() {
+    const form = this.document.getElementById("admin-form");
+    const formData = {};
+
+    Object.keys(configSchema.fields).forEach((key) => {
+      const control = form.elements[key];
+      if (!control) return;
+
+      const { type, control: controlType } = configSchema.fields[key];
+      if (controlType === "hidden" || controlType === "translations") {
+        const value = JSON.parse(control.value || "null");
+        if (value !== null) formData[key] = value;
+      } else if (type === "array") {
+        formData[key] = this.readListItems(key);
+      } else {
+        formData[key] =
+          type === "boolean" ? control.checked : control.value.trim();
+      }
+    });
+
+    // Translations of English text no longer on the site are dropped on save
+    if (formData.translations) {
+      formData.translations = translations.prune(formData);
+    }
+    return formData;
+  }
+
+  /**
+   * Collects form data and validates it, marking any invalid fields
+   * @returns {Object|null} Valid form data, or null if there are errors
+   */
+  collectValidFormData() {
+    const formData = this.collectFormData();
+    const { valid, errors } = this.configManager.validate(formData);
+    this.showFieldErrors(errors);
+    if (!valid) {
+      const count = Object.keys(errors).length;
+      this.showMessage(
+        `Please fix ${count} field${count === 1 ? "" : "s"} before saving`,
+        "error"
+      );
+      return null;
+    }
+    return formData;
+  }
+
+  /**
+   * Saves the form as the unpublished draft
+   * @param {Object} [options] - Options
+   * @param {boolean} [options.quiet] - Skip the success message
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveDraft({ quiet = false } = {}) {
+    const formData = this.collectValidFormData();
+    if (!formData) return false;
+
+    const success = await this.configManager.saveDraft(formData);
+    if (!success) {
+      await this.handleWriteFailure("Error saving draft.");
+      return false;
+    }
+
+    this.setDraftStatus(true);
+    if (!quiet) {
+      this.showMessage(
+        "Draft saved. Preview it, then publish when ready.",
+        "success"
+      );
+    }
+    return true;
+  }
+
+  /**
+   * Saves the draft and opens the main page rendered from it
+   */
+  async previewDraft() {
+    // Open the window synchronously so popup blockers allow it
+    const previewWindow = this.window.open("", "_blank");
+    const saved = await this.saveDraft({ quiet: true });
+    if (!saved) {
+      if (previewWindow) previewWindow.close();
+      return;
+    }
+
+    if (previewWindow) {
+      previewWindow.location.href = "index.html?preview=draft";
+    } else {
+      this.showMessage(
+        "Draft saved. Allow pop-ups to open the preview, or visit index.html?preview=draft.",
+        "success"
+      );
+    }
+  }
+
+  /**
+   * Saves the draft and publishes it to all visitors
+   */
+  async publishDraft() {
+    const saved = await this.saveDraft({ quiet: true });
+    if (!saved) return;
+
+    const published = await this.configManager.publishDraft();
+    if (!published) {
+      await this.handleWriteFailure("Error publishing configuration.");
+      return;
+    }
+
+    const reopened = this.setPublishedConfig(published);
+    this.setDraftStatus(false);
+    await this.loadHistory();
+    this.showMessage(
+      `Configuration published! Changes will appear on the main page for all visitors.${
+        reopened ? ` ${this.getWaitlistReminder()}` : ""
+      }`,
+      "success"
+    );
+  }
+
+  /**
+   * Throws away the draft and shows the published config again
+   */
+  async discardDraft() {
+    if (!this.window.confirm("Discard all unpublished draft changes?")) return;
+
+    const success = await this.configManager.discardDraft();
+    if (!success) {
+      await this.handleWriteFailure("Error discarding draft.");
+      return;
+    }
+
+    this.setDraftStatus(false);
+    this.showFieldErrors({});
+    this.loadConfigIntoForm(this.config);
+    this.showMessage("Draft discarded.", "success");
+  }
+
+  /**
+   * Reports a failed server write, sending the admin back to the
+   * password screen when the failure was an expired session
+   * @param {string} message - What failed
+   */
+  async handleWriteFailure(message) {
+    if (!(await this.auth.check())) {
+      this.showPasswordScreen(
+        "Your session has expired. Please log in again to save changes."
+      );
+      return;
+    }
+    this.showMessage(
+      `${message} Check that the config server is running and try again.`,
+      "error"
+    );
+  }
+
+  /**
+   * Sets up the inbox of contact form messages
+   */
+  setupInbox() {
+    const showArchived = this.document.getElementById("inbox-show-archived");
+    const refreshButton = this.document.getElementById("inbox-refresh");
+    if (!showArchived || !refreshButton) return;
+
+    this.inquiries = [];
+    showArchived.addEventListener("change", () => this.renderInbox());
+    refreshButton.addEventListener("click", () => this.loadInbox());
+  }
+
+  /**
+   * Fetches the contact form messages and renders the inbox
+   */
+  async loadInbox() {
+    const list = this.document.getElementById("inbox-list");
+    if (!list) return;
+
+    const inquiries = await this.inquiryClient.list();
+    this.inboxError = inquiries === null;
+    this.inquiries = inquiries || [];
+    this.renderInbox();
+  }
+
+  /**
+   * Renders the inbox, newest first, hiding archived messages unless asked
+   */
+  renderInbox() {
+    const list = this.document.getElementById("inbox-list");
+    const summary = this.document.getElementById("inbox-summary");
+    const showArchived = this.document.getElementById(
+      "inbox-show-archived"
+    ).checked;
+    list.innerHTML = "";
+
+    const unread = this.inquiries.filter(
+      (inquiry) => inquiry.status === "new"
+    ).length;
+    summary.textContent = this.inboxError
+      ? "Unable to load messages. Please try again."
+      : `${unread} new ${unread === 1 ? "message" : "messages"}`;
+
+    const shown = this.inquiries.filter(
+      (inquiry) => showArchived || inquiry.status !== "archived"
+    );
+    if (shown.length === 0) {
+      const empty = this.document.createElement("li");
+      empty.textContent = this.inboxError ? "" : "No messages.";
+      list.appendChild(empty);
+      return;
+    }
+
+    shown.forEach((inquiry) => list.appendChild(this.renderInquiry(inquiry)));
+  }
+
+  /**
+   * Builds the inbox entry for one message
+   * @param {Object} inquiry - Inquiry from the server
+   * @returns {HTMLLIElement} List item with the message and its actions
+   */
+  renderInquiry(inquiry) {
+    const fields = inquiries.fields;
+    const item = this.document.createElement("li");
+    item.classList.toggle("is-new", inquiry.status === "new");
+
+    const meta = this.document.createElement("div");
+    meta.className = "history-meta";
+    meta.textContent = `${inquiry.name} · ${new Date(
+      inquiry.receivedAt
+    ).toLocaleString()}`;
+    const badge = this.document.createElement("span");
+    badge.className = "inbox-badge";
+    badge.textContent = inquiries.STATUS_LABELS[inquiry.status];
+    meta.appendChild(badge);
+
+    const contact = this.createContactLinks(inquiry);
+    if (inquiry.contactTime) {
+      contact.appendChild(
+        this.document.createTextNode(
+          ` · ${fields.contactTime.label}: ${
+            fields.contactTime.optionLabels[inquiry.contactTime]
+          }`
+        )
+      );
+    }
+    meta.appendChild(contact);
+    item.appendChild(meta);
+
+    const reason = this.document.createElement("p");
+    reason.className = "inbox-reason";
+    reason.textContent = inquiry.reason;
+    item.appendChild(reason);
+
+    const actions = this.document.createElement("div");
+    actions.className = "inbox-actions";
+    const addAction = (label, handler) => {
+      const button = this.document.createElement("button");
+      button.type = "button";
+      button.className = "btn-logout";
+      button.textContent = label;
+      button.addEventListener("click", handler);
+      actions.appendChild(button);
+    };
+    if (inquiry.status === "new") {
+      addAction("Mark as read", () => this.setInquiryStatus(inquiry, "read"));
+    } else {
+      addAction("Mark as new", () => this.setInquiryStatus(inquiry, "new"));
+    }
+    if (inquiry.status === "archived") {
+      addAction("Unarchive", () => this.setInquiryStatus(inquiry, "read"));
+    } else {
+      addAction("Archive", () => this.setInquiryStatus(inquiry, "archived"));
+    }
+    addAction("Delete", () => this.deleteInquiry(inquiry));
+    item.appendChild(actions);
+
+    return item;
+  }
+
+  /**
+   * Changes a message's status and re-renders the inbox
+   * @param {Object} inquiry - Inquiry to update
+   * @param {string} status - New status
+   */
+  async setInquiryStatus(inquiry, status) {
+    const success = await this.inquiryClient.setStatus(inquiry.id, status);
+    if (success) {
+      inquiry.status = status;
+      this.renderInbox();
+    } else {
+      this.showMessage("Error updating message. Please try again.", "error");
+    }
+  }
+
+  /**
+   * Permanently deletes a message after confirmation
+   * @param {Object} inquiry - Inquiry to delete
+   */
+  async deleteInquiry(inquiry) {
+    const confirmed = this.window.confirm(
+      `Delete the message from ${inquiry.name}? This cannot be undone.`
+    );
+    if (!confirmed) return;
+
+    const success = await this.inquiryClient.remove(inquiry.id);
+    if (success) {
+      this.inquiries = this.inquiries.filter(
+        (candidate) => candidate.id !== inquiry.id
+      );
+      this.renderInbox();
+    } else {
+      this.showMessage("Error deleting message. Please try again.", "error");
+    }
+  }
+
+  /**
+   * Builds the email and phone links for a visitor's submission
+   * @param {Object} entry - Submission with email and/or phone
+   * @returns {HTMLElement} Small element with the links
+   */
+  createContactLinks(entry) {
+    const contact = this.document.createElement("small");
+    if (entry.email) {
+      const email = this.document.createElement("a");
+      email.href = `mailto:${entry.email}`;
+      email.textContent = entry.email;
+      contact.appendChild(email);
+    }
+    if (entry.phone) {
+      if (entry.email) contact.appendChild(this.document.createTextNode(" · "));
+      const phone = this.document.createElement("a");
+      phone.href = `tel:${entry.phone.replace(/[^\d+]/g, "")}`;
+      phone.textContent = entry.phone;
+      contact.appendChild(phone);
+    }
+    return contact;
+  }
+
+  /**
+   * Sets up the list of appointment requests
+   */
+  setupAppointments() {
+    const showClosed = this.document.getElementById("appointments-show-closed");
+    const refreshButton = this.document.getElementById("appointments-refresh");
+    if (!showClosed || !refreshButton) return;
+
+    this.appointmentRequests = [];
+    showClosed.addEventListener("change", () => this.renderAppointments());
+    refreshButton.addEventListener("click", () => this.loadAppointments());
+  }
+
+  /**
+   * Fetches the appointment requests and renders them
+   */
+  async loadAppointments() {
+    const list = this.document.getElementById("appointments-list");
+    if (!list) return;
+
+    const requests = await this.appointmentClient.list();
+    this.appointmentsError = requests === null;
+    this.appointmentRequests = requests || [];
+    this.renderAppointments();
+  }
+
+  /**
+   * Renders the appointment requests, soonest first, hiding declined,
+   * cancelled and past ones unless asked
+   */
+  renderAppointments() {
+    const list = this.document.getElementById("appointments-list");
+    const summary = this.document.getElementById("appointments-summary");
+    const showClosed = this.document.getElementById(
+      "appointments-show-closed"
+    ).checked;
+    list.innerHTML = "";
+
+    const pending = this.appointmentRequests.filter(
+      (request) => request.status === "pending"
+    ).length;
+    summary.textContent = this.appointmentsError
+      ? "Unable to load appointment requests. Please try again."
+      : `${pending} pending ${pending === 1 ? "request" : "requests"}`;
+
+    const shown = this.appointmentRequests
+      .filter((request) => showClosed || !this.isClosedRequest(request))
+      .sort((a, b) => a.slot.localeCompare(b.slot));
+    if (shown.length === 0) {
+      const empty = this.document.createElement("li");
+      empty.textContent = this.appointmentsError ? "" : "No upcoming requests.";
+      list.appendChild(empty);
+      return;
+    }
+
+    shown.forEach((request) =>
+      list.appendChild(this.renderAppointmentRequest(request))
+    );
+  }
+
+  /**
+   * Checks whether a request no longer needs attention
+   * @param {Object} request - Appointment request from the server
+   * @returns {boolean} True when declined, cancelled or its time has passed
+   */
+  isClosedRequest(request) {
+    return (
+      !appointments.HOLDING_STATUSES.includes(request.status) ||
+      (officeHours.isValidTimeZone(this.config.timeZone) &&
+        appointments.isPast(request.slot, this.config.timeZone))
+    );
+  }
+
+  /**
+   * Builds the list entry for one appointment request
+   * @param {Object} request - Appointment request from the server
+   * @returns {HTMLLIElement} List item with the request and its actions
+   */
+  renderAppointmentRequest(request) {
+    const item = this.document.createElement("li");
+    item.classList.toggle("is-new", request.status === "pending");
+
+    const meta = this.document.createElement("div");
+    meta.className = "history-meta";
+    meta.textContent = `${appointments.formatSlot(request.slot)} · ${
+      request.appointmentType
+    }`;
+    const badge = this.document.createElement("span");
+    badge.className = "inbox-badge";
+    badge.textContent = appointments.STATUS_LABELS[request.status];
+    meta.appendChild(badge);
+
+    const requester = this.document.createElement("small");
+    requester.textContent = `${request.name}, requested ${new Date(
+      request.receivedAt
+    ).toLocaleString()}`;
+    meta.appendChild(requester);
+    meta.appendChild(this.createContactLinks(request));
+    item.appendChild(meta);
+
+    if (request.note) {
+      const note = this.document.createElement("p");
+      note.className = "inbox-reason";
+      note.textContent = request.note;
+      item.appendChild(note);
+    }
+
+    const actions = this.document.createElement("div");
+    actions.className = "inbox-actions";
+    const addAction = (label, handler) => {
+      const button = this.document.createElement("button");
+      button.type = "button";
+      button.className = "btn-logout";
+      button.textContent = label;
+      button.addEventListener("click", handler);
+      actions.appendChild(button);
+    };
+    if (request.status === "pending") {
+      addAction("Confirm", () =>
+        this.setAppointmentStatus(request, "confirmed")
+      );
+      addAction("Decline", () =>
+        this.setAppointmentStatus(request, "declined")
+      );
+    } else if (request.status === "confirmed") {
+      addAction("Cancel", () =>
+        this.setAppointmentStatus(request, "cancelled")
+      );
+    } else {
+      addAction("Reopen", () => this.setAppointmentStatus(request, "pending"));
+    }
+    addAction("Delete", () => this.deleteAppointmentRequest(request));
+    item.appendChild(actions);
+
+    return item;
+  }
+
+  /**
+   * Changes a request's status and re-renders the list
+   * Reopening fails when the time has since been requested by someone else
+   * @param {Object} request - Appointment request to update
+   * @param {string} status - New status
+   */
+  async setAppointmentStatus(request, status) {
+    const success = await this.appointmentClient.setStatus(request.id, status);
+    if (success) {
+      request.status = status;
+      this.renderAppointments();
+    } else {
+      this.showMessage(
+        "Error updating the request. If you reopened it, the time may now be held by another request.",
+        "error"
+      );
+    }
+  }
+
+  /**
+   * Permanently deletes a request after confirmation, freeing its time
+   * @param {Object} request - Appointment request to delete
+   */
+  async deleteAppointmentRequest(request) {
+    const confirmed = this.window.confirm(
+      `Delete the request from ${request.name}? This cannot be undone.`
+    );
+    if (!confirmed) return;
+
+    const success = await this.appointmentClient.remove(request.id);
+    if (success) {
+      this.appointmentRequests = this.appointmentRequests.filter(
+        (candidate) => candidate.id !== request.id
+      );
+      this.renderAppointments();
+    } else {
+      this.showMessage(
+        "Error deleting the request. Please try again.",
+        "error"
+      );
+    }
+  }
+
+  /**
+   * Records a newly published config and updates the waitlist notice
+   * @param {Object} config - Config that was just published
+   * @returns {boolean} True when it turned accepting patients on while people are waiting
+   */
+  setPublishedConfig(config) {
+    const reopened = !this.config.acceptingPatients && config.acceptingPatients;
+    this.config = config;
+    this.renderWaitlist();
+    return Boolean(reopened) && waitlist.getWaiting(this.waitlist).length > 0;
+  }
+
+  /**
+   * Sets up the waitlist with its CSV exports
+   */
+  setupWaitlist() {
+    const showContacted = this.document.getElementById(
+      "waitlist-show-contacted"
+    );
+    const refreshButton = this.document.getElementById("waitlist-refresh");
+    if (!showContacted || !refreshButton) return;
+
+    showContacted.addEventListener("change", () => this.renderWaitlist());
+    refreshButton.addEventListener("click", () => this.loadWaitlist());
+    this.document
+      .getElementById("waitlist-export")
+      .addEventListener("click", () => this.exportWaitlist());
+    this.document
+      .getElementById("waitlist-notify-export")
+      .addEventListener("click", () => this.exportWaitlistNotifications());
+    this.document
+      .getElementById("waitlist-mark-all")
+      .addEventListener("click", () => this.markWaitlistContacted());
+  }
+
+  /**
+   * Fetches the waitlist and renders it
+   */
+  async loadWaitlist() {
+    const list = this.document.getElementById("waitlist-list");
+    if (!list) return;
+
+    const entries = await this.waitlistClient.list();
+    this.waitlistError = entries === null;
+    this.waitlist = entries || [];
+    this.renderWaitlist();
+  }
+
+  /**
+   * Describes who is still waiting now that the practice is accepting patients
+   * @returns {string} Reminder sentence
+   */
+  getWaitlistReminder() {
+    const waiting = waitlist.getWaiting(this.waitlist).length;
+    return `${waiting} ${
+      waiting === 1 ? "person is" : "people are"
+    } on the waitlist; download the notification list under waitlist to let them know.`;
+  }
+
+  /**
+   * Renders the waitlist, oldest signup first, hiding contacted people
+   * unless asked, and the notification notice while accepting patients
+   */
+  renderWaitlist() {
+    const list = this.document.getElementById("waitlist-list");
+    if (!list) return;
+
+    const summary = this.document.getElementById("waitlist-summary");
+    const notice = this.document.getElementById("waitlist-notice");
+    const showContacted = this.document.getElementById(
+      "waitlist-show-contacted"
+    ).checked;
+    const waiting = waitlist.getWaiting(this.waitlist);
+    list.innerHTML = "";
+
+    summary.textContent = this.waitlistError
+      ? "Unable to load the waitlist. Please try again."
+      : `${waiting.length} ${
+          waiting.length === 1 ? "person" : "people"
+        } waiting`;
+    this.document.getElementById("waitlist-export").disabled =
+      this.waitlist.length === 0;
+
+    notice.hidden = !this.config.acceptingPatients || waiting.length === 0;
+    this.document.getElementById(
+      "waitlist-notice-text"
+    ).textContent = `You are accepting new patients. ${this.getWaitlistReminder()} Mark them as contacted once you have.`;
+
+    const shown = this.waitlist
+      .filter((entry) => showContacted || entry.status === "waiting")
+      .sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+    if (shown.length === 0) {
+      const empty = this.document.createElement("li");
+      empty.textContent = this.waitlistError ? "" : "Nobody is waiting.";
+      list.appendChild(empty);
+      return;
+    }
+
+    shown.forEach((entry) => list.appendChild(this.renderWaitlistEntry(entry)));
+  }
+
+  /**
+   * Builds the list entry for one waitlist signup
+   * @param {Object} entry - Signup from the server
+   * @returns {HTMLLIElement} List item with the signup and its actions
+   */
+  renderWaitlistEntry(entry) {
+    const item = this.document.createElement("li");
+    item.classList.toggle("is-new", entry.status === "waiting");
+
+    const meta = this.document.createElement("div");
+    meta.className = "history-meta";
+    meta.textContent = `${entry.name} · signed up ${new Date(
+      entry.receivedAt
+    ).toLocaleDateString()}`;
+    const badge = this.document.createElement("span");
+    badge.className = "inbox-badge";
+    badge.textContent = waitlist.STATUS_LABELS[entry.status];
+    meta.appendChild(badge);
+    meta.appendChild(this.createContactLinks(entry));
+    item.appendChild(meta);
+
+    if (entry.note) {
+      const note = this.document.createElement("p");
+      note.className = "inbox-reason";
+      note.textContent = entry.note;
+      item.appendChild(note);
+    }
+
+    const actions = this.document.createElement("div");
+    actions.className = "inbox-actions";
+    const addAction = (label, handler) => {
+      const button = this.document.createElement("button");
+      button.type = "button";
+      button.className = "btn-logout";
+      button.textContent = label;
+      button.addEventListener("click", handler);
+      actions.appendChild(button);
+    };
+    if (entry.status === "waiting") {
+      addAction("Mark as contacted", () =>
+        this.setWaitlistStatus([entry], "contacted")
+      );
+    } else {
+      addAction("Mark as waiting", () =>
+        this.setWaitlistStatus([entry], "waiting")
+      );
+    }
+    addAction("Delete", () => this.deleteWaitlistEntry(entry));
+    item.appendChild(actions);
+
+    return item;
+  }
+
+  /**
+   * Changes the status of waitlist signups and re-renders the list
+   * @param {Object[]} entries - Signups to update
+   * @param {string} status - New status
+   * @returns {Promise<boolean>} Success status
+   */
+  async setWaitlistStatus(entries, status) {
+    const success = await this.waitlistClient.setStatuses(
+      entries.map((entry) => entry.id),
+      status
+    );
+    if (success) {
+      entries.forEach((entry) => {
+        entry.status = status;
+      });
+      this.renderWaitlist();
+    } else {
+      this.showMessage(
+        "Error updating the waitlist. Please try again.",
+        "error"
+      );
+    }
+    return success;
+  }
+
+  /**
+   * Marks everyone still waiting as contacted, after confirmation
+   */
+  async markWaitlistContacted() {
+    const waiting = waitlist.getWaiting(this.waitlist);
+    const confirmed = this.window.confirm(
+      `Mark all ${waiting.length} people on the waitlist as contacted?`
+    );
+    if (!confirmed) return;
+
+    const success = await this.setWaitlistStatus(waiting, "contacted");
+    if (success) {
+      this.showMessage("Waitlist marked as contacted.", "success");
+    }
+  }
+
+  /**
+   * Permanently deletes a waitlist signup after confirmation
+   * @param {Object} entry - Signup to delete
+   */
+  async deleteWaitlistEntry(entry) {
+    const confirmed = this.window.confirm(
+      `Remove ${entry.name} from the waitlist? This cannot be undone.`
+    );
+    if (!confirmed) return;
+
+    const success = await this.waitlistClient.remove(entry.id);
+    if (success) {
+      this.waitlist = this.waitlist.filter(
+        (candidate) => candidate.id !== entry.id
+      );
+      this.renderWaitlist();
+    } else {
+      this.showMessage("Error removing the signup. Please try again.", "error");
+    }
+  }
+
+  /**
+   * Downloads the whole waitlist as CSV
+   */
+  exportWaitlist() {
+    downloadFile(
+      this.document,
+      waitlist.exportCsv(this.waitlist),
+      "text/csv",
+      `waitlist-${this.clock().toISOString().slice(0, 10)}.csv`
+    );
+  }
+
+  /**
+   * Downloads the people still waiting with the "accepting patients again" message
+   */
+  exportWaitlistNotifications() {
+    downloadFile(
+      this.document,
+      waitlist.exportNotifications(this.waitlist, this.config),
+      "text/csv",
+      `waitlist-notifications-${this.clock().toISOString().slice(0, 10)}.csv`
+    );
+  }
+
+  /**
+   * Sets up the revision history compare controls
+   */
+  setupHistory() {
+    const fromSelect = this.document.getElementById("history-from");
+    const toSelect = this.document.getElementById("history-to");
+    if (!fromSelect || !toSelect) return;
+
+    this.revisions = [];
+    fromSelect.addEventListener("change", () => this.renderHistoryDiff());
+    toSelect.addEventListener("change", () => this.renderHistoryDiff());
+  }
+
+  /**
+   * Fetches revisions from the server and renders the history panel
+   */
+  async loadHistory() {
+    const list = this.document.getElementById("history-list");
+    if (!list) return;
+
+    this.revisions = await this.configManager.getHistory();
+    this.renderHistoryList();
+    this.renderHistoryOptions();
+    this.renderHistoryDiff();
+  }
+
+  /**
+   * Describes a revision for lists and selects
+   * @param {Object} revision - Revision from the server
+   * @returns {string} e.g. "#4 · 3/2/2026, 10:15 AM · Rujita"
+   */
+  describeRevision(revision) {
+    const when = new Date(revision.timestamp).toLocaleString();
+    return `#${revision.id} · ${when} · ${revision.author}`;
+  }
+
+  /**
+   * Renders the revision list with a restore button per revision
+   */
+  renderHistoryList() {
+    const list = this.document.getElementById("history-list");
+    list.innerHTML = "";
+
+    if (this.revisions.length === 0) {
+      const empty = this.document.createElement("li");
+      empty.textContent = "No revisions have been published yet.";
+      list.appendChild(empty);
+      return;
+    }
+
+    this.revisions.forEach((revision, index) => {
+      const item = this.document.createElement("li");
+
+      const meta = this.document.createElement("div");
+      meta.className = "history-meta";
+      meta.textContent = this.describeRevision(revision);
+      if (revision.note) {
+        const note = this.document.createElement("small");
+        note.textContent = revision.note;
+        meta.appendChild(note);
+      }
+      item.appendChild(meta);
+
+      if (index === 0) {
+        const current = this.document.createElement("small");
+        current.textContent = "Current";
+        item.appendChild(current);
+      } else {
+        const restoreButton = this.document.createElement("button");
+        restoreButton.type = "button";
+        restoreButton.className = "btn-logout";
+        restoreButton.textContent = "Restore";
+        restoreButton.addEventListener("click", () =>
+          this.restoreRevision(revision)
+        );
+        item.appendChild(restoreButton);
+      }
+
+      list.appendChild(item);
+    });
+  }
+
+  /**
+   * Fills the compare selects, defaulting to the previous vs. current revision
+   */
+  renderHistoryOptions() {
+    const fromSelect = this.document.getElementById("history-from");
+    const toSelect = this.document.getElementById("history-to");
+
+    [fromSelect, toSelect].forEach((select) => {
+      select.innerHTML = "";
+      this.revisions.forEach((revision) => {
+        const option = this.document.createElement("option");
+        option.value = revision.id;
+        option.textContent = this.describeRevision(revision);
+        select.appendChild(option);
+      });
+    });
+
+    if (this.revisions.length > 0) {
+      toSelect.value = this.revisions[0].id;
+      fromSelect.value =
+        this.revisions[Math.min(1, this.revisions.length - 1)].id;
+    }
+  }
+
+  /**
+   * Renders the field-by-field diff between the two selected revisions
+   */
+  renderHistoryDiff() {
+    const table = this.document.getElementById("history-diff");
+    if (!table) return;
+    const body = table.querySelector("tbody");
+    body.innerHTML = "";
+
+    const findRevision = (id) =>
+      this.revisions.find((revision) => String(revision.id) === id);
+    const from = findRevision(
+      this.document.getElementById("history-from").value
+    );
+    const to = findRevision(this.document.getElementById("history-to").value);
+    if (!from || !to) return;
+
+    this.document.getElementById(
+      "history-diff-from"
+    ).textContent = `#${from.id}`;
+    this.document.getElementById("history-diff-to").textContent = `#${to.id}`;
+
+    this.renderDiffRows(
+      body,
+      this.configManager.diffConfigs(from.config, to.config)
+    );
+  }
+
+  /**
+   * Fills a diff table body with one row per changed field
+   * @param {HTMLTableSectionElement} body - Table body to fill
+   * @param {Object[]} changes - Output of configManager.diffConfigs()
+   */
+  renderDiffRows(body, changes) {
+    body.innerHTML = "";
+    if (changes.length === 0) {
+      const row = body.insertRow();
+      const cell = row.insertCell();
+      cell.colSpan = 3;
+      cell.textContent = "No differences.";
+      return;
+    }
+
+    const format = (value) => {
+      if (value === undefined) return "(not set)";
+      if (!Array.isArray(value)) return String(value);
+      if (value.length === 0) return "(none)";
+      // One line per entry, listing its filled-in values
+      return value
+        .map(
+          (item, index) =>
+            `${index + 1}. ${Object.values(item)
+              .filter((part) => part !== "")
+              .join(" · ")}`
+        )
+        .join("\n");
+    };
+    changes.forEach((change) => {
+      const row = body.insertRow();
+      row.insertCell().textContent = change.label;
+      row.insertCell().textContent = format(change.before);
+      row.insertCell().textContent = format(change.after);
+    });
+  }
+
+  /**
+   * Publishes an earlier revision as the current config
+   * @param {Object} revision - Revision to restore
+   */
+  async restoreRevision(revision) {
+    const confirmed = this.window.confirm(
+      `Restore revision #${revision.id}? It will be published to all visitors.`
+    );
+    if (!confirmed) return;
+
+    const restored = await this.configManager.restoreRevision(revision.id);
+    if (restored) {
+      this.setPublishedConfig(restored);
+      this.loadConfigIntoForm();
+      await this.loadHistory();
+      this.showMessage(
+        `Revision #${revision.id} restored and published.`,
+        "success"
+      );
+    } else {
+      this.showMessage("Error restoring revision. Please try again.", "error");
+    }
+  }
+
+  /**
+   * Sets up export and import controls
+   */
+  setupTransfer() {
+    const exportButton = this.document.getElementById("export-button");
+    const importFile = this.document.getElementById("import-file");
+    if (!exportButton || !importFile) return;
+
+    exportButton.addEventListener("click", () => this.exportConfig());
+    importFile.addEventListener("change", () => {
+      if (importFile.files.length > 0) {
+        this.previewImport(importFile.files[0]);
+      }
+    });
+    this.document
+      .getElementById("import-apply")
+      .addEventListener("click", () => this.applyImport());
+    this.document
+      .getElementById("import-cancel")
+      .addEventListener("click", () => this.clearImport());
+  }
+
+  /**
+   * Downloads the current configuration as a JSON file
+   */
+  exportConfig() {
+    const data = this.configManager.exportConfig(this.config);
+    downloadFile(
+      this.document,
+      JSON.stringify(data, null, 2),
+      "application/json",
+      `site-config-${data.exportedAt.slice(0, 10)}.json`
+    );
+  }
+
+  /**
+   * Reads an export file, validates it and previews the changes it would make
+   * @param {File} file - Selected file
+   */
+  async previewImport(file) {
+    this.pendingImport = null;
+    let data;
+    try {
+      data = JSON.parse(await file.text());
+    } catch (error) {
+      this.clearImport();
+      this.showMessage("The selected file is not valid JSON.", "error");
+      return;
+    }
+
+    const result = this.configManager.parseImport(data);
+    if (!result.valid) {
+      this.clearImport();
+      const messages = Object.keys(result.errors).map((field) =>
+        result.errors[field].join(", ")
+      );
+      this.showMessage(`Cannot import: ${messages.join("; ")}`, "error");
+      return;
+    }
+
+    this.pendingImport = result.config;
+    const changes = this.configManager.diffConfigs(this.config, result.config);
+    const migrated =
+      result.fromVersion < this.configManager.configVersion
+        ? ` It was upgraded from config version ${result.fromVersion}.`
+        : "";
+    this.document.getElementById(
+      "import-summary"
+    ).textContent = `${changes.length} field(s) will change.${migrated}`;
+    this.renderDiffRows(
+      this.document.querySelector("#import-diff tbody"),
+      changes
+    );
+    this.document.getElementById("import-preview").style.display = "block";
+  }
+
+  /**
+   * Saves the previewed import as the draft, to be previewed and published like any other edit
+   * @returns {Promise<boolean>} Success status
+   */
+  async applyImport() {
+    if (!this.pendingImport) return false;
+    if (
+      this.hasDraft &&
+      !this.window.confirm(
+        "Replace your unpublished draft changes with the imported configuration?"
+      )
+    ) {
+      return false;
+    }
+
+    const imported = this.pendingImport;
+    const success = await this.configManager.saveDraft(imported);
+    if (!success) {
+      await this.handleWriteFailure("Error saving the imported configuration.");
+      return false;
+    }
+
+    this.setDraftStatus(true);
+    this.showFieldErrors({});
+    this.loadConfigIntoForm(imported);
+    this.clearImport();
+    this.showMessage(
+      "Imported configuration saved as a draft. Preview it, then publish when ready.",
+      "success"
+    );
+    return true;
+  }
+
+  /**
+   * Discards a previewed import
+   */
+  clearImport() {
+    this.pendingImport = null;
+    this.document.getElementById("import-file").value = "";
+    this.document.getElementById("import-preview").style.display = "none";
+  }
+
+  /**
+   * Marks invalid form fields and lists their errors beneath them
+   * @param {Object} errors - Messages keyed by config field name
+   */
+  showFieldErrors(errors) {
+    const form = this.document.getElementById("admin-form");
+    if (!form) return;
+
+    form.querySelectorAll(".field-error").forEach((el) => el.remove());
+    form
+      .querySelectorAll(".invalid")
+      .forEach((el) => el.classList.remove("invalid"));
+
+    Object.keys(errors).forEach((field) => {
+      const input = form.querySelector(`[name="${field}"]`);
+      if (!input) return;
+
+      input.classList.add("invalid");
+      errors[field].forEach((message) => {
+        const errorEl = this.document.createElement("small");
+        errorEl.className = "field-error";
+        errorEl.textContent = message;
+        input.closest(".form-group").appendChild(errorEl);
+      });
+    });
+  }
+
+  /**
+   * Shows a message to the user
+   * @param {string} message - Message text
+   * @param {string} type - Message type ('success' or 'error')
+   */
+  showMessage(message, type) {
+    const messageEl = this.document.getElementById("admin-message");
+    if (!messageEl) return;
+
+    messageEl.textContent = message;
+    messageEl.className = `message ${type}`;
+    messageEl.style.display = "block";
+
+    // Auto-hide after 5 seconds
+    setTimeout(() => {
+      messageEl.style.display = "none";
+    }, 5000);
+  }
+}
@@ -0,0 +1,74 @@
+/**
+ * Announcement Scheduling
+ * Decides which announcements are live at a given moment. Shared by the
+ * public page (which shows the active ones) and the admin form (which labels
+ * each announcement as active, scheduled or expired).
+ */
+
+const Announcements = (function () {
+  "use strict";
+
+  /**
+   * Works out where an announcement is in its schedule
+   * Missing start/end times leave that side of the window open
+   * @param {Object} announcement - Announcement ({ startsAt, endsAt, ... })
+   * @param {Date} [now] - Moment to check against
+   * @returns {string} "active", "scheduled" or "expired"
+   */
+  function getStatus(announcement, now = new Date()) {
+    const time = now.getTime();
+    if (announcement.startsAt && Date.parse(announcement.startsAt) > time) {
+      return "scheduled";
+    }
+    if (announcement.endsAt && Date.parse(announcement.endsAt) <= time) {
+      return "expired";
+    }
+    return "active";
+  }
+
+  /**
+   * Lists the announcements to show right now, highest priority first
+   * Equal priorities keep their configured order
+   * @param {Object[]} announcements - Configured announcements
+   * @param {Date} [now] - Moment to check against
+   * @returns {Object[]} Active announcements
+   */
+  function getActive(announcements, now = new Date()) {
+    return (announcements || [])
+      .filter(
+        (announcement) =>
+          announcement.text && getStatus(announcement, now) === "active"
+      )
+      .map((announcement, index) => ({ announcement, index }))
+      .sort(
+        (a, b) =>
+          (b.announcement.priority || 0) - (a.announcement.priority || 0) ||
+          a.index - b.index
+      )
+      .map(({ announcement }) => announcement);
+  }
+
+  /**
+   * Finds the next moment an announcement starts or ends
+   * @param {Object[]} announcements - Configured announcements
+   * @param {Date} [now] - Moment to look ahead from
+   * @returns {Date|null} Next change, or null if nothing is scheduled
+   */
+  function getNextChange(announcements, now = new Date()) {
+    const time = now.getTime();
+    const upcoming = [];
+    (announcements || []).forEach((announcement) => {
+      [announcement.startsAt, announcement.endsAt].forEach((value) => {
+        const changeAt = value ? Date.parse(value) : NaN;
+        if (changeAt > time) {
+          upcoming.push(changeAt);
+        }
+      });
+    });
+    return upcoming.length > 0 ? new Date(Math.min(...upcoming)) : null;
+  }
+
+  return { getStatus, getActive, getNextChange };
+})();
+
+module.exports = Announcements;
@@ -0,0 +1,223 @@
+/**
+ * Appointment Requests
+ * Open slots and appointment types come from the config; a visitor's request
+ * holds its slot until the admin confirms or declines it. Slots are wall-clock
+ * times in the configured time zone, like the office hours.
+ * Shared by the public page (booking form), the config server (validation and
+ * slot holds) and the admin panel (labels).
+ */
+
+const Appointments = (function () {
+  "use strict";
+
+  const submissions = require("./submissions.js");
+  const officeHours = require("./office-hours.js");
+  const i18n = require("./i18n.js");
+
+  const STATUSES = ["pending", "confirmed", "declined", "cancelled"];
+  const STATUS_LABELS = {
+    pending: "Pending",
+    confirmed: "Confirmed",
+    declined: "Declined",
+    cancelled: "Cancelled",
+  };
+  // Requests in these states keep their slot from being offered to anyone else
+  const HOLDING_STATUSES = ["pending", "confirmed"];
+  const SLOT_KEY_PATTERN = /^(\d{4}-\d{2}-\d{2})T(\d{2}:\d{2})$/;
+  const SLOT_TAKEN_MESSAGE =
+    "Sorry, someone has just requested that time. Please choose another.";
+
+  /**
+   * Request rules keyed by field, in form order (same rule format as Submissions.contactFields)
+   */
+  const { consent, ...contact } = submissions.contactFields;
+  const fields = {
+    appointmentType: {
+      type: "string",
+      label: "Appointment type",
+      required: true,
+      maxLength: 80,
+      messageKey: "appointment.typeError",
+    },
+    slot: {
+      type: "string",
+      label: "Time",
+      required: true,
+      maxLength: 16,
+      messageKey: "appointment.timeError",
+      validateWith(value) {
+        return SLOT_KEY_PATTERN.test(value)
+          ? []
+          : ["Choose one of the open times"];
+      },
+    },
+    ...contact,
+    note: {
+      type: "string",
+      label: "Anything we should know before the visit",
+      maxLength: 500,
+      messageKey: "form.noteError",
+    },
+    consent,
+  };
+
+  /**
+   * Names a slot, e.g. "2026-11-16T09:00"
+   * @param {Object} slot - Config slot ({ date, time })
+   * @returns {string} Slot key
+   */
+  function slotKey(slot) {
+    return `${slot.date}T${slot.time}`;
+  }
+
+  /**
+   * Validates an appointment request
+   * @param {Object} request - Submitted values keyed by field
+   * @param {string} [locale] - Language to word the messages in (see Submissions.validate())
+   * @returns {Object} { valid, errors } where errors maps field names to message lists
+   */
+  function validate(request, locale) {
+    return submissions.validate(request, fields, locale);
+  }
+
+  /**
+   * Lists the appointment types visitors can choose
+   * @param {Object} config - Config with appointmentTypes
+   * @returns {Object[]} Visible types ({ name, duration, description })
+   */
+  function getVisibleTypes(config) {
+    return (config.appointmentTypes || []).filter(
+      (type) => type.visible !== false
+    );
+  }
+
+  /**
+   * Lists the slots held by pending or confirmed requests
+   * @param {Object[]} requests - Stored requests
+   * @returns {string[]} Slot keys
+   */
+  function getHeldSlots(requests) {
+    return requests
+      .filter((request) => HOLDING_STATUSES.includes(request.status))
+      .map((request) => request.slot);
+  }
+
+  /**
+   * Checks that a request doesn't hold a slot another request already holds
+   * @param {Object} request - Request as it would be stored
+   * @param {Object[]} others - The other stored requests
+   * @returns {string} Error message, or "" when there is no conflict
+   */
+  function findConflict(request, others) {
+    return HOLDING_STATUSES.includes(request.status) &&
+      getHeldSlots(others).includes(request.slot)
+      ? SLOT_TAKEN_MESSAGE
+      : "";
+  }
+
+  /**
+   * Checks whether a slot has started, in the practice's time zone
+   * @param {string} key - Slot key, e.g. "2026-11-16T09:00"
+   * @param {string} timeZone - IANA time zone of the slots
+   * @param {Date} [now] - Moment to compare with
+   * @returns {boolean} True once the slot's start time has been reached
+   */
+  function isPast(key, timeZone, now = new Date()) {
+    const local = officeHours.getLocalTime(now, timeZone);
+    const hours = String(Math.floor(local.minutes / 60)).padStart(2, "0");
+    const minutes = String(local.minutes % 60).padStart(2, "0");
+    // Keys sort chronologically, so plain string comparison is enough
+    return key <= `${local.date}T${hours}:${minutes}`;
+  }
+
+  /**
+   * Lists the slots a visitor can still request, soonest first
+   * @param {Object} config - Config with timeZone and appointmentSlots
+   * @param {string[]} [held] - Slot keys already held by requests
+   * @param {Date} [now] - Moment before which slots are over
+   * @returns {Object[]} Open slots ({ key, date, time })
+   */
+  function getOpenSlots(config, held = [], now = new Date()) {
+    if (!officeHours.isValidTimeZone(config.timeZone)) return [];
+    return (config.appointmentSlots || [])
+      .map((slot) => ({ key: slotKey(slot), date: slot.date, time: slot.time }))
+      .filter(
+        (slot) =>
+          !isPast(slot.key, config.timeZone, now) && !held.includes(slot.key)
+      )
+      .sort((a, b) => a.key.localeCompare(b.key));
+  }
+
+  /**
+   * Groups slots by date for the booking form
+   * @param {Object[]} slots - Sorted slots ({ key, date, time })
+   * @param {string} [locale] - Language of the labels
+   * @returns {Object[]} Days ({ date, label, slots }) with slots labeled by time
+   */
+  function groupByDate(slots, locale = i18n.DEFAULT_LOCALE) {
+    const days = [];
+    slots.forEach((slot) => {
+      let day = days[days.length - 1];
+      if (!day || day.date !== slot.date) {
+        day = {
+          date: slot.date,
+          label: formatDate(slot.date, locale),
+          slots: [],
+        };
+        days.push(day);
+      }
+      day.slots.push({
+        key: slot.key,
+        label: officeHours.formatTime(officeHours.toMinutes(slot.time), locale),
+      });
+    });
+    return days;
+  }
+
+  /**
+   * Formats a calendar date for display
+   * @param {string} date - "YYYY-MM-DD"
+   * @param {string} [locale] - Language code
+   * @returns {string} e.g. "Monday, November 16"
+   */
+  function formatDate(date, locale = i18n.DEFAULT_LOCALE) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString(locale, {
+      timeZone: "UTC",
+      weekday: "long",
+      month: "long",
+      day: "numeric",
+    });
+  }
+
+  /**
+   * Formats a slot key for display
+   * @param {string} key - Slot key, e.g. "2026-11-16T09:00"
+   * @returns {string} e.g. "Monday, November 16 at 9 AM", or the key if malformed
+   */
+  function formatSlot(key) {
+    const match = SLOT_KEY_PATTERN.exec(key || "");
+    if (!match) return key || "";
+    return `${formatDate(match[1])} at ${officeHours.formatTime(
+      officeHours.toMinutes(match[2])
+    )}`;
+  }
+
+  return {
+    STATUSES,
+    STATUS_LABELS,
+    HOLDING_STATUSES,
+    SLOT_TAKEN_MESSAGE,
+    fields,
+    slotKey,
+    validate,
+    getVisibleTypes,
+    getHeldSlots,
+    findConflict,
+    isPast,
+    getOpenSlots,
+    groupByDate,
+    formatSlot,
+  };
+})();
+
+module.exports = Appointments;
@@ -0,0 +1,666 @@
+/**
+ * Configuration Management Module
+ * Handles loading, saving, and retrieving site configuration
+ * The published config lives on a storage backend (the config server);
+ * localStorage holds a cached copy so the page still works offline
+ * An ES module: the pages load it bundled (npm run bundle), Node requires it
+ */
+
+import configSchema from "./schema.js";
+import configMigrations from "./migrations.js";
+
+/**
+ * Finds the browser's localStorage
+ * Reading it throws when the visitor blocks site data, so callers keep their
+ * storage calls in try/catch and work without a cache
+ * @returns {Storage|null} localStorage, or null outside a browser or when blocked
+ */
+export function getBrowserStorage() {
+  try {
+    return typeof localStorage !== "undefined" ? localStorage : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Storage backend that talks to the config server's /api/config endpoint
+ */
+export class HttpConfigBackend {
+  /**
+   * @param {string} endpoint - URL of the config endpoint
+   */
+  constructor(endpoint = "api/config") {
+    this.endpoint = endpoint;
+  }
+
+  /**
+   * Sends a request to the config endpoint (or a path below it)
+   * @param {string} path - Path appended to the endpoint, e.g. "/draft"
+   * @param {Object} [options] - Request options
+   * @param {string} [options.method] - HTTP method
+   * @param {Object} [options.body] - JSON body
+   * @param {boolean} [options.allowNotFound] - Resolve to null on 404 instead of throwing
+   * @returns {Promise<*>} Parsed JSON response
+   */
+  async request(path, { method = "GET", body, allowNotFound = false } = {}) {
+    const init = {
+      method,
+      headers: { Accept: "application/json" },
+      cache: "no-store",
+    };
+    if (body !== undefined) {
+      init.headers["Content-Type"] = "application/json";
+      init.body = JSON.stringify(body);
+    }
+
+    const response = await fetch(`${this.endpoint}${path}`, init);
+    if (allowNotFound && response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      throw new Error(
+        `${method} ${this.endpoint}${path} failed with status ${response.status}`
+      );
+    }
+    return response.json();
+  }
+
+  /**
+   * Fetches the published configuration
+   * @returns {Promise<Object|null>} Published config, or null if none has been published
+   */
+  read() {
+    return this.request("", { allowNotFound: true });
+  }
+
+  /**
+   * Publishes a configuration
+   * @param {Object} config - Full configuration object
+   * @returns {Promise<Object>} Configuration as stored by the server
+   */
+  write(config) {
+    return this.request("", { method: "PUT", body: config });
+  }
+
+  /**
+   * Fetches the unpublished draft
+   * @returns {Promise<Object|null>} Draft config, or null if there is no draft
+   */
+  readDraft() {
+    return this.request("/draft", { allowNotFound: true });
+  }
+
+  /**
+   * Saves the unpublished draft
+   * @param {Object} config - Full configuration object
+   * @returns {Promise<Object>} Draft as stored by the server
+   */
+  writeDraft(config) {
+    return this.request("/draft", { method: "PUT", body: config });
+  }
+
+  /**
+   * Deletes the unpublished draft
+   * @returns {Promise<Object>} Server acknowledgement
+   */
+  deleteDraft() {
+    return this.request("/draft", { method: "DELETE" });
+  }
+
+  /**
+   * Publishes the draft and removes it
+   * @returns {Promise<Object>} The newly published configuration
+   */
+  publishDraft() {
+    return this.request("/draft/publish", { method: "POST" });
+  }
+
+  /**
+   * Lists published revisions, newest first
+   * @returns {Promise<Object[]>} Revisions ({ id, timestamp, author, note, config })
+   */
+  listRevisions() {
+    return this.request("/history");
+  }
+
+  /**
+   * Republishes an earlier revision as the current config
+   * @param {number} id - Revision id
+   * @returns {Promise<Object>} The restored configuration
+   */
+  restoreRevision(id) {
+    return this.request(`/history/${id}/restore`, { method: "POST" });
+  }
+
+  /**
+   * Stores the resized variants of an uploaded image
+   * @param {Object[]} variants - Variants ({ type, width, height, data }) with base64 data
+   * @returns {Promise<Object>} { variants } with the stored paths ({ src, width, height, type })
+   */
+  uploadImage(variants) {
+    return this.request("/images", { method: "POST", body: { variants } });
+  }
+}
+
+export class ConfigManager {
+  /**
+   * @param {Object} [options] - Manager options
+   * @param {Object} [options.backend] - Storage backend with async read() and write(config)
+   * @param {Storage} [options.storage] - Cache for the config (defaults to localStorage)
+   * @param {Function} [options.clock] - Returns the current Date
+   */
+  constructor(options = {}) {
+    this.storageKey = "fnp-site-config";
+    this.configVersion = configMigrations.CURRENT_VERSION; // Add a migration to bump
+    this.versionKey = "fnp-site-config-version";
+    this.defaultConfig = this.getDefaultConfig();
+    this.backend = options.backend || null;
+    this.storage = options.storage || getBrowserStorage();
+    this.clock = options.clock || (() => new Date());
+    this.imageManifestUrl = "assets/images/manifest.json";
+  }
+
+  /**
+   * Returns the default configuration object
+   * @returns {Object} Default configuration
+   */
+  getDefaultConfig() {
+    return {
+      heroName: "Rujita Munankarmi, FNP",
+      heroSubtitle:
+        '<strong>Primary care</strong> with <span class="accent">CKD & hypertension</span> prevention and management',
+      profileImageUrl: "assets/images/pfp.jpg",
+      profileImageVariants: [],
+      acceptingPatients: false,
+      availabilityStatus: "Please contact us to inquire about availability.",
+      showHeaderNav: false,
+      showHeaderLogo: false,
+      showHeroAvailability: false,
+      showHeroCTA: false,
+      showFooterCopyright: true,
+      aboutParagraphs: [
+        {
+          text: "Board Certified Family Nurse Practitioner Rujita Munankarmi provides comprehensive primary care and chronic disease management for adult and geriatric patients. Rujita develops individualized treatment plans that integrate diagnostic clinical data, medication management, lifestyle modification, and preventive health strategies.",
+          visible: true,
+        },
+      ],
+      credentials: [
+        { text: "Family Nurse Practitioner (FNP)", visible: true },
+        { text: "Master of Science in Nursing (MSN)", visible: true },
+        {
+          text: "MBA / Master in Healthcare Leadership (MBA/MHCL)",
+          visible: true,
+        },
+        { text: "Holistic + evidence-based health practice", visible: true },
+      ],
+      expertiseCards: [
+        {
+          title: "Chronic Disease Support",
+          text: "Comprehensive monitoring of chronic conditions with a focus on stability and preventing progression through evidence-based medical management and regular clinical oversight.",
+          visible: true,
+        },
+        {
+          title: "Blood Pressure & Diabetes Management",
+          text: "Proactive management of hypertension and diabetes using guideline-directed therapies to stabilize your numbers and significantly reduce long-term heart and kidney risks.",
+          visible: true,
+        },
+        {
+          title: "Medication & Lifestyle Integration",
+          text: "Going beyond the prescription pad. With nutrition, sleep, and stress as first-line treatments, the medical plan is designed to support daily life, not dominate it.",
+          visible: true,
+        },
+      ],
+      approachItems: [
+        {
+          title: "Listen First",
+          text: "Your goals, routines, and concerns guide the plan. Every visit starts with understanding what matters most to you.",
+          visible: true,
+        },
+        {
+          title: "Explain Clearly",
+          text: "Lab results, medications, and diagnoses are explained in plain language, so you always know what is happening and why.",
+          visible: true,
+        },
+        {
+          title: "Plan Together",
+          text: "Care plans are designed with you, not for you—stepwise, achievable changes that fit your daily life and existing medical care.",
+          visible: true,
+        },
+      ],
+      announcements: [],
+      theme: "default",
+      darkModeEnabled: true,
+      customThemes: [],
+      timeZone: "America/New_York",
+      officeHours: [],
+      hoursExceptions: [],
+      appointmentTypes: [],
+      appointmentSlots: [],
+      businessName: "CarenexLLC",
+      contactEmail: "carenex.np@gmail.com",
+      location: "Harford County, Maryland",
+      showContactBusiness: false,
+      showContactLocation: true,
+      showContactEmail: true,
+      showContactAvailability: true,
+      showContactForm: true,
+      siteUrl: "",
+      languages: [],
+      translations: [],
+    };
+  }
+
+  /**
+   * Loads configuration from the local cache or returns default
+   * Runs any pending migrations on the stored config and records the version reached
+   * @returns {Object} Configuration object
+   */
+  load() {
+    try {
+      const stored = this.storage.getItem(this.storageKey);
+
+      if (stored) {
+        const storedVersion = configMigrations.parseVersion(
+          this.storage.getItem(this.versionKey)
+        );
+        const { config: migrated, version } = configMigrations.runMigrations(
+          JSON.parse(stored),
+          storedVersion
+        );
+        let merged = { ...this.defaultConfig, ...migrated };
+        let needsSave = version !== storedVersion;
+
+        // Drop unknown keys and replace invalid values with defaults
+        const sanitized = configSchema.sanitizeConfig(
+          merged,
+          this.defaultConfig
+        );
+        if (Object.keys(merged).some((key) => sanitized[key] !== merged[key])) {
+          merged = sanitized;
+          needsSave = true;
+        }
+
+        // Auto-save migrated values (save() records the current version)
+        if (needsSave) {
+          this.save(merged);
+        }
+
+        return merged;
+      } else {
+        // No stored config, set version for first time
+        this.storage.setItem(this.versionKey, String(this.configVersion));
+      }
+    } catch (error) {
+      console.error("Error loading config:", error);
+    }
+    return { ...this.defaultConfig };
+  }
+
+  /**
+   * Loads the published configuration from the backend and refreshes the local cache
+   * Falls back to the cached copy when the backend is unreachable
+   * @returns {Promise<Object>} Configuration object
+   */
+  async fetchPublished() {
+    if (!this.backend) {
+      return this.load();
+    }
+
+    let published;
+    try {
+      published = await this.backend.read();
+    } catch (error) {
+      console.warn("Config backend unavailable, using cached config:", error);
+      return this.load();
+    }
+
+    // The cache is only for offline visits, so what was fetched is returned
+    // even when it can't be written (blocked site data)
+    if (!published) {
+      // Nothing published yet, so visitors should see the defaults
+      this.reset();
+      return { ...this.defaultConfig };
+    }
+    const config = configSchema.sanitizeConfig(published, this.defaultConfig);
+    this.save(config);
+    return config;
+  }
+
+  /**
+   * Publishes configuration to the backend so every visitor receives it
+   * @param {Object} config - Configuration object to publish
+   * @returns {Promise<boolean>} Success status
+   */
+  async publish(config) {
+    const merged = { ...this.defaultConfig, ...config };
+    const { valid, errors } = this.validate(merged);
+    if (!valid) {
+      console.error("Refusing to publish invalid config:", errors);
+      return false;
+    }
+    if (!this.backend) {
+      return this.save(merged);
+    }
+
+    try {
+      const stored = await this.backend.write(merged);
+      this.save(stored);
+      return true;
+    } catch (error) {
+      console.error("Error publishing config:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Loads the unpublished draft, without touching the published cache
+   * @returns {Promise<Object|null>} Draft config, or null if there is none or it cannot be loaded
+   */
+  async fetchDraft() {
+    if (!this.backend || !this.backend.readDraft) {
+      return null;
+    }
+
+    try {
+      const draft = await this.backend.readDraft();
+      return draft
+        ? configSchema.sanitizeConfig(draft, this.defaultConfig)
+        : null;
+    } catch (error) {
+      console.warn("Unable to load draft config:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Saves configuration as the unpublished draft
+   * @param {Object} config - Configuration object
+   * @returns {Promise<boolean>} Success status
+   */
+  async saveDraft(config) {
+    const merged = { ...this.defaultConfig, ...config };
+    const { valid, errors } = this.validate(merged);
+    if (!valid) {
+      console.error("Refusing to save invalid draft:", errors);
+      return false;
+    }
+    if (!this.backend || !this.backend.writeDraft) {
+      return false;
+    }
+
+    try {
+      await this.backend.writeDraft(merged);
+      return true;
+    } catch (error) {
+      console.error("Error saving draft config:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Publishes the saved draft so every visitor receives it
+   * @returns {Promise<Object|null>} The published config, or null if it could not be published
+   */
+  async publishDraft() {
+    if (!this.backend || !this.backend.publishDraft) {
+      return null;
+    }
+
+    try {
+      const published = configSchema.sanitizeConfig(
+        await this.backend.publishDraft(),
+        this.defaultConfig
+      );
+      this.save(published);
+      return published;
+    } catch (error) {
+      console.error("Error publishing draft config:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Discards the unpublished draft
+   * @returns {Promise<boolean>} Success status
+   */
+  async discardDraft() {
+    if (!this.backend || !this.backend.deleteDraft) {
+      return false;
+    }
+
+    try {
+      await this.backend.deleteDraft();
+      return true;
+    } catch (error) {
+      console.error("Error discarding draft config:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Loads the revision history of the published config
+   * @returns {Promise<Object[]>} Revisions, newest first (empty without a backend or on error)
+   */
+  async getHistory() {
+    if (!this.backend || !this.backend.listRevisions) {
+      return [];
+    }
+
+    try {
+      return await this.backend.listRevisions();
+    } catch (error) {
+      console.error("Error loading config history:", error);
+      return [];
+    }
+  }
+
+  /**
+   * Restores an earlier revision as the published config
+   * @param {number} id - Revision id
+   * @returns {Promise<Object|null>} The restored config, or null if it could not be restored
+   */
+  async restoreRevision(id) {
+    if (!this.backend || !this.backend.restoreRevision) {
+      return null;
+    }
+
+    try {
+      const restored = configSchema.sanitizeConfig(
+        await this.backend.restoreRevision(id),
+        this.defaultConfig
+      );
+      this.save(restored);
+      return restored;
+    } catch (error) {
+      console.error("Error restoring config revision:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Uploads the resized variants of a profile photo
+   * @param {Object[]} variants - Variants ({ type, width, height, data }) with base64 data
+   * @returns {Promise<Object[]|null>} Stored variants ({ src, width, height, type }), or null on error
+   */
+  async uploadImage(variants) {
+    if (!this.backend || !this.backend.uploadImage) {
+      return null;
+    }
+
+    try {
+      const stored = await this.backend.uploadImage(variants);
+      return stored.variants;
+    } catch (error) {
+      console.error("Error uploading image:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Compares two configurations field by field
+   * @param {Object} before - Older configuration
+   * @param {Object} after - Newer configuration
+   * @returns {Object[]} Changed fields ({ key, label, before, after }) in schema order
+   */
+  diffConfigs(before, after) {
+    const keys = Object.keys(configSchema.fields);
+    Object.keys({ ...before, ...after }).forEach((key) => {
+      if (!keys.includes(key)) keys.push(key);
+    });
+
+    return keys
+      .filter(
+        (key) => JSON.stringify(before[key]) !== JSON.stringify(after[key])
+      )
+      .map((key) => ({
+        key,
+        label: configSchema.fields[key] ? configSchema.fields[key].label : key,
+        before: before[key],
+        after: after[key],
+      }));
+  }
+
+  /**
+   * Builds an export file containing a config and its version
+   * @param {Object} [config] - Config to export (defaults to the cached published config)
+   * @returns {Object} Export document ({ format, configVersion, exportedAt, config })
+   */
+  exportConfig(config = this.load()) {
+    return {
+      format: "fnp-site-config",
+      configVersion: this.configVersion,
+      exportedAt: this.clock().toISOString(),
+      config,
+    };
+  }
+
+  /**
+   * Reads an export document, migrating configs from older versions
+   * @param {Object} data - Parsed export file
+   * @returns {Object} { valid, config, errors, fromVersion } where errors maps fields to messages
+   */
+  parseImport(data) {
+    const invalid = (message) => ({
+      valid: false,
+      config: null,
+      errors: { _file: [message] },
+      fromVersion: null,
+    });
+
+    if (
+      !data ||
+      data.format !== "fnp-site-config" ||
+      !data.config ||
+      typeof data.config !== "object" ||
+      Array.isArray(data.config)
+    ) {
+      return invalid("This file is not a site configuration export");
+    }
+
+    const fromVersion = configMigrations.parseVersion(data.configVersion);
+    if (fromVersion > this.configVersion) {
+      return invalid(
+        `This file was exported from a newer version (${fromVersion}) of the site`
+      );
+    }
+
+    const { config: migrated } = configMigrations.runMigrations(
+      data.config,
+      fromVersion
+    );
+    const config = { ...this.defaultConfig, ...migrated };
+    const { valid, errors } = this.validate(config);
+    return { valid, config: valid ? config : null, errors, fromVersion };
+  }
+
+  /**
+   * Forces a refresh by clearing cached config and reloading
+   * Useful for ensuring all components get updated values
+   */
+  forceRefresh() {
+    try {
+      this.storage.removeItem(this.storageKey);
+      this.storage.setItem(this.versionKey, String(this.configVersion));
+      return this.load();
+    } catch (error) {
+      console.error("Error forcing refresh:", error);
+      return { ...this.defaultConfig };
+    }
+  }
+
+  /**
+   * Fetches the image manifest listing assets/images with dimensions and hashes
+   * "no-cache" revalidates with the server, so a new photo shows up on the next visit
+   * @returns {Promise<Object|null>} Parsed manifest ({ images }), or null if it can't be loaded
+   */
+  async loadImageManifest() {
+    try {
+      const response = await fetch(this.imageManifestUrl, {
+        cache: "no-cache",
+      });
+      return response.ok ? await response.json() : null;
+    } catch (error) {
+      console.warn("Unable to load the image manifest:", error);
+      return null;
+    }
+  }
+
+  /**
+   * Saves configuration to the local cache
+   * The saved config is recorded as current-version, so no migrations run on it
+   * Use publish() to make changes visible to other visitors
+   * @param {Object} config - Configuration object to save
+   * @returns {boolean} Success status
+   */
+  save(config) {
+    try {
+      const merged = { ...this.defaultConfig, ...config };
+      const { valid, errors } = this.validate(merged);
+      if (!valid) {
+        console.error("Refusing to save invalid config:", errors);
+        return false;
+      }
+      this.storage.setItem(this.storageKey, JSON.stringify(merged));
+      this.storage.setItem(this.versionKey, String(this.configVersion));
+      return true;
+    } catch (error) {
+      console.error("Error saving config:", error);
+      return false;
+    }
+  }
+
+  /**
+   * Validates a configuration against the schema
+   * Missing keys are filled from the defaults before checking
+   * @param {Object} config - Full or partial configuration object
+   * @returns {Object} { valid, errors } where errors maps field names to message lists
+   */
+  validate(config) {
+    return configSchema.validateConfig({ ...this.defaultConfig, ...config });
+  }
+
+  /**
+   * Updates specific configuration fields
+   * @param {Object} updates - Partial configuration object
+   * @returns {boolean} Success status
+   */
+  update(updates) {
+    const current = this.load();
+    return this.save({ ...current, ...updates });
+  }
+
+  /**
+   * Resets configuration to defaults
+   * @returns {boolean} Success status
+   */
+  reset() {
+    try {
+      this.storage.removeItem(this.storageKey);
+      return true;
+    } catch (error) {
+      console.error("Error resetting config:", error);
+      return false;
+    }
+  }
+}
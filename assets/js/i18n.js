@@ -0,0 +1,448 @@
+/**
+ * Internationalization
+ * The languages the public page can be shown in, the page's own text in each
+ * of them, and how a visitor's language is picked. index.html marks its text
+ * with data-i18n="key"; the English messages match that text. Translations of
+ * config values (hero subtitle, about paragraphs, ...) are managed by
+ * translations.js.
+ */
+
+const I18n = (function () {
+  "use strict";
+
+  const DEFAULT_LOCALE = "en";
+  // Query parameter naming the page's language, e.g. index.html?lang=es
+  const LOCALE_PARAM = "lang";
+  // Each language's name in that language, for the switcher
+  const LOCALE_NAMES = {
+    en: "English",
+    es: "Español",
+    ne: "नेपाली",
+  };
+
+  /**
+   * Page text keyed by message key; {name} is replaced by translate()'s values
+   */
+  const MESSAGES = {
+    en: {
+      "nav.skip": "Skip to main content",
+      "nav.about": "About",
+      "nav.expertise": "Expertise",
+      "nav.approach": "Approach",
+      "nav.booking": "Appointments",
+      "nav.contact": "Contact",
+      "language.label": "Language",
+      "colorScheme.toggle": "Dark mode",
+      "hero.acceptingBadge": "Accepting New Patients",
+      "hero.waitlistBadge": "Join Our Waitlist",
+      "hero.acceptingStatus": "Accepting new patients",
+      "hero.waitlistStatus": "Not accepting new patients at the moment",
+      "hero.eyebrow": "Family Nurse Practitioner",
+      "hero.consultation": "Request a consultation",
+      "hero.appointment": "Request an appointment",
+      "hero.waitlist": "Join the waitlist",
+      "about.title": "About Your Nurse Practitioner",
+      "about.subtitle": "Holistic evidence-based care.",
+      "about.credentials": "Credentials",
+      "expertise.title": "Primary Care & Chronic Disease Management",
+      "expertise.subtitle":
+        "Evidence-based strategies + whole-person wellness.",
+      "approach.title": "Care That Fits Your Life",
+      "approach.subtitle":
+        "Clear, respectful, and collaborative from the first conversation.",
+      "booking.title": "Appointments",
+      "booking.subtitleOpen":
+        "Request a visit online; we confirm every request personally.",
+      "booking.subtitleClosed":
+        "We are not accepting new patients at the moment.",
+      "appointment.title": "Request an Appointment",
+      "appointment.intro":
+        "Choose a time that suits you. It is held for you until we confirm the appointment by email or phone.",
+      "appointment.type": "Appointment type",
+      "appointment.time": "Time",
+      "appointment.note": "Anything we should know before the visit",
+      "appointment.submit": "Request appointment",
+      "appointment.typeError": "Choose an appointment type.",
+      "appointment.timeError": "Choose one of the open times.",
+      "appointment.success":
+        "Thank you, your request has been sent. The time is held for you until we confirm it by email or phone.",
+      "waitlist.title": "Join the Waitlist",
+      "waitlist.intro":
+        "We are not accepting new patients right now. Leave your details and we will let you know as soon as we are.",
+      "waitlist.note": "Anything we should know",
+      "waitlist.submit": "Join the waitlist",
+      "waitlist.success":
+        "Thank you, you are on the waitlist. We will contact you as soon as we accept new patients.",
+      "form.name": "Name",
+      "form.email": "Email",
+      "form.phone": "Phone",
+      "form.contactRequired": "Email or phone is required.",
+      "form.consent":
+        "I understand this form is not for emergencies or medical questions, and I have not included personal health information such as symptoms, diagnoses, medications or test results.",
+      "form.invalid": "Please correct the highlighted fields.",
+      "form.sending": "Sending…",
+      "form.nameError": "Enter your name, up to 100 characters.",
+      "form.emailError": "Enter an email address such as name@example.com.",
+      "form.phoneError": "Enter a phone number such as (410) 555-0123.",
+      "form.noteError": "Keep this to 500 characters or fewer.",
+      "form.consentError":
+        "Please confirm that your message contains no personal health information.",
+      "contact.title": "Contact & Availability",
+      "contact.subtitle": "Reach out to learn more about working together.",
+      "contact.details": "Practice Information",
+      "contact.business": "Business:",
+      "contact.location": "Location:",
+      "contact.email": "Email:",
+      "contact.availability": "Availability:",
+      "contact.notice": "Important Information",
+      "contact.disclaimer":
+        "This website is for informational and marketing purposes only and does not provide emergency medical care or establish a patient–provider relationship. If you are experiencing a medical emergency, call 911 or go to the nearest emergency department.",
+      "hours.title": "Office Hours",
+      "hours.exceptions": "Upcoming closures and changes",
+      "hours.timeZone": "Times shown in {zone}",
+      "hours.openNow": "Open now · Closes {time}",
+      "hours.closed": "Closed",
+      "hours.closedToday": "Closed today ({label})",
+      "hours.opens": "{closed} · Opens {when} {time}",
+      "hours.today": "today",
+      "hours.tomorrow": "tomorrow",
+      "inquiry.title": "Send a Message",
+      "inquiry.intro":
+        "Ask about appointments, services or availability and we will get back to you by email or phone.",
+      "inquiry.contactTime": "Best time to contact you",
+      "inquiry.anyTime": "Any time",
+      "inquiry.morning": "Morning",
+      "inquiry.afternoon": "Afternoon",
+      "inquiry.evening": "Evening",
+      "inquiry.reason": "Reason for contacting us",
+      "inquiry.submit": "Send message",
+      "inquiry.contactTimeError": "Choose one of the listed times.",
+      "inquiry.reasonError":
+        "Tell us why you are contacting us, in up to 1000 characters.",
+      "inquiry.success":
+        "Thank you, your message has been sent. We will get back to you soon.",
+      "announcements.learnMore": "Learn more",
+      "announcements.label": "Announcements",
+      "announcements.info": "Notice",
+      "announcements.warning": "Warning",
+      "announcements.urgent": "Urgent",
+      "footer.rights": "All rights reserved.",
+      "seo.sentence": "{text}.",
+      "seo.withLocation": "{text} in {location}.",
+      "seo.accepting": "Accepting new patients.",
+    },
+    es: {
+      "nav.skip": "Saltar al contenido principal",
+      "nav.about": "Acerca de",
+      "nav.expertise": "Especialidades",
+      "nav.approach": "Enfoque",
+      "nav.booking": "Citas",
+      "nav.contact": "Contacto",
+      "language.label": "Idioma",
+      "colorScheme.toggle": "Modo oscuro",
+      "hero.acceptingBadge": "Aceptando pacientes nuevos",
+      "hero.waitlistBadge": "Únase a nuestra lista de espera",
+      "hero.acceptingStatus": "Aceptamos pacientes nuevos",
+      "hero.waitlistStatus": "Por el momento no aceptamos pacientes nuevos",
+      "hero.eyebrow": "Enfermera practicante familiar",
+      "hero.consultation": "Solicitar una consulta",
+      "hero.appointment": "Solicitar una cita",
+      "hero.waitlist": "Unirse a la lista de espera",
+      "about.title": "Conozca a su enfermera practicante",
+      "about.subtitle": "Atención integral basada en la evidencia.",
+      "about.credentials": "Credenciales",
+      "expertise.title": "Atención primaria y manejo de enfermedades crónicas",
+      "expertise.subtitle":
+        "Estrategias basadas en la evidencia + bienestar integral.",
+      "approach.title": "Atención que se adapta a su vida",
+      "approach.subtitle":
+        "Clara, respetuosa y colaborativa desde la primera conversación.",
+      "booking.title": "Citas",
+      "booking.subtitleOpen":
+        "Solicite una visita en línea; confirmamos cada solicitud personalmente.",
+      "booking.subtitleClosed":
+        "En este momento no estamos aceptando pacientes nuevos.",
+      "appointment.title": "Solicitar una cita",
+      "appointment.intro":
+        "Elija el horario que le convenga. Lo reservamos para usted hasta que confirmemos la cita por correo electrónico o teléfono.",
+      "appointment.type": "Tipo de cita",
+      "appointment.time": "Horario",
+      "appointment.note": "Algo que debamos saber antes de la visita",
+      "appointment.submit": "Solicitar cita",
+      "appointment.typeError": "Elija un tipo de cita.",
+      "appointment.timeError": "Elija uno de los horarios disponibles.",
+      "appointment.success":
+        "Gracias, su solicitud fue enviada. El horario queda reservado para usted hasta que lo confirmemos por correo electrónico o teléfono.",
+      "waitlist.title": "Únase a la lista de espera",
+      "waitlist.intro":
+        "En este momento no estamos aceptando pacientes nuevos. Déjenos sus datos y le avisaremos en cuanto lo hagamos.",
+      "waitlist.note": "Algo que debamos saber",
+      "waitlist.submit": "Unirse a la lista de espera",
+      "waitlist.success":
+        "Gracias, ya está en la lista de espera. Nos comunicaremos con usted en cuanto aceptemos pacientes nuevos.",
+      "form.name": "Nombre",
+      "form.email": "Correo electrónico",
+      "form.phone": "Teléfono",
+      "form.contactRequired": "Se requiere correo electrónico o teléfono.",
+      "form.consent":
+        "Entiendo que este formulario no es para emergencias ni preguntas médicas, y no he incluido información personal de salud como síntomas, diagnósticos, medicamentos o resultados de pruebas.",
+      "form.invalid": "Corrija los campos resaltados.",
+      "form.sending": "Enviando…",
+      "form.nameError": "Escriba su nombre, de hasta 100 caracteres.",
+      "form.emailError":
+        "Escriba un correo electrónico como nombre@ejemplo.com.",
+      "form.phoneError": "Escriba un teléfono como (410) 555-0123.",
+      "form.noteError": "Use 500 caracteres como máximo.",
+      "form.consentError":
+        "Confirme que su mensaje no contiene información personal de salud.",
+      "contact.title": "Contacto y disponibilidad",
+      "contact.subtitle":
+        "Comuníquese con nosotros para saber más sobre cómo trabajar juntos.",
+      "contact.details": "Información del consultorio",
+      "contact.business": "Consultorio:",
+      "contact.location": "Ubicación:",
+      "contact.email": "Correo electrónico:",
+      "contact.availability": "Disponibilidad:",
+      "contact.notice": "Información importante",
+      "contact.disclaimer":
+        "Este sitio web tiene fines informativos y de mercadeo únicamente, y no brinda atención médica de emergencia ni establece una relación entre paciente y proveedor. Si tiene una emergencia médica, llame al 911 o vaya al departamento de emergencias más cercano.",
+      "hours.title": "Horario de atención",
+      "hours.exceptions": "Próximos cierres y cambios",
+      "hours.timeZone": "Horarios en {zone}",
+      "hours.openNow": "Abierto ahora · Cierra a las {time}",
+      "hours.closed": "Cerrado",
+      "hours.closedToday": "Cerrado hoy ({label})",
+      "hours.opens": "{closed} · Abre {when} a las {time}",
+      "hours.today": "hoy",
+      "hours.tomorrow": "mañana",
+      "inquiry.title": "Envíenos un mensaje",
+      "inquiry.intro":
+        "Pregunte sobre citas, servicios o disponibilidad y le responderemos por correo electrónico o teléfono.",
+      "inquiry.contactTime": "Mejor momento para contactarle",
+      "inquiry.anyTime": "Cualquier hora",
+      "inquiry.morning": "Mañana",
+      "inquiry.afternoon": "Tarde",
+      "inquiry.evening": "Noche",
+      "inquiry.reason": "Motivo de su mensaje",
+      "inquiry.submit": "Enviar mensaje",
+      "inquiry.contactTimeError": "Elija uno de los horarios de la lista.",
+      "inquiry.reasonError":
+        "Díganos por qué nos contacta, en hasta 1000 caracteres.",
+      "inquiry.success":
+        "Gracias, su mensaje fue enviado. Le responderemos pronto.",
+      "announcements.learnMore": "Más información",
+      "announcements.label": "Avisos",
+      "announcements.info": "Aviso",
+      "announcements.warning": "Advertencia",
+      "announcements.urgent": "Urgente",
+      "footer.rights": "Todos los derechos reservados.",
+      "seo.sentence": "{text}.",
+      "seo.withLocation": "{text} en {location}.",
+      "seo.accepting": "Aceptamos pacientes nuevos.",
+    },
+    ne: {
+      "nav.skip": "मुख्य सामग्रीमा जानुहोस्",
+      "nav.about": "परिचय",
+      "nav.expertise": "विशेषज्ञता",
+      "nav.approach": "हाम्रो तरिका",
+      "nav.booking": "अपोइन्टमेन्ट",
+      "nav.contact": "सम्पर्क",
+      "language.label": "भाषा",
+      "colorScheme.toggle": "डार्क मोड",
+      "hero.acceptingBadge": "नयाँ बिरामीहरू स्वीकार गर्दै",
+      "hero.waitlistBadge": "हाम्रो प्रतीक्षा सूचीमा सामेल हुनुहोस्",
+      "hero.acceptingStatus": "नयाँ बिरामीहरू स्वीकार गरिँदै छ",
+      "hero.waitlistStatus": "हाल नयाँ बिरामीहरू स्वीकार गरिँदैन",
+      "hero.eyebrow": "फ्यामिली नर्स प्राक्टिसनर",
+      "hero.consultation": "परामर्शको लागि अनुरोध गर्नुहोस्",
+      "hero.appointment": "अपोइन्टमेन्टको लागि अनुरोध गर्नुहोस्",
+      "hero.waitlist": "प्रतीक्षा सूचीमा सामेल हुनुहोस्",
+      "about.title": "तपाईंको नर्स प्राक्टिसनरको बारेमा",
+      "about.subtitle": "समग्र, प्रमाणमा आधारित हेरचाह।",
+      "about.credentials": "योग्यताहरू",
+      "expertise.title": "प्राथमिक स्वास्थ्य सेवा र दीर्घकालीन रोग व्यवस्थापन",
+      "expertise.subtitle":
+        "प्रमाणमा आधारित रणनीतिहरू + सम्पूर्ण व्यक्तिको स्वास्थ्य।",
+      "approach.title": "तपाईंको जीवनसँग मिल्ने हेरचाह",
+      "approach.subtitle":
+        "पहिलो कुराकानीदेखि नै स्पष्ट, सम्मानजनक र सहकार्यपूर्ण।",
+      "booking.title": "अपोइन्टमेन्ट",
+      "booking.subtitleOpen":
+        "अनलाइन भेटको अनुरोध गर्नुहोस्; हामी हरेक अनुरोध व्यक्तिगत रूपमा पुष्टि गर्छौं।",
+      "booking.subtitleClosed":
+        "हामी अहिले नयाँ बिरामीहरू स्वीकार गरिरहेका छैनौं।",
+      "appointment.title": "अपोइन्टमेन्टको लागि अनुरोध",
+      "appointment.intro":
+        "तपाईंलाई मिल्ने समय छान्नुहोस्। हामीले इमेल वा फोनबाट अपोइन्टमेन्ट पुष्टि नगरेसम्म त्यो समय तपाईंको लागि राखिन्छ।",
+      "appointment.type": "अपोइन्टमेन्टको प्रकार",
+      "appointment.time": "समय",
+      "appointment.note": "भेट अघि हामीले थाहा पाउनुपर्ने कुनै कुरा",
+      "appointment.submit": "अपोइन्टमेन्ट अनुरोध गर्नुहोस्",
+      "appointment.typeError": "अपोइन्टमेन्टको प्रकार छान्नुहोस्।",
+      "appointment.timeError": "खुला समयमध्ये एउटा छान्नुहोस्।",
+      "appointment.success":
+        "धन्यवाद, तपाईंको अनुरोध पठाइयो। हामीले इमेल वा फोनबाट पुष्टि नगरेसम्म समय तपाईंको लागि राखिन्छ।",
+      "waitlist.title": "प्रतीक्षा सूचीमा सामेल हुनुहोस्",
+      "waitlist.intro":
+        "हामी अहिले नयाँ बिरामीहरू स्वीकार गरिरहेका छैनौं। आफ्नो विवरण छोड्नुहोस्, हामीले स्वीकार गर्न थाल्नेबित्तिकै तपाईंलाई जानकारी दिनेछौं।",
+      "waitlist.note": "हामीले थाहा पाउनुपर्ने कुनै कुरा",
+      "waitlist.submit": "प्रतीक्षा सूचीमा सामेल हुनुहोस्",
+      "waitlist.success":
+        "धन्यवाद, तपाईं प्रतीक्षा सूचीमा हुनुहुन्छ। हामीले नयाँ बिरामीहरू स्वीकार गर्न थाल्नेबित्तिकै तपाईंलाई सम्पर्क गर्नेछौं।",
+      "form.name": "नाम",
+      "form.email": "इमेल",
+      "form.phone": "फोन",
+      "form.contactRequired": "इमेल वा फोन आवश्यक छ।",
+      "form.consent":
+        "म बुझ्छु कि यो फारम आपतकालीन अवस्था वा चिकित्सा प्रश्नहरूको लागि होइन, र मैले लक्षण, रोग निदान, औषधि वा परीक्षणको नतिजा जस्ता व्यक्तिगत स्वास्थ्य जानकारी समावेश गरेको छैन।",
+      "form.invalid": "कृपया चिन्ह लगाइएका फिल्डहरू सच्याउनुहोस्।",
+      "form.sending": "पठाउँदै…",
+      "form.nameError": "आफ्नो नाम लेख्नुहोस्, १०० अक्षरसम्म।",
+      "form.emailError": "name@example.com जस्तो इमेल ठेगाना लेख्नुहोस्।",
+      "form.phoneError": "(410) 555-0123 जस्तो फोन नम्बर लेख्नुहोस्।",
+      "form.noteError": "यसलाई ५०० अक्षरभित्र राख्नुहोस्।",
+      "form.consentError":
+        "कृपया तपाईंको सन्देशमा व्यक्तिगत स्वास्थ्य जानकारी छैन भनी पुष्टि गर्नुहोस्।",
+      "contact.title": "सम्पर्क र उपलब्धता",
+      "contact.subtitle": "सँगै काम गर्ने बारे थप जान्न सम्पर्क गर्नुहोस्।",
+      "contact.details": "क्लिनिकको जानकारी",
+      "contact.business": "व्यवसाय:",
+      "contact.location": "स्थान:",
+      "contact.email": "इमेल:",
+      "contact.availability": "उपलब्धता:",
+      "contact.notice": "महत्त्वपूर्ण जानकारी",
+      "contact.disclaimer":
+        "यो वेबसाइट जानकारी र प्रचारको उद्देश्यका लागि मात्र हो; यसले आपतकालीन चिकित्सा सेवा दिँदैन वा बिरामी र स्वास्थ्यकर्मीबीचको सम्बन्ध स्थापित गर्दैन। यदि तपाईंलाई चिकित्सा आपतकाल छ भने, 911 मा फोन गर्नुहोस् वा नजिकैको आपतकालीन विभागमा जानुहोस्।",
+      "hours.title": "कार्यालय समय",
+      "hours.exceptions": "आगामी बिदा र परिवर्तनहरू",
+      "hours.timeZone": "समय {zone} अनुसार देखाइएको छ",
+      "hours.openNow": "अहिले खुला छ · {time} मा बन्द हुन्छ",
+      "hours.closed": "बन्द",
+      "hours.closedToday": "आज बन्द ({label})",
+      "hours.opens": "{closed} · {when} {time} मा खुल्छ",
+      "hours.today": "आज",
+      "hours.tomorrow": "भोलि",
+      "inquiry.title": "सन्देश पठाउनुहोस्",
+      "inquiry.intro":
+        "अपोइन्टमेन्ट, सेवा वा उपलब्धताबारे सोध्नुहोस्, हामी इमेल वा फोनबाट जवाफ दिनेछौं।",
+      "inquiry.contactTime": "तपाईंलाई सम्पर्क गर्ने उपयुक्त समय",
+      "inquiry.anyTime": "जुनसुकै समय",
+      "inquiry.morning": "बिहान",
+      "inquiry.afternoon": "दिउँसो",
+      "inquiry.evening": "साँझ",
+      "inquiry.reason": "सम्पर्क गर्नुको कारण",
+      "inquiry.submit": "सन्देश पठाउनुहोस्",
+      "inquiry.contactTimeError": "सूचीका समयमध्ये एउटा छान्नुहोस्।",
+      "inquiry.reasonError": "सम्पर्क गर्नुको कारण १००० अक्षरभित्र लेख्नुहोस्।",
+      "inquiry.success":
+        "धन्यवाद, तपाईंको सन्देश पठाइयो। हामी चाँडै तपाईंलाई जवाफ दिनेछौं।",
+      "announcements.learnMore": "थप जान्नुहोस्",
+      "announcements.label": "सूचनाहरू",
+      "announcements.info": "सूचना",
+      "announcements.warning": "चेतावनी",
+      "announcements.urgent": "अत्यावश्यक",
+      "footer.rights": "सर्वाधिकार सुरक्षित।",
+      "seo.sentence": "{text}।",
+      "seo.withLocation": "{location}मा {text}।",
+      "seo.accepting": "नयाँ बिरामीहरू स्वीकार गर्दैछौं।",
+    },
+  };
+
+  /**
+   * Looks up a message, falling back to English when a language lacks it
+   * @param {string} locale - Language code
+   * @param {string} key - Message key
+   * @param {Object} [values] - Replacements for {name} placeholders
+   * @returns {string} Message text (the key itself if no language has it)
+   */
+  function translate(locale, key, values = {}) {
+    const messages = MESSAGES[locale] || {};
+    const text = messages[key] || MESSAGES[DEFAULT_LOCALE][key] || key;
+    return text.replace(/\{(\w+)\}/g, (placeholder, name) =>
+      name in values ? String(values[name]) : placeholder
+    );
+  }
+
+  /**
+   * Lists the page messages a language has no text for
+   * @param {string} locale - Language code
+   * @returns {string[]} Message keys
+   */
+  function getMissingMessages(locale) {
+    const messages = MESSAGES[locale] || {};
+    return Object.keys(MESSAGES[DEFAULT_LOCALE]).filter(
+      (key) => !messages[key]
+    );
+  }
+
+  /**
+   * Lists the languages the site is offered in: English plus the configured ones
+   * @param {Object} config - Config with languages ([{ locale }])
+   * @returns {string[]} Language codes, English first
+   */
+  function getEnabledLocales(config) {
+    const locales = [DEFAULT_LOCALE];
+    ((config && config.languages) || []).forEach((entry) => {
+      if (
+        entry &&
+        LOCALE_NAMES[entry.locale] &&
+        !locales.includes(entry.locale)
+      ) {
+        locales.push(entry.locale);
+      }
+    });
+    return locales;
+  }
+
+  /**
+   * Picks the language to show: the one asked for in the address, else the
+   * visitor's earlier choice, else the first match among the browser's
+   * languages (es-MX matches es), else English
+   * @param {Object} sources - { requested, stored, preferred } language tags; any may be missing
+   * @param {string[]} available - Enabled language codes
+   * @returns {string} Language code
+   */
+  function detectLocale({ requested, stored, preferred = [] } = {}, available) {
+    const match = (tag) => {
+      if (typeof tag !== "string" || !tag) return null;
+      const code = tag.toLowerCase().split(/[-_]/)[0];
+      return available.includes(code) ? code : null;
+    };
+    return (
+      match(requested) ||
+      match(stored) ||
+      preferred.map(match).find(Boolean) ||
+      DEFAULT_LOCALE
+    );
+  }
+
+  /**
+   * Builds the address of a page in a language
+   * @param {string} url - Absolute page address
+   * @param {string} locale - Language code; English drops the parameter
+   * @returns {string} Address with the language parameter set
+   */
+  function getLocaleUrl(url, locale) {
+    const address = new URL(url);
+    if (locale === DEFAULT_LOCALE) {
+      address.searchParams.delete(LOCALE_PARAM);
+    } else {
+      address.searchParams.set(LOCALE_PARAM, locale);
+    }
+    return address.href;
+  }
+
+  return {
+    DEFAULT_LOCALE,
+    LOCALE_PARAM,
+    LOCALE_NAMES,
+    MESSAGES,
+    translate,
+    getMissingMessages,
+    getEnabledLocales,
+    detectLocale,
+    getLocaleUrl,
+  };
+})();
+
+module.exports = I18n;
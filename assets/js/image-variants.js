@@ -0,0 +1,150 @@
+/**
+ * Image Variants
+ * Crop geometry and responsive-size rules for uploaded profile photos,
+ * shared by the admin uploader, the config server and the public page,
+ * and how the page finds other profile images in assets/images/manifest.json
+ */
+
+const ImageVariants = (function () {
+  "use strict";
+
+  // The hero shows the photo as a circle, so uploads are cropped square
+  const ASPECT_RATIO = 1;
+  // 200/250/300px on phones, tablets and desktops, plus 2x for high-density screens
+  const WIDTHS = [200, 300, 600];
+  const TYPES = ["image/jpeg", "image/webp"];
+  const EXTENSIONS = { "image/jpeg": "jpg", "image/webp": "webp" };
+  // Matches the .profile-image max-width rules in styles.css
+  const SIZES = "(max-width: 480px) 200px, (max-width: 768px) 250px, 300px";
+  const DISPLAY_WIDTH = 300;
+  const MAX_ZOOM = 3;
+  const PLACEHOLDER = "assets/images/placeholder-profile.svg";
+  // Legacy profile image names: pfp.jpg, or pfp1.jpg, pfp2.jpg... with the highest number newest
+  const PFP_PATTERN = /(?:^|\/)pfp(\d*)\.jpg$/;
+
+  /**
+   * Works out the source rectangle to crop from a photo
+   * @param {number} sourceWidth - Photo width in pixels
+   * @param {number} sourceHeight - Photo height in pixels
+   * @param {Object} [options] - Crop options
+   * @param {number} [options.zoom] - 1 for the largest crop that fits, up to MAX_ZOOM
+   * @param {number} [options.x] - Horizontal position from 0 (left edge) to 1 (right edge)
+   * @param {number} [options.y] - Vertical position from 0 (top edge) to 1 (bottom edge)
+   * @returns {Object} { x, y, width, height } in source pixels
+   */
+  function getCrop(
+    sourceWidth,
+    sourceHeight,
+    { zoom = 1, x = 0.5, y = 0.5 } = {}
+  ) {
+    const clamp = (value, min, max) => Math.min(Math.max(value, min), max);
+    const scale = clamp(zoom, 1, MAX_ZOOM);
+
+    let width = sourceWidth;
+    let height = sourceWidth / ASPECT_RATIO;
+    if (height > sourceHeight) {
+      height = sourceHeight;
+      width = sourceHeight * ASPECT_RATIO;
+    }
+    width = Math.max(1, Math.round(width / scale));
+    height = Math.max(1, Math.round(height / scale));
+
+    return {
+      x: Math.round((sourceWidth - width) * clamp(x, 0, 1)),
+      y: Math.round((sourceHeight - height) * clamp(y, 0, 1)),
+      width,
+      height,
+    };
+  }
+
+  /**
+   * Picks the variant widths to generate without upscaling
+   * @param {number} cropWidth - Width of the cropped area in source pixels
+   * @returns {number[]} Widths, smallest first (a single native-size variant for small crops)
+   */
+  function getTargetWidths(cropWidth) {
+    const widths = WIDTHS.filter((width) => width <= cropWidth);
+    return widths.length > 0 ? widths : [Math.max(1, Math.round(cropWidth))];
+  }
+
+  /**
+   * Builds a srcset attribute for one image format
+   * @param {Object[]} variants - Variants ({ src, width, height, type })
+   * @param {string} type - MIME type to include
+   * @returns {string} srcset value (empty if there is no variant of that type)
+   */
+  function toSrcset(variants, type) {
+    return (variants || [])
+      .filter((variant) => variant.type === type)
+      .sort((a, b) => a.width - b.width)
+      .map((variant) => `${variant.src} ${variant.width}w`)
+      .join(", ");
+  }
+
+  /**
+   * Picks the JPEG variant for browsers without srcset, and for the config's image URL
+   * @param {Object[]} variants - Variants ({ src, width, height, type })
+   * @returns {Object|null} Smallest JPEG at least DISPLAY_WIDTH wide, else the largest JPEG
+   */
+  function getFallback(variants) {
+    const jpegs = (variants || [])
+      .filter((variant) => variant.type === "image/jpeg")
+      .sort((a, b) => a.width - b.width);
+    if (jpegs.length === 0) return null;
+    return (
+      jpegs.find((variant) => variant.width >= DISPLAY_WIDTH) ||
+      jpegs[jpegs.length - 1]
+    );
+  }
+
+  /**
+   * Resolves a configured image path against the image manifest
+   * A "pfp" path picks the highest-numbered pfpN.jpg listed. Listed images get
+   * their dimensions and a content-hash query, so a replaced file is never
+   * served from cache; local paths missing from the manifest fall back to the
+   * placeholder, and other URLs are used as they are.
+   * @param {Object|null} manifest - Parsed manifest.json ({ images }), or null if unavailable
+   * @param {string} configuredUrl - Image path or URL from the config
+   * @returns {Object} { src, width, height }, with null dimensions when unknown
+   */
+  function resolveFromManifest(manifest, configuredUrl) {
+    const unresolved = { src: configuredUrl, width: null, height: null };
+    if (!manifest || !Array.isArray(manifest.images)) return unresolved;
+
+    let entry = manifest.images.find((image) => image.src === configuredUrl);
+    if (PFP_PATTERN.test(configuredUrl)) {
+      const numbered = manifest.images
+        .map((image) => ({ image, match: PFP_PATTERN.exec(image.src) }))
+        .filter(({ match }) => match && match[1] !== "")
+        .sort((a, b) => Number(b.match[1]) - Number(a.match[1]));
+      if (numbered.length > 0) entry = numbered[0].image;
+    }
+
+    if (!entry) {
+      if (!configuredUrl.startsWith("assets/images/")) return unresolved;
+      entry = manifest.images.find((image) => image.src === PLACEHOLDER);
+      if (!entry) return { src: PLACEHOLDER, width: null, height: null };
+    }
+    return {
+      src: `${entry.src}?v=${entry.sha256.slice(0, 8)}`,
+      width: entry.width,
+      height: entry.height,
+    };
+  }
+
+  return {
+    ASPECT_RATIO,
+    WIDTHS,
+    TYPES,
+    EXTENSIONS,
+    SIZES,
+    MAX_ZOOM,
+    getCrop,
+    getTargetWidths,
+    toSrcset,
+    getFallback,
+    resolveFromManifest,
+  };
+})();
+
+module.exports = ImageVariants;
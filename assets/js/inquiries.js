@@ -0,0 +1,57 @@
+/**
+ * Patient Inquiries
+ * Field rules for the contact form, shared by the public page (validation
+ * before sending), the config server (validation on receipt) and the admin
+ * inbox (labels)
+ */
+
+const Inquiries = (function () {
+  "use strict";
+
+  const submissions = require("./submissions.js");
+
+  const STATUSES = ["new", "read", "archived"];
+  const STATUS_LABELS = { new: "New", read: "Read", archived: "Archived" };
+
+  /**
+   * Submission rules keyed by field, in form order (same rule format as Submissions.contactFields)
+   */
+  const { consent, ...contact } = submissions.contactFields;
+  const fields = {
+    ...contact,
+    contactTime: {
+      type: "string",
+      label: "Best time to contact you",
+      enum: ["any", "morning", "afternoon", "evening"],
+      optionLabels: {
+        any: "Any time",
+        morning: "Morning",
+        afternoon: "Afternoon",
+        evening: "Evening",
+      },
+      messageKey: "inquiry.contactTimeError",
+    },
+    reason: {
+      type: "string",
+      label: "Reason for contacting us",
+      required: true,
+      maxLength: 1000,
+      messageKey: "inquiry.reasonError",
+    },
+    consent,
+  };
+
+  /**
+   * Validates a contact form submission
+   * @param {Object} inquiry - Submitted values keyed by field
+   * @param {string} [locale] - Language to word the messages in (see Submissions.validate())
+   * @returns {Object} { valid, errors } where errors maps field names to message lists
+   */
+  function validate(inquiry, locale) {
+    return submissions.validate(inquiry, fields, locale);
+  }
+
+  return { STATUSES, STATUS_LABELS, fields, validate };
+})();
+
+module.exports = Inquiries;
@@ -0,0 +1,842 @@
+/**
+ * Main Page Logic
+ * Applies configuration to the index.html page
+ * An ES module: start-main.mjs runs it in the browser (bundled by npm run bundle);
+ * tests run it against a jsdom document (see tests/main.test.js)
+ */
+
+import i18n from './i18n.js';
+import announcements from './announcements.js';
+import pageView from './page-view.js';
+import officeHours from './office-hours.js';
+import submissions from './submissions.js';
+import inquiries from './inquiries.js';
+import appointments from './appointments.js';
+import waitlist from './waitlist.js';
+import seo from './seo.js';
+import translations from './translations.js';
+import { ConfigManager, HttpConfigBackend, getBrowserStorage } from './config.mjs';
+
+const ONE_DAY_MS = 24 * 60 * 60 * 1000;
+// Visitor's explicit light/dark choice; absent means follow the system setting
+const COLOR_SCHEME_KEY = 'fnp-color-scheme';
+// Visitor's language choice from the header menu
+const LOCALE_KEY = 'fnp-locale';
+// Public forms: element id prefix, shared rules module, config server endpoint and thank-you message key
+const VISITOR_FORMS = [
+    {
+        prefix: 'inquiry',
+        rules: inquiries,
+        endpoint: 'api/inquiries',
+        success: 'inquiry.success'
+    },
+    {
+        prefix: 'appointment',
+        rules: appointments,
+        endpoint: 'api/appointments',
+        success: 'appointment.success'
+    },
+    {
+        prefix: 'waitlist',
+        rules: waitlist,
+        endpoint: 'api/waitlist',
+        success: 'waitlist.success'
+    }
+];
+
+export class MainPageController {
+    /**
+     * @param {Object} [options] - Dependencies; the defaults are the browser's
+     * @param {Document} [options.document] - Page to render
+     * @param {Storage} [options.storage] - Visitor choices and the config cache (defaults to localStorage)
+     * @param {Function} [options.clock] - Returns the current Date
+     * @param {ConfigManager} [options.configManager] - Config source (defaults to the config server)
+     */
+    constructor(options = {}) {
+        this.document = options.document || document;
+        this.window = this.document.defaultView;
+        this.storage = options.storage || getBrowserStorage();
+        this.clock = options.clock || (() => new Date());
+        this.configManager = options.configManager || new ConfigManager({
+            backend: new HttpConfigBackend(),
+            storage: this.storage,
+            clock: this.clock
+        });
+        // index.html?preview=draft renders the admin's unpublished draft
+        this.isPreview = new URLSearchParams(this.window.location.search).get('preview') === 'draft';
+        // Force refresh config to ensure latest values (handles migrations)
+        this.config = this.configManager.load();
+        this.locale = i18n.DEFAULT_LOCALE;
+        this.setupColorSchemeToggle();
+        this.setupLanguageSelect();
+        this.setupVisitorForms();
+        // Apply the cached scheme right away so dark-mode visitors don't see a white flash
+        this.applyColorScheme();
+        // Settles once the config has been applied
+        this.ready = this.init();
+    }
+
+    /**
+     * Initializes the page by applying configuration
+     */
+    async init() {
+        // As published (or drafted), in English; this.config is the copy in the visitor's language
+        this.sourceConfig = await this.loadConfig();
+        await this.render();
+    }
+
+    /**
+     * Applies the configuration in the visitor's language
+     */
+    async render() {
+        this.locale = this.getLocale();
+        this.config = translations.localize(this.sourceConfig, this.locale);
+        this.applyLanguage();
+        this.applyAnnouncements();
+        this.applyColorScheme();
+        this.applyTheme();
+        await this.applyHero(); // Async: may load the image manifest
+        this.applyAbout();
+        this.applyExpertise();
+        this.applyApproach();
+        this.applyContact();
+        this.applyOfficeHours();
+        await this.applyBooking();
+        this.applyVisibility();
+        this.applySeo();
+        this.setCurrentYear();
+    }
+    
+    /**
+     * Loads the config to render: the draft in preview mode, otherwise the
+     * published config (falls back to the cached copy when offline)
+     * @returns {Promise<Object>} Configuration object
+     */
+    async loadConfig() {
+        if (this.isPreview) {
+            const draft = await this.configManager.fetchDraft();
+            if (draft) {
+                this.showPreviewNotice();
+                return draft;
+            }
+            console.warn('No draft available to preview (log in to the admin panel first); showing the published config.');
+        }
+        return this.configManager.fetchPublished();
+    }
+
+    /**
+     * Marks the page as a draft preview so it is not mistaken for the live site
+     */
+    showPreviewNotice() {
+        if (this.document.getElementById('preview-notice')) return;
+
+        const notice = this.document.createElement('div');
+        notice.id = 'preview-notice';
+        notice.className = 'preview-notice';
+        notice.textContent = 'Preview of unpublished draft changes. Visitors do not see this version yet.';
+        this.document.body.insertBefore(notice, this.document.body.firstChild);
+    }
+
+    /**
+     * Refreshes all components with current config
+     * Call this after config changes to update all components
+     */
+    async refreshAll() {
+        this.config = this.configManager.load();
+        await this.init();
+    }
+
+    /**
+     * Applies PageView patches to the page (the static build applies the same ones to index.html)
+     * @param {Object[]} patches - Patches ({ target, text, html, attributes, classes, style })
+     */
+    applyPatches(patches) {
+        patches.forEach((patch) => {
+            const element = patch.target === 'body' ? this.document.body : this.document.getElementById(patch.target);
+            if (!element) return;
+
+            if (patch.text !== undefined) element.textContent = patch.text;
+            // Unchanged HTML is left alone so live regions don't read it out again
+            if (patch.html !== undefined && element.innerHTML !== patch.html) element.innerHTML = patch.html;
+            Object.entries(patch.attributes || {}).forEach(([name, value]) => {
+                if (value === null) {
+                    element.removeAttribute(name);
+                } else {
+                    element.setAttribute(name, value);
+                }
+            });
+            Object.entries(patch.classes || {}).forEach(([name, present]) => element.classList.toggle(name, present));
+            Object.entries(patch.style || {}).forEach(([property, value]) => {
+                if (value === '') {
+                    element.style.removeProperty(property);
+                } else {
+                    element.style.setProperty(property, value);
+                }
+            });
+        });
+    }
+
+    /**
+     * Shows the announcements active right now, stacked by priority,
+     * and re-renders when the next one starts or ends
+     */
+    applyAnnouncements() {
+        const container = this.document.getElementById('announcements');
+        if (!container) return;
+
+        const now = this.clock();
+        this.applyPatches(pageView.getAnnouncements(this.config.announcements, now, this.locale));
+
+        clearTimeout(this.announcementTimer);
+        const nextChange = announcements.getNextChange(this.config.announcements, now);
+        if (nextChange) {
+            // setTimeout overflows past ~24.8 days, so check again daily at most
+            const delay = Math.min(nextChange.getTime() - now.getTime(), ONE_DAY_MS);
+            this.announcementTimer = setTimeout(() => this.applyAnnouncements(), delay);
+        }
+    }
+
+    /**
+     * Wires the header light/dark toggle and follows changes to the system setting
+     */
+    setupColorSchemeToggle() {
+        const toggle = this.document.getElementById('color-scheme-toggle');
+        if (toggle) {
+            toggle.addEventListener('click', () => {
+                this.storeColorScheme(this.getColorScheme() === 'dark' ? 'light' : 'dark');
+                this.applyColorScheme();
+                this.applyTheme();
+            });
+        }
+
+        if (this.window.matchMedia) {
+            this.window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', () => {
+                if (!this.getStoredColorScheme()) {
+                    this.applyColorScheme();
+                    this.applyTheme();
+                }
+            });
+        }
+    }
+
+    /**
+     * Works out the color scheme to show: always light when the admin has
+     * disabled dark mode, otherwise the visitor's choice or system setting
+     * @returns {string} 'light' or 'dark'
+     */
+    getColorScheme() {
+        if (this.config.darkModeEnabled === false) {
+            return 'light';
+        }
+        const stored = this.getStoredColorScheme();
+        if (stored) {
+            return stored;
+        }
+        return this.window.matchMedia && this.window.matchMedia('(prefers-color-scheme: dark)').matches ? 'dark' : 'light';
+    }
+
+    /**
+     * Reads the visitor's saved light/dark choice
+     * @returns {string|null} 'light', 'dark' or null if they have not chosen
+     */
+    getStoredColorScheme() {
+        try {
+            const stored = this.storage.getItem(COLOR_SCHEME_KEY);
+            return stored === 'light' || stored === 'dark' ? stored : null;
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Saves the visitor's light/dark choice
+     * @param {string} scheme - 'light' or 'dark'
+     */
+    storeColorScheme(scheme) {
+        try {
+            this.storage.setItem(COLOR_SCHEME_KEY, scheme);
+        } catch (error) {
+            console.warn('Could not save color scheme preference:', error);
+        }
+    }
+
+    /**
+     * Applies the color scheme to the page and updates the header toggle
+     */
+    applyColorScheme() {
+        const scheme = this.getColorScheme();
+        const toggle = this.document.getElementById('color-scheme-toggle');
+        this.document.documentElement.dataset.colorScheme = scheme;
+
+        if (toggle) {
+            toggle.hidden = this.config.darkModeEnabled === false;
+            toggle.setAttribute('aria-pressed', String(scheme === 'dark'));
+        }
+    }
+
+    /**
+     * Wires the header language menu
+     */
+    setupLanguageSelect() {
+        const select = this.document.getElementById('language-select');
+        if (select) {
+            select.addEventListener('change', () => this.changeLanguage(select.value));
+        }
+    }
+
+    /**
+     * Works out the language to show from the address (?lang=), the visitor's
+     * earlier choice and the browser's languages, among those the admin offers
+     * @returns {string} Language code
+     */
+    getLocale() {
+        return i18n.detectLocale({
+            requested: new URLSearchParams(this.window.location.search).get(i18n.LOCALE_PARAM),
+            stored: this.getStoredLocale(),
+            preferred: this.window.navigator.languages || [this.window.navigator.language]
+        }, i18n.getEnabledLocales(this.sourceConfig));
+    }
+
+    /**
+     * Reads the visitor's saved language choice
+     * @returns {string|null} Language code, or null if they have not chosen
+     */
+    getStoredLocale() {
+        try {
+            return this.storage.getItem(LOCALE_KEY);
+        } catch (error) {
+            return null;
+        }
+    }
+
+    /**
+     * Switches the page to another language, saving the choice and updating the address
+     * @param {string} locale - Language code
+     */
+    async changeLanguage(locale) {
+        try {
+            this.storage.setItem(LOCALE_KEY, locale);
+        } catch (error) {
+            console.warn('Could not save language preference:', error);
+        }
+        // The address names the language too, so links shared from the page keep it
+        if (this.window.location.protocol.startsWith('http')) {
+            this.window.history.replaceState(null, '', i18n.getLocaleUrl(this.window.location.href, locale));
+        }
+        await this.render();
+    }
+
+    /**
+     * Translates the page's own text (elements marked data-i18n, and the aria-label
+     * of those marked data-i18n-label), sets the page language and fills the
+     * header language menu
+     */
+    applyLanguage() {
+        this.document.documentElement.lang = this.locale;
+        this.document.querySelectorAll('[data-i18n]').forEach((element) => {
+            element.textContent = i18n.translate(this.locale, element.dataset.i18n);
+        });
+        this.document.querySelectorAll('[data-i18n-label]').forEach((element) => {
+            element.setAttribute('aria-label', i18n.translate(this.locale, element.dataset.i18nLabel));
+        });
+
+        const select = this.document.getElementById('language-select');
+        if (select) {
+            const locales = i18n.getEnabledLocales(this.sourceConfig);
+            select.innerHTML = '';
+            locales.forEach((locale) => {
+                const option = new this.window.Option(i18n.LOCALE_NAMES[locale], locale);
+                option.lang = locale;
+                select.appendChild(option);
+            });
+            select.value = this.locale;
+            select.hidden = locales.length < 2;
+        }
+    }
+
+    /**
+     * Applies theme configuration
+     * Built-in themes are body classes in styles.css; custom themes set CSS custom properties
+     * Call after applyColorScheme(), since custom themes differ in dark mode
+     */
+    applyTheme() {
+        this.applyPatches(pageView.getTheme(this.config, this.document.documentElement.dataset.colorScheme));
+    }
+
+    /**
+     * Applies visibility settings for header logo, header nav, hero availability, hero CTA, footer copyright and the contact form
+     */
+    applyVisibility() {
+        this.applyPatches(pageView.getVisibility(this.config));
+    }
+
+    /**
+     * Applies hero section configuration
+     */
+    async applyHero() {
+        // The manifest is only needed for configured paths; uploads are recorded exactly
+        const variants = this.config.profileImageVariants || [];
+        const manifest = this.config.profileImageUrl && variants.length === 0
+            ? await this.configManager.loadImageManifest()
+            : null;
+        const image = pageView.getProfileImage(this.config, manifest);
+        this.applyPatches(pageView.getHero(this.config, image, this.locale));
+
+        const profileImage = this.document.getElementById('profile-image');
+        if (profileImage && image.src) {
+            // Handle image loading errors gracefully
+            const controller = this;
+            profileImage.onerror = function() {
+                console.warn("Profile image failed to load:", image.src);
+                // Drop the responsive sources too, or the browser keeps choosing them
+                controller.applyPatches(pageView.getProfileImageVariants([]));
+                this.src = 'assets/images/placeholder-profile.svg';
+                this.alt = 'Profile image not available';
+            };
+        }
+    }
+
+    /**
+     * Applies the About section: paragraphs and the credentials list
+     */
+    applyAbout() {
+        this.applyPatches(pageView.getAbout(this.config));
+    }
+
+    /**
+     * Applies the Expertise section cards
+     */
+    applyExpertise() {
+        this.applyPatches(pageView.getExpertise(this.config));
+    }
+
+    /**
+     * Applies the Approach section items
+     */
+    applyApproach() {
+        this.applyPatches(pageView.getApproach(this.config));
+    }
+
+    /**
+     * Replaces a container's children with one rendered element per entry
+     * Content is set as text, never as HTML
+     * @param {HTMLElement} container - Element to fill
+     * @param {Object[]} items - Entries to render
+     * @param {Function} renderItem - Builds the element for one entry
+     */
+    renderItems(container, items, renderItem) {
+        container.innerHTML = '';
+        items.forEach((item) => container.appendChild(renderItem(item)));
+    }
+
+    /**
+     * Creates an element with an optional class and text content
+     * @param {string} tag - Tag name
+     * @param {string} className - Class attribute (may be empty)
+     * @param {string} [text] - Text content
+     * @returns {HTMLElement} New element
+     */
+    createElement(tag, className, text) {
+        const element = this.document.createElement(tag);
+        if (className) element.className = className;
+        if (text !== undefined) element.textContent = text;
+        return element;
+    }
+
+    /**
+     * Shows or hides a page section together with its header nav link
+     * @param {string} id - Section id
+     * @param {boolean} visible - Whether the section has content to show
+     */
+    setSectionVisible(id, visible) {
+        const section = this.document.getElementById(id);
+        const navLink = this.document.querySelector(`.nav-link[href="#${id}"]`);
+
+        if (section) {
+            section.hidden = !visible;
+        }
+
+        if (navLink) {
+            navLink.hidden = !visible;
+        }
+    }
+
+    /**
+     * Applies contact section configuration
+     */
+    applyContact() {
+        this.applyPatches(pageView.getContact(this.config));
+    }
+
+    /**
+     * Wires the public forms (contact, appointment request, waitlist): each is
+     * checked with its shared rules, then sent to the config server
+     */
+    setupVisitorForms() {
+        this.submissionClients = {};
+        VISITOR_FORMS.forEach((options) => {
+            const form = this.document.getElementById(`${options.prefix}-form`);
+            if (!form) return;
+
+            this.submissionClients[options.prefix] = new submissions.SubmissionClient(options.endpoint);
+            form.addEventListener('submit', (event) => {
+                event.preventDefault();
+                this.submitVisitorForm(form, options);
+            });
+        });
+    }
+
+    /**
+     * Reads a public form, leaving out empty optional fields
+     * @param {HTMLFormElement} form - Form to read
+     * @param {Object} fields - The form's field rules
+     * @returns {Object} Values keyed by field, plus the honeypot field
+     */
+    readVisitorForm(form, fields) {
+        const values = {};
+        Object.keys(fields).concat(submissions.HONEYPOT_FIELD).forEach((key) => {
+            const control = form.elements[key];
+            if (!control) return;
+            if (control.type === 'radio' && !control.checked) {
+                // A lone radio button reports its value even when unchecked
+                return;
+            } else if (control.type === 'checkbox') {
+                values[key] = control.checked;
+            } else if (control.value.trim() !== '') {
+                values[key] = control.value.trim();
+            }
+        });
+        return values;
+    }
+
+    /**
+     * Validates and sends a public form, reporting the outcome below the button
+     * @param {HTMLFormElement} form - Form to send
+     * @param {Object} options - The form's VISITOR_FORMS entry
+     */
+    async submitVisitorForm(form, options) {
+        const status = this.document.getElementById(`${options.prefix}-status`);
+        const submit = this.document.getElementById(`${options.prefix}-submit`);
+        const values = this.readVisitorForm(form, options.rules.fields);
+        const setStatus = (text, type) => {
+            status.textContent = text;
+            status.className = `form-status ${type}`;
+        };
+
+        const { [submissions.HONEYPOT_FIELD]: honeypot, ...fields } = values;
+        const { valid, errors } = options.rules.validate(fields, this.locale);
+        this.showFormErrors(form, options.prefix, errors);
+        if (!valid) {
+            setStatus(i18n.translate(this.locale, 'form.invalid'), 'error');
+            return;
+        }
+
+        submit.disabled = true;
+        setStatus(i18n.translate(this.locale, 'form.sending'), '');
+        const result = await this.submissionClients[options.prefix].submit(values);
+        submit.disabled = false;
+
+        if (result.success) {
+            form.reset();
+            setStatus(i18n.translate(this.locale, options.success), 'success');
+        } else {
+            this.showFormErrors(form, options.prefix, result.errors);
+            setStatus(result.error, 'error');
+        }
+
+        // A sent request holds its slot, and a refused one may have lost it to someone else
+        if (options.prefix === 'appointment') {
+            await this.applyBooking();
+        }
+    }
+
+    /**
+     * Shows validation messages under a public form's fields and focuses the first one
+     * @param {HTMLFormElement} form - Form with the fields
+     * @param {string} prefix - The form's element id prefix
+     * @param {Object} errors - Messages keyed by field name
+     */
+    showFormErrors(form, prefix, errors) {
+        form.querySelectorAll('.field-error').forEach((el) => el.remove());
+        form.querySelectorAll('[aria-invalid]').forEach((el) => {
+            el.removeAttribute('aria-invalid');
+            el.removeAttribute('aria-describedby');
+        });
+
+        let first = null;
+        Object.keys(errors).forEach((key) => {
+            // Radio groups come back as a list; mark the first button
+            const control = form.elements[key] && (form.elements[key].tagName ? form.elements[key] : form.elements[key][0]);
+            if (!control) return;
+
+            const message = this.createElement('small', 'field-error', errors[key].join(' '));
+            message.id = `${prefix}-${key}-error`;
+            control.setAttribute('aria-invalid', 'true');
+            control.setAttribute('aria-describedby', message.id);
+            control.closest('.form-field').appendChild(message);
+            first = first || control;
+        });
+        if (first) first.focus();
+    }
+
+    /**
+     * Fills the Appointments section: the request form with the visible
+     * appointment types and the open times while accepting patients, the
+     * waitlist signup while not. Points the hero button at whichever is shown,
+     * falling back to the contact form or email when there is nothing to book.
+     */
+    async applyBooking() {
+        const appointmentPanel = this.document.getElementById('appointment-panel');
+        const waitlistPanel = this.document.getElementById('waitlist-panel');
+        const subtitle = this.document.getElementById('booking-subtitle');
+        const consultationBtn = this.document.getElementById('consultation-btn');
+        const accepting = Boolean(this.config.acceptingPatients);
+        const types = appointments.getVisibleTypes(this.config);
+        const days = accepting && types.length > 0 ? await this.loadOpenSlotDays() : [];
+        const booking = days.length > 0;
+
+        if (appointmentPanel) {
+            appointmentPanel.hidden = !booking;
+            if (booking) {
+                this.renderAppointmentChoices(types, days);
+            }
+        }
+
+        if (waitlistPanel) {
+            waitlistPanel.hidden = accepting;
+        }
+
+        if (subtitle) {
+            subtitle.textContent = i18n.translate(this.locale, booking ? 'booking.subtitleOpen' : 'booking.subtitleClosed');
+        }
+
+        this.setSectionVisible('booking', booking || !accepting);
+
+        // The contact form works without a mail client, so the button opens it when shown
+        if (consultationBtn) {
+            if (booking) {
+                consultationBtn.href = '#booking';
+                consultationBtn.textContent = i18n.translate(this.locale, 'hero.appointment');
+            } else if (!accepting) {
+                consultationBtn.href = '#booking';
+                consultationBtn.textContent = i18n.translate(this.locale, 'hero.waitlist');
+            } else if (this.config.showContactForm !== false) {
+                consultationBtn.href = '#inquiry-panel';
+                consultationBtn.textContent = i18n.translate(this.locale, 'hero.consultation');
+            } else if (this.config.contactEmail) {
+                consultationBtn.href = `mailto:${this.config.contactEmail}`;
+                consultationBtn.textContent = i18n.translate(this.locale, 'hero.consultation');
+            }
+        }
+    }
+
+    /**
+     * Lists the times still open, leaving out the ones the config server says are held
+     * Without a config server (static hosting) nothing can be requested, so nothing is offered
+     * @returns {Promise<Object[]>} Days ({ date, label, slots }) from Appointments.groupByDate
+     */
+    async loadOpenSlotDays() {
+        const client = this.submissionClients.appointment;
+        if (!client || appointments.getOpenSlots(this.config).length === 0) return [];
+        const held = await client.request('/held').catch((error) => {
+            console.warn('Appointment requests are unavailable:', error);
+            return null;
+        });
+        return held ? appointments.groupByDate(appointments.getOpenSlots(this.config, held), this.locale) : [];
+    }
+
+    /**
+     * Renders the appointment types and open times as radio buttons, keeping the choices made
+     * @param {Object[]} types - Visible appointment types
+     * @param {Object[]} days - Open times grouped by day
+     */
+    renderAppointmentChoices(types, days) {
+        const form = this.document.getElementById('appointment-form');
+        const typeList = this.document.getElementById('appointment-types');
+        const slotList = this.document.getElementById('appointment-slots');
+        const zone = this.document.getElementById('appointment-zone');
+        const checked = (name) => {
+            const input = form.querySelector(`input[name="${name}"]:checked`);
+            return input ? input.value : '';
+        };
+        const selectedType = checked('appointmentType');
+        const selectedSlot = checked('slot');
+        const radio = (name, value, id, checked) => {
+            const input = this.document.createElement('input');
+            input.type = 'radio';
+            input.name = name;
+            input.value = value;
+            input.id = id;
+            input.checked = checked;
+            return input;
+        };
+
+        this.renderItems(typeList, types, (type) => {
+            const index = types.indexOf(type);
+            const option = this.createElement('div', 'booking-type');
+            const input = radio('appointmentType', type.name, `appointment-type-${index}`, type.name === selectedType || types.length === 1);
+            const label = this.createElement('label');
+            label.htmlFor = input.id;
+            label.appendChild(this.createElement('strong', '', type.name));
+            label.appendChild(this.createElement('span', 'booking-type-duration', ` · ${type.duration} min`));
+            if (type.description) {
+                label.appendChild(this.createElement('span', 'booking-type-description', type.description));
+            }
+            option.appendChild(input);
+            option.appendChild(label);
+            return option;
+        });
+
+        this.renderItems(slotList, days, (day) => {
+            const group = this.createElement('div', 'booking-day');
+            group.appendChild(this.createElement('p', 'booking-day-label', day.label));
+            const times = this.createElement('div', 'booking-times');
+            day.slots.forEach((slot) => {
+                const input = radio('slot', slot.key, `appointment-slot-${slot.key.replace(/\D/g, '')}`, slot.key === selectedSlot);
+                const label = this.createElement('label', 'booking-time', slot.label);
+                label.htmlFor = input.id;
+                times.appendChild(input);
+                times.appendChild(label);
+            });
+            group.appendChild(times);
+            return group;
+        });
+
+        if (zone) {
+            zone.textContent = i18n.translate(this.locale, 'hours.timeZone', { zone: officeHours.getTimeZoneName(this.config.timeZone, this.locale) });
+        }
+    }
+
+    /**
+     * Shows the weekly office hours and upcoming closures in the contact section,
+     * and feeds the hero availability line with the live open/closed status
+     * (the availability status text when no hours are set); re-renders when
+     * the practice opens or closes and at local midnight
+     */
+    applyOfficeHours() {
+        const heroAvailability = this.document.getElementById('hero-availability');
+        const container = this.document.getElementById('office-hours');
+        const now = this.clock();
+        const status = officeHours.getStatus(this.config, now);
+        const statusText = status ? officeHours.describeStatus(status, this.locale) : this.config.availabilityStatus;
+
+        // Note: Visibility is controlled by applyVisibility() method
+        if (heroAvailability && statusText) {
+            heroAvailability.textContent = statusText;
+            heroAvailability.classList.toggle('is-open', Boolean(status && status.open));
+            heroAvailability.classList.toggle('is-closed', Boolean(status && !status.open));
+        }
+
+        if (container) {
+            container.hidden = !status;
+            if (status) {
+                const statusLine = this.document.getElementById('office-hours-status');
+                const zone = this.document.getElementById('office-hours-zone');
+                const table = this.document.getElementById('office-hours-table');
+                const exceptions = this.document.getElementById('office-hours-exceptions');
+                const exceptionList = this.document.getElementById('office-hours-exceptions-list');
+
+                if (statusLine) {
+                    statusLine.textContent = statusText;
+                    statusLine.classList.toggle('is-open', status.open);
+                    statusLine.classList.toggle('is-closed', !status.open);
+                }
+
+                if (zone) {
+                    zone.textContent = i18n.translate(this.locale, 'hours.timeZone', { zone: officeHours.getTimeZoneName(this.config.timeZone, this.locale) });
+                }
+
+                if (table) {
+                    this.renderItems(table, officeHours.getWeeklyTable(this.config.officeHours, this.locale), (row) => {
+                        const tableRow = this.createElement('tr', row.closed ? 'is-closed' : '');
+                        const day = this.createElement('th', '', row.label);
+                        day.scope = 'row';
+                        tableRow.appendChild(day);
+                        tableRow.appendChild(this.createElement('td', '', row.hours));
+                        return tableRow;
+                    });
+                }
+
+                if (exceptions && exceptionList) {
+                    const upcoming = officeHours.getUpcomingExceptions(this.config, now, this.locale);
+                    exceptions.hidden = upcoming.length === 0;
+                    this.renderItems(exceptionList, upcoming, (entry) => {
+                        const item = this.createElement('li');
+                        item.appendChild(this.createElement('strong', '', `${entry.date}:`));
+                        const label = entry.label ? ` ${entry.label} —` : '';
+                        item.appendChild(this.document.createTextNode(`${label} ${entry.hours}`));
+                        return item;
+                    });
+                }
+            }
+        }
+
+        clearTimeout(this.officeHoursTimer);
+        const nextChange = officeHours.getNextChange(this.config, now);
+        if (nextChange) {
+            const delay = Math.min(nextChange.getTime() - now.getTime(), ONE_DAY_MS);
+            this.officeHoursTimer = setTimeout(() => this.applyOfficeHours(), delay);
+        }
+    }
+
+    /**
+     * Updates the title, meta tags, canonical and language links and JSON-LD in <head> to match the config
+     * The config server renders the same tags for crawlers; this keeps them right after
+     * the page applies a cached, newer or draft config
+     */
+    applySeo() {
+        const pageUrl = this.window.location.protocol.startsWith('http') ? this.window.location.href : '';
+        const meta = seo.getPageMeta(this.config, pageUrl, this.locale);
+        this.document.title = meta.title;
+
+        seo.getMetaTags(meta).forEach((tag) => {
+            let element = this.document.head.querySelector(`meta[${tag.attribute}="${tag.key}"]`);
+            if (!element) {
+                element = this.document.createElement('meta');
+                element.setAttribute(tag.attribute, tag.key);
+                this.document.head.appendChild(element);
+            }
+            element.setAttribute('content', tag.content);
+        });
+
+        let canonical = this.document.head.querySelector('link[rel="canonical"]');
+        if (meta.url) {
+            if (!canonical) {
+                canonical = this.document.createElement('link');
+                canonical.rel = 'canonical';
+                this.document.head.appendChild(canonical);
+            }
+            canonical.href = meta.url;
+        } else if (canonical) {
+            canonical.remove();
+        }
+
+        this.document.head.querySelectorAll('link[rel="alternate"][hreflang]').forEach((link) => link.remove());
+        meta.alternates.forEach((alternate) => {
+            const link = this.document.createElement('link');
+            link.rel = 'alternate';
+            link.hreflang = alternate.hreflang;
+            link.href = alternate.href;
+            this.document.head.appendChild(link);
+        });
+
+        let structuredData = this.document.getElementById('structured-data');
+        if (!structuredData) {
+            structuredData = this.document.createElement('script');
+            structuredData.type = 'application/ld+json';
+            structuredData.id = 'structured-data';
+            this.document.head.appendChild(structuredData);
+        }
+        structuredData.textContent = seo.toJsonLd(seo.getStructuredData(this.config, pageUrl, this.clock(), this.locale));
+    }
+
+    /**
+     * Sets the current year in the footer
+     */
+    setCurrentYear() {
+        const yearElement = this.document.getElementById('current-year');
+        if (yearElement) {
+            yearElement.textContent = this.clock().getFullYear();
+        }
+    }
+}
@@ -0,0 +1,170 @@
+/**
+ * Configuration Migrations
+ * Ordered, numbered transforms that upgrade a stored config one version at a time.
+ * Each migration runs exactly once: ConfigManager records the version reached
+ * and only later migrations run on the next load.
+ *
+ * To change the shape of stored config (rename, split or retire a key, rewrite
+ * an outdated value), append a migration with the next version number. Never
+ * edit or reorder a migration that has shipped.
+ */
+
+const ConfigMigrations = (function () {
+  "use strict";
+
+  const richText = require("./rich-text.js");
+
+  // Stored configs without a recorded version predate versioning
+  const UNVERSIONED = 1;
+
+  /**
+   * Migration list, ordered by version
+   * migrate(config) receives a copy of the stored object and returns the upgraded object
+   */
+  const migrations = [
+    {
+      version: 2,
+      description: "Drop hero fields retired before versioning",
+      migrate(config) {
+        const { heroCredentials, heroTagline, ...rest } = config;
+        return rest;
+      },
+    },
+    {
+      version: 3,
+      description: "Replace the old Bel Air location with Harford County",
+      migrate(config) {
+        if (
+          config.location ===
+          "Bel Air, Maryland (serving surrounding communities)"
+        ) {
+          return { ...config, location: "Harford County, Maryland" };
+        }
+        return config;
+      },
+    },
+    {
+      version: 4,
+      description: "Replace the placeholder display name",
+      migrate(config) {
+        if (config.heroName === "Jane Doe, FNP") {
+          return { ...config, heroName: "Rujita Munankarmi, FNP" };
+        }
+        return config;
+      },
+    },
+    {
+      version: 5,
+      description: "Replace the placeholder business name",
+      migrate(config) {
+        if (config.businessName === "dummyLLC") {
+          return { ...config, businessName: "CarenexLLC" };
+        }
+        return config;
+      },
+    },
+    {
+      version: 6,
+      description: "Replace the placeholder contact email",
+      migrate(config) {
+        if (config.contactEmail === "contact@dummyllc.com") {
+          return { ...config, contactEmail: "carenex.np@gmail.com" };
+        }
+        return config;
+      },
+    },
+    {
+      version: 7,
+      description: "Switch from the placeholder profile image to pfp.jpg",
+      migrate(config) {
+        if (
+          config.profileImageUrl === "assets/images/placeholder-profile.svg"
+        ) {
+          return { ...config, profileImageUrl: "assets/images/pfp.jpg" };
+        }
+        return config;
+      },
+    },
+    {
+      version: 8,
+      description: "Replace the single banner with a list of announcements",
+      migrate(config) {
+        const { bannerEnabled, bannerText, bannerType, ...rest } = config;
+        const announcements = [];
+        if (bannerEnabled === true && bannerText) {
+          announcements.push({
+            type: ["urgent", "warning"].includes(bannerType)
+              ? bannerType
+              : "info",
+            text: bannerText,
+            link: "",
+            startsAt: "",
+            endsAt: "",
+            priority: 0,
+          });
+        }
+        return { ...rest, announcements };
+      },
+    },
+    {
+      version: 9,
+      description:
+        "Reduce the hero subtitle to the allowed rich-text formatting",
+      migrate(config) {
+        if (typeof config.heroSubtitle === "string") {
+          return {
+            ...config,
+            heroSubtitle: richText.sanitize(config.heroSubtitle),
+          };
+        }
+        return config;
+      },
+    },
+  ];
+
+  const CURRENT_VERSION = migrations[migrations.length - 1].version;
+
+  /**
+   * Parses a recorded version ("7", 7 or legacy "2.0")
+   * @param {string|number|null} value - Recorded version
+   * @returns {number} Version number, UNVERSIONED if missing or unreadable
+   */
+  function parseVersion(value) {
+    const version = parseInt(value, 10);
+    return Number.isNaN(version) ? UNVERSIONED : version;
+  }
+
+  /**
+   * Applies every migration newer than fromVersion, in order
+   * @param {Object} config - Stored configuration
+   * @param {number} fromVersion - Version the config was stored at
+   * @param {Array} [list] - Migration list (defaults to the site migrations)
+   * @returns {Object} { config, version, applied } with the applied migration versions
+   */
+  function runMigrations(config, fromVersion, list = migrations) {
+    let current = { ...config };
+    let version = fromVersion;
+    const applied = [];
+
+    list
+      .filter((migration) => migration.version > fromVersion)
+      .sort((a, b) => a.version - b.version)
+      .forEach((migration) => {
+        current = migration.migrate({ ...current });
+        version = migration.version;
+        applied.push(migration.version);
+      });
+
+    return { config: current, version, applied };
+  }
+
+  return {
+    UNVERSIONED,
+    CURRENT_VERSION,
+    migrations,
+    parseVersion,
+    runMigrations,
+  };
+})();
+
+module.exports = ConfigMigrations;
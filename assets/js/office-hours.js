@@ -0,0 +1,460 @@
+/**
+ * Office Hours
+ * Works out whether the practice is open from the weekly hours, holiday
+ * closures and one-off exceptions in the config. Times are wall-clock times in
+ * the configured time zone, so visitors elsewhere see the practice's hours.
+ * Shared by the public page (status line and hours table) and the config schema.
+ */
+
+const OfficeHours = (function () {
+  "use strict";
+
+  const i18n = require("./i18n.js");
+
+  // Index matches Date#getUTCDay()
+  const DAYS = [
+    "sunday",
+    "monday",
+    "tuesday",
+    "wednesday",
+    "thursday",
+    "friday",
+    "saturday",
+  ];
+  const WEEK_ORDER = [...DAYS.slice(1), DAYS[0]];
+  // English day names, for the admin panel and schema.org; visitors get getDayLabel()
+  const DAY_LABELS = {
+    monday: "Monday",
+    tuesday: "Tuesday",
+    wednesday: "Wednesday",
+    thursday: "Thursday",
+    friday: "Friday",
+    saturday: "Saturday",
+    sunday: "Sunday",
+  };
+  const MINUTES_PER_DAY = 24 * 60;
+  // How far ahead to look for the next opening (covers a two-week closure)
+  const LOOKAHEAD_DAYS = 21;
+
+  /**
+   * Checks an IANA time zone name against the browser's/Node's time zone data
+   * @param {string} timeZone - e.g. "America/New_York"
+   * @returns {boolean} True if it can be used for formatting
+   */
+  function isValidTimeZone(timeZone) {
+    if (typeof timeZone !== "string" || timeZone === "") return false;
+    try {
+      new Intl.DateTimeFormat("en-US", { timeZone });
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Converts "HH:MM" to minutes after midnight
+   * @param {string} time - 24-hour time
+   * @returns {number} Minutes, or NaN if malformed
+   */
+  function toMinutes(time) {
+    const match = /^(\d{2}):(\d{2})$/.exec(time || "");
+    return match ? Number(match[1]) * 60 + Number(match[2]) : NaN;
+  }
+
+  /**
+   * Reads the wall-clock date and time at a moment in a time zone
+   * @param {Date} now - Moment
+   * @param {string} timeZone - IANA time zone
+   * @returns {Object} { date: "YYYY-MM-DD", minutes } after local midnight
+   */
+  function getLocalTime(now, timeZone) {
+    const parts = {};
+    new Intl.DateTimeFormat("en-US", {
+      timeZone,
+      year: "numeric",
+      month: "2-digit",
+      day: "2-digit",
+      hour: "2-digit",
+      minute: "2-digit",
+      hourCycle: "h23",
+    })
+      .formatToParts(now)
+      .forEach((part) => {
+        parts[part.type] = part.value;
+      });
+    return {
+      date: `${parts.year}-${parts.month}-${parts.day}`,
+      // Some engines report midnight as hour 24
+      minutes: (Number(parts.hour) % 24) * 60 + Number(parts.minute),
+    };
+  }
+
+  /**
+   * Moves a calendar date by whole days
+   * @param {string} date - "YYYY-MM-DD"
+   * @param {number} days - Days to add
+   * @returns {string} "YYYY-MM-DD"
+   */
+  function addDays(date, days) {
+    const moved = new Date(`${date}T00:00:00Z`);
+    moved.setUTCDate(moved.getUTCDate() + days);
+    return moved.toISOString().slice(0, 10);
+  }
+
+  /**
+   * Names the weekday of a calendar date
+   * @param {string} date - "YYYY-MM-DD"
+   * @returns {string} Day key, e.g. "monday"
+   */
+  function dayOf(date) {
+    return DAYS[new Date(`${date}T00:00:00Z`).getUTCDay()];
+  }
+
+  /**
+   * Sorts opening periods and merges ones that touch or overlap
+   * @param {Object[]} periods - Periods ({ opens, closes }) in minutes
+   * @returns {Object[]} Merged periods
+   */
+  function mergePeriods(periods) {
+    return periods
+      .filter((period) => period.opens < period.closes)
+      .sort((a, b) => a.opens - b.opens)
+      .reduce((merged, period) => {
+        const last = merged[merged.length - 1];
+        if (last && period.opens <= last.closes) {
+          last.closes = Math.max(last.closes, period.closes);
+        } else {
+          merged.push({ ...period });
+        }
+        return merged;
+      }, []);
+  }
+
+  /**
+   * Lists the weekly opening periods of one day
+   * @param {Object[]} officeHours - Configured periods ({ day, opens, closes })
+   * @param {string} day - Day key
+   * @returns {Object[]} Merged periods ({ opens, closes }) in minutes
+   */
+  function getWeeklyPeriods(officeHours, day) {
+    return mergePeriods(
+      (officeHours || [])
+        .filter((period) => period.day === day)
+        .map((period) => ({
+          opens: toMinutes(period.opens),
+          closes: toMinutes(period.closes),
+        }))
+    );
+  }
+
+  /**
+   * Lists the opening periods of a calendar date, applying any exception for it
+   * @param {Object} config - Config with officeHours and hoursExceptions
+   * @param {string} date - "YYYY-MM-DD"
+   * @returns {Object} { periods, exception } where exception is the matching entry or null
+   */
+  function getPeriodsOn(config, date) {
+    const exception =
+      (config.hoursExceptions || []).find((entry) => entry.date === date) ||
+      null;
+    if (!exception) {
+      return {
+        periods: getWeeklyPeriods(config.officeHours, dayOf(date)),
+        exception,
+      };
+    }
+    const periods = exception.closed
+      ? []
+      : mergePeriods([
+          {
+            opens: toMinutes(exception.opens),
+            closes: toMinutes(exception.closes),
+          },
+        ]);
+    return { periods, exception };
+  }
+
+  /**
+   * Works out whether the practice is open at a moment
+   * @param {Object} config - Config with timeZone, officeHours and hoursExceptions
+   * @param {Date} [now] - Moment to check
+   * @returns {Object|null} null when no weekly hours are set, otherwise
+   *   { open, closesAt, nextOpen: { date, day, daysAhead, minutes } | null, exception }
+   *   with times in minutes after local midnight
+   */
+  function getStatus(config, now = new Date()) {
+    if (
+      !(config.officeHours || []).length ||
+      !isValidTimeZone(config.timeZone)
+    ) {
+      return null;
+    }
+
+    const local = getLocalTime(now, config.timeZone);
+    const today = getPeriodsOn(config, local.date);
+    const current = today.periods.find(
+      (period) => period.opens <= local.minutes && local.minutes < period.closes
+    );
+    if (current) {
+      return {
+        open: true,
+        closesAt: current.closes,
+        nextOpen: null,
+        exception: today.exception,
+      };
+    }
+
+    for (let daysAhead = 0; daysAhead <= LOOKAHEAD_DAYS; daysAhead++) {
+      const date = addDays(local.date, daysAhead);
+      const next = getPeriodsOn(config, date).periods.find(
+        (period) => daysAhead > 0 || period.opens > local.minutes
+      );
+      if (next) {
+        return {
+          open: false,
+          closesAt: null,
+          nextOpen: { date, day: dayOf(date), daysAhead, minutes: next.opens },
+          exception: today.exception,
+        };
+      }
+    }
+    return {
+      open: false,
+      closesAt: null,
+      nextOpen: null,
+      exception: today.exception,
+    };
+  }
+
+  /**
+   * Formats minutes after midnight as a time of day in a language
+   * @param {number} minutes - Minutes after midnight
+   * @param {string} [locale] - Language code
+   * @returns {string} e.g. "9 AM", "5:30 PM", "12 PM" in English, "17:30" in Spanish
+   */
+  function formatTime(minutes, locale = i18n.DEFAULT_LOCALE) {
+    const time = new Date(
+      Date.UTC(1970, 0, 1, Math.floor(minutes / 60) % 24, minutes % 60)
+    );
+    const parts = new Intl.DateTimeFormat(locale, {
+      timeZone: "UTC",
+      hour: "numeric",
+      minute: "2-digit",
+    }).formatToParts(time);
+    // 12-hour clocks drop whole-hour minutes ("9 AM"); 24-hour ones keep them ("9:00")
+    const shorten =
+      minutes % 60 === 0 && parts.some((part) => part.type === "dayPeriod");
+    return parts
+      .filter(
+        (part, index) =>
+          !shorten ||
+          (part.type !== "minute" &&
+            !(parts[index + 1] && parts[index + 1].type === "minute"))
+      )
+      .map((part) => part.value)
+      .join("")
+      .replace(/\s/g, " ");
+  }
+
+  /**
+   * Formats a calendar date in a language
+   * @param {string} date - "YYYY-MM-DD"
+   * @param {string} locale - Language code
+   * @param {Object} options - Intl.DateTimeFormat date options
+   * @returns {string} e.g. "Tuesday, Dec 1"
+   */
+  function formatDate(date, locale, options) {
+    return new Date(`${date}T00:00:00Z`).toLocaleDateString(locale, {
+      timeZone: "UTC",
+      ...options,
+    });
+  }
+
+  /**
+   * Names a day of the week in a language
+   * @param {string} day - Day key, e.g. "monday"
+   * @param {string} [locale] - Language code
+   * @returns {string} e.g. "Monday", "lunes"
+   */
+  function getDayLabel(day, locale = i18n.DEFAULT_LOCALE) {
+    // 4 January 1970 was a Sunday, the first of DAYS
+    return new Date(
+      Date.UTC(1970, 0, 4 + DAYS.indexOf(day))
+    ).toLocaleDateString(locale, { timeZone: "UTC", weekday: "long" });
+  }
+
+  /**
+   * Formats a day's opening periods
+   * @param {Object[]} periods - Periods ({ opens, closes }) in minutes
+   * @param {string} locale - Language code
+   * @returns {string} e.g. "9 AM – 12 PM, 1 PM – 5 PM", or "Closed"
+   */
+  function formatPeriods(periods, locale) {
+    if (periods.length === 0) return i18n.translate(locale, "hours.closed");
+    return periods
+      .map(
+        (period) =>
+          `${formatTime(period.opens, locale)} – ${formatTime(
+            period.closes,
+            locale
+          )}`
+      )
+      .join(", ");
+  }
+
+  /**
+   * Describes a status for the hero availability line
+   * @param {Object} status - Result of getStatus()
+   * @param {string} [locale] - Language code
+   * @returns {string} e.g. "Open now · Closes 5 PM" or "Closed · Opens Monday 9 AM"
+   */
+  function describeStatus(status, locale = i18n.DEFAULT_LOCALE) {
+    if (status.open) {
+      return i18n.translate(locale, "hours.openNow", {
+        time: formatTime(status.closesAt, locale),
+      });
+    }
+
+    const closed =
+      status.exception && status.exception.label
+        ? i18n.translate(locale, "hours.closedToday", {
+            label: status.exception.label,
+          })
+        : i18n.translate(locale, "hours.closed");
+    const next = status.nextOpen;
+    if (!next) return closed;
+
+    let when;
+    if (next.daysAhead === 0) {
+      when = i18n.translate(locale, "hours.today");
+    } else if (next.daysAhead === 1) {
+      when = i18n.translate(locale, "hours.tomorrow");
+    } else if (next.daysAhead < 7) {
+      when = getDayLabel(next.day, locale);
+    } else {
+      when = formatDate(next.date, locale, {
+        weekday: "long",
+        month: "short",
+        day: "numeric",
+      });
+    }
+    return i18n.translate(locale, "hours.opens", {
+      closed,
+      when,
+      time: formatTime(next.minutes, locale),
+    });
+  }
+
+  /**
+   * Finds the next moment the status line changes: an opening, a closing or
+   * local midnight ("tomorrow" becomes "today")
+   * @param {Object} config - Config with timeZone, officeHours and hoursExceptions
+   * @param {Date} [now] - Moment to look ahead from
+   * @returns {Date|null} Next change, or null when no weekly hours are set
+   */
+  function getNextChange(config, now = new Date()) {
+    const status = getStatus(config, now);
+    if (!status) return null;
+
+    const { minutes } = getLocalTime(now, config.timeZone);
+    let untilChange = MINUTES_PER_DAY - minutes;
+    if (status.open) {
+      untilChange = Math.min(untilChange, status.closesAt - minutes);
+    } else if (status.nextOpen && status.nextOpen.daysAhead === 0) {
+      untilChange = Math.min(untilChange, status.nextOpen.minutes - minutes);
+    }
+    // Local time was read to the minute; land on the start of the changing minute
+    const intoMinute = now.getTime() % 60000;
+    return new Date(now.getTime() + untilChange * 60000 - intoMinute);
+  }
+
+  /**
+   * Builds the weekly hours table, Monday first
+   * @param {Object[]} officeHours - Configured periods ({ day, opens, closes })
+   * @param {string} [locale] - Language code
+   * @returns {Object[]} Rows ({ day, label, hours, closed })
+   */
+  function getWeeklyTable(officeHours, locale = i18n.DEFAULT_LOCALE) {
+    return WEEK_ORDER.map((day) => {
+      const periods = getWeeklyPeriods(officeHours, day);
+      return {
+        day,
+        label: getDayLabel(day, locale),
+        hours: formatPeriods(periods, locale),
+        closed: periods.length === 0,
+      };
+    });
+  }
+
+  /**
+   * Lists the closures and exceptions coming up, soonest first
+   * @param {Object} config - Config with timeZone and hoursExceptions
+   * @param {Date} [now] - Moment to look ahead from
+   * @param {string} [locale] - Language code
+   * @param {number} [days] - How many days ahead to include
+   * @returns {Object[]} Rows ({ date, label, hours }) with date formatted for display
+   */
+  function getUpcomingExceptions(
+    config,
+    now = new Date(),
+    locale = i18n.DEFAULT_LOCALE,
+    days = 60
+  ) {
+    if (!isValidTimeZone(config.timeZone)) return [];
+    const today = getLocalTime(now, config.timeZone).date;
+    const last = addDays(today, days);
+    return (config.hoursExceptions || [])
+      .filter((entry) => entry.date >= today && entry.date <= last)
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map((entry) => ({
+        date: formatDate(entry.date, locale, {
+          weekday: "short",
+          month: "short",
+          day: "numeric",
+        }),
+        label: entry.label || "",
+        hours: formatPeriods(getPeriodsOn(config, entry.date).periods, locale),
+      }));
+  }
+
+  /**
+   * Names a time zone for display, e.g. "Eastern Time"
+   * @param {string} timeZone - IANA time zone
+   * @param {string} [locale] - Language code
+   * @returns {string} Generic long name, or the IANA name if the engine has none
+   */
+  function getTimeZoneName(timeZone, locale = i18n.DEFAULT_LOCALE) {
+    if (!isValidTimeZone(timeZone)) return "";
+    try {
+      const part = new Intl.DateTimeFormat(locale, {
+        timeZone,
+        timeZoneName: "longGeneric",
+      })
+        .formatToParts(new Date())
+        .find((entry) => entry.type === "timeZoneName");
+      return part ? part.value : timeZone;
+    } catch (error) {
+      // Older engines don't support "longGeneric"
+      return timeZone;
+    }
+  }
+
+  return {
+    DAYS: WEEK_ORDER,
+    DAY_LABELS,
+    getDayLabel,
+    isValidTimeZone,
+    toMinutes,
+    getLocalTime,
+    getWeeklyPeriods,
+    getStatus,
+    describeStatus,
+    getNextChange,
+    getWeeklyTable,
+    getUpcomingExceptions,
+    getTimeZoneName,
+    formatTime,
+  };
+})();
+
+module.exports = OfficeHours;
@@ -0,0 +1,371 @@
+/**
+ * Page View
+ * Describes what the config puts into index.html, element by element, as
+ * patches ({ target, text, html, attributes, classes, style }). The public page
+ * (main.mjs) applies them to the DOM after load; the static build
+ * (server/static-site.js) applies them to index.html ahead of time, so both
+ * render the same content from the same rules.
+ *
+ * Patch fields, all optional except target:
+ * - target: element id, or "body"
+ * - text: text content; html: inner HTML (already sanitized or escaped)
+ * - attributes: name → value, or null to remove the attribute
+ * - classes: class name → whether the element has it
+ * - style: CSS property (including custom properties) → value, or "" to remove it
+ */
+
+const PageView = (function () {
+  "use strict";
+
+  const i18n = require("./i18n.js");
+  const themes = require("./themes.js");
+  const richText = require("./rich-text.js");
+  const imageVariants = require("./image-variants.js");
+  const announcements = require("./announcements.js");
+
+  /**
+   * Shows or hides an element with the hidden attribute, which also takes it
+   * out of the accessibility tree
+   * @param {string} target - Element id
+   * @param {boolean} visible - Whether to show it
+   * @returns {Object} Patch
+   */
+  function show(target, visible) {
+    return { target, attributes: { hidden: visible ? null : "" } };
+  }
+
+  /**
+   * Works out the profile image to show
+   * Uploaded photos are recorded exactly in the config; other paths are
+   * resolved against the image manifest (latest pfpN.jpg, size, cache hash)
+   * @param {Object} config - Config with profileImageUrl and profileImageVariants
+   * @param {Object|null} manifest - Parsed image manifest, or null if unavailable
+   * @returns {Object} { src, width, height }, with null dimensions when unknown
+   */
+  function getProfileImage(config, manifest) {
+    const variants = config.profileImageVariants || [];
+    const image = {
+      src: config.profileImageUrl || "",
+      width: null,
+      height: null,
+    };
+    if (image.src && variants.length === 0) {
+      return imageVariants.resolveFromManifest(manifest, image.src);
+    }
+    return image;
+  }
+
+  /**
+   * Describes the <picture> sources for the uploaded sizes, with WebP where the browser supports it
+   * @param {Object[]} variants - Uploaded variants ({ src, width, height, type }), or [] to clear
+   * @returns {Object[]} Patches for the hero image and its WebP source
+   */
+  function getProfileImageVariants(variants) {
+    const jpegSrcset = imageVariants.toSrcset(variants, "image/jpeg");
+    const webpSrcset = imageVariants.toSrcset(variants, "image/webp");
+    const fallback = jpegSrcset ? imageVariants.getFallback(variants) : null;
+
+    return [
+      {
+        target: "profile-image",
+        attributes: {
+          srcset: jpegSrcset || null,
+          sizes: jpegSrcset ? imageVariants.SIZES : null,
+          width: fallback ? String(fallback.width) : null,
+          height: fallback ? String(fallback.height) : null,
+        },
+      },
+      {
+        target: "profile-image-webp",
+        attributes: {
+          srcset: webpSrcset || null,
+          sizes: webpSrcset ? imageVariants.SIZES : null,
+        },
+      },
+    ];
+  }
+
+  /**
+   * Describes the hero: name, subtitle, profile image and the accepting/waitlist badges
+   * @param {Object} config - Site config
+   * @param {Object} image - Result of getProfileImage()
+   * @param {string} [locale] - Language of the accepting status
+   * @returns {Object[]} Patches
+   */
+  function getHero(config, image, locale = i18n.DEFAULT_LOCALE) {
+    const patches = [];
+    if (config.heroName) {
+      patches.push({ target: "hero-name", text: config.heroName });
+    }
+    if (config.heroSubtitle) {
+      // Sanitized again here so cached or hand-edited configs can't inject markup
+      patches.push({
+        target: "hero-subtitle",
+        html: richText.sanitize(config.heroSubtitle),
+      });
+    }
+
+    patches.push(...getProfileImageVariants(config.profileImageVariants || []));
+    if (image.src) {
+      const attributes = { src: image.src, alt: config.heroName || "Profile" };
+      if (image.width && image.height) {
+        attributes.width = String(image.width);
+        attributes.height = String(image.height);
+      }
+      patches.push({ target: "profile-image", attributes });
+    }
+
+    const accepting = Boolean(config.acceptingPatients);
+    patches.push({
+      ...show("accepting-patients-badge", accepting),
+      classes: { active: accepting },
+    });
+    // Not accepting patients: the badge's spot links to the waitlist signup instead
+    patches.push(show("waitlist-badge", !accepting));
+    // The badge over the photo is hidden from screen readers; this line under the name says it in words
+    patches.push({
+      target: "hero-status",
+      text: i18n.translate(
+        locale,
+        accepting ? "hero.acceptingStatus" : "hero.waitlistStatus"
+      ),
+    });
+    return patches;
+  }
+
+  /**
+   * Describes the contact section's details and which of them are shown
+   * @param {Object} config - Site config
+   * @returns {Object[]} Patches
+   */
+  function getContact(config) {
+    const patches = [];
+    if (config.businessName) {
+      patches.push({
+        target: "contact-business-name",
+        text: config.businessName,
+      });
+    }
+    if (config.location) {
+      patches.push({ target: "contact-location", text: config.location });
+    }
+    if (config.contactEmail) {
+      patches.push({
+        target: "contact-email-link",
+        text: config.contactEmail,
+        attributes: { href: `mailto:${config.contactEmail}` },
+      });
+    }
+    if (config.availabilityStatus) {
+      patches.push({
+        target: "contact-availability",
+        text: config.availabilityStatus,
+      });
+    }
+
+    patches.push(
+      show("contact-field-business", config.showContactBusiness !== false),
+      show("contact-field-location", config.showContactLocation !== false),
+      show("contact-field-email", config.showContactEmail !== false),
+      show(
+        "contact-field-availability",
+        config.showContactAvailability !== false
+      )
+    );
+    return patches;
+  }
+
+  /**
+   * Shows or hides a page section together with its header nav link
+   * @param {string} id - Section id; its nav link is nav-<id>
+   * @param {boolean} visible - Whether the section has content to show
+   * @returns {Object[]} Patches
+   */
+  function showSection(id, visible) {
+    return [show(id, visible), show(`nav-${id}`, visible)];
+  }
+
+  /**
+   * Filters a content list down to the entries marked visible, in configured order
+   * @param {Object[]} items - Configured entries
+   * @returns {Object[]} Visible entries
+   */
+  function getVisibleItems(items) {
+    return (items || []).filter((item) => item.visible !== false);
+  }
+
+  /**
+   * Describes the About section: paragraphs and the credentials list
+   * @param {Object} config - Site config
+   * @returns {Object[]} Patches
+   */
+  function getAbout(config) {
+    const paragraphs = getVisibleItems(config.aboutParagraphs);
+    const credentials = getVisibleItems(config.credentials);
+    return [
+      {
+        target: "about-text",
+        html: paragraphs
+          .map((item) => `<p>${richText.escapeHtml(item.text)}</p>`)
+          .join(""),
+      },
+      {
+        target: "credentials-list",
+        html: credentials
+          .map((item) => `<li>${richText.escapeHtml(item.text)}</li>`)
+          .join(""),
+      },
+      show("about-details", credentials.length > 0),
+      ...showSection("about", paragraphs.length > 0 || credentials.length > 0),
+    ];
+  }
+
+  /**
+   * Describes the Expertise section cards
+   * @param {Object} config - Site config
+   * @returns {Object[]} Patches
+   */
+  function getExpertise(config) {
+    const cards = getVisibleItems(config.expertiseCards);
+    const html = cards
+      .map(
+        (item) =>
+          `<article class="expertise-card card"><h3 class="card-title">${richText.escapeHtml(
+            item.title
+          )}</h3><p class="card-text">${richText.escapeHtml(
+            item.text
+          )}</p></article>`
+      )
+      .join("");
+    return [
+      { target: "expertise-list", html },
+      ...showSection("expertise", cards.length > 0),
+    ];
+  }
+
+  /**
+   * Describes the Approach section items
+   * @param {Object} config - Site config
+   * @returns {Object[]} Patches
+   */
+  function getApproach(config) {
+    const items = getVisibleItems(config.approachItems);
+    const html = items
+      .map(
+        (item) =>
+          `<div class="approach-item"><h3 class="approach-title">${richText.escapeHtml(
+            item.title
+          )}</h3><p class="approach-text">${richText.escapeHtml(
+            item.text
+          )}</p></div>`
+      )
+      .join("");
+    return [
+      { target: "approach-list", html },
+      ...showSection("approach", items.length > 0),
+    ];
+  }
+
+  /**
+   * Describes the visibility settings for header logo, header nav, hero availability,
+   * hero CTA, footer copyright and the contact form
+   * @param {Object} config - Site config
+   * @returns {Object[]} Patches
+   */
+  function getVisibility(config) {
+    return [
+      show("header-logo", config.showHeaderLogo !== false),
+      show("header-nav", config.showHeaderNav !== false),
+      show("hero-availability", config.showHeroAvailability !== false),
+      show("hero-cta", config.showHeroCTA !== false),
+      show("footer-copyright", config.showFooterCopyright !== false),
+      show("inquiry-panel", config.showContactForm !== false),
+    ];
+  }
+
+  /**
+   * Describes the theme on <body>
+   * Built-in themes are body classes in styles.css; custom themes set CSS custom properties
+   * @param {Object} config - Site config
+   * @param {string} colorScheme - 'light' or 'dark'; custom themes differ in dark mode
+   * @returns {Object[]} Patches
+   */
+  function getTheme(config, colorScheme) {
+    const classes = {};
+    themes.BUILT_IN.filter((name) => name !== "default").forEach((name) => {
+      classes[`theme-${name}`] = false;
+    });
+    const style = {};
+    Object.values(themes.CSS_VARIABLES).forEach((property) => {
+      style[property] = "";
+    });
+
+    const customTheme = (config.customThemes || []).find(
+      (theme) => theme.name === config.theme
+    );
+    if (customTheme) {
+      Object.assign(style, themes.toCssVariables(customTheme, colorScheme));
+    } else if (
+      themes.BUILT_IN.includes(config.theme) &&
+      config.theme !== "default"
+    ) {
+      classes[`theme-${config.theme}`] = true;
+    }
+    return [{ target: "body", classes, style }];
+  }
+
+  /**
+   * Describes the announcements active at a moment, stacked by priority
+   * @param {Object[]} list - Configured announcements
+   * @param {Date} [now] - Moment to check
+   * @param {string} [locale] - Language of the "Learn more" links and type labels
+   * @returns {Object[]} Patch filling the announcements region
+   */
+  function getAnnouncements(
+    list,
+    now = new Date(),
+    locale = i18n.DEFAULT_LOCALE
+  ) {
+    const learnMore = richText.escapeHtml(
+      i18n.translate(locale, "announcements.learnMore")
+    );
+    const html = announcements
+      .getActive(list, now)
+      .map((announcement) => {
+        // The banner color says the type; screen readers get it in words
+        const type = richText.escapeHtml(
+          i18n.translate(locale, `announcements.${announcement.type}`)
+        );
+        const link = announcement.link
+          ? `<a href="${richText.escapeHtml(
+              announcement.link
+            )}">${learnMore}</a>`
+          : "";
+        return (
+          `<div class="urgent-banner ${richText.escapeHtml(
+            announcement.type
+          )}">` +
+          `<div class="container"><span><span class="visually-hidden">${type}: </span>${richText.escapeHtml(
+            announcement.text
+          )}</span>${link}</div></div>`
+        );
+      })
+      .join("");
+    return [{ target: "announcements", html }];
+  }
+
+  return {
+    getProfileImage,
+    getProfileImageVariants,
+    getHero,
+    getContact,
+    getAbout,
+    getExpertise,
+    getApproach,
+    getVisibility,
+    getTheme,
+    getAnnouncements,
+  };
+})();
+
+module.exports = PageView;
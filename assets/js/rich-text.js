@@ -0,0 +1,246 @@
+/**
+ * Rich Text Sanitizer
+ * Reduces admin-entered HTML to a small allow-list of formatting: bold
+ * (<strong>), italics (<em>), accent color (<span class="accent">) and links
+ * (<a href>). Works on strings without a DOM so the config server can run the
+ * same check as the admin form and the public page.
+ */
+
+const RichText = (function () {
+  "use strict";
+
+  // Allowed tags, plus legacy tags mapped onto them (browsers' bold/italic commands emit <b>/<i>)
+  const TAG_ALIASES = {
+    strong: "strong",
+    b: "strong",
+    em: "em",
+    i: "em",
+    span: "span",
+    a: "a",
+  };
+  // Tags whose content is dropped along with the tag
+  const DROP_CONTENT = [
+    "script",
+    "style",
+    "iframe",
+    "object",
+    "embed",
+    "template",
+    "noscript",
+    "textarea",
+    "title",
+  ];
+  const ALLOWED_CLASSES = ["accent"];
+  const SAFE_SCHEMES = ["http:", "https:", "mailto:"];
+
+  const TOKEN_PATTERN =
+    /<!--[\s\S]*?(?:-->|$)|<(\/?)([a-zA-Z][a-zA-Z0-9-]*)((?:[^>"']|"[^"]*"|'[^']*')*)>/g;
+  const ATTRIBUTE_PATTERN =
+    /([^\s"'>\/=]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s"'>]+)))?/g;
+
+  /**
+   * Escapes the characters that could start markup in text
+   * Ampersands are left alone: a bare "&" or an entity only ever produces text
+   * @param {string} text - Text between tags
+   * @returns {string} Escaped text
+   */
+  function escapeText(text) {
+    return text.replace(/</g, "&lt;").replace(/>/g, "&gt;");
+  }
+
+  /**
+   * Decodes the character references an attribute value may use to hide a scheme
+   * Other named references are left as written ("?a=1&b=2"), unless they come
+   * before the scheme could end, where they might spell out ":" (&colon;)
+   * @param {string} value - Raw attribute value
+   * @returns {string|null} Decoded value, or null if its scheme can't be trusted
+   */
+  function decodeAttribute(value) {
+    const named = { amp: "&", quot: '"', apos: "'", lt: "<", gt: ">" };
+    const schemeEnd = value.search(/[:/?#]/);
+    let unknownEntity = false;
+    const decoded = value.replace(
+      /&(#x[0-9a-f]+|#\d+|[a-z]+);?/gi,
+      (match, ref, offset) => {
+        if (ref[0] === "#") {
+          const code =
+            ref[1] === "x" || ref[1] === "X"
+              ? parseInt(ref.slice(2), 16)
+              : parseInt(ref.slice(1), 10);
+          return String.fromCodePoint(code <= 0x10ffff ? code : 0xfffd);
+        }
+        if (named.hasOwnProperty(ref.toLowerCase())) {
+          return named[ref.toLowerCase()];
+        }
+        if (schemeEnd === -1 || offset < schemeEnd) unknownEntity = true;
+        return match;
+      }
+    );
+    return unknownEntity ? null : decoded;
+  }
+
+  /**
+   * Checks a link target: http(s), mailto or a relative URL
+   * @param {string} rawHref - Attribute value as written
+   * @returns {string|null} Normalized URL, or null if it is not allowed
+   */
+  function safeHref(rawHref) {
+    const decoded = decodeAttribute(rawHref);
+    if (decoded === null) return null;
+
+    // Browsers ignore whitespace and control characters inside schemes ("java\tscript:")
+    const href = decoded.replace(/[\u0000- \u007f-\u009f]/g, "");
+    if (href === "") return null;
+
+    const scheme = /^([^:/?#]*:)/.exec(href);
+    if (scheme && !SAFE_SCHEMES.includes(scheme[1].toLowerCase())) {
+      return null;
+    }
+    return href;
+  }
+
+  /**
+   * Escapes text for a double-quoted HTML attribute or an element
+   * Also used by PageView and Seo for the markup they build from the config
+   * @param {string} text - Raw text
+   * @returns {string} Escaped text
+   */
+  function escapeHtml(text) {
+    return String(text)
+      .replace(/&/g, "&amp;")
+      .replace(/</g, "&lt;")
+      .replace(/>/g, "&gt;")
+      .replace(/"/g, "&quot;");
+  }
+
+  /**
+   * Parses a tag's attribute string
+   * @param {string} source - Everything between the tag name and ">"
+   * @returns {Object} Attribute values keyed by lower-case name
+   */
+  function parseAttributes(source) {
+    const attributes = {};
+    let match;
+    ATTRIBUTE_PATTERN.lastIndex = 0;
+    while ((match = ATTRIBUTE_PATTERN.exec(source))) {
+      const name = match[1].toLowerCase();
+      if (!attributes.hasOwnProperty(name)) {
+        attributes[name] =
+          match[2] !== undefined
+            ? match[2]
+            : match[3] !== undefined
+            ? match[3]
+            : match[4] || "";
+      }
+    }
+    return attributes;
+  }
+
+  /**
+   * Builds the opening tag kept for an allowed element
+   * @param {string} tag - Allowed tag name
+   * @param {Object} attributes - Parsed attributes
+   * @returns {string|null} Opening tag, or null if the element should be unwrapped
+   */
+  function openingTag(tag, attributes) {
+    if (tag === "span") {
+      const classes = (attributes.class || "")
+        .split(/\s+/)
+        .filter((name) => ALLOWED_CLASSES.includes(name));
+      return classes.length > 0 ? `<span class="${classes.join(" ")}">` : null;
+    }
+    if (tag === "a") {
+      const href = safeHref(attributes.href || "");
+      return href ? `<a href="${escapeHtml(href)}">` : null;
+    }
+    return `<${tag}>`;
+  }
+
+  /**
+   * Reduces HTML to the allowed formatting
+   * Disallowed tags are removed (keeping their text, except for scripts and
+   * similar), attributes are dropped unless allowed, and tags are balanced.
+   * The result is stable: sanitizing it again returns it unchanged.
+   * @param {string} html - Untrusted HTML
+   * @returns {string} Safe HTML
+   */
+  function sanitize(html) {
+    if (typeof html !== "string") return "";
+
+    const output = [];
+    // Open allowed elements: { tag, kept } where kept is false for unwrapped ones
+    const stack = [];
+    let dropUntil = null;
+    let lastIndex = 0;
+    let match;
+
+    TOKEN_PATTERN.lastIndex = 0;
+    while ((match = TOKEN_PATTERN.exec(html))) {
+      const text = html.slice(lastIndex, match.index);
+      lastIndex = TOKEN_PATTERN.lastIndex;
+      if (!dropUntil) {
+        output.push(escapeText(text));
+      }
+
+      const [token, closing, rawName, attributeSource] = [
+        match[0],
+        match[1],
+        match[2],
+        match[3],
+      ];
+      if (!rawName) continue; // comment
+
+      const name = rawName.toLowerCase();
+      if (dropUntil) {
+        if (closing && name === dropUntil) dropUntil = null;
+        continue;
+      }
+      if (DROP_CONTENT.includes(name)) {
+        if (!closing && !/\/\s*$/.test(token.slice(0, -1))) dropUntil = name;
+        continue;
+      }
+
+      const tag = TAG_ALIASES[name];
+      if (!tag) continue;
+
+      if (!closing) {
+        const opening = openingTag(tag, parseAttributes(attributeSource));
+        stack.push({ tag, kept: opening !== null });
+        if (opening) output.push(opening);
+        continue;
+      }
+
+      // Close the innermost matching element, and any left open inside it
+      const index = stack.map((entry) => entry.tag).lastIndexOf(tag);
+      if (index === -1) continue;
+      stack
+        .splice(index)
+        .reverse()
+        .forEach((entry) => {
+          if (entry.kept) output.push(`</${entry.tag}>`);
+        });
+    }
+
+    if (!dropUntil) {
+      output.push(escapeText(html.slice(lastIndex)));
+    }
+    stack.reverse().forEach((entry) => {
+      if (entry.kept) output.push(`</${entry.tag}>`);
+    });
+
+    return output.join("");
+  }
+
+  /**
+   * Strips all markup, leaving the visible text
+   * @param {string} html - HTML
+   * @returns {string} Text content (entities left as written)
+   */
+  function toPlainText(html) {
+    return sanitize(html).replace(/<[^>]*>/g, "");
+  }
+
+  return { sanitize, toPlainText, escapeHtml };
+})();
+
+module.exports = RichText;
@@ -0,0 +1,1028 @@
+/**
+ * Configuration Schema
+ * Declares the type, constraints and admin form layout of every config key,
+ * and validates configs against them. Shared by ConfigManager, the admin
+ * form and the config server so all three enforce the same rules.
+ */
+
+const ConfigSchema = (function () {
+  "use strict";
+
+  const i18n = require("./i18n.js");
+  const themes = require("./themes.js");
+  const imageVariants = require("./image-variants.js");
+  const richText = require("./rich-text.js");
+  const officeHours = require("./office-hours.js");
+
+  const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+  // Digits with optional +, spaces, dots, dashes and parentheses, e.g. (410) 555-0123
+  const PHONE_PATTERN = /^\+?[\d\s().-]{7,20}$/;
+  // Absolute http(s) URLs or relative paths; rejects javascript:, data: etc.
+  const URL_PATTERN = /^(?:https?:\/\/[^\s]+|[^\s:]+)$/i;
+  const COLOR_PATTERN = /^#[0-9a-f]{6}$/i;
+  // ISO 8601 date-time with an explicit offset, e.g. 2026-12-24T09:00:00.000Z
+  const DATETIME_PATTERN =
+    /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(?:Z|[+-]\d{2}:\d{2})$/;
+  // 24-hour wall-clock time, e.g. 09:00
+  const TIME_PATTERN = /^(?:[01]\d|2[0-3]):[0-5]\d$/;
+  const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+  // Languages a translation can be for; English is the text in the fields themselves
+  const TRANSLATION_LOCALES = Object.keys(i18n.LOCALE_NAMES).filter(
+    (locale) => locale !== i18n.DEFAULT_LOCALE
+  );
+
+  const TYPE_NAMES = {
+    string: "a string",
+    boolean: "a boolean",
+    number: "a number",
+    array: "a list",
+  };
+
+  /**
+   * Rule for the show/hide checkbox on editable content entries
+   * @returns {Object} Boolean item rule, checked for new entries
+   */
+  function contentVisibility() {
+    return {
+      type: "boolean",
+      label: "Show on site",
+      default: true,
+    };
+  }
+
+  /**
+   * Rule for one required color of a custom theme
+   * @param {string} label - Field label
+   * @param {string} defaultValue - Color used for new themes
+   * @returns {Object} Color item rule
+   */
+  function themeColor(label, defaultValue) {
+    return {
+      type: "string",
+      label,
+      required: true,
+      format: "color",
+      inputType: "color",
+      default: defaultValue,
+    };
+  }
+
+  /**
+   * Rule for a font choice of a custom theme
+   * @param {string} label - Field label
+   * @param {string} defaultValue - Font used for new themes
+   * @returns {Object} Font item rule
+   */
+  function themeFont(label, defaultValue) {
+    return {
+      type: "string",
+      label,
+      required: true,
+      enum: Object.keys(themes.FONT_STACKS),
+      optionLabels: {
+        system: "System sans-serif",
+        poppins: "Poppins",
+        serif: "Georgia (serif)",
+      },
+      default: defaultValue,
+    };
+  }
+
+  /**
+   * Rule for an opening or closing time of office hours
+   * @param {string} label - Field label
+   * @param {Object} [options] - Extra rule properties (required, default)
+   * @returns {Object} Time item rule
+   */
+  function officeTime(label, options = {}) {
+    return {
+      type: "string",
+      label,
+      format: "time",
+      inputType: "time",
+      ...options,
+    };
+  }
+
+  /**
+   * Item rules for a titled content block (expertise cards, approach items)
+   * @returns {Object} Item rules keyed by item key
+   */
+  function contentBlockItems() {
+    return {
+      title: {
+        type: "string",
+        label: "Title",
+        required: true,
+        maxLength: 100,
+        translatable: true,
+      },
+      text: {
+        type: "string",
+        label: "Text",
+        required: true,
+        maxLength: 600,
+        control: "textarea",
+        translatable: true,
+      },
+      visible: contentVisibility(),
+    };
+  }
+
+  /**
+   * Admin form sections, in display order
+   * Fields without a known section are listed under "Other Settings"
+   */
+  const sections = [
+    { id: "banner", title: "Announcements" },
+    { id: "theme", title: "Theme" },
+    { id: "hero", title: "Hero/Profile" },
+    { id: "about", title: "About" },
+    { id: "expertise", title: "Expertise" },
+    { id: "approach", title: "Approach" },
+    { id: "hours", title: "Office Hours" },
+    { id: "booking", title: "Appointments" },
+    { id: "contact", title: "Contact Information" },
+    { id: "seo", title: "Search & Sharing" },
+    { id: "languages", title: "Languages" },
+  ];
+
+  /**
+   * Field rules keyed by config key, in admin form order
+   * Validation: type ("string" | "boolean" | "number" | "array"); optional required,
+   * maxLength, enum, format ("email" | "phone" | "url" | "datetime" | "date" | "time" | "timezone" |
+   * "color" | "richtext"), min, max, and
+   * validateWith(value, config) for checks that depend on other keys
+   * Arrays: items (field rules for each entry object), itemLabel, maxItems and
+   * an optional validateItem(item) returning extra messages for one entry;
+   * item rules may set a default used for entries added in the admin form
+   * Admin form: label, section; optional control ("textarea" | "richtext" | "image",
+   * whose uploads fill the hidden field named by variantsField | "hidden", a
+   * JSON-encoded value set by another control | "translations", the editor for the
+   * translations field), inputType, optionLabels, placeholder, help;
+   * options (select choices that are not enforced as an enum) and optionsFrom (a list
+   * field whose entries' names are appended to the options)
+   * Translation: translatable marks text (top-level or item rules) that can be given
+   * in other languages under Languages; see getTranslatableFields()
+   */
+  const fields = {
+    announcements: {
+      type: "array",
+      label: "Announcements",
+      section: "banner",
+      itemLabel: "Announcement",
+      maxItems: 20,
+      help: "Active announcements are shown at the top of the site, highest priority first",
+      items: {
+        type: {
+          type: "string",
+          label: "Type",
+          required: true,
+          enum: ["info", "urgent", "warning"],
+          optionLabels: {
+            info: "Info (Blue)",
+            urgent: "Urgent (Red)",
+            warning: "Warning (Orange)",
+          },
+        },
+        text: {
+          type: "string",
+          label: "Message",
+          required: true,
+          maxLength: 300,
+          control: "textarea",
+          translatable: true,
+          placeholder:
+            "e.g., Winter Break: CarenexLLC is not accepting new clients from Dec 24 – Jan 2.",
+        },
+        link: {
+          type: "string",
+          label: "Link",
+          maxLength: 500,
+          format: "url",
+          placeholder: "https://example.com/holiday-hours",
+          help: "Optional page with more details",
+        },
+        startsAt: {
+          type: "string",
+          label: "Starts",
+          format: "datetime",
+          inputType: "datetime-local",
+          help: "Leave empty to show it right away",
+        },
+        endsAt: {
+          type: "string",
+          label: "Ends",
+          format: "datetime",
+          inputType: "datetime-local",
+          help: "Leave empty to keep showing it",
+        },
+        priority: {
+          type: "number",
+          label: "Priority",
+          min: 0,
+          max: 100,
+          inputType: "number",
+          help: "Higher numbers are shown first",
+        },
+      },
+      validateItem(item) {
+        if (
+          item.startsAt &&
+          item.endsAt &&
+          Date.parse(item.endsAt) <= Date.parse(item.startsAt)
+        ) {
+          return ["Ends must be after Starts"];
+        }
+        return [];
+      },
+    },
+    theme: {
+      type: "string",
+      label: "Theme",
+      section: "theme",
+      options: themes.BUILT_IN,
+      optionsFrom: "customThemes",
+      optionLabels: {
+        default: "Default (Professional Blue/Teal)",
+        winter: "Winter (Cool Blues)",
+        spring: "Spring (Softer Green Accent)",
+        autumn: "Autumn (Muted Warm Accent)",
+      },
+      validateWith(value, config) {
+        const custom = Array.isArray(config.customThemes)
+          ? config.customThemes.map((theme) => theme && theme.name)
+          : [];
+        if (themes.BUILT_IN.includes(value) || custom.includes(value)) {
+          return [];
+        }
+        return [
+          `Theme must be one of: ${themes.BUILT_IN.join(
+            ", "
+          )} or a custom theme name`,
+        ];
+      },
+    },
+    darkModeEnabled: {
+      type: "boolean",
+      label: "Offer dark mode",
+      section: "theme",
+      help: "Follows each visitor's system setting and adds a light/dark toggle to the header",
+    },
+    customThemes: {
+      type: "array",
+      label: "Custom themes",
+      section: "theme",
+      itemLabel: "Theme",
+      maxItems: 10,
+      help: "Define a theme here, save, then pick it from the Theme list above. Color combinations that are hard to read are rejected.",
+      items: {
+        name: {
+          type: "string",
+          label: "Name",
+          required: true,
+          maxLength: 40,
+          placeholder: "e.g., Holiday",
+        },
+        primaryColor: themeColor(
+          "Primary color (headings, buttons)",
+          "#1f4e79"
+        ),
+        accentColor: themeColor("Accent color (links, badges)", "#247a6d"),
+        backgroundColor: themeColor("Background color", "#f7f9fb"),
+        textColor: themeColor("Text color", "#333333"),
+        headingFont: themeFont("Heading font", "poppins"),
+        bodyFont: themeFont("Body font", "system"),
+      },
+      validateItem(item) {
+        const errors = [];
+        if (themes.BUILT_IN.includes(item.name)) {
+          errors.push(
+            `Name "${item.name}" is already used by a built-in theme`
+          );
+        }
+        themes.checkContrast(item).forEach((check) => {
+          errors.push(
+            `${check.label} has a contrast ratio of ${check.ratio.toFixed(
+              2
+            )}:1; at least ${check.minimum}:1 is needed`
+          );
+        });
+        return errors;
+      },
+      validateWith(value) {
+        const names = value.map((theme) => theme.name);
+        const duplicates = names.filter(
+          (name, index) => names.indexOf(name) !== index
+        );
+        return duplicates.length > 0
+          ? [`Theme names must be unique (repeated: ${duplicates.join(", ")})`]
+          : [];
+      },
+    },
+    profileImageUrl: {
+      type: "string",
+      label: "Profile image URL",
+      section: "hero",
+      maxLength: 500,
+      format: "url",
+      control: "image",
+      variantsField: "profileImageVariants",
+      placeholder: "https://example.com/image.jpg",
+      help: "Upload a photo below, or enter a URL to your profile image",
+    },
+    profileImageVariants: {
+      type: "array",
+      label: "Profile image sizes",
+      section: "hero",
+      control: "hidden",
+      itemLabel: "Image size",
+      maxItems: imageVariants.WIDTHS.length * imageVariants.TYPES.length,
+      items: {
+        src: {
+          type: "string",
+          label: "Image path",
+          required: true,
+          maxLength: 500,
+          format: "url",
+        },
+        width: { type: "number", label: "Width", required: true, min: 1 },
+        height: { type: "number", label: "Height", required: true, min: 1 },
+        type: {
+          type: "string",
+          label: "Format",
+          required: true,
+          enum: imageVariants.TYPES,
+        },
+      },
+    },
+    heroName: {
+      type: "string",
+      label: "Display name",
+      section: "hero",
+      required: true,
+      maxLength: 100,
+      placeholder: "Your Name, DNP, FNP-C",
+    },
+    heroSubtitle: {
+      type: "string",
+      label: "Hero subtitle",
+      section: "hero",
+      maxLength: 300,
+      format: "richtext",
+      control: "richtext",
+      translatable: true,
+      help: "Select text and use the buttons to make it bold, italic, accent-colored or a link",
+    },
+    acceptingPatients: {
+      type: "boolean",
+      label: "Accepting new patients",
+      section: "hero",
+      help: "Shows the badge and lets visitors request the open times under Appointments; untick to offer a waitlist signup instead",
+    },
+    availabilityStatus: {
+      type: "string",
+      label: "Availability status",
+      section: "hero",
+      maxLength: 200,
+      translatable: true,
+      placeholder:
+        "e.g., Limited appointments available Friday–Sunday, 9:00 AM–5:00 PM",
+      help: "Shown in the contact section, and under the consultation button when no office hours are set",
+    },
+    showHeaderLogo: {
+      type: "boolean",
+      label: "Show header logo",
+      section: "hero",
+    },
+    showHeaderNav: {
+      type: "boolean",
+      label: "Show header navigation",
+      section: "hero",
+    },
+    showHeroAvailability: {
+      type: "boolean",
+      label: "Show hero availability text",
+      section: "hero",
+    },
+    showHeroCTA: {
+      type: "boolean",
+      label: "Show consultation button",
+      section: "hero",
+    },
+    showFooterCopyright: {
+      type: "boolean",
+      label: "Show footer copyright",
+      section: "hero",
+    },
+    aboutParagraphs: {
+      type: "array",
+      label: "About paragraphs",
+      section: "about",
+      itemLabel: "Paragraph",
+      maxItems: 6,
+      items: {
+        text: {
+          type: "string",
+          label: "Text",
+          required: true,
+          maxLength: 1200,
+          control: "textarea",
+          translatable: true,
+        },
+        visible: contentVisibility(),
+      },
+    },
+    credentials: {
+      type: "array",
+      label: "Credentials",
+      section: "about",
+      itemLabel: "Credential",
+      maxItems: 12,
+      items: {
+        text: {
+          type: "string",
+          label: "Credential",
+          required: true,
+          maxLength: 150,
+          translatable: true,
+          placeholder: "e.g., Family Nurse Practitioner (FNP)",
+        },
+        visible: contentVisibility(),
+      },
+    },
+    expertiseCards: {
+      type: "array",
+      label: "Expertise cards",
+      section: "expertise",
+      itemLabel: "Card",
+      maxItems: 9,
+      items: contentBlockItems(),
+    },
+    approachItems: {
+      type: "array",
+      label: "Approach items",
+      section: "approach",
+      itemLabel: "Item",
+      maxItems: 9,
+      items: contentBlockItems(),
+    },
+    timeZone: {
+      type: "string",
+      label: "Time zone",
+      section: "hours",
+      required: true,
+      maxLength: 60,
+      format: "timezone",
+      placeholder: "America/New_York",
+      help: "Office hours are in this time zone, wherever the visitor is",
+    },
+    officeHours: {
+      type: "array",
+      label: "Weekly hours",
+      section: "hours",
+      itemLabel: "Opening period",
+      maxItems: 21,
+      help: "Add a period for each day you are open; add two for a lunch break. Leave empty to show the availability status text instead.",
+      items: {
+        day: {
+          type: "string",
+          label: "Day",
+          required: true,
+          enum: officeHours.DAYS,
+          optionLabels: officeHours.DAY_LABELS,
+        },
+        opens: officeTime("Opens", { required: true, default: "09:00" }),
+        closes: officeTime("Closes", { required: true, default: "17:00" }),
+      },
+      validateItem(item) {
+        return item.closes > item.opens ? [] : ["Closes must be after Opens"];
+      },
+    },
+    hoursExceptions: {
+      type: "array",
+      label: "Closures and exceptions",
+      section: "hours",
+      itemLabel: "Closure or exception",
+      maxItems: 30,
+      help: "Holidays and one-off changes replace the weekly hours for that date",
+      items: {
+        date: {
+          type: "string",
+          label: "Date",
+          required: true,
+          format: "date",
+          inputType: "date",
+        },
+        label: {
+          type: "string",
+          label: "Reason",
+          maxLength: 80,
+          translatable: true,
+          placeholder: "e.g., Thanksgiving",
+        },
+        closed: {
+          type: "boolean",
+          label: "Closed all day",
+          default: true,
+        },
+        opens: officeTime("Opens", {
+          help: "For special hours, untick Closed all day",
+        }),
+        closes: officeTime("Closes"),
+      },
+      validateItem(item) {
+        if (item.closed) return [];
+        if (!item.opens || !item.closes) {
+          return ["Set Opens and Closes, or tick Closed all day"];
+        }
+        return item.closes > item.opens ? [] : ["Closes must be after Opens"];
+      },
+      validateWith(value) {
+        const dates = value.map((entry) => entry.date);
+        const duplicates = dates.filter(
+          (date, index) => dates.indexOf(date) !== index
+        );
+        return duplicates.length > 0
+          ? [
+              `Each date can only have one entry (repeated: ${duplicates.join(
+                ", "
+              )})`,
+            ]
+          : [];
+      },
+    },
+    appointmentTypes: {
+      type: "array",
+      label: "Appointment types",
+      section: "booking",
+      itemLabel: "Appointment type",
+      maxItems: 12,
+      help: "Visitors can request an appointment once there is a visible type and an open time below, while you are accepting new patients",
+      items: {
+        name: {
+          type: "string",
+          label: "Name",
+          required: true,
+          maxLength: 80,
+          placeholder: "e.g., New patient consultation",
+        },
+        duration: {
+          type: "number",
+          label: "Length (minutes)",
+          required: true,
+          min: 10,
+          max: 240,
+          inputType: "number",
+          default: 30,
+        },
+        description: {
+          type: "string",
+          label: "Description",
+          maxLength: 200,
+          translatable: true,
+        },
+        visible: contentVisibility(),
+      },
+      validateWith(value) {
+        const names = value.map((type) => type.name);
+        const duplicates = names.filter(
+          (name, index) => names.indexOf(name) !== index
+        );
+        return duplicates.length > 0
+          ? [
+              `Appointment type names must be unique (repeated: ${duplicates.join(
+                ", "
+              )})`,
+            ]
+          : [];
+      },
+    },
+    appointmentSlots: {
+      type: "array",
+      label: "Open times",
+      section: "booking",
+      itemLabel: "Open time",
+      maxItems: 200,
+      help: "Start times visitors can request, in the office hours time zone. A requested time stays held until you decline or cancel the request; past times are hidden automatically.",
+      items: {
+        date: {
+          type: "string",
+          label: "Date",
+          required: true,
+          format: "date",
+          inputType: "date",
+        },
+        time: officeTime("Time", { required: true, default: "09:00" }),
+      },
+      validateWith(value) {
+        const keys = value.map((slot) => `${slot.date} ${slot.time}`);
+        const duplicates = keys.filter(
+          (key, index) => keys.indexOf(key) !== index
+        );
+        return duplicates.length > 0
+          ? [
+              `Each time can only be listed once (repeated: ${duplicates.join(
+                ", "
+              )})`,
+            ]
+          : [];
+      },
+    },
+    businessName: {
+      type: "string",
+      label: "Business name",
+      section: "contact",
+      maxLength: 100,
+      placeholder: "CarenexLLC",
+    },
+    showContactBusiness: {
+      type: "boolean",
+      label: "Show Business field",
+      section: "contact",
+    },
+    location: {
+      type: "string",
+      label: "Location",
+      section: "contact",
+      maxLength: 150,
+      placeholder: "Harford County, Maryland",
+    },
+    showContactLocation: {
+      type: "boolean",
+      label: "Show Location field",
+      section: "contact",
+    },
+    contactEmail: {
+      type: "string",
+      label: "Contact email",
+      section: "contact",
+      required: true,
+      maxLength: 254,
+      format: "email",
+      inputType: "email",
+      placeholder: "carenex.np@gmail.com",
+    },
+    showContactEmail: {
+      type: "boolean",
+      label: "Show Email field",
+      section: "contact",
+    },
+    showContactAvailability: {
+      type: "boolean",
+      label: "Show Availability field",
+      section: "contact",
+    },
+    showContactForm: {
+      type: "boolean",
+      label: "Show contact form",
+      section: "contact",
+      help: "Lets visitors send a message to the Inbox below; when there is nothing to book, the consultation button opens the form instead of an email",
+    },
+    siteUrl: {
+      type: "string",
+      label: "Site address",
+      section: "seo",
+      maxLength: 200,
+      format: "url",
+      placeholder: "https://www.example.com/",
+      help: "The public address of this page. Search results and shared links use it; the title, description and business details come from the fields above",
+      validateWith(value) {
+        return value && !/^https?:\/\//i.test(value)
+          ? ["Site address must start with http:// or https://"]
+          : [];
+      },
+    },
+    languages: {
+      type: "array",
+      label: "Other languages",
+      section: "languages",
+      itemLabel: "Language",
+      maxItems: TRANSLATION_LOCALES.length,
+      help: "English is always offered. Languages added here are listed in the header's language menu; text without a translation below stays in English.",
+      items: {
+        locale: {
+          type: "string",
+          label: "Language",
+          required: true,
+          enum: TRANSLATION_LOCALES,
+          optionLabels: Object.fromEntries(
+            TRANSLATION_LOCALES.map((locale) => [
+              locale,
+              `${i18n.LOCALE_NAMES[locale]} (${locale})`,
+            ])
+          ),
+        },
+      },
+      validateWith(value) {
+        const locales = value.map((entry) => entry.locale);
+        const duplicates = locales.filter(
+          (locale, index) => locales.indexOf(locale) !== index
+        );
+        return duplicates.length > 0
+          ? [
+              `Each language can only be added once (repeated: ${duplicates.join(
+                ", "
+              )})`,
+            ]
+          : [];
+      },
+    },
+    translations: {
+      type: "array",
+      label: "Translations",
+      section: "languages",
+      control: "translations",
+      itemLabel: "Translation",
+      maxItems: 500,
+      help: "Each translation belongs to the English text it was written for; when that text changes, the translation is listed as missing again.",
+      items: {
+        locale: {
+          type: "string",
+          label: "Language",
+          required: true,
+          enum: TRANSLATION_LOCALES,
+        },
+        field: {
+          type: "string",
+          label: "Field",
+          required: true,
+          maxLength: 60,
+        },
+        source: {
+          type: "string",
+          label: "English text",
+          required: true,
+          maxLength: 1200,
+        },
+        text: {
+          type: "string",
+          label: "Translation",
+          required: true,
+          maxLength: 2000,
+        },
+      },
+      validateItem(item) {
+        const field = getTranslatableFields().find(
+          (candidate) => candidate.path === item.field
+        );
+        if (!field) {
+          return [`"${item.field}" is not a translatable field`];
+        }
+        if (
+          field.rule.format === "richtext" &&
+          richText.sanitize(item.text) !== item.text
+        ) {
+          return [
+            "Translation may only use bold, italics, accent color and links",
+          ];
+        }
+        return [];
+      },
+    },
+  };
+
+  /**
+   * Lists the text fields marked translatable, in admin form order
+   * @returns {Object[]} { path, key, itemKey, rule, label } where path is the config key,
+   *   or "key.itemKey" for a field of every entry of a list (itemKey is null otherwise)
+   */
+  function getTranslatableFields() {
+    const translatable = [];
+    Object.keys(fields).forEach((key) => {
+      const rule = fields[key];
+      if (rule.translatable) {
+        translatable.push({
+          path: key,
+          key,
+          itemKey: null,
+          rule,
+          label: rule.label,
+        });
+      }
+      Object.keys(rule.items || {}).forEach((itemKey) => {
+        if (!rule.items[itemKey].translatable) return;
+        translatable.push({
+          path: `${key}.${itemKey}`,
+          key,
+          itemKey,
+          rule: rule.items[itemKey],
+          label: `${rule.label}: ${rule.items[itemKey].label}`,
+        });
+      });
+    });
+    return translatable;
+  }
+
+  /**
+   * Validates a single value against its rule
+   * @param {*} value - Value to check
+   * @param {Object} rule - Field rule from the schema
+   * @returns {string[]} Error messages (empty when valid)
+   */
+  function validateField(value, rule) {
+    const errors = [];
+    const label = rule.label;
+
+    if (value === undefined || value === null || value === "") {
+      if (rule.required) {
+        errors.push(`${label} is required`);
+      }
+      return errors;
+    }
+
+    const type = Array.isArray(value) ? "array" : typeof value;
+    if (type !== rule.type || (type === "number" && !Number.isFinite(value))) {
+      errors.push(`${label} must be ${TYPE_NAMES[rule.type]}`);
+      return errors;
+    }
+
+    if (rule.type === "array") {
+      return errors.concat(validateItems(value, rule));
+    }
+
+    if (rule.min !== undefined && value < rule.min) {
+      errors.push(`${label} must be at least ${rule.min}`);
+    }
+
+    if (rule.max !== undefined && value > rule.max) {
+      errors.push(`${label} must be at most ${rule.max}`);
+    }
+
+    if (rule.maxLength && value.length > rule.maxLength) {
+      errors.push(`${label} must be at most ${rule.maxLength} characters`);
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      errors.push(`${label} must be one of: ${rule.enum.join(", ")}`);
+    }
+
+    if (rule.format === "email" && !EMAIL_PATTERN.test(value)) {
+      errors.push(`${label} must be a valid email address`);
+    }
+
+    if (
+      rule.format === "phone" &&
+      (!PHONE_PATTERN.test(value) || value.replace(/\D/g, "").length < 7)
+    ) {
+      errors.push(`${label} must be a phone number such as (410) 555-0123`);
+    }
+
+    if (rule.format === "url" && !URL_PATTERN.test(value)) {
+      errors.push(`${label} must be a web address or a relative path`);
+    }
+
+    if (rule.format === "richtext" && richText.sanitize(value) !== value) {
+      errors.push(
+        `${label} may only use bold, italics, accent color and links`
+      );
+    }
+
+    if (rule.format === "color" && !COLOR_PATTERN.test(value)) {
+      errors.push(`${label} must be a color such as #1f4e79`);
+    }
+
+    if (rule.format === "time" && !TIME_PATTERN.test(value)) {
+      errors.push(`${label} must be a time such as 09:00`);
+    }
+
+    if (
+      rule.format === "date" &&
+      (!DATE_PATTERN.test(value) ||
+        Number.isNaN(Date.parse(value)) ||
+        new Date(value).toISOString().slice(0, 10) !== value)
+    ) {
+      errors.push(`${label} must be a valid date`);
+    }
+
+    if (rule.format === "timezone" && !officeHours.isValidTimeZone(value)) {
+      errors.push(
+        `${label} must be an IANA time zone such as America/New_York`
+      );
+    }
+
+    if (
+      rule.format === "datetime" &&
+      (!DATETIME_PATTERN.test(value) || Number.isNaN(Date.parse(value)))
+    ) {
+      errors.push(`${label} must be a valid date and time`);
+    }
+
+    return errors;
+  }
+
+  /**
+   * Validates the entries of an array field
+   * Messages are prefixed with the entry's position, e.g. "Announcement 2: Message is required"
+   * @param {Array} items - Entries to check
+   * @param {Object} rule - Array field rule
+   * @returns {string[]} Error messages (empty when valid)
+   */
+  function validateItems(items, rule) {
+    const errors = [];
+    const itemLabel = rule.itemLabel || "Item";
+
+    if (rule.maxItems && items.length > rule.maxItems) {
+      errors.push(`${rule.label} can have at most ${rule.maxItems} entries`);
+    }
+
+    items.forEach((item, index) => {
+      const prefix = `${itemLabel} ${index + 1}`;
+      if (!item || typeof item !== "object" || Array.isArray(item)) {
+        errors.push(`${prefix} must be an object`);
+        return;
+      }
+      const result = validateConfig(item, rule.items);
+      if (!result.valid) {
+        Object.keys(result.errors).forEach((key) => {
+          result.errors[key].forEach((message) => {
+            errors.push(`${prefix}: ${message}`);
+          });
+        });
+        return;
+      }
+      if (rule.validateItem) {
+        rule.validateItem(item).forEach((message) => {
+          errors.push(`${prefix}: ${message}`);
+        });
+      }
+    });
+
+    return errors;
+  }
+
+  /**
+   * Validates a full configuration object
+   * @param {Object} config - Configuration to check
+   * @param {Object} [schema] - Field rules (defaults to the site schema)
+   * @returns {Object} { valid, errors } where errors maps field names to message lists
+   */
+  function validateConfig(config, schema = fields) {
+    const errors = {};
+
+    if (!config || typeof config !== "object" || Array.isArray(config)) {
+      return {
+        valid: false,
+        errors: { _config: ["Configuration must be an object"] },
+      };
+    }
+
+    Object.keys(schema).forEach((key) => {
+      const fieldErrors = validateField(config[key], schema[key]);
+      if (
+        fieldErrors.length === 0 &&
+        config[key] !== undefined &&
+        schema[key].validateWith
+      ) {
+        fieldErrors.push(...schema[key].validateWith(config[key], config));
+      }
+      if (fieldErrors.length > 0) {
+        errors[key] = fieldErrors;
+      }
+    });
+
+    Object.keys(config).forEach((key) => {
+      if (!schema.hasOwnProperty(key)) {
+        errors[key] = [`Unknown setting "${key}"`];
+      }
+    });
+
+    return { valid: Object.keys(errors).length === 0, errors };
+  }
+
+  /**
+   * Builds a config containing only known keys with valid values,
+   * falling back to the defaults for anything missing or invalid
+   * @param {Object} config - Possibly invalid configuration
+   * @param {Object} defaults - Default configuration
+   * @param {Object} [schema] - Field rules (defaults to the site schema)
+   * @returns {Object} Sanitized configuration
+   */
+  function sanitizeConfig(config, defaults, schema = fields) {
+    const source = config && typeof config === "object" ? config : {};
+    const result = {};
+
+    Object.keys(schema).forEach((key) => {
+      const value = source[key];
+      const rule = schema[key];
+      const usable =
+        value !== undefined &&
+        validateField(value, rule).length === 0 &&
+        (!rule.validateWith || rule.validateWith(value, source).length === 0);
+      result[key] = usable ? value : defaults[key];
+    });
+
+    return result;
+  }
+
+  return {
+    sections,
+    fields,
+    validateField,
+    validateConfig,
+    sanitizeConfig,
+    getTranslatableFields,
+  };
+})();
+
+module.exports = ConfigSchema;
@@ -0,0 +1,369 @@
+/**
+ * Search and Sharing Metadata
+ * Builds the page title, description, Open Graph and Twitter card tags and the
+ * schema.org JSON-LD from the config. Shared by the public page (keeps the head
+ * in sync with the config it applies) and the config server (renders the
+ * published values into index.html for crawlers that don't run scripts).
+ */
+
+const Seo = (function () {
+  "use strict";
+
+  const i18n = require("./i18n.js");
+  const richText = require("./rich-text.js");
+  const officeHours = require("./office-hours.js");
+
+  // Search results cut descriptions off around here
+  const DESCRIPTION_LENGTH = 160;
+  // Closures and special hours are announced this far ahead
+  const SPECIAL_HOURS_DAYS = 60;
+  const ENTITIES = {
+    "&amp;": "&",
+    "&lt;": "<",
+    "&gt;": ">",
+    "&quot;": '"',
+    "&#39;": "'",
+    "&nbsp;": " ",
+  };
+
+  /**
+   * Turns the hero subtitle's markup into plain text
+   * @param {string} html - Rich text
+   * @returns {string} Text with entities decoded and whitespace collapsed
+   */
+  function toText(html) {
+    return richText
+      .toPlainText(html || "")
+      .replace(/&(?:amp|lt|gt|quot|#39|nbsp);/g, (entity) => ENTITIES[entity])
+      .replace(/\s+/g, " ")
+      .trim();
+  }
+
+  /**
+   * Shortens text to a whole word, marking the cut with an ellipsis
+   * @param {string} text - Text to shorten
+   * @param {number} length - Maximum length including the ellipsis
+   * @returns {string} Text of at most length characters
+   */
+  function truncate(text, length) {
+    if (text.length <= length) return text;
+    const cut = text.slice(0, length - 1);
+    const lastSpace = cut.lastIndexOf(" ");
+    return `${(lastSpace > 0 ? cut.slice(0, lastSpace) : cut).replace(
+      /[\s.,;:–-]+$/,
+      ""
+    )}…`;
+  }
+
+  /**
+   * Resolves a path against the site address
+   * @param {string} src - Relative path or absolute URL
+   * @param {string} [baseUrl] - Absolute page address
+   * @returns {string} Absolute URL when it can be resolved, otherwise src
+   */
+  function toAbsolute(src, baseUrl) {
+    if (!src) return "";
+    try {
+      return new URL(src, baseUrl || undefined).href;
+    } catch (error) {
+      return src;
+    }
+  }
+
+  /**
+   * Works out the page address: the configured site address, else the one the page was loaded from
+   * @param {Object} config - Config with siteUrl
+   * @param {string} [pageUrl] - Address the page was requested at
+   * @returns {string} Absolute address without query or fragment, or "" when unknown
+   */
+  function getPageUrl(config, pageUrl) {
+    const address = config.siteUrl || pageUrl;
+    if (!address) return "";
+    try {
+      const url = new URL(address);
+      url.search = "";
+      url.hash = "";
+      return url.href;
+    } catch (error) {
+      return "";
+    }
+  }
+
+  /**
+   * Picks the image shared with links: the largest uploaded JPEG, else the image URL
+   * @param {Object} config - Config with profileImageUrl and profileImageVariants
+   * @returns {string} Image path or URL
+   */
+  function getImage(config) {
+    const jpegs = (config.profileImageVariants || [])
+      .filter((variant) => variant.type === "image/jpeg")
+      .sort((a, b) => b.width - a.width);
+    return jpegs.length > 0 ? jpegs[0].src : config.profileImageUrl || "";
+  }
+
+  /**
+   * Builds the page's title, description and sharing details from the config
+   * @param {Object} config - Site config, translated for the page's language
+   * @param {string} [pageUrl] - Address the page was requested at
+   * @param {string} [locale] - Language of the page
+   * @returns {Object} { title, description, url, image, siteName, alternates } with url
+   *   and image absolute when the page address is known; alternates ({ hreflang, href })
+   *   lists the page in every offered language when there is more than one
+   */
+  function getPageMeta(config, pageUrl, locale = i18n.DEFAULT_LOCALE) {
+    const name = config.heroName || "";
+    const siteName = config.businessName || name;
+    const title =
+      name && siteName && name !== siteName
+        ? `${name} - ${siteName}`
+        : siteName;
+
+    const subtitle = toText(config.heroSubtitle).replace(/[.।\s]+$/, "");
+    const text = subtitle || siteName;
+    let description = config.location
+      ? i18n.translate(locale, "seo.withLocation", {
+          text,
+          location: config.location,
+        })
+      : i18n.translate(locale, "seo.sentence", { text });
+    if (config.acceptingPatients) {
+      description += ` ${i18n.translate(locale, "seo.accepting")}`;
+    }
+
+    const baseUrl = getPageUrl(config, pageUrl);
+    const locales = i18n.getEnabledLocales(config);
+    const alternates =
+      baseUrl && locales.length > 1
+        ? locales
+            .map((code) => ({
+              hreflang: code,
+              href: i18n.getLocaleUrl(baseUrl, code),
+            }))
+            .concat({ hreflang: "x-default", href: baseUrl })
+        : [];
+    const url = baseUrl && i18n.getLocaleUrl(baseUrl, locale);
+    return {
+      title,
+      description: truncate(description, DESCRIPTION_LENGTH),
+      url,
+      image: toAbsolute(getImage(config), url),
+      siteName,
+      alternates,
+    };
+  }
+
+  /**
+   * Lists the meta tags for a page, in head order
+   * @param {Object} meta - Result of getPageMeta()
+   * @returns {Object[]} Tags ({ attribute, key, content }), e.g. attribute "property", key "og:title"
+   */
+  function getMetaTags(meta) {
+    const tags = [
+      ["name", "description", meta.description],
+      ["property", "og:type", "website"],
+      ["property", "og:site_name", meta.siteName],
+      ["property", "og:title", meta.title],
+      ["property", "og:description", meta.description],
+      ["property", "og:image", meta.image],
+      ["property", "og:url", meta.url],
+      ["name", "twitter:card", "summary"],
+      ["name", "twitter:title", meta.title],
+      ["name", "twitter:description", meta.description],
+      ["name", "twitter:image", meta.image],
+    ];
+    return tags.map(([attribute, key, content]) => ({
+      attribute,
+      key,
+      content: content || "",
+    }));
+  }
+
+  /**
+   * Formats minutes after midnight as schema.org opening hours want them
+   * @param {number} minutes - Minutes after midnight
+   * @returns {string} "HH:MM", with the end of the day as "23:59"
+   */
+  function toTime(minutes) {
+    const clamped = Math.min(minutes, 24 * 60 - 1);
+    return `${String(Math.floor(clamped / 60)).padStart(2, "0")}:${String(
+      clamped % 60
+    ).padStart(2, "0")}`;
+  }
+
+  /**
+   * Describes the weekly hours, one entry per distinct period with the days it applies to
+   * @param {Object[]} hours - Configured periods ({ day, opens, closes })
+   * @returns {Object[]} OpeningHoursSpecification entries
+   */
+  function getOpeningHours(hours) {
+    const specifications = [];
+    officeHours.DAYS.forEach((day) => {
+      officeHours.getWeeklyPeriods(hours, day).forEach((period) => {
+        const opens = toTime(period.opens);
+        const closes = toTime(period.closes);
+        const dayName = officeHours.DAY_LABELS[day];
+        const same = specifications.find(
+          (entry) => entry.opens === opens && entry.closes === closes
+        );
+        if (same) {
+          same.dayOfWeek.push(dayName);
+        } else {
+          specifications.push({
+            "@type": "OpeningHoursSpecification",
+            dayOfWeek: [dayName],
+            opens,
+            closes,
+          });
+        }
+      });
+    });
+    return specifications;
+  }
+
+  /**
+   * Describes the coming closures and special hours
+   * @param {Object} config - Config with timeZone and hoursExceptions
+   * @param {Date} now - Moment to look ahead from
+   * @returns {Object[]} OpeningHoursSpecification entries with validFrom/validThrough;
+   *   closed days open and close at "00:00"
+   */
+  function getSpecialHours(config, now) {
+    if (!officeHours.isValidTimeZone(config.timeZone)) return [];
+    const today = officeHours.getLocalTime(now, config.timeZone).date;
+    const last = new Date(`${today}T00:00:00Z`);
+    last.setUTCDate(last.getUTCDate() + SPECIAL_HOURS_DAYS);
+    const lastDate = last.toISOString().slice(0, 10);
+
+    return (config.hoursExceptions || [])
+      .filter((entry) => entry.date >= today && entry.date <= lastDate)
+      .sort((a, b) => a.date.localeCompare(b.date))
+      .map((entry) => ({
+        "@type": "OpeningHoursSpecification",
+        validFrom: entry.date,
+        validThrough: entry.date,
+        opens: entry.closed ? "00:00" : entry.opens,
+        closes: entry.closed ? "00:00" : entry.closes,
+      }));
+  }
+
+  /**
+   * Builds the schema.org description of the practice and its clinician
+   * @param {Object} config - Site config
+   * @param {string} [pageUrl] - Address the page was requested at
+   * @param {Date} [now] - Moment special hours are looked ahead from
+   * @param {string} [locale] - Language of the page
+   * @returns {Object} JSON-LD document with a MedicalBusiness and a Physician
+   */
+  function getStructuredData(
+    config,
+    pageUrl,
+    now = new Date(),
+    locale = i18n.DEFAULT_LOCALE
+  ) {
+    const meta = getPageMeta(config, pageUrl, locale);
+    // Every language version describes the same practice, so ids use the plain address
+    const baseUrl = getPageUrl(config, pageUrl);
+    const practiceId = `${baseUrl}#practice`;
+
+    const practice = {
+      "@type": "MedicalBusiness",
+      "@id": practiceId,
+      name: meta.siteName,
+      description: meta.description,
+    };
+    if (baseUrl) practice.url = baseUrl;
+    if (meta.image) practice.image = meta.image;
+    if (config.contactEmail) practice.email = config.contactEmail;
+    if (config.location) practice.areaServed = config.location;
+    const openingHours = getOpeningHours(config.officeHours);
+    if (openingHours.length > 0) {
+      practice.openingHoursSpecification = openingHours;
+    }
+    const specialHours = getSpecialHours(config, now);
+    if (specialHours.length > 0) {
+      practice.specialOpeningHoursSpecification = specialHours;
+    }
+
+    const graph = [practice];
+    if (config.heroName) {
+      const physician = {
+        "@type": "Physician",
+        "@id": `${baseUrl}#provider`,
+        name: config.heroName,
+        parentOrganization: { "@id": practiceId },
+        isAcceptingNewPatients: Boolean(config.acceptingPatients),
+      };
+      if (baseUrl) physician.url = baseUrl;
+      if (meta.image) physician.image = meta.image;
+      if (config.location) physician.areaServed = config.location;
+      graph.push(physician);
+    }
+
+    return { "@context": "https://schema.org", "@graph": graph };
+  }
+
+  /**
+   * Serializes JSON-LD for a <script> element
+   * @param {Object} data - JSON-LD document
+   * @returns {string} JSON with <, > and & escaped, so config text can't close the script
+   */
+  function toJsonLd(data) {
+    return JSON.stringify(data)
+      .replace(/</g, "\\u003c")
+      .replace(/>/g, "\\u003e")
+      .replace(/&/g, "\\u0026");
+  }
+
+  /**
+   * Renders the head markup: title, meta tags, canonical and language links and JSON-LD
+   * @param {Object} config - Site config, translated for the page's language
+   * @param {string} [pageUrl] - Address the page was requested at
+   * @param {Date} [now] - Moment special hours are looked ahead from
+   * @param {string} [locale] - Language of the page
+   * @returns {string} HTML, one element per line
+   */
+  function renderHead(
+    config,
+    pageUrl,
+    now = new Date(),
+    locale = i18n.DEFAULT_LOCALE
+  ) {
+    const meta = getPageMeta(config, pageUrl, locale);
+    const lines = [`<title>${richText.escapeHtml(meta.title)}</title>`];
+    getMetaTags(meta).forEach((tag) => {
+      lines.push(
+        `<meta ${tag.attribute}="${tag.key}" content="${richText.escapeHtml(
+          tag.content
+        )}" />`
+      );
+    });
+    if (meta.url) {
+      lines.push(
+        `<link rel="canonical" href="${richText.escapeHtml(meta.url)}" />`
+      );
+    }
+    meta.alternates.forEach((alternate) => {
+      lines.push(
+        `<link rel="alternate" hreflang="${
+          alternate.hreflang
+        }" href="${richText.escapeHtml(alternate.href)}" />`
+      );
+    });
+    lines.push(
+      `<script type="application/ld+json" id="structured-data">${toJsonLd(
+        getStructuredData(config, pageUrl, now, locale)
+      )}</script>`
+    );
+    return lines.join("\n");
+  }
+
+  return {
+    getPageMeta,
+    getMetaTags,
+    getStructuredData,
+    toJsonLd,
+    renderHead,
+  };
+})();
+
+module.exports = Seo;
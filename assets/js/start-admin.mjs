@@ -0,0 +1,15 @@
+/**
+ * Browser entry for admin.html
+ * Bundled with its imports into assets/js/bundle/admin.js (npm run bundle)
+ */
+
+import { AdminController } from "./admin.mjs";
+
+// Initialize when DOM is ready
+if (document.readyState === "loading") {
+  document.addEventListener("DOMContentLoaded", () => {
+    new AdminController();
+  });
+} else {
+  new AdminController();
+}
@@ -0,0 +1,15 @@
+/**
+ * Browser entry for index.html
+ * Bundled with its imports into assets/js/bundle/main.js (npm run bundle)
+ */
+
+import { MainPageController } from './main.mjs';
+
+// Initialize when DOM is ready
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', () => {
+        new MainPageController();
+    });
+} else {
+    new MainPageController();
+}
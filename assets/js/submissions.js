@@ -0,0 +1,221 @@
+/**
+ * Visitor Submissions
+ * What the public forms (contact messages, appointment requests, waitlist
+ * signups) have in common: the contact fields, validation with an email or
+ * phone number to reply to, the spam honeypot, and the browser client for
+ * their config server endpoints
+ */
+
+const Submissions = (function () {
+  "use strict";
+
+  const configSchema = require("./schema.js");
+  const i18n = require("./i18n.js");
+
+  // Hidden form field that people never see; bots that fill it in are ignored
+  const HONEYPOT_FIELD = "website";
+
+  /**
+   * Rules for the fields every public form asks for (same rule format as
+   * ConfigSchema.fields, plus the I18n messageKey visitors see when a value is refused)
+   */
+  const contactFields = {
+    name: {
+      type: "string",
+      label: "Name",
+      required: true,
+      maxLength: 100,
+      messageKey: "form.nameError",
+    },
+    email: {
+      type: "string",
+      label: "Email",
+      maxLength: 254,
+      format: "email",
+      messageKey: "form.emailError",
+    },
+    phone: {
+      type: "string",
+      label: "Phone",
+      maxLength: 30,
+      format: "phone",
+      messageKey: "form.phoneError",
+    },
+    consent: {
+      type: "boolean",
+      label: "Consent",
+      required: true,
+      messageKey: "form.consentError",
+      validateWith(value) {
+        return value === true
+          ? []
+          : [
+              "Please confirm that your message contains no personal health information",
+            ];
+      },
+    },
+  };
+
+  /**
+   * Validates a submission against a form's field rules
+   * Forms with email and phone fields need at least one of them
+   * @param {Object} values - Submitted values keyed by field
+   * @param {Object} fields - The form's field rules
+   * @param {string} [locale] - Language of the visitor, who gets one message per field
+   *   in it; without one the schema's detailed English messages are kept
+   * @returns {Object} { valid, errors } where errors maps field names to message lists
+   */
+  function validate(values, fields, locale) {
+    const { errors } = configSchema.validateConfig(values, fields);
+    if (locale) {
+      Object.keys(errors).forEach((key) => {
+        if (fields[key] && fields[key].messageKey) {
+          errors[key] = [i18n.translate(locale, fields[key].messageKey)];
+        }
+      });
+    }
+    if (
+      errors._config === undefined &&
+      fields.email &&
+      fields.phone &&
+      !values.email &&
+      !values.phone
+    ) {
+      errors.email = (errors.email || []).concat(
+        locale
+          ? i18n.translate(locale, "form.contactRequired")
+          : "Enter an email address or a phone number so we can reply"
+      );
+    }
+    return { valid: Object.keys(errors).length === 0, errors };
+  }
+
+  /**
+   * Client for a form's config server endpoint, e.g. /api/inquiries:
+   * visitors POST to it, admins list, update and delete what was received
+   */
+  class SubmissionClient {
+    /**
+     * @param {string} endpoint - URL of the endpoint
+     */
+    constructor(endpoint) {
+      this.endpoint = endpoint;
+    }
+
+    /**
+     * Sends a visitor's submission
+     * @param {Object} values - Form values, including the honeypot field
+     * @returns {Promise<Object>} { success, error, errors } with errors keyed by field
+     */
+    async submit(values) {
+      try {
+        const response = await fetch(this.endpoint, {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify(values),
+        });
+        if (response.ok) {
+          return { success: true };
+        }
+        const body = await response.json().catch(() => ({}));
+        return {
+          success: false,
+          error: body.error || "Your request could not be sent.",
+          errors: body.errors || {},
+        };
+      } catch (error) {
+        console.error(`Error sending to ${this.endpoint}:`, error);
+        return {
+          success: false,
+          error: "Unable to reach the server. Please try again.",
+          errors: {},
+        };
+      }
+    }
+
+    /**
+     * Sends a request to the endpoint (or a path below it)
+     * @param {string} path - Path appended to the endpoint, e.g. "/3f9c2a7d1e5b8c04"
+     * @param {Object} [options] - fetch options (method, JSON body)
+     * @returns {Promise<*>} Parsed JSON response
+     */
+    async request(path, { method = "GET", body } = {}) {
+      const init = { method, cache: "no-store", headers: {} };
+      if (body !== undefined) {
+        init.headers["Content-Type"] = "application/json";
+        init.body = JSON.stringify(body);
+      }
+      const response = await fetch(`${this.endpoint}${path}`, init);
+      if (!response.ok) {
+        throw new Error(
+          `${method} ${this.endpoint}${path} failed with status ${response.status}`
+        );
+      }
+      return response.json();
+    }
+
+    /**
+     * Lists what was received, for the admin panel
+     * @returns {Promise<Object[]|null>} Entries, newest first, or null on error
+     */
+    async list() {
+      try {
+        return await this.request("");
+      } catch (error) {
+        console.error(`Error loading ${this.endpoint}:`, error);
+        return null;
+      }
+    }
+
+    /**
+     * Changes an entry's status
+     * @param {string} id - Entry id
+     * @param {string} status - New status
+     * @returns {Promise<boolean>} Success status
+     */
+    async setStatus(id, status) {
+      try {
+        await this.request(`/${id}`, { method: "PATCH", body: { status } });
+        return true;
+      } catch (error) {
+        console.error(`Error updating ${this.endpoint}/${id}:`, error);
+        return false;
+      }
+    }
+
+    /**
+     * Changes the status of several entries at once
+     * @param {string[]} ids - Entry ids
+     * @param {string} status - New status
+     * @returns {Promise<boolean>} Success status
+     */
+    async setStatuses(ids, status) {
+      try {
+        await this.request("", { method: "PATCH", body: { ids, status } });
+        return true;
+      } catch (error) {
+        console.error(`Error updating ${this.endpoint}:`, error);
+        return false;
+      }
+    }
+
+    /**
+     * Deletes an entry
+     * @param {string} id - Entry id
+     * @returns {Promise<boolean>} Success status
+     */
+    async remove(id) {
+      try {
+        await this.request(`/${id}`, { method: "DELETE" });
+        return true;
+      } catch (error) {
+        console.error(`Error deleting ${this.endpoint}/${id}:`, error);
+        return false;
+      }
+    }
+  }
+
+  return { HONEYPOT_FIELD, contactFields, validate, SubmissionClient };
+})();
+
+module.exports = Submissions;
@@ -0,0 +1,161 @@
+/**
+ * Theme Helpers
+ * Font stacks, WCAG contrast checks and CSS custom property mapping for
+ * admin-defined custom themes. Shared by ConfigSchema (which blocks
+ * unreadable color combinations) and MainPageController (which applies them).
+ */
+
+const Themes = (function () {
+  "use strict";
+
+  // Themes defined as body classes in styles.css
+  const BUILT_IN = ["default", "winter", "spring", "autumn"];
+
+  const FONT_STACKS = {
+    system:
+      '-apple-system, BlinkMacSystemFont, "Segoe UI", Roboto, "Helvetica Neue", Arial, sans-serif',
+    poppins: '"Poppins", sans-serif',
+    serif: 'Georgia, "Times New Roman", serif',
+  };
+
+  // WCAG 2.1 AA minimum for normal-size text
+  const MIN_CONTRAST = 4.5;
+  const WHITE = "#ffffff";
+  // --background-color of the dark mode block in styles.css
+  const DARK_BACKGROUND = "#121a22";
+
+  /**
+   * Color pairs the stylesheet draws text with
+   * Each side is a custom theme key or a fixed hex color
+   */
+  const CONTRAST_CHECKS = [
+    {
+      label: "Body text on background",
+      foreground: "textColor",
+      background: "backgroundColor",
+    },
+    {
+      label: "Headings on background",
+      foreground: "primaryColor",
+      background: "backgroundColor",
+    },
+    {
+      label: "Accent links on background",
+      foreground: "accentColor",
+      background: "backgroundColor",
+    },
+    {
+      label: "White button and footer text on primary",
+      foreground: WHITE,
+      background: "primaryColor",
+    },
+    {
+      label: "White badge text on accent",
+      foreground: WHITE,
+      background: "accentColor",
+    },
+  ];
+
+  // Custom theme keys and the CSS custom properties they set
+  const CSS_VARIABLES = {
+    primaryColor: "--primary-color",
+    accentColor: "--accent-color",
+    backgroundColor: "--background-color",
+    textColor: "--text-color",
+    headingFont: "--heading-font",
+    bodyFont: "--body-font",
+  };
+
+  /**
+   * Computes the WCAG relative luminance of a #rrggbb color
+   * @param {string} hex - Color such as "#1f4e79"
+   * @returns {number} Luminance from 0 (black) to 1 (white)
+   */
+  function relativeLuminance(hex) {
+    const [r, g, b] = [1, 3, 5].map((offset) => {
+      const channel = parseInt(hex.slice(offset, offset + 2), 16) / 255;
+      return channel <= 0.03928
+        ? channel / 12.92
+        : Math.pow((channel + 0.055) / 1.055, 2.4);
+    });
+    return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+  }
+
+  /**
+   * Computes the WCAG contrast ratio between two #rrggbb colors
+   * @param {string} first - Color
+   * @param {string} second - Color
+   * @returns {number} Ratio from 1 to 21
+   */
+  function contrastRatio(first, second) {
+    const [lighter, darker] = [
+      relativeLuminance(first),
+      relativeLuminance(second),
+    ].sort((a, b) => b - a);
+    return (lighter + 0.05) / (darker + 0.05);
+  }
+
+  /**
+   * Lists the text/background pairs of a custom theme that are too hard to read
+   * @param {Object} theme - Custom theme with #rrggbb colors
+   * @returns {Object[]} Failing checks ({ label, ratio, minimum }), empty when readable
+   */
+  function checkContrast(theme) {
+    const colorOf = (ref) => (ref.startsWith("#") ? ref : theme[ref]);
+    return CONTRAST_CHECKS.map((check) => ({
+      label: check.label,
+      ratio: contrastRatio(
+        colorOf(check.foreground),
+        colorOf(check.background)
+      ),
+      minimum: MIN_CONTRAST,
+    })).filter((result) => result.ratio < result.minimum);
+  }
+
+  /**
+   * Maps a custom theme to the CSS custom properties styles.css reads
+   * In dark mode the stylesheet's dark background and text colors are kept,
+   * and the accent is only used if it stays readable on the dark background
+   * @param {Object} theme - Custom theme
+   * @param {string} [scheme] - "light" or "dark"
+   * @returns {Object} Property values keyed by property name
+   */
+  function toCssVariables(theme, scheme = "light") {
+    const variables = {};
+    Object.keys(CSS_VARIABLES).forEach((key) => {
+      const value = key.endsWith("Font") ? FONT_STACKS[theme[key]] : theme[key];
+      if (value && (scheme !== "dark" || usableInDarkMode(key, value))) {
+        variables[CSS_VARIABLES[key]] = value;
+      }
+    });
+    return variables;
+  }
+
+  /**
+   * Decides whether a custom theme value also applies in dark mode
+   * @param {string} key - Custom theme key
+   * @param {string} value - Its value
+   * @returns {boolean} True if the value can be applied over the dark palette
+   */
+  function usableInDarkMode(key, value) {
+    if (key === "backgroundColor" || key === "textColor") {
+      return false;
+    }
+    if (key === "accentColor") {
+      return contrastRatio(value, DARK_BACKGROUND) >= MIN_CONTRAST;
+    }
+    return true;
+  }
+
+  return {
+    BUILT_IN,
+    FONT_STACKS,
+    MIN_CONTRAST,
+    CSS_VARIABLES,
+    contrastRatio,
+    checkContrast,
+    toCssVariables,
+  };
+})();
+
+module.exports = Themes;
@@ -0,0 +1,187 @@
+/**
+ * Config Translations
+ * Translations of the config's translatable text (see ConfigSchema.getTranslatableFields).
+ * Each translation is stored with the English text it was written for
+ * ({ locale, field, source, text }), so list entries keep their translation
+ * when reordered, and editing the English text marks it as missing again
+ * instead of showing an outdated one.
+ */
+
+const Translations = (function () {
+  "use strict";
+
+  const i18n = require("./i18n.js");
+  const schema = require("./schema.js");
+
+  /**
+   * Builds the lookup key of a translation
+   * @param {string} locale - Language code
+   * @param {string} field - Translatable field path
+   * @param {string} source - English text
+   * @returns {string} Key
+   */
+  function toKey(locale, field, source) {
+    return JSON.stringify([locale, field, source]);
+  }
+
+  /**
+   * Lists the translatable text in a config, once per distinct value of a field
+   * @param {Object} config - Site config
+   * @returns {Object[]} { field, label, source, richText } in admin form order;
+   *   list entries are labelled with their position, e.g. "Expertise cards: Title (Card 2)"
+   */
+  function getSources(config) {
+    const sources = [];
+    const seen = new Set();
+    const add = (field, label, source) => {
+      const key = toKey("", field.path, source);
+      if (typeof source !== "string" || source === "" || seen.has(key)) {
+        return;
+      }
+      seen.add(key);
+      sources.push({
+        field: field.path,
+        label,
+        source,
+        richText: field.rule.format === "richtext",
+      });
+    };
+
+    schema.getTranslatableFields().forEach((field) => {
+      if (!field.itemKey) {
+        add(field, field.label, config[field.key]);
+        return;
+      }
+      const itemLabel = schema.fields[field.key].itemLabel || "Item";
+      (config[field.key] || []).forEach((entry, index) => {
+        add(
+          field,
+          `${field.label} (${itemLabel} ${index + 1})`,
+          entry && entry[field.itemKey]
+        );
+      });
+    });
+    return sources;
+  }
+
+  /**
+   * Indexes a config's translations for one language
+   * @param {Object[]} translations - Stored translations
+   * @param {string} locale - Language code
+   * @returns {Map} Translated text keyed by toKey()
+   */
+  function indexTranslations(translations, locale) {
+    const index = new Map();
+    (translations || []).forEach((entry) => {
+      if (entry && entry.locale === locale && entry.text) {
+        index.set(toKey(locale, entry.field, entry.source), entry.text);
+      }
+    });
+    return index;
+  }
+
+  /**
+   * Builds the config as shown in a language: translatable text is replaced by
+   * its translation where there is one and stays English otherwise
+   * @param {Object} config - Site config
+   * @param {string} locale - Language code
+   * @returns {Object} Translated copy (the config itself for English)
+   */
+  function localize(config, locale) {
+    if (locale === i18n.DEFAULT_LOCALE) return config;
+
+    const index = indexTranslations(config.translations, locale);
+    const translate = (field, value) =>
+      index.get(toKey(locale, field, value)) || value;
+    const result = { ...config };
+
+    schema.getTranslatableFields().forEach((field) => {
+      if (!field.itemKey) {
+        if (typeof result[field.key] === "string") {
+          result[field.key] = translate(field.path, result[field.key]);
+        }
+        return;
+      }
+      if (!Array.isArray(result[field.key])) return;
+      result[field.key] = result[field.key].map((entry) =>
+        entry && typeof entry[field.itemKey] === "string"
+          ? {
+              ...entry,
+              [field.itemKey]: translate(field.path, entry[field.itemKey]),
+            }
+          : entry
+      );
+    });
+    return result;
+  }
+
+  /**
+   * Lists the translatable text that has no translation in a language
+   * @param {Object} config - Site config
+   * @param {string} locale - Language code
+   * @returns {Object[]} Entries of getSources() still shown in English
+   */
+  function getMissing(config, locale) {
+    const index = indexTranslations(config.translations, locale);
+    return getSources(config).filter(
+      (source) => !index.has(toKey(locale, source.field, source.source))
+    );
+  }
+
+  /**
+   * Finds the translation of one text
+   * @param {Object[]} translations - Stored translations
+   * @param {string} locale - Language code
+   * @param {string} field - Translatable field path
+   * @param {string} source - English text
+   * @returns {string} Translated text, or "" if there is none
+   */
+  function find(translations, locale, field, source) {
+    const entry = (translations || []).find(
+      (candidate) =>
+        candidate.locale === locale &&
+        candidate.field === field &&
+        candidate.source === source
+    );
+    return entry ? entry.text : "";
+  }
+
+  /**
+   * Sets or clears the translation of one text
+   * @param {Object[]} translations - Stored translations
+   * @param {string} locale - Language code
+   * @param {string} field - Translatable field path
+   * @param {string} source - English text
+   * @param {string} text - Translated text, or "" to remove the translation
+   * @returns {Object[]} New list
+   */
+  function update(translations, locale, field, source, text) {
+    const others = (translations || []).filter(
+      (entry) =>
+        !(
+          entry.locale === locale &&
+          entry.field === field &&
+          entry.source === source
+        )
+    );
+    return text ? [...others, { locale, field, source, text }] : others;
+  }
+
+  /**
+   * Drops translations whose English text is no longer in the config
+   * @param {Object} config - Site config
+   * @returns {Object[]} Translations still in use
+   */
+  function prune(config) {
+    const used = new Set(
+      getSources(config).map((source) => toKey("", source.field, source.source))
+    );
+    return (config.translations || []).filter((entry) =>
+      used.has(toKey("", entry.field, entry.source))
+    );
+  }
+
+  return { getSources, localize, getMissing, find, update, prune };
+})();
+
+module.exports = Translations;
@@ -0,0 +1,145 @@
+/**
+ * Patient Waitlist
+ * Field rules for the waitlist signup offered while the practice isn't
+ * accepting new patients, shared by the public page, the config server and
+ * the admin panel, plus the CSV exports the admin uses to contact people
+ */
+
+const Waitlist = (function () {
+  "use strict";
+
+  const submissions = require("./submissions.js");
+
+  const STATUSES = ["waiting", "contacted"];
+  const STATUS_LABELS = { waiting: "Waiting", contacted: "Contacted" };
+
+  /**
+   * Signup rules keyed by field, in form order (same rule format as Submissions.contactFields)
+   */
+  const { consent, ...contact } = submissions.contactFields;
+  const fields = {
+    ...contact,
+    note: {
+      type: "string",
+      label: "Anything we should know",
+      maxLength: 500,
+      messageKey: "form.noteError",
+    },
+    consent,
+  };
+
+  /**
+   * Validates a waitlist signup
+   * @param {Object} signup - Submitted values keyed by field
+   * @param {string} [locale] - Language to word the messages in (see Submissions.validate())
+   * @returns {Object} { valid, errors } where errors maps field names to message lists
+   */
+  function validate(signup, locale) {
+    return submissions.validate(signup, fields, locale);
+  }
+
+  /**
+   * Lists the signups still waiting to hear from the practice, oldest first
+   * @param {Object[]} entries - Stored signups
+   * @returns {Object[]} Waiting signups
+   */
+  function getWaiting(entries) {
+    return entries
+      .filter((entry) => entry.status === "waiting")
+      .sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+  }
+
+  /**
+   * Quotes a value for a CSV cell
+   * Values starting with =, +, -, @ or a tab get a leading apostrophe so spreadsheet
+   * apps don't run visitor-supplied text as a formula
+   * @param {*} value - Cell value
+   * @returns {string} CSV cell
+   */
+  function toCsvCell(value) {
+    let text = value === undefined || value === null ? "" : String(value);
+    if (/^[=+\-@\t\r]/.test(text)) text = `'${text}`;
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+
+  /**
+   * Builds a CSV document
+   * @param {string[]} header - Column titles
+   * @param {Array[]} rows - Cell values per row
+   * @returns {string} CSV with CRLF line endings
+   */
+  function toCsv(header, rows) {
+    return [header, ...rows]
+      .map((row) => row.map(toCsvCell).join(","))
+      .join("\r\n")
+      .concat("\r\n");
+  }
+
+  /**
+   * Exports signups as CSV, one row per signup, oldest first
+   * @param {Object[]} entries - Stored signups
+   * @returns {string} CSV document
+   */
+  function exportCsv(entries) {
+    const sorted = entries
+      .slice()
+      .sort((a, b) => a.receivedAt.localeCompare(b.receivedAt));
+    return toCsv(
+      ["Name", "Email", "Phone", "Note", "Signed up", "Status"],
+      sorted.map((entry) => [
+        entry.name,
+        entry.email,
+        entry.phone,
+        entry.note,
+        entry.receivedAt,
+        STATUS_LABELS[entry.status] || entry.status,
+      ])
+    );
+  }
+
+  /**
+   * Writes the message telling waiting people the practice is accepting patients again
+   * @param {Object} config - Site config (businessName, contactEmail)
+   * @returns {string} Message text
+   */
+  function getNotificationMessage(config) {
+    const practice = config.businessName || "Our practice";
+    const reply = config.contactEmail
+      ? ` Reply to this message or write to ${config.contactEmail} to book a visit.`
+      : " Reply to this message to book a visit.";
+    return `Good news: ${practice} is accepting new patients again, and you asked us to let you know.${reply}`;
+  }
+
+  /**
+   * Exports the waiting signups with the notification message, for a mail merge
+   * or for calling down the list, oldest signup first
+   * @param {Object[]} entries - Stored signups
+   * @param {Object} config - Site config used for the message
+   * @returns {string} CSV document
+   */
+  function exportNotifications(entries, config) {
+    const message = getNotificationMessage(config);
+    return toCsv(
+      ["Name", "Email", "Phone", "Message"],
+      getWaiting(entries).map((entry) => [
+        entry.name,
+        entry.email,
+        entry.phone,
+        message,
+      ])
+    );
+  }
+
+  return {
+    STATUSES,
+    STATUS_LABELS,
+    fields,
+    validate,
+    getWaiting,
+    exportCsv,
+    getNotificationMessage,
+    exportNotifications,
+  };
+})();
+
+module.exports = Waitlist;
@@ -0,0 +1,162 @@
+/**
+ * Config Server Application
+ * Wires the API routes and static file serving into a single request handler
+ */
+
+const http = require("http");
+const path = require("path");
+const { Router } = require("./router");
+const { JsonFileStore } = require("./json-store");
+const { VersionedConfigStore } = require("./versioned-config-store");
+const { AuthService } = require("./auth");
+const { ConfigHistory } = require("./config-history");
+const { ImageStore } = require("./image-store");
+const { SubmissionStore } = require("./submission-store");
+const { RateLimiter } = require("./rate-limiter");
+const { registerConfigRoutes } = require("./config-routes");
+const { registerSessionRoutes } = require("./session-routes");
+const { registerImageRoutes } = require("./image-routes");
+const { registerSubmissionRoutes } = require("./submission-routes");
+const { registerAppointmentRoutes } = require("./appointment-routes");
+const { serveStatic } = require("./static-files");
+const { servePublicPage } = require("./public-page");
+const { sendJson } = require("./http-utils");
+const Inquiries = require("../assets/js/inquiries.js");
+const Appointments = require("../assets/js/appointments.js");
+const Waitlist = require("../assets/js/waitlist.js");
+
+/**
+ * Creates the HTTP server
+ * @param {Object} [options] - Server options
+ * @param {string} [options.rootDir] - Directory containing index.html and assets/
+ * @param {string} [options.dataDir] - Directory where JSON data files are written
+ * @param {string} [options.uploadsDir] - Directory for uploaded images (defaults to assets/images/uploads)
+ * @param {AuthService} [options.auth] - Authentication service (defaults to one backed by dataDir)
+ * @param {RateLimiter} [options.submissionRateLimiter] - Limits contact messages, appointment requests
+ *   and waitlist signups together (defaults to 5 per hour per client)
+ * @returns {http.Server} Server instance (not yet listening)
+ */
+function createServer(options = {}) {
+  const rootDir = options.rootDir || path.resolve(__dirname, "..");
+  const dataDir = options.dataDir || path.join(rootDir, "data");
+  const uploadsDir =
+    options.uploadsDir || path.join(rootDir, "assets", "images", "uploads");
+
+  const auth =
+    options.auth ||
+    new AuthService({
+      credentialsStore: new JsonFileStore(
+        path.join(dataDir, "admin-credentials.json")
+      ),
+    });
+
+  const configStore = new VersionedConfigStore(
+    new JsonFileStore(path.join(dataDir, "config.json"))
+  );
+  // One limit across the public forms, so a bot can't use each in turn
+  const submissionRateLimiter =
+    options.submissionRateLimiter ||
+    new RateLimiter({
+      message:
+        "You have sent several requests recently. Please try again later, or contact the practice by email.",
+    });
+
+  const router = new Router();
+  registerSessionRoutes(router, { auth });
+  registerConfigRoutes(router, {
+    auth,
+    configStore,
+    draftStore: new VersionedConfigStore(
+      new JsonFileStore(path.join(dataDir, "config-draft.json"))
+    ),
+    history: new ConfigHistory({
+      store: new JsonFileStore(path.join(dataDir, "config-history.json")),
+    }),
+  });
+  registerImageRoutes(router, {
+    auth,
+    imageStore: new ImageStore({
+      directory: uploadsDir,
+      publicPath: "assets/images/uploads",
+    }),
+  });
+  registerSubmissionRoutes(router, {
+    path: "/api/inquiries",
+    auth,
+    store: new SubmissionStore({
+      store: new JsonFileStore(path.join(dataDir, "inquiries.json")),
+      fields: Inquiries.fields,
+      statuses: Inquiries.STATUSES,
+      fullMessage:
+        "The inbox is full. Please contact the practice by email or phone.",
+    }),
+    rateLimiter: submissionRateLimiter,
+    validate: Inquiries.validate,
+  });
+  registerAppointmentRoutes(router, {
+    auth,
+    configStore,
+    store: new SubmissionStore({
+      store: new JsonFileStore(path.join(dataDir, "appointments.json")),
+      fields: Appointments.fields,
+      statuses: Appointments.STATUSES,
+      findConflict: Appointments.findConflict,
+    }),
+    rateLimiter: submissionRateLimiter,
+  });
+  registerSubmissionRoutes(router, {
+    path: "/api/waitlist",
+    auth,
+    store: new SubmissionStore({
+      store: new JsonFileStore(path.join(dataDir, "waitlist.json")),
+      fields: Waitlist.fields,
+      statuses: Waitlist.STATUSES,
+      fullMessage:
+        "The waitlist is full. Please contact the practice by email or phone.",
+    }),
+    rateLimiter: submissionRateLimiter,
+    validate: Waitlist.validate,
+  });
+
+  return http.createServer(async (req, res) => {
+    let pathname;
+    try {
+      pathname = decodeURIComponent(
+        new URL(req.url, "http://localhost").pathname
+      );
+    } catch (error) {
+      sendJson(res, 400, { error: "Malformed request path" });
+      return;
+    }
+
+    const handled = await router.handle(req, res, pathname);
+    if (handled) {
+      return;
+    }
+
+    if (pathname.startsWith("/api/")) {
+      sendJson(res, 404, { error: "Not found" });
+      return;
+    }
+
+    if (req.method !== "GET" && req.method !== "HEAD") {
+      sendJson(res, 405, { error: "Method not allowed" });
+      return;
+    }
+
+    if (pathname === "/" || pathname === "/index.html") {
+      try {
+        await servePublicPage(res, rootDir, configStore, req.url);
+      } catch (error) {
+        // An unreadable config shouldn't take the page down; serve it as it is on disk
+        console.error("Error rendering the public page:", error);
+        await serveStatic(res, rootDir, "/index.html");
+      }
+      return;
+    }
+
+    await serveStatic(res, rootDir, pathname);
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,67 @@
+/**
+ * Appointment API routes
+ * Visitors request one of the open slots from the published config
+ * (POST /api/appointments) and see which slots are already held
+ * (GET /api/appointments/held); admins confirm, decline or cancel requests
+ */
+
+const { HttpError, sendJson } = require("./http-utils");
+const { registerSubmissionRoutes } = require("./submission-routes");
+const Appointments = require("../assets/js/appointments.js");
+
+/**
+ * Registers the appointment endpoints on a router
+ * @param {Router} router - Router to register on
+ * @param {Object} deps - Dependencies
+ * @param {AuthService} deps.auth - Authentication service guarding the admin endpoints
+ * @param {VersionedConfigStore} deps.configStore - Store holding the published config
+ * @param {SubmissionStore} deps.store - Store the requests are kept in
+ * @param {RateLimiter} deps.rateLimiter - Limits requests per client
+ * @param {Function} [deps.now] - Clock, returns the current time in ms
+ */
+function registerAppointmentRoutes(
+  router,
+  { auth, configStore, store, rateLimiter, now = Date.now }
+) {
+  router.add("GET", "/api/appointments/held", async (req, res) => {
+    // Only the slot keys; who requested them stays in the admin panel
+    sendJson(res, 200, Appointments.getHeldSlots(await store.list()));
+  });
+
+  registerSubmissionRoutes(router, {
+    path: "/api/appointments",
+    auth,
+    store,
+    rateLimiter,
+    validate: Appointments.validate,
+    async accept(request) {
+      const config = await configStore.read();
+      if (!config || !config.acceptingPatients) {
+        throw new HttpError(
+          409,
+          "The practice isn't taking appointment requests right now."
+        );
+      }
+      const types = Appointments.getVisibleTypes(config).map(
+        (type) => type.name
+      );
+      if (!types.includes(request.appointmentType)) {
+        throw new HttpError(400, "Please correct the highlighted fields", {
+          errors: {
+            appointmentType: ["Choose one of the appointment types"],
+          },
+        });
+      }
+      // Slots that are held are refused by the store, which checks under its lock
+      const open = Appointments.getOpenSlots(config, [], new Date(now()));
+      if (!open.some((slot) => slot.key === request.slot)) {
+        throw new HttpError(
+          409,
+          "That time is no longer available. Please choose another."
+        );
+      }
+    },
+  });
+}
+
+module.exports = { registerAppointmentRoutes };
@@ -0,0 +1,207 @@
+/**
+ * Admin Authentication
+ * Verifies the admin password against a salted scrypt hash stored on disk,
+ * issues session cookies and locks out clients after repeated failures
+ */
+
+const crypto = require("crypto");
+const { HttpError } = require("./http-utils");
+
+const SESSION_COOKIE = "fnp_admin_session";
+const KEY_LENGTH = 64;
+
+/**
+ * Hashes a password with a fresh random salt
+ * @param {string} password - Plain-text password
+ * @returns {Object} Credentials record ({ algorithm, salt, hash }) safe to store on disk
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString("hex");
+  return { algorithm: "scrypt", salt, hash };
+}
+
+/**
+ * Checks a password against a stored credentials record in constant time
+ * @param {string} password - Plain-text password to check
+ * @param {Object} credentials - Record produced by hashPassword()
+ * @returns {boolean} True if the password matches
+ */
+function verifyPassword(password, credentials) {
+  if (!credentials || credentials.algorithm !== "scrypt") {
+    return false;
+  }
+  const expected = Buffer.from(credentials.hash, "hex");
+  const actual = crypto.scryptSync(
+    String(password),
+    credentials.salt,
+    expected.length
+  );
+  return crypto.timingSafeEqual(actual, expected);
+}
+
+/**
+ * Parses the Cookie header into a name/value map
+ * @param {http.IncomingMessage} req - Request object
+ * @returns {Object} Cookie values keyed by name
+ */
+function parseCookies(req) {
+  const cookies = {};
+  (req.headers.cookie || "").split(";").forEach((part) => {
+    const index = part.indexOf("=");
+    if (index > 0) {
+      const value = part.slice(index + 1).trim();
+      try {
+        cookies[part.slice(0, index).trim()] = decodeURIComponent(value);
+      } catch (error) {
+        // Other sites' cookies on this host may not be percent-encoded
+        cookies[part.slice(0, index).trim()] = value;
+      }
+    }
+  });
+  return cookies;
+}
+
+class AuthService {
+  /**
+   * @param {Object} options - Service options
+   * @param {JsonFileStore} options.credentialsStore - Store holding the password hash
+   * @param {number} [options.sessionTtlMs] - Session lifetime
+   * @param {number} [options.maxFailedAttempts] - Failures allowed before lockout
+   * @param {number} [options.lockoutMs] - Lockout duration (also the failure counting window)
+   * @param {Function} [options.now] - Clock, returns the current time in ms
+   */
+  constructor(options) {
+    this.credentialsStore = options.credentialsStore;
+    this.sessionTtlMs = options.sessionTtlMs || 8 * 60 * 60 * 1000; // 8 hours
+    this.maxFailedAttempts = options.maxFailedAttempts || 5;
+    this.lockoutMs = options.lockoutMs || 15 * 60 * 1000; // 15 minutes
+    this.now = options.now || Date.now;
+    this.sessions = new Map();
+    this.failures = new Map();
+  }
+
+  /**
+   * Attempts a login for a client
+   * @param {string} clientId - Identifier used for lockout tracking (client IP)
+   * @param {string} password - Submitted password
+   * @param {string} [author] - Name recorded against changes made in this session
+   * @returns {Promise<Object>} New session ({ token, expiresAt, author })
+   */
+  async login(clientId, password, author) {
+    const lockedUntil = this.getLockedUntil(clientId);
+    if (lockedUntil) {
+      throw new HttpError(
+        429,
+        "Too many failed attempts. Please try again later."
+      );
+    }
+
+    const credentials = await this.credentialsStore.read();
+    if (!credentials) {
+      throw new HttpError(
+        503,
+        "Admin password has not been set. Run `npm run set-password` on the server."
+      );
+    }
+
+    if (
+      typeof password !== "string" ||
+      !verifyPassword(password, credentials)
+    ) {
+      this.recordFailure(clientId);
+      throw new HttpError(401, "Incorrect password. Please try again.");
+    }
+
+    this.failures.delete(clientId);
+    const name = typeof author === "string" ? author.trim().slice(0, 60) : "";
+    const session = {
+      token: crypto.randomBytes(32).toString("hex"),
+      expiresAt: this.now() + this.sessionTtlMs,
+      author: name || "admin",
+    };
+    this.sessions.set(session.token, session);
+    return session;
+  }
+
+  /**
+   * Ends a session
+   * @param {string} token - Session token
+   */
+  logout(token) {
+    this.sessions.delete(token);
+  }
+
+  /**
+   * Looks up the session attached to a request
+   * @param {http.IncomingMessage} req - Request object
+   * @returns {Object|null} Session, or null if missing or expired
+   */
+  getSession(req) {
+    const token = parseCookies(req)[SESSION_COOKIE];
+    const session = token && this.sessions.get(token);
+    if (!session) {
+      return null;
+    }
+    if (session.expiresAt <= this.now()) {
+      this.sessions.delete(token);
+      return null;
+    }
+    return session;
+  }
+
+  /**
+   * Rejects requests that do not carry a valid session
+   * @param {http.IncomingMessage} req - Request object
+   * @returns {Object} Session
+   */
+  requireSession(req) {
+    const session = this.getSession(req);
+    if (!session) {
+      throw new HttpError(401, "Admin login required");
+    }
+    return session;
+  }
+
+  /**
+   * Returns the time a client's lockout ends, if it is locked out
+   * @param {string} clientId - Client identifier
+   * @returns {number|null} Lockout end time in ms, or null
+   */
+  getLockedUntil(clientId) {
+    const record = this.failures.get(clientId);
+    if (!record || !record.lockedUntil) {
+      return null;
+    }
+    if (record.lockedUntil <= this.now()) {
+      this.failures.delete(clientId);
+      return null;
+    }
+    return record.lockedUntil;
+  }
+
+  /**
+   * Counts a failed attempt and starts a lockout once the limit is reached
+   * @param {string} clientId - Client identifier
+   */
+  recordFailure(clientId) {
+    const now = this.now();
+    let record = this.failures.get(clientId);
+    if (!record || now - record.firstFailureAt > this.lockoutMs) {
+      record = { count: 0, firstFailureAt: now, lockedUntil: null };
+    }
+    record.count++;
+    if (record.count >= this.maxFailedAttempts) {
+      record.lockedUntil = now + this.lockoutMs;
+    }
+    this.failures.set(clientId, record);
+  }
+}
+
+module.exports = {
+  AuthService,
+  SESSION_COOKIE,
+  hashPassword,
+  verifyPassword,
+  parseCookies,
+};
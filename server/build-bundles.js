@@ -0,0 +1,19 @@
+/**
+ * Rebuilds the page scripts in assets/js/bundle/
+ * Run after changing anything under assets/js; npm start, serve, build and
+ * test run it first
+ *
+ * Usage: npm run bundle
+ */
+
+const path = require("path");
+const { buildBundles } = require("./bundles");
+
+buildBundles(path.resolve(__dirname, ".."))
+  .then((bundles) => {
+    console.log(`Bundled ${bundles.join(", ")}`);
+  })
+  .catch((error) => {
+    console.error("Error bundling scripts:", error.message);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,19 @@
+/**
+ * Rebuilds assets/images/manifest.json
+ * Run after adding or replacing images by hand; the config server also
+ * rebuilds it on start and after each upload
+ *
+ * Usage: npm run images:manifest
+ */
+
+const path = require("path");
+const { writeImageManifest } = require("./image-manifest");
+
+writeImageManifest(path.resolve(__dirname, ".."))
+  .then(({ images }) => {
+    console.log(`Image manifest updated (${images.length} images).`);
+  })
+  .catch((error) => {
+    console.error("Error building image manifest:", error);
+    process.exitCode = 1;
+  });
@@ -0,0 +1,74 @@
+/**
+ * Builds the pre-rendered static site in dist/
+ * Uses the config published through the admin panel (data/config.json), or an
+ * export file downloaded from the admin panel's Export button
+ *
+ * Usage: npm run build [-- --config <export.json>] [-- --out <folder>]
+ *        (DATA_DIR may be set in the environment)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const { JsonFileStore } = require("./json-store");
+const { VersionedConfigStore } = require("./versioned-config-store");
+const { ConfigManager } = require("../assets/js/config.mjs");
+const { resolveConfig, buildStaticSite } = require("./static-site");
+
+const rootDir = path.resolve(__dirname, "..");
+
+/**
+ * Reads "--name value" options from the command line
+ * @param {string[]} args - Arguments after the script name
+ * @returns {Object} Option values keyed by name
+ */
+function parseArgs(args) {
+  const options = {};
+  for (let index = 0; index < args.length; index += 2) {
+    if (!args[index].startsWith("--") || args[index + 1] === undefined) {
+      throw new Error(`Unexpected argument: ${args[index]}`);
+    }
+    options[args[index].slice(2)] = args[index + 1];
+  }
+  return options;
+}
+
+/**
+ * Loads the config to build from
+ * @param {string} [exportFile] - Admin export file to use instead of the published config
+ * @returns {Promise<Object|null>} Config, or null if nothing has been published
+ */
+async function loadConfig(exportFile) {
+  if (exportFile) {
+    const data = JSON.parse(await fs.promises.readFile(exportFile, "utf8"));
+    const { valid, config, errors } = new ConfigManager().parseImport(data);
+    if (!valid) {
+      throw new Error(
+        `${exportFile} can't be used: ${Object.values(errors).flat().join(" ")}`
+      );
+    }
+    return config;
+  }
+
+  const dataDir = process.env.DATA_DIR || path.join(rootDir, "data");
+  const store = new VersionedConfigStore(
+    new JsonFileStore(path.join(dataDir, "config.json"))
+  );
+  return store.read();
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  const outDir = path.resolve(options.out || path.join(rootDir, "dist"));
+  const config = await loadConfig(options.config);
+  if (!config) {
+    console.warn("No config has been published yet; building the defaults.");
+  }
+
+  await buildStaticSite({ rootDir, outDir, config: resolveConfig(config) });
+  console.log(`Static site built in ${outDir}`);
+}
+
+main().catch((error) => {
+  console.error("Error building static site:", error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,45 @@
+/**
+ * Browser bundles
+ * Bundles each page's entry module with everything it imports into one
+ * classic script under assets/js/bundle/, which index.html and admin.html load.
+ * The modules themselves stay unbundled for Node (tests, static build).
+ */
+
+const path = require("path");
+const esbuild = require("esbuild");
+
+// Page script → entry module, relative to assets/js
+const BUNDLES = {
+  main: "start-main.mjs",
+  admin: "start-admin.mjs",
+};
+
+/**
+ * Writes the page bundles, minified with source maps
+ * @param {string} rootDir - Directory containing assets/
+ * @returns {Promise<string[]>} Paths of the written bundles, relative to rootDir
+ */
+async function buildBundles(rootDir) {
+  const jsDir = path.join(rootDir, "assets", "js");
+  const entryPoints = {};
+  Object.entries(BUNDLES).forEach(([name, entry]) => {
+    entryPoints[name] = path.join(jsDir, entry);
+  });
+
+  await esbuild.build({
+    entryPoints,
+    outdir: path.join(jsDir, "bundle"),
+    bundle: true,
+    // A classic script, so the pages also work opened from disk
+    format: "iife",
+    target: "es2019",
+    minify: true,
+    sourcemap: true,
+    logLevel: "warning",
+  });
+  return Object.keys(BUNDLES).map((name) =>
+    path.join("assets", "js", "bundle", `${name}.js`)
+  );
+}
+
+module.exports = { buildBundles };
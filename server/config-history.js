@@ -0,0 +1,96 @@
+/**
+ * Config Revision History
+ * Keeps a bounded list of published config snapshots so edits can be undone
+ */
+
+const ConfigMigrations = require("../assets/js/migrations.js");
+const { upgradeDocument } = require("./versioned-config-store");
+
+const MAX_REVISIONS = 50;
+
+class ConfigHistory {
+  /**
+   * @param {Object} options - History options
+   * @param {JsonFileStore} options.store - Store holding the revision list
+   * @param {number} [options.maxRevisions] - Oldest revisions beyond this are discarded
+   * @param {Function} [options.now] - Clock, returns the current time in ms
+   */
+  constructor(options) {
+    this.store = options.store;
+    this.maxRevisions = options.maxRevisions || MAX_REVISIONS;
+    this.now = options.now || Date.now;
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Runs changes one at a time, so overlapping publishes can't take the same id
+   * @param {Function} task - Async change
+   * @returns {Promise<*>} The task's result
+   */
+  serialize(task) {
+    const result = this.pending.then(task);
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Lists revisions, newest first, with snapshots migrated to the current version
+   * @returns {Promise<Object[]>} Revisions ({ id, timestamp, author, note, config })
+   */
+  async list() {
+    const revisions = (await this.store.read()) || [];
+    return revisions.map(upgradeRevision).reverse();
+  }
+
+  /**
+   * Finds a revision by id
+   * @param {number} id - Revision id
+   * @returns {Promise<Object|null>} Revision, or null if it is not (or no longer) kept
+   */
+  async get(id) {
+    const revisions = (await this.store.read()) || [];
+    const revision = revisions.find((candidate) => candidate.id === id);
+    return revision ? upgradeRevision(revision) : null;
+  }
+
+  /**
+   * Records a new revision
+   * @param {Object} config - Full config snapshot
+   * @param {string} author - Who made the change
+   * @param {string} [note] - Optional description, e.g. "Restored revision 4"
+   * @returns {Promise<Object>} The recorded revision
+   */
+  record(config, author, note = "") {
+    return this.serialize(async () => {
+      const revisions = (await this.store.read()) || [];
+      const lastId = revisions.length ? revisions[revisions.length - 1].id : 0;
+      const revision = {
+        id: lastId + 1,
+        timestamp: new Date(this.now()).toISOString(),
+        author,
+        note,
+        configVersion: ConfigMigrations.CURRENT_VERSION,
+        config,
+      };
+      revisions.push(revision);
+      await this.store.write(revisions.slice(-this.maxRevisions));
+      return revision;
+    });
+  }
+}
+
+/**
+ * Migrates a revision's snapshot to the current config version
+ * @param {Object} revision - Stored revision
+ * @returns {Object} Revision with a current-version config and no version field
+ */
+function upgradeRevision({ configVersion, config, ...revision }) {
+  return {
+    ...revision,
+    config: upgradeDocument(
+      configVersion === undefined ? config : { configVersion, config }
+    ),
+  };
+}
+
+module.exports = { ConfigHistory, MAX_REVISIONS };
@@ -0,0 +1,129 @@
+/**
+ * Config API routes
+ * GET /api/config returns the published site configuration, PUT replaces it.
+ * Admins can also keep a draft (/api/config/draft) that is previewed before publishing.
+ * Every publish is recorded in the revision history, which admins can list and restore.
+ */
+
+const {
+  HttpError,
+  sendJson,
+  readJsonBody,
+  isPlainObject,
+} = require("./http-utils");
+const ConfigSchema = require("../assets/js/schema.js");
+
+/**
+ * Registers the config endpoints on a router
+ * @param {Router} router - Router to register on
+ * @param {Object} deps - Dependencies
+ * @param {AuthService} deps.auth - Authentication service guarding writes
+ * @param {VersionedConfigStore} deps.configStore - Store holding the published config
+ * @param {VersionedConfigStore} deps.draftStore - Store holding the unpublished draft
+ * @param {ConfigHistory} deps.history - Revision history
+ */
+function registerConfigRoutes(
+  router,
+  { auth, configStore, draftStore, history }
+) {
+  /**
+   * Validates and publishes a config, recording it as a new revision
+   * @param {Object} config - Config to publish
+   * @param {Object} session - Admin session making the change
+   * @param {string} [note] - Revision note
+   * @returns {Promise<Object>} The recorded revision
+   */
+  async function publish(config, session, note) {
+    const { valid, errors } = ConfigSchema.validateConfig(config);
+    if (!valid) {
+      throw new HttpError(400, "Configuration is invalid", { errors });
+    }
+    await configStore.write(config);
+    return history.record(config, session.author, note);
+  }
+
+  router.add("GET", "/api/config", async (req, res) => {
+    const config = await configStore.read();
+    if (!config) {
+      sendJson(res, 404, { error: "No configuration has been published" });
+      return;
+    }
+    sendJson(res, 200, config);
+  });
+
+  router.add("PUT", "/api/config", async (req, res) => {
+    const session = auth.requireSession(req);
+    const config = await readJsonBody(req);
+    if (!isPlainObject(config)) {
+      throw new HttpError(400, "Configuration must be a JSON object");
+    }
+    await publish(config, session);
+    sendJson(res, 200, config);
+  });
+
+  router.add("GET", "/api/config/draft", async (req, res) => {
+    auth.requireSession(req);
+    const draft = await draftStore.read();
+    if (!draft) {
+      sendJson(res, 404, { error: "There is no draft" });
+      return;
+    }
+    sendJson(res, 200, draft);
+  });
+
+  router.add("PUT", "/api/config/draft", async (req, res) => {
+    auth.requireSession(req);
+    const draft = await readJsonBody(req);
+    if (!isPlainObject(draft)) {
+      throw new HttpError(400, "Configuration must be a JSON object");
+    }
+    const { valid, errors } = ConfigSchema.validateConfig(draft);
+    if (!valid) {
+      throw new HttpError(400, "Configuration is invalid", { errors });
+    }
+    await draftStore.write(draft);
+    sendJson(res, 200, draft);
+  });
+
+  router.add("DELETE", "/api/config/draft", async (req, res) => {
+    auth.requireSession(req);
+    await draftStore.remove();
+    sendJson(res, 200, { deleted: true });
+  });
+
+  router.add("POST", "/api/config/draft/publish", async (req, res) => {
+    const session = auth.requireSession(req);
+    const draft = await draftStore.read();
+    if (!draft) {
+      throw new HttpError(404, "There is no draft to publish");
+    }
+    await publish(draft, session, "Published draft");
+    await draftStore.remove();
+    sendJson(res, 200, draft);
+  });
+
+  router.add("GET", "/api/config/history", async (req, res) => {
+    auth.requireSession(req);
+    sendJson(res, 200, await history.list());
+  });
+
+  router.add(
+    "POST",
+    "/api/config/history/:id/restore",
+    async (req, res, params) => {
+      const session = auth.requireSession(req);
+      const revision = await history.get(Number(params.id));
+      if (!revision) {
+        throw new HttpError(404, "Revision not found");
+      }
+      await publish(
+        revision.config,
+        session,
+        `Restored revision ${revision.id}`
+      );
+      sendJson(res, 200, revision.config);
+    }
+  );
+}
+
+module.exports = { registerConfigRoutes };
@@ -0,0 +1,307 @@
+/**
+ * HTML patching
+ * Applies PageView patches to an HTML document as text, the way main.mjs
+ * applies them to the DOM. Meant for this site's own pages: elements are
+ * found by id (or <body>) and attribute values must be double-quoted.
+ */
+
+const RichText = require("../assets/js/rich-text.js");
+
+const VOID_ELEMENTS = [
+  "area",
+  "base",
+  "br",
+  "col",
+  "embed",
+  "hr",
+  "img",
+  "input",
+  "link",
+  "meta",
+  "source",
+  "track",
+  "wbr",
+];
+
+/**
+ * Escapes a string for use in a regular expression
+ * @param {string} text - Literal text
+ * @returns {string} Pattern matching the text
+ */
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Finds an element's start tag and, for non-void elements, its matching end tag
+ * @param {string} html - Document
+ * @param {string} target - Element id, or "body"
+ * @returns {Object|null} Element (see measureElement()), or null if it isn't there
+ */
+function findElement(html, target) {
+  const pattern =
+    target === "body"
+      ? /<(body)((?:\s[^>]*)?)>/i
+      : new RegExp(
+          `<([a-zA-Z][\\w-]*)(\\s(?:[^>]*?\\s)?id="${escapeRegExp(
+            target
+          )}"[^>]*)>`
+        );
+  return measureElement(html, pattern.exec(html));
+}
+
+/**
+ * Finds where an element ends, given its start tag
+ * @param {string} html - Document
+ * @param {Array|null} match - Start tag match, with the tag name and the attribute
+ *   text as its first two groups
+ * @returns {Object|null} { name, start, tagEnd, attributes, contentEnd } with string
+ *   offsets (contentEnd is where the end tag starts), or null without a match or end tag
+ */
+function measureElement(html, match) {
+  if (!match) return null;
+
+  const name = match[1].toLowerCase();
+  const start = match.index;
+  const tagEnd = start + match[0].length;
+  const attributes = match[2].replace(/\s*\/$/, "");
+  if (VOID_ELEMENTS.includes(name)) {
+    return { name, start, tagEnd, attributes, contentEnd: tagEnd };
+  }
+
+  // Walk nested elements of the same name to the matching end tag
+  const tags = new RegExp(`<(/?)${name}\\b[^>]*>`, "gi");
+  tags.lastIndex = tagEnd;
+  let depth = 1;
+  let tag;
+  while ((tag = tags.exec(html))) {
+    depth += tag[1] ? -1 : 1;
+    if (depth === 0) {
+      return { name, start, tagEnd, attributes, contentEnd: tag.index };
+    }
+  }
+  return null;
+}
+
+/**
+ * Parses the attributes of a start tag
+ * @param {string} source - Text between the tag name and ">"
+ * @returns {Object[]} Attributes ({ name, value }) in order, with raw (still escaped)
+ *   values, or a null value for attributes written without one
+ */
+function parseAttributes(source) {
+  const attributes = [];
+  const pattern = /([^\s=/]+)(?:\s*=\s*"([^"]*)")?/g;
+  let match;
+  while ((match = pattern.exec(source))) {
+    attributes.push({
+      name: match[1],
+      value: match[2] === undefined ? null : match[2],
+    });
+  }
+  return attributes;
+}
+
+/**
+ * Sets or removes an attribute in a parsed attribute list
+ * @param {Object[]} attributes - Parsed attributes
+ * @param {string} name - Attribute name
+ * @param {string|null} value - Raw (escaped) value, or undefined to remove the attribute
+ */
+function setAttribute(attributes, name, value) {
+  const index = attributes.findIndex((attribute) => attribute.name === name);
+  if (value === undefined) {
+    if (index !== -1) attributes.splice(index, 1);
+  } else if (index === -1) {
+    attributes.push({ name, value });
+  } else {
+    attributes[index].value = value;
+  }
+}
+
+/**
+ * Decodes the character references in an attribute value
+ * @param {string} value - Raw value
+ * @returns {string} Text
+ */
+function decodeAttribute(value) {
+  return value.replace(
+    /&(?:#(\d+)|#x([\da-f]+)|(amp|lt|gt|quot|apos));/gi,
+    (reference, decimal, hex, name) => {
+      if (decimal) return String.fromCodePoint(Number(decimal));
+      if (hex) return String.fromCodePoint(parseInt(hex, 16));
+      return { amp: "&", lt: "<", gt: ">", quot: '"', apos: "'" }[
+        name.toLowerCase()
+      ];
+    }
+  );
+}
+
+/**
+ * Reads an attribute's value
+ * @param {Object[]} attributes - Parsed attributes
+ * @param {string} name - Attribute name
+ * @returns {string} Decoded value, or "" when absent
+ */
+function getAttribute(attributes, name) {
+  const attribute = attributes.find((candidate) => candidate.name === name);
+  return attribute && attribute.value ? decodeAttribute(attribute.value) : "";
+}
+
+/**
+ * Applies a patch's classes to a class attribute value
+ * @param {string} value - Current class attribute
+ * @param {Object} classes - Class name → whether the element has it
+ * @returns {string} New class attribute
+ */
+function patchClasses(value, classes) {
+  let names = value.split(/\s+/).filter(Boolean);
+  Object.keys(classes).forEach((name) => {
+    names = names.filter((candidate) => candidate !== name);
+    if (classes[name]) names.push(name);
+  });
+  return names.join(" ");
+}
+
+/**
+ * Applies a patch's style properties to a style attribute value
+ * @param {string} value - Current style attribute
+ * @param {Object} style - Property → value, or "" to remove the property
+ * @returns {string} New style attribute
+ */
+function patchStyle(value, style) {
+  const declarations = value
+    .split(";")
+    .map((declaration) => declaration.trim())
+    .filter(Boolean)
+    .map((declaration) => {
+      const colon = declaration.indexOf(":");
+      return {
+        property: declaration.slice(0, colon).trim(),
+        value: declaration.slice(colon + 1).trim(),
+      };
+    });
+  Object.keys(style).forEach((property) => {
+    const index = declarations.findIndex(
+      (declaration) => declaration.property === property
+    );
+    if (index !== -1) declarations.splice(index, 1);
+    if (style[property] !== "") {
+      declarations.push({ property, value: style[property] });
+    }
+  });
+  return declarations
+    .map((declaration) => `${declaration.property}: ${declaration.value}`)
+    .join("; ");
+}
+
+/**
+ * Applies one patch to a document
+ * @param {string} html - Document
+ * @param {Object} patch - PageView patch
+ * @returns {string} Patched document (unchanged if the target isn't there)
+ */
+function applyPatch(html, patch) {
+  const element = findElement(html, patch.target);
+  return element ? patchElement(html, element, patch) : html;
+}
+
+/**
+ * Applies a patch's changes to an element
+ * @param {string} html - Document
+ * @param {Object} element - Element (see measureElement())
+ * @param {Object} patch - PageView patch; its target is ignored
+ * @returns {string} Patched document
+ */
+function patchElement(html, element, patch) {
+  const attributes = parseAttributes(element.attributes);
+  Object.keys(patch.attributes || {}).forEach((name) => {
+    const value = patch.attributes[name];
+    setAttribute(
+      attributes,
+      name,
+      value === null ? undefined : RichText.escapeHtml(value)
+    );
+  });
+  if (patch.classes) {
+    const classes = patchClasses(
+      getAttribute(attributes, "class"),
+      patch.classes
+    );
+    setAttribute(
+      attributes,
+      "class",
+      classes ? RichText.escapeHtml(classes) : undefined
+    );
+  }
+  if (patch.style) {
+    const style = patchStyle(getAttribute(attributes, "style"), patch.style);
+    // Font stacks quote family names, e.g. "Segoe UI"
+    setAttribute(
+      attributes,
+      "style",
+      style ? RichText.escapeHtml(style) : undefined
+    );
+  }
+
+  const isVoid = VOID_ELEMENTS.includes(element.name);
+  let startTag = html.slice(element.start, element.tagEnd);
+  // Content-only patches keep the start tag as written
+  if (patch.attributes || patch.classes || patch.style) {
+    const attributeText = attributes
+      .map(({ name, value }) => (value === null ? name : `${name}="${value}"`))
+      .join(" ");
+    startTag = `<${element.name}${attributeText ? ` ${attributeText}` : ""}${
+      isVoid ? " /" : ""
+    }>`;
+  }
+
+  let content = html.slice(element.tagEnd, element.contentEnd);
+  if (patch.text !== undefined) content = RichText.escapeHtml(patch.text);
+  if (patch.html !== undefined) content = patch.html;
+
+  return `${html.slice(0, element.start)}${startTag}${
+    isVoid ? "" : content
+  }${html.slice(element.contentEnd)}`;
+}
+
+/**
+ * Applies PageView patches to a document, in order
+ * @param {string} html - Document
+ * @param {Object[]} patches - Patches ({ target, text, html, attributes, classes, style })
+ * @returns {string} Patched document
+ */
+function applyPatches(html, patches) {
+  return patches.reduce(applyPatch, html);
+}
+
+/**
+ * Translates the page's own text the way main.mjs applyLanguage() does: the
+ * content of elements marked with data-i18n and the aria-label of those
+ * marked with data-i18n-label
+ * @param {string} html - Document
+ * @param {Function} translate - Takes a message key and returns its text
+ * @returns {string} Translated document
+ */
+function applyMessages(html, translate) {
+  const marked =
+    /<([a-zA-Z][\w-]*)(\s[^>]*\bdata-i18n(?:-label)?="[^"]*"[^>]*)>/g;
+  let page = html;
+  let match;
+  while ((match = marked.exec(page))) {
+    const element = measureElement(page, match);
+    if (!element) continue;
+    const attributes = parseAttributes(element.attributes);
+    const key = getAttribute(attributes, "data-i18n");
+    const label = getAttribute(attributes, "data-i18n-label");
+    const patch = {};
+    if (key) patch.text = translate(key);
+    if (label) patch.attributes = { "aria-label": translate(label) };
+    page = patchElement(page, element, patch);
+    // Carry on after the start tag, which may have been rewritten
+    marked.lastIndex = element.start + 1;
+  }
+  return page;
+}
+
+module.exports = { applyPatches, applyMessages };
@@ -0,0 +1,91 @@
+/**
+ * HTTP helpers shared by the server route handlers
+ */
+
+const MAX_BODY_BYTES = 100 * 1024;
+
+class HttpError extends Error {
+  /**
+   * @param {number} status - HTTP status code to respond with
+   * @param {string} message - Error message sent to the client
+   * @param {Object} [details] - Extra fields merged into the JSON error body
+   */
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = "HttpError";
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Sends a JSON response
+ * @param {http.ServerResponse} res - Response object
+ * @param {number} status - HTTP status code
+ * @param {*} body - Value to serialize as JSON
+ */
+function sendJson(res, status, body) {
+  const payload = JSON.stringify(body);
+  const headers = {
+    "Content-Type": "application/json; charset=utf-8",
+    "Content-Length": Buffer.byteLength(payload),
+    "Cache-Control": "no-store",
+  };
+  // The rest of an oversized body is discarded, not read, so the connection can't be reused
+  if (status === 413) {
+    headers.Connection = "close";
+  }
+  res.writeHead(status, headers);
+  res.end(payload);
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @param {http.IncomingMessage} req - Request object
+ * @param {number} [limit] - Maximum accepted body size in bytes
+ * @returns {Promise<*>} Parsed body
+ */
+function readJsonBody(req, limit = MAX_BODY_BYTES) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+
+    const onData = (chunk) => {
+      size += chunk.length;
+      if (size > limit) {
+        // Drain the rest without keeping it, so the client still gets the 413
+        req.removeListener("data", onData);
+        req.resume();
+        chunks.length = 0;
+        reject(new HttpError(413, "Request body too large"));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on("data", onData);
+
+    req.on("end", () => {
+      if (size > limit) {
+        return;
+      }
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString("utf8")));
+      } catch (error) {
+        reject(new HttpError(400, "Request body must be valid JSON"));
+      }
+    });
+
+    req.on("error", reject);
+  });
+}
+
+/**
+ * Checks that a value is a plain JSON object (not an array or null)
+ * @param {*} value - Value to check
+ * @returns {boolean} True for plain objects
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === "object" && !Array.isArray(value);
+}
+
+module.exports = { HttpError, sendJson, readJsonBody, isPlainObject };
@@ -0,0 +1,211 @@
+/**
+ * Image Manifest
+ * Lists the images under assets/images with their dimensions and content
+ * hashes in assets/images/manifest.json, so the public page can pick the
+ * profile image with one request instead of probing for files. Uploads are
+ * left out: they are git-ignored, and the config lists them with their sizes
+ * in profileImageVariants, so the committed manifest stays as it is.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const MANIFEST_NAME = "manifest.json";
+// Where the config server stores uploaded photos, relative to assets/images
+const UPLOADS_DIRECTORY = "uploads";
+
+const IMAGE_TYPES = {
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".gif": "image/gif",
+  ".svg": "image/svg+xml",
+};
+
+// JPEG start-of-frame markers carry the dimensions; C4, C8 and CC are other segments
+const JPEG_SOF_MARKERS = [
+  0xc0, 0xc1, 0xc2, 0xc3, 0xc5, 0xc6, 0xc7, 0xc9, 0xca, 0xcb, 0xcd, 0xce, 0xcf,
+];
+
+/**
+ * Reads the dimensions of a JPEG from its start-of-frame segment
+ * @param {Buffer} data - File contents
+ * @returns {Object|null} { width, height }
+ */
+function readJpegSize(data) {
+  let offset = 2;
+  while (offset + 9 < data.length) {
+    if (data[offset] !== 0xff) return null;
+    const marker = data[offset + 1];
+    if (JPEG_SOF_MARKERS.includes(marker)) {
+      return {
+        width: data.readUInt16BE(offset + 7),
+        height: data.readUInt16BE(offset + 5),
+      };
+    }
+    offset += 2 + data.readUInt16BE(offset + 2);
+  }
+  return null;
+}
+
+/**
+ * Reads the dimensions of a WebP from its VP8, VP8L or VP8X chunk
+ * @param {Buffer} data - File contents
+ * @returns {Object|null} { width, height }
+ */
+function readWebpSize(data) {
+  const chunk = data.toString("ascii", 12, 16);
+  if (chunk === "VP8 " && data.length >= 30) {
+    return {
+      width: data.readUInt16LE(26) & 0x3fff,
+      height: data.readUInt16LE(28) & 0x3fff,
+    };
+  }
+  if (chunk === "VP8L" && data.length >= 25) {
+    const bits = data.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === "VP8X" && data.length >= 30) {
+    return {
+      width: data.readUIntLE(24, 3) + 1,
+      height: data.readUIntLE(27, 3) + 1,
+    };
+  }
+  return null;
+}
+
+/**
+ * Reads the dimensions of an SVG from its width/height attributes or viewBox
+ * @param {Buffer} data - File contents
+ * @returns {Object|null} { width, height }
+ */
+function readSvgSize(data) {
+  const root = /<svg\b[^>]*>/i.exec(data.toString("utf8"));
+  if (!root) return null;
+
+  const attribute = (name) => {
+    const match = new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, "i").exec(
+      root[0]
+    );
+    return match ? match[1] : null;
+  };
+  const width = parseFloat(attribute("width"));
+  const height = parseFloat(attribute("height"));
+  if (width > 0 && height > 0) {
+    return { width: Math.round(width), height: Math.round(height) };
+  }
+
+  const viewBox = (attribute("viewBox") || "").trim().split(/[\s,]+/);
+  if (viewBox.length === 4) {
+    return {
+      width: Math.round(parseFloat(viewBox[2])),
+      height: Math.round(parseFloat(viewBox[3])),
+    };
+  }
+  return null;
+}
+
+/**
+ * Reads an image's pixel dimensions from its header
+ * @param {Buffer} data - File contents
+ * @param {string} type - MIME type from IMAGE_TYPES
+ * @returns {Object|null} { width, height }, or null if the header can't be read
+ */
+function readImageSize(data, type) {
+  try {
+    switch (type) {
+      case "image/png":
+        return data.toString("ascii", 12, 16) === "IHDR"
+          ? { width: data.readUInt32BE(16), height: data.readUInt32BE(20) }
+          : null;
+      case "image/gif":
+        return { width: data.readUInt16LE(6), height: data.readUInt16LE(8) };
+      case "image/jpeg":
+        return readJpegSize(data);
+      case "image/webp":
+        return readWebpSize(data);
+      case "image/svg+xml":
+        return readSvgSize(data);
+      default:
+        return null;
+    }
+  } catch (error) {
+    // A truncated header reads past the end of the buffer
+    return null;
+  }
+}
+
+/**
+ * Finds image files below a directory
+ * @param {string} directory - Directory to scan
+ * @returns {Promise<string[]>} Absolute file paths, sorted
+ */
+async function listImageFiles(directory) {
+  const entries = await fs.promises.readdir(directory, { withFileTypes: true });
+  const files = await Promise.all(
+    entries
+      .filter((entry) => !entry.name.startsWith("."))
+      .map(async (entry) => {
+        const fullPath = path.join(directory, entry.name);
+        if (entry.isDirectory()) return listImageFiles(fullPath);
+        return IMAGE_TYPES[path.extname(entry.name).toLowerCase()]
+          ? [fullPath]
+          : [];
+      })
+  );
+  return files.flat().sort();
+}
+
+/**
+ * Builds the manifest for an images directory, leaving out its uploads
+ * @param {string} imagesDir - Absolute path of assets/images
+ * @param {string} rootDir - Site root the listed paths are relative to
+ * @returns {Promise<Object>} { images: [{ src, type, width, height, bytes, sha256 }] }
+ */
+async function buildImageManifest(imagesDir, rootDir) {
+  const uploadsDir = path.join(imagesDir, UPLOADS_DIRECTORY);
+  const files = (await listImageFiles(imagesDir)).filter(
+    (file) => !file.startsWith(`${uploadsDir}${path.sep}`)
+  );
+  const images = await Promise.all(
+    files.map(async (file) => {
+      const data = await fs.promises.readFile(file);
+      const type = IMAGE_TYPES[path.extname(file).toLowerCase()];
+      const size = readImageSize(data, type) || { width: null, height: null };
+      return {
+        src: path.relative(rootDir, file).split(path.sep).join("/"),
+        type,
+        width: size.width,
+        height: size.height,
+        bytes: data.length,
+        sha256: crypto.createHash("sha256").update(data).digest("hex"),
+      };
+    })
+  );
+  return { images };
+}
+
+/**
+ * Rebuilds assets/images/manifest.json
+ * The file has no timestamp, so rebuilding an unchanged directory leaves it identical
+ * @param {string} rootDir - Site root containing assets/images
+ * @returns {Promise<Object>} The manifest written
+ */
+async function writeImageManifest(rootDir) {
+  const imagesDir = path.join(rootDir, "assets", "images");
+  const manifest = await buildImageManifest(imagesDir, rootDir);
+  await fs.promises.writeFile(
+    path.join(imagesDir, MANIFEST_NAME),
+    `${JSON.stringify(manifest, null, 2)}\n`
+  );
+  return manifest;
+}
+
+module.exports = {
+  buildImageManifest,
+  writeImageManifest,
+  readImageSize,
+  MANIFEST_NAME,
+};
@@ -0,0 +1,44 @@
+/**
+ * Image upload API route
+ * POST /api/config/images stores the resized variants of a cropped profile
+ * photo; the admin then records the returned paths in the config
+ */
+
+const {
+  sendJson,
+  readJsonBody,
+  isPlainObject,
+  HttpError,
+} = require("./http-utils");
+const { MAX_VARIANT_BYTES } = require("./image-store");
+const ImageVariants = require("../assets/js/image-variants.js");
+
+// Base64 grows data by a third; allow every variant at its maximum size
+const MAX_UPLOAD_BYTES = Math.ceil(
+  (MAX_VARIANT_BYTES *
+    4 *
+    ImageVariants.WIDTHS.length *
+    ImageVariants.TYPES.length) /
+    3
+);
+
+/**
+ * Registers the image endpoint on a router
+ * @param {Router} router - Router to register on
+ * @param {Object} deps - Dependencies
+ * @param {AuthService} deps.auth - Authentication service guarding uploads
+ * @param {ImageStore} deps.imageStore - Store the variants are written to
+ */
+function registerImageRoutes(router, { auth, imageStore }) {
+  router.add("POST", "/api/config/images", async (req, res) => {
+    auth.requireSession(req);
+    const body = await readJsonBody(req, MAX_UPLOAD_BYTES);
+    if (!isPlainObject(body)) {
+      throw new HttpError(400, "Request body must be a JSON object");
+    }
+    const variants = await imageStore.save(body.variants);
+    sendJson(res, 201, { variants });
+  });
+}
+
+module.exports = { registerImageRoutes };
@@ -0,0 +1,115 @@
+/**
+ * Image Store
+ * Writes uploaded profile photo variants under assets/ so they are served as
+ * static files, named by content hash so a new upload never reuses a cached URL
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const ImageVariants = require("../assets/js/image-variants.js");
+const { HttpError, isPlainObject } = require("./http-utils");
+
+const MAX_VARIANT_BYTES = 2 * 1024 * 1024;
+const MAX_DIMENSION = 4000;
+
+// Leading bytes of each accepted format, so a mislabelled file is rejected
+const SIGNATURES = {
+  "image/jpeg": (data) =>
+    data[0] === 0xff && data[1] === 0xd8 && data[2] === 0xff,
+  "image/webp": (data) =>
+    data.toString("ascii", 0, 4) === "RIFF" &&
+    data.toString("ascii", 8, 12) === "WEBP",
+};
+
+class ImageStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {string} options.directory - Directory the files are written to
+   * @param {string} options.publicPath - URL path the directory is served at, e.g. "assets/images/uploads"
+   */
+  constructor({ directory, publicPath }) {
+    this.directory = directory;
+    this.publicPath = publicPath;
+  }
+
+  /**
+   * Validates and decodes one uploaded variant
+   * @param {*} variant - { type, width, height, data } with base64 data
+   * @param {number} index - Position in the upload, for error messages
+   * @returns {Object} { type, width, height, data } with data as a Buffer
+   */
+  decodeVariant(variant, index) {
+    const label = `Image ${index + 1}`;
+    if (!isPlainObject(variant)) {
+      throw new HttpError(400, `${label} must be an object`);
+    }
+
+    const { type, width, height, data } = variant;
+    if (!ImageVariants.TYPES.includes(type)) {
+      throw new HttpError(
+        400,
+        `${label} must be one of: ${ImageVariants.TYPES.join(", ")}`
+      );
+    }
+    [width, height].forEach((size) => {
+      if (!Number.isInteger(size) || size < 1 || size > MAX_DIMENSION) {
+        throw new HttpError(
+          400,
+          `${label} dimensions must be whole numbers from 1 to ${MAX_DIMENSION}`
+        );
+      }
+    });
+    if (typeof data !== "string" || data === "") {
+      throw new HttpError(400, `${label} data must be a base64 string`);
+    }
+
+    const bytes = Buffer.from(data, "base64");
+    if (bytes.length > MAX_VARIANT_BYTES) {
+      throw new HttpError(413, `${label} is larger than 2 MB`);
+    }
+    if (!SIGNATURES[type](bytes)) {
+      throw new HttpError(400, `${label} is not a valid ${type} file`);
+    }
+    return { type, width, height, data: bytes };
+  }
+
+  /**
+   * Saves the variants of one uploaded photo
+   * @param {Object[]} variants - Uploaded variants ({ type, width, height, data })
+   * @returns {Promise<Object[]>} Stored variants ({ src, width, height, type })
+   */
+  async save(variants) {
+    const maxVariants =
+      ImageVariants.WIDTHS.length * ImageVariants.TYPES.length;
+    if (
+      !Array.isArray(variants) ||
+      variants.length === 0 ||
+      variants.length > maxVariants
+    ) {
+      throw new HttpError(
+        400,
+        `Upload between 1 and ${maxVariants} image variants`
+      );
+    }
+
+    const decoded = variants.map((variant, index) =>
+      this.decodeVariant(variant, index)
+    );
+    const hash = crypto.createHash("sha256");
+    decoded.forEach((variant) => hash.update(variant.data));
+    const id = hash.digest("hex").slice(0, 16);
+
+    await fs.promises.mkdir(this.directory, { recursive: true });
+    const stored = await Promise.all(
+      decoded.map(async ({ type, width, height, data }) => {
+        const name = `profile-${id}-${width}.${ImageVariants.EXTENSIONS[type]}`;
+        await fs.promises.writeFile(path.join(this.directory, name), data);
+        return { src: `${this.publicPath}/${name}`, width, height, type };
+      })
+    );
+    return stored;
+  }
+}
+
+module.exports = { ImageStore, MAX_VARIANT_BYTES };
@@ -0,0 +1,23 @@
+/**
+ * Config Server entry point
+ * Serves the site and publishes admin config changes to every visitor
+ *
+ * Usage: node server/index.js  (PORT and DATA_DIR may be set in the environment)
+ */
+
+const path = require("path");
+const { createServer } = require("./app");
+const { writeImageManifest } = require("./image-manifest");
+
+const port = Number(process.env.PORT) || 8080;
+const server = createServer({ dataDir: process.env.DATA_DIR });
+
+// Picks up images added to assets/images while the server was stopped
+writeImageManifest(path.resolve(__dirname, "..")).catch((error) => {
+  console.warn("Unable to update the image manifest:", error.message);
+});
+
+server.listen(port, () => {
+  console.log(`FNP site running at http://localhost:${port}/`);
+  console.log(`Admin panel: http://localhost:${port}/admin.html`);
+});
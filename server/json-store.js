@@ -0,0 +1,58 @@
+/**
+ * JSON File Store
+ * Persists a single JSON document to disk for the config server
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+class JsonFileStore {
+  /**
+   * @param {string} filePath - Absolute path of the JSON file to manage
+   */
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  /**
+   * Reads the stored document
+   * @returns {Promise<Object|null>} Parsed document, or null if nothing is stored yet
+   */
+  async read() {
+    try {
+      const raw = await fs.promises.readFile(this.filePath, "utf8");
+      return JSON.parse(raw);
+    } catch (error) {
+      if (error.code === "ENOENT") {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Writes the document, replacing the file atomically so readers never see a partial write
+   * @param {Object} data - Document to persist
+   * @returns {Promise<void>}
+   */
+  async write(data) {
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    // A temp file per write, so overlapping writes don't rename each other's file
+    const tempPath = `${this.filePath}.${crypto
+      .randomBytes(6)
+      .toString("hex")}.tmp`;
+    await fs.promises.writeFile(tempPath, JSON.stringify(data, null, 2));
+    await fs.promises.rename(tempPath, this.filePath);
+  }
+
+  /**
+   * Deletes the stored document, if any
+   * @returns {Promise<void>}
+   */
+  async remove() {
+    await fs.promises.rm(this.filePath, { force: true });
+  }
+}
+
+module.exports = { JsonFileStore };
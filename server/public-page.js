@@ -0,0 +1,96 @@
+/**
+ * Public page rendering
+ * Serves index.html with the title, meta tags, language links and JSON-LD of
+ * the published config, in the language asked for with ?lang= (along with the
+ * page's own text), so search engines and link previews see the same details
+ * visitors do without running main.mjs
+ */
+
+const fs = require("fs");
+const path = require("path");
+const I18n = require("../assets/js/i18n.js");
+const Seo = require("../assets/js/seo.js");
+const Translations = require("../assets/js/translations.js");
+const { applyMessages } = require("./html-patch.js");
+
+// index.html marks the generated head tags with these comments
+const HEAD_START = "<!-- seo:start -->";
+const HEAD_END = "<!-- seo:end -->";
+
+/**
+ * Replaces the generated head tags of index.html with ones built from a config,
+ * and sets the page's language, translating its text into it
+ * @param {string} html - index.html as on disk
+ * @param {Object} config - Published config
+ * @param {Date} [now] - Moment special hours are looked ahead from
+ * @param {string} [locale] - Language of the page
+ * @returns {string} Page with the config's tags, or html unchanged if the markers are missing
+ */
+function renderPublicPage(
+  html,
+  config,
+  now = new Date(),
+  locale = I18n.DEFAULT_LOCALE
+) {
+  const start = html.indexOf(HEAD_START);
+  const end = html.indexOf(HEAD_END, start);
+  if (start === -1 || end === -1) return html;
+
+  const lineStart = html.lastIndexOf("\n", start) + 1;
+  const indent = html.slice(lineStart, start);
+  // Without a site address the tags keep relative URLs, as in the static file
+  const head = Seo.renderHead(
+    Translations.localize(config, locale),
+    config.siteUrl,
+    now,
+    locale
+  )
+    .split("\n")
+    .map((line) => `${indent}${line}`)
+    .join("\n");
+  const before = html
+    .slice(0, start + HEAD_START.length)
+    .replace(/(<html\b[^>]*\blang=")[^"]*"/, `$1${locale}"`);
+  const page = `${before}\n${head}\n${indent}${html.slice(end)}`;
+  // index.html is written in English, so only other languages need translating
+  return locale === I18n.DEFAULT_LOCALE
+    ? page
+    : applyMessages(page, (key) => I18n.translate(locale, key));
+}
+
+/**
+ * Serves index.html rendered with the published config, or as it is when nothing is published
+ * @param {http.ServerResponse} res - Response object
+ * @param {string} rootDir - Site root directory
+ * @param {VersionedConfigStore} configStore - Store holding the published config
+ * @param {string} requestUrl - Requested URL, whose lang parameter picks the language
+ * @returns {Promise<void>} Rejects, before anything is sent, if the page or config can't be read
+ */
+async function servePublicPage(res, rootDir, configStore, requestUrl) {
+  const html = await fs.promises.readFile(
+    path.join(rootDir, "index.html"),
+    "utf8"
+  );
+  const config = await configStore.read();
+  let page = html;
+  if (config) {
+    // Only the address picks the language, so each language has one URL to link and cache
+    const requested = new URL(requestUrl, "http://localhost").searchParams.get(
+      I18n.LOCALE_PARAM
+    );
+    const locale = I18n.detectLocale(
+      { requested },
+      I18n.getEnabledLocales(config)
+    );
+    page = renderPublicPage(html, config, new Date(), locale);
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/html; charset=utf-8",
+    // The tags change with every publish
+    "Cache-Control": "no-cache",
+  });
+  res.end(page);
+}
+
+module.exports = { renderPublicPage, servePublicPage };
@@ -0,0 +1,49 @@
+/**
+ * Rate Limiter
+ * Counts requests per client in a fixed window, so public endpoints can't be
+ * used to flood the data directory
+ */
+
+const { HttpError } = require("./http-utils");
+
+class RateLimiter {
+  /**
+   * @param {Object} [options] - Limiter options
+   * @param {number} [options.limit] - Requests allowed per window
+   * @param {number} [options.windowMs] - Window length
+   * @param {string} [options.message] - Error message once the limit is reached
+   * @param {Function} [options.now] - Clock, returns the current time in ms
+   */
+  constructor(options = {}) {
+    this.limit = options.limit || 5;
+    this.windowMs = options.windowMs || 60 * 60 * 1000; // 1 hour
+    this.message =
+      options.message || "Too many requests. Please try again later.";
+    this.now = options.now || Date.now;
+    this.windows = new Map();
+  }
+
+  /**
+   * Counts a request, rejecting it once the client is over the limit
+   * @param {string} clientId - Client identifier (client IP)
+   */
+  hit(clientId) {
+    const now = this.now();
+    // Forget finished windows so the map doesn't grow with every visitor
+    this.windows.forEach((window, id) => {
+      if (now - window.startedAt >= this.windowMs) this.windows.delete(id);
+    });
+
+    const window = this.windows.get(clientId) || { count: 0, startedAt: now };
+    if (window.count >= this.limit) {
+      const retryAfter = Math.ceil(
+        (window.startedAt + this.windowMs - now) / 1000
+      );
+      throw new HttpError(429, this.message, { retryAfter });
+    }
+    window.count++;
+    this.windows.set(clientId, window);
+  }
+}
+
+module.exports = { RateLimiter };
@@ -0,0 +1,73 @@
+/**
+ * Minimal request router for the config server
+ * Matches "METHOD /path/:param" patterns and dispatches to async handlers
+ */
+
+const { HttpError, sendJson } = require("./http-utils");
+
+class Router {
+  constructor() {
+    this.routes = [];
+  }
+
+  /**
+   * Registers a route handler
+   * @param {string} method - HTTP method (GET, PUT, POST, DELETE)
+   * @param {string} pattern - Path pattern, e.g. "/api/config" or "/api/items/:id"
+   * @param {Function} handler - async (req, res, params) => void
+   */
+  add(method, pattern, handler) {
+    const keys = [];
+    const source = pattern.replace(/:(\w+)/g, (_, key) => {
+      keys.push(key);
+      return "([^/]+)";
+    });
+    this.routes.push({
+      method,
+      regex: new RegExp(`^${source}$`),
+      keys,
+      handler,
+    });
+  }
+
+  /**
+   * Dispatches a request to the matching route
+   * @param {http.IncomingMessage} req - Request object
+   * @param {http.ServerResponse} res - Response object
+   * @param {string} pathname - Decoded request path
+   * @returns {Promise<boolean>} False when no route matched the path
+   */
+  async handle(req, res, pathname) {
+    const matches = this.routes.filter((route) => route.regex.test(pathname));
+    if (matches.length === 0) {
+      return false;
+    }
+
+    const route = matches.find((candidate) => candidate.method === req.method);
+    if (!route) {
+      sendJson(res, 405, { error: "Method not allowed" });
+      return true;
+    }
+
+    // The pathname is already decoded, so the values are used as they are
+    const values = route.regex.exec(pathname).slice(1);
+    const params = {};
+    route.keys.forEach((key, index) => {
+      params[key] = values[index];
+    });
+
+    try {
+      await route.handler(req, res, params);
+    } catch (error) {
+      if (error instanceof HttpError) {
+        sendJson(res, error.status, { error: error.message, ...error.details });
+      } else {
+        console.error("Unhandled server error:", error);
+        sendJson(res, 500, { error: "Internal server error" });
+      }
+    }
+    return true;
+  }
+}
+
+module.exports = { Router };
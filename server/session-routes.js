@@ -0,0 +1,81 @@
+/**
+ * Admin session API routes
+ * POST /api/session logs in, GET reports the current session, DELETE logs out
+ */
+
+const {
+  sendJson,
+  readJsonBody,
+  isPlainObject,
+  HttpError,
+} = require("./http-utils");
+const { SESSION_COOKIE } = require("./auth");
+
+/**
+ * Builds the Set-Cookie header value for a session
+ * @param {http.IncomingMessage} req - Request object
+ * @param {string} token - Session token ("" clears the cookie)
+ * @param {number} maxAgeSeconds - Cookie lifetime
+ * @returns {string} Cookie header value
+ */
+function sessionCookie(req, token, maxAgeSeconds) {
+  const parts = [
+    `${SESSION_COOKIE}=${token}`,
+    "Path=/",
+    "HttpOnly",
+    "SameSite=Strict",
+    `Max-Age=${maxAgeSeconds}`,
+  ];
+  if (req.headers["x-forwarded-proto"] === "https" || req.socket.encrypted) {
+    parts.push("Secure");
+  }
+  return parts.join("; ");
+}
+
+/**
+ * Registers the session endpoints on a router
+ * @param {Router} router - Router to register on
+ * @param {Object} deps - Dependencies
+ * @param {AuthService} deps.auth - Authentication service
+ */
+function registerSessionRoutes(router, { auth }) {
+  router.add("GET", "/api/session", async (req, res) => {
+    const session = auth.getSession(req);
+    sendJson(res, 200, {
+      authenticated: Boolean(session),
+      expiresAt: session ? session.expiresAt : null,
+      author: session ? session.author : null,
+    });
+  });
+
+  router.add("POST", "/api/session", async (req, res) => {
+    const body = await readJsonBody(req);
+    if (!isPlainObject(body)) {
+      throw new HttpError(400, "Request body must be a JSON object");
+    }
+
+    const session = await auth.login(
+      req.socket.remoteAddress,
+      body.password,
+      body.name
+    );
+    const maxAge = Math.floor((session.expiresAt - auth.now()) / 1000);
+    res.setHeader("Set-Cookie", sessionCookie(req, session.token, maxAge));
+    sendJson(res, 200, {
+      authenticated: true,
+      expiresAt: session.expiresAt,
+      author: session.author,
+    });
+  });
+
+  router.add("DELETE", "/api/session", async (req, res) => {
+    const session = auth.getSession(req);
+    if (session) {
+      auth.logout(session.token);
+    }
+    res.setHeader("Set-Cookie", sessionCookie(req, "", 0));
+    sendJson(res, 200, { authenticated: false, expiresAt: null, author: null });
+  });
+}
+
+module.exports = { registerSessionRoutes };
@@ -0,0 +1,37 @@
+/**
+ * Sets the admin password used by the config server
+ * Stores only a salted scrypt hash in the data directory
+ *
+ * Usage: npm run set-password -- <new-password>
+ *        (or set ADMIN_PASSWORD in the environment)
+ */
+
+const path = require("path");
+const { JsonFileStore } = require("./json-store");
+const { hashPassword } = require("./auth");
+
+const MIN_PASSWORD_LENGTH = 10;
+
+async function main() {
+  const password = process.argv[2] || process.env.ADMIN_PASSWORD;
+  if (!password || password.length < MIN_PASSWORD_LENGTH) {
+    console.error(
+      `Please provide a password of at least ${MIN_PASSWORD_LENGTH} characters.`
+    );
+    console.error("Usage: npm run set-password -- <new-password>");
+    process.exitCode = 1;
+    return;
+  }
+
+  const dataDir = process.env.DATA_DIR || path.resolve(__dirname, "..", "data");
+  const store = new JsonFileStore(path.join(dataDir, "admin-credentials.json"));
+  await store.write(hashPassword(password));
+  console.log(
+    "Admin password updated. Restart the server to end existing sessions."
+  );
+}
+
+main().catch((error) => {
+  console.error("Error setting admin password:", error);
+  process.exitCode = 1;
+});
@@ -0,0 +1,72 @@
+/**
+ * Static file serving for the public site and admin panel
+ * Only the HTML pages and assets/ are exposed; server code, tests and data stay private
+ */
+
+const fs = require("fs");
+const path = require("path");
+
+const MIME_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".png": "image/png",
+  ".webp": "image/webp",
+  ".gif": "image/gif",
+  ".ico": "image/x-icon",
+};
+
+const PUBLIC_DIRECTORIES = ["assets"];
+
+/**
+ * Checks whether a request path may be served from disk
+ * @param {string} relativePath - Path relative to the site root
+ * @returns {boolean} True if the path is publicly visible
+ */
+function isPublicPath(relativePath) {
+  const segments = relativePath.split(path.sep);
+  if (segments.some((segment) => segment.startsWith("."))) {
+    return false;
+  }
+  if (segments.length === 1) {
+    return path.extname(relativePath) === ".html";
+  }
+  return PUBLIC_DIRECTORIES.includes(segments[0]);
+}
+
+/**
+ * Serves a static file from the site root
+ * @param {http.ServerResponse} res - Response object
+ * @param {string} rootDir - Site root directory
+ * @param {string} pathname - Decoded request path
+ * @returns {Promise<void>}
+ */
+async function serveStatic(res, rootDir, pathname) {
+  const requested = pathname.endsWith("/") ? `${pathname}index.html` : pathname;
+  const filePath = path.join(rootDir, path.normalize(requested));
+  const relativePath = path.relative(rootDir, filePath);
+
+  if (relativePath.startsWith("..") || !isPublicPath(relativePath)) {
+    res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end("Not found");
+    return;
+  }
+
+  try {
+    const content = await fs.promises.readFile(filePath);
+    const type =
+      MIME_TYPES[path.extname(filePath).toLowerCase()] ||
+      "application/octet-stream";
+    res.writeHead(200, { "Content-Type": type });
+    res.end(content);
+  } catch (error) {
+    res.writeHead(404, { "Content-Type": "text/plain; charset=utf-8" });
+    res.end("Not found");
+  }
+}
+
+module.exports = { serveStatic, isPublicPath };
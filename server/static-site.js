@@ -0,0 +1,128 @@
+/**
+ * Static site build
+ * Pre-renders index.html from a config with the same PageView patches main.mjs
+ * applies, plus the search and sharing tags, and writes a folder any static
+ * host can serve. main.mjs still runs there and only enhances the page: it
+ * reads the same config back from api/config and keeps time-dependent content
+ * (announcements, office hours) current.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const PageView = require("../assets/js/page-view.js");
+const ConfigSchema = require("../assets/js/schema.js");
+const { ConfigManager } = require("../assets/js/config.mjs");
+const { applyPatches } = require("./html-patch");
+const { renderPublicPage } = require("./public-page");
+
+// Served next to the rendered index.html; admin.html and the form endpoints need the config server
+const SITE_DIRECTORIES = ["assets"];
+// Folders inside the site the build may write to (.gitignore keeps them out of git); any other folder there is source
+const OUTPUT_DIRECTORIES = ["dist", "build", "out", "public"];
+
+/**
+ * Fills a published or imported config up to a full one, as the public page does
+ * @param {Object|null} config - Published config, or null to use the defaults
+ * @returns {Object} Full config with invalid values replaced by defaults
+ */
+function resolveConfig(config) {
+  const defaults = new ConfigManager().getDefaultConfig();
+  return ConfigSchema.sanitizeConfig({ ...defaults, ...config }, defaults);
+}
+
+/**
+ * Renders index.html for a config
+ * Custom theme colors are rendered for the light scheme; main.mjs switches them for dark mode
+ * @param {string} html - index.html as on disk
+ * @param {Object} config - Full config
+ * @param {Object|null} manifest - Parsed image manifest, or null if unavailable
+ * @param {Date} [now] - Moment announcements and special hours are checked at
+ * @returns {string} Rendered page
+ */
+function renderStaticPage(html, config, manifest, now = new Date()) {
+  const image = PageView.getProfileImage(config, manifest);
+  const patches = [
+    ...PageView.getAnnouncements(config.announcements, now),
+    ...PageView.getTheme(config, "light"),
+    ...PageView.getHero(config, image),
+    ...PageView.getAbout(config),
+    ...PageView.getExpertise(config),
+    ...PageView.getApproach(config),
+    ...PageView.getContact(config),
+    ...PageView.getVisibility(config),
+  ];
+  return renderPublicPage(applyPatches(html, patches), config, now);
+}
+
+/**
+ * Reads a JSON file
+ * @param {string} filePath - File to read
+ * @returns {Promise<Object|null>} Parsed contents, or null if the file doesn't exist
+ */
+async function readJson(filePath) {
+  try {
+    return JSON.parse(await fs.promises.readFile(filePath, "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+/**
+ * Builds the static site, replacing anything already in the output folder
+ * @param {Object} options - Build options
+ * @param {string} options.rootDir - Directory containing index.html and assets/
+ * @param {string} options.outDir - Folder to write the site to
+ * @param {Object} options.config - Full config (see resolveConfig())
+ * @param {Date} [options.now] - Moment announcements and special hours are checked at
+ * @returns {Promise<void>}
+ */
+async function buildStaticSite({ rootDir, outDir, config, now = new Date() }) {
+  const root = path.resolve(rootDir);
+  const out = path.resolve(outDir);
+  // The output folder is emptied first, so it must not be the site or hold it
+  if (!path.relative(out, root).startsWith("..")) {
+    throw new Error(`Refusing to build into ${out}, which contains the site`);
+  }
+  // Nor be part of it, except for a dedicated build folder
+  const inside = path.relative(root, out);
+  if (
+    !inside.startsWith("..") &&
+    !path.isAbsolute(inside) &&
+    !OUTPUT_DIRECTORIES.includes(inside)
+  ) {
+    const allowed = OUTPUT_DIRECTORIES.join(", ");
+    throw new Error(
+      `Refusing to build into ${out}, which is part of the site; use ${allowed} or a folder outside it`
+    );
+  }
+
+  const html = await fs.promises.readFile(
+    path.join(root, "index.html"),
+    "utf8"
+  );
+  const manifest = await readJson(
+    path.join(root, "assets", "images", "manifest.json")
+  );
+
+  await fs.promises.rm(out, { recursive: true, force: true });
+  await fs.promises.mkdir(path.join(out, "api"), { recursive: true });
+  for (const directory of SITE_DIRECTORIES) {
+    await fs.promises.cp(
+      path.join(root, directory),
+      path.join(out, directory),
+      { recursive: true }
+    );
+  }
+  await fs.promises.writeFile(
+    path.join(out, "index.html"),
+    renderStaticPage(html, config, manifest, now)
+  );
+  // Where main.mjs fetches the published config; a plain file works on any static host
+  await fs.promises.writeFile(
+    path.join(out, "api", "config"),
+    JSON.stringify(config, null, 2)
+  );
+}
+
+module.exports = { resolveConfig, renderStaticPage, buildStaticSite };
@@ -0,0 +1,97 @@
+/**
+ * Submission API routes
+ * Visitors POST a public form (contact messages, appointment requests,
+ * waitlist signups) to its endpoint; admins list, update and delete what was
+ * received from the admin panel
+ */
+
+const {
+  sendJson,
+  readJsonBody,
+  isPlainObject,
+  HttpError,
+} = require("./http-utils");
+const Submissions = require("../assets/js/submissions.js");
+
+const MAX_SUBMISSION_BYTES = 16 * 1024;
+
+/**
+ * Registers a form's endpoints on a router
+ * @param {Router} router - Router to register on
+ * @param {Object} deps - Dependencies
+ * @param {string} deps.path - Endpoint path, e.g. "/api/inquiries"
+ * @param {AuthService} deps.auth - Authentication service guarding the admin endpoints
+ * @param {SubmissionStore} deps.store - Store the submissions are kept in
+ * @param {RateLimiter} deps.rateLimiter - Limits submissions per client
+ * @param {Function} deps.validate - The form's shared validation, returns { valid, errors }
+ * @param {Function} [deps.accept] - Async check run after validation; throws an HttpError to refuse
+ */
+function registerSubmissionRoutes(
+  router,
+  { path, auth, store, rateLimiter, validate, accept }
+) {
+  router.add("POST", path, async (req, res) => {
+    rateLimiter.hit(req.socket.remoteAddress);
+    const body = await readJsonBody(req, MAX_SUBMISSION_BYTES);
+    if (!isPlainObject(body)) {
+      throw new HttpError(400, "Request body must be a JSON object");
+    }
+
+    const { [Submissions.HONEYPOT_FIELD]: honeypot, ...values } = body;
+    if (honeypot) {
+      // Answer as if it worked so the bot doesn't retry with a different approach
+      sendJson(res, 201, { received: true });
+      return;
+    }
+
+    const { valid, errors } = validate(values);
+    if (!valid) {
+      throw new HttpError(400, "Please correct the highlighted fields", {
+        errors,
+      });
+    }
+    if (accept) {
+      await accept(values);
+    }
+    await store.add(values);
+    sendJson(res, 201, { received: true });
+  });
+
+  router.add("GET", path, async (req, res) => {
+    auth.requireSession(req);
+    sendJson(res, 200, await store.list());
+  });
+
+  router.add("PATCH", path, async (req, res) => {
+    auth.requireSession(req);
+    const body = await readJsonBody(req);
+    if (
+      !isPlainObject(body) ||
+      !Array.isArray(body.ids) ||
+      !body.ids.every((id) => typeof id === "string")
+    ) {
+      throw new HttpError(
+        400,
+        "Request body must be a JSON object with an ids list"
+      );
+    }
+    sendJson(res, 200, await store.setStatuses(body.ids, body.status));
+  });
+
+  router.add("PATCH", `${path}/:id`, async (req, res, params) => {
+    auth.requireSession(req);
+    const body = await readJsonBody(req);
+    if (!isPlainObject(body)) {
+      throw new HttpError(400, "Request body must be a JSON object");
+    }
+    sendJson(res, 200, await store.setStatus(params.id, body.status));
+  });
+
+  router.add("DELETE", `${path}/:id`, async (req, res, params) => {
+    auth.requireSession(req);
+    await store.remove(params.id);
+    sendJson(res, 200, { deleted: true });
+  });
+}
+
+module.exports = { registerSubmissionRoutes };
@@ -0,0 +1,175 @@
+/**
+ * Submission Store
+ * Keeps what visitors send through a public form (contact messages,
+ * appointment requests, waitlist signups) until the admin deletes it
+ */
+
+const crypto = require("crypto");
+const { HttpError } = require("./http-utils");
+
+const MAX_ENTRIES = 500;
+
+class SubmissionStore {
+  /**
+   * @param {Object} options - Store options
+   * @param {JsonFileStore} options.store - Store holding the entry list
+   * @param {Object} options.fields - The form's field rules; only these keys are stored
+   * @param {string[]} options.statuses - Allowed statuses, the first given to new entries
+   * @param {number} [options.maxEntries] - New entries are refused beyond this
+   * @param {string} [options.fullMessage] - Error message once the store is full
+   * @param {Function} [options.findConflict] - Called with an entry about to be added or
+   *   updated and the other entries; returns a message to refuse the change with a 409
+   * @param {Function} [options.now] - Clock, returns the current time in ms
+   */
+  constructor(options) {
+    this.store = options.store;
+    this.fields = options.fields;
+    this.statuses = options.statuses;
+    this.maxEntries = options.maxEntries || MAX_ENTRIES;
+    this.fullMessage =
+      options.fullMessage ||
+      "We can't accept more requests right now. Please contact the practice by email or phone.";
+    this.findConflict = options.findConflict || (() => "");
+    this.now = options.now || Date.now;
+    this.pending = Promise.resolve();
+  }
+
+  /**
+   * Runs changes one at a time, so two visitors can't both pass a conflict check
+   * @param {Function} task - Async change
+   * @returns {Promise<*>} The task's result
+   */
+  serialize(task) {
+    const result = this.pending.then(task);
+    this.pending = result.catch(() => {});
+    return result;
+  }
+
+  /**
+   * Refuses a change that conflicts with the other entries
+   * @param {Object} entry - Entry as it would be stored
+   * @param {Object[]} entries - All stored entries
+   */
+  checkConflict(entry, entries) {
+    const others = entries.filter((candidate) => candidate.id !== entry.id);
+    const message = this.findConflict(entry, others);
+    if (message) {
+      throw new HttpError(409, message);
+    }
+  }
+
+  /**
+   * Lists entries, newest first
+   * @returns {Promise<Object[]>} Entries ({ id, receivedAt, status, ...fields })
+   */
+  async list() {
+    const entries = (await this.store.read()) || [];
+    return entries.slice().reverse();
+  }
+
+  /**
+   * Records a validated submission as a new entry
+   * @param {Object} values - Submitted fields
+   * @returns {Promise<Object>} The stored entry
+   */
+  add(values) {
+    return this.serialize(async () => {
+      const entries = (await this.store.read()) || [];
+      // Submissions are never dropped silently; the admin has to clear old ones
+      if (entries.length >= this.maxEntries) {
+        throw new HttpError(503, this.fullMessage);
+      }
+
+      // Random ids, so a deleted entry's id is never reused for a new one
+      const entry = {
+        id: crypto.randomBytes(8).toString("hex"),
+        receivedAt: new Date(this.now()).toISOString(),
+        status: this.statuses[0],
+      };
+      Object.keys(this.fields).forEach((key) => {
+        if (values[key] !== undefined) entry[key] = values[key];
+      });
+      this.checkConflict(entry, entries);
+      entries.push(entry);
+      await this.store.write(entries);
+      return entry;
+    });
+  }
+
+  /**
+   * Changes an entry's status
+   * @param {string} id - Entry id
+   * @param {string} status - One of the store's statuses
+   * @returns {Promise<Object>} The updated entry
+   */
+  setStatus(id, status) {
+    return this.serialize(async () => {
+      if (!this.statuses.includes(status)) {
+        throw new HttpError(
+          400,
+          `Status must be one of: ${this.statuses.join(", ")}`
+        );
+      }
+      const entries = (await this.store.read()) || [];
+      const entry = entries.find((candidate) => candidate.id === id);
+      if (!entry) {
+        throw new HttpError(404, "Not found");
+      }
+      this.checkConflict({ ...entry, status }, entries);
+      entry.status = status;
+      await this.store.write(entries);
+      return entry;
+    });
+  }
+
+  /**
+   * Changes the status of several entries at once, e.g. everyone on a list who was contacted
+   * @param {string[]} ids - Entry ids; all must exist
+   * @param {string} status - One of the store's statuses
+   * @returns {Promise<Object[]>} The updated entries
+   */
+  setStatuses(ids, status) {
+    return this.serialize(async () => {
+      if (!this.statuses.includes(status)) {
+        throw new HttpError(
+          400,
+          `Status must be one of: ${this.statuses.join(", ")}`
+        );
+      }
+      // Checked on a copy, one by one so each check sees the earlier changes;
+      // nothing changes if any of them fails
+      const entries = ((await this.store.read()) || []).map((entry) => ({
+        ...entry,
+      }));
+      const updated = ids.map((id) => {
+        const entry = entries.find((candidate) => candidate.id === id);
+        if (!entry) {
+          throw new HttpError(404, "Not found");
+        }
+        this.checkConflict({ ...entry, status }, entries);
+        entry.status = status;
+        return entry;
+      });
+      await this.store.write(entries);
+      return updated;
+    });
+  }
+
+  /**
+   * Deletes an entry
+   * @param {string} id - Entry id
+   * @returns {Promise<void>}
+   */
+  remove(id) {
+    return this.serialize(async () => {
+      const entries = (await this.store.read()) || [];
+      const remaining = entries.filter((candidate) => candidate.id !== id);
+      if (remaining.length === entries.length) {
+        throw new HttpError(404, "Not found");
+      }
+      await this.store.write(remaining);
+    });
+  }
+}
+
+module.exports = { SubmissionStore, MAX_ENTRIES };
@@ -0,0 +1,66 @@
+/**
+ * Versioned Config Store
+ * Stores a config together with the migration version it was written at,
+ * and upgrades older configs with the shared migrations when they are read
+ */
+
+const ConfigMigrations = require("../assets/js/migrations.js");
+
+class VersionedConfigStore {
+  /**
+   * @param {JsonFileStore} store - Underlying JSON file store
+   */
+  constructor(store) {
+    this.store = store;
+  }
+
+  /**
+   * Reads the config, migrated to the current version
+   * @returns {Promise<Object|null>} Config, or null if nothing is stored
+   */
+  async read() {
+    const document = await this.store.read();
+    if (!document) {
+      return null;
+    }
+    return upgradeDocument(document);
+  }
+
+  /**
+   * Writes a config at the current version
+   * Configs reaching the store have passed the current schema, so they are current
+   * @param {Object} config - Config to store
+   * @returns {Promise<void>}
+   */
+  async write(config) {
+    await this.store.write({
+      configVersion: ConfigMigrations.CURRENT_VERSION,
+      config,
+    });
+  }
+
+  /**
+   * Deletes the stored config
+   * @returns {Promise<void>}
+   */
+  async remove() {
+    await this.store.remove();
+  }
+}
+
+/**
+ * Migrates a stored { configVersion, config } document to the current version
+ * Bare config objects (written before versioning) are treated as unversioned
+ * @param {Object} document - Stored document
+ * @returns {Object} Current-version config
+ */
+function upgradeDocument(document) {
+  const versioned = document.configVersion !== undefined && document.config;
+  const config = versioned ? document.config : document;
+  const fromVersion = versioned
+    ? ConfigMigrations.parseVersion(document.configVersion)
+    : ConfigMigrations.UNVERSIONED;
+  return ConfigMigrations.runMigrations(config, fromVersion).config;
+}
+
+module.exports = { VersionedConfigStore, upgradeDocument };
@@ -0,0 +1,217 @@
+/**
+ * Accessibility tests
+ * Loads index.html and admin.html from the real config server into jsdom, lets
+ * their scripts render the published config, and runs the axe-core rules
+ * against the result; any violation fails the test. Color contrast is left
+ * out because jsdom does no layout; check it in a browser.
+ * Node-only: run with `node tests/accessibility.test.js` (needs `npm install`)
+ */
+
+const axe = require('axe-core');
+const { JSDOM, ResourceLoader, VirtualConsole } = require('jsdom');
+const { ConfigManager } = require('../assets/js/config.mjs');
+const { startServer, createPageFetch, waitFor } = require('./page-environment');
+
+const ADMIN_PASSWORD = 'correct horse battery';
+const CONFIG = {
+    ...new ConfigManager().getDefaultConfig(),
+    acceptingPatients: false,
+    languages: [{ locale: 'es' }],
+    announcements: [
+        { type: 'urgent', text: 'Closed Friday for staff training', priority: 1 },
+        { type: 'info', text: 'Flu shots available', priority: 0, link: 'https://example.com/flu' }
+    ]
+};
+
+class TestRunner {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    }
+
+    async run() {
+        console.log('Running accessibility tests...\n');
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                console.log(`✓ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`✗ ${test.name}`);
+                console.error(`  Error: ${error.message}`);
+                this.failed++;
+            }
+        }
+        console.log(`\nResults: ${this.passed} passed, ${this.failed} failed`);
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected ${expected}, got ${actual}`);
+        }
+    }
+}
+
+// Loads the site's own scripts and styles; fonts and other outside resources are skipped
+class SiteResources extends ResourceLoader {
+    constructor(baseUrl) {
+        super();
+        this.baseUrl = baseUrl;
+    }
+
+    fetch(url, options) {
+        return url.startsWith(this.baseUrl) ? super.fetch(url, options) : null;
+    }
+}
+
+/**
+ * Opens a page of the site in jsdom with its scripts running
+ * The page gets a fetch that keeps its session cookie (see createPageFetch)
+ * @param {string} baseUrl - Server address
+ * @param {string} page - Path of the page, e.g. "/admin.html"
+ * @returns {Promise<Window>} Loaded window
+ */
+async function openPage(baseUrl, page) {
+    const virtualConsole = new VirtualConsole();
+    virtualConsole.on('jsdomError', (error) => console.error(`  [${page}] ${error.message}`));
+    const dom = await JSDOM.fromURL(`${baseUrl}${page}`, {
+        runScripts: 'dangerously',
+        resources: new SiteResources(baseUrl),
+        pretendToBeVisual: true,
+        virtualConsole,
+        beforeParse(window) {
+            window.fetch = createPageFetch(window);
+        }
+    });
+    await new Promise((resolve) => dom.window.addEventListener('load', resolve));
+    return dom.window;
+}
+
+/**
+ * Runs the axe rules against a page and fails on any violation
+ * @param {Window} window - Loaded page
+ * @param {string} label - Page state, for the error message
+ */
+async function assertNoViolations(window, label) {
+    if (!window.axe) window.eval(axe.source);
+    const results = await window.axe.run(window.document, {
+        rules: { 'color-contrast': { enabled: false } }
+    });
+    if (results.violations.length > 0) {
+        const details = results.violations.map((violation) =>
+            `${violation.id} (${violation.help}): ${violation.nodes.map((node) => node.target.join(' ')).join(', ')}`
+        );
+        throw new Error(`${label} has accessibility violations:\n    ${details.join('\n    ')}`);
+    }
+}
+
+const runner = new TestRunner();
+let server;
+
+// Test 1: Public page
+runner.test('Should render index.html without violations, with landmarks and spoken status', async () => {
+    const window = await openPage(server.baseUrl, '/');
+    try {
+        const document = window.document;
+        // Filling in the footer year is the last step of main.mjs's render
+        await waitFor(() => document.getElementById('current-year').textContent, 'main.mjs to render the config');
+        await assertNoViolations(window, 'index.html');
+
+        runner.assertEqual(document.querySelectorAll('main').length, 1, 'The page should have one main landmark');
+        runner.assertEqual(document.querySelectorAll('h1').length, 1, 'The page should have one h1');
+        runner.assertEqual(document.querySelector('h1').id, 'hero-name', 'The clinician\'s name should be the h1');
+        runner.assertEqual(document.querySelector('body > a').getAttribute('href'), '#main-content', 'A skip link should come first');
+
+        const banner = document.getElementById('announcements');
+        runner.assertEqual(banner.getAttribute('aria-live'), 'polite', 'Announcements should be a live region');
+        runner.assert(banner.textContent.includes('Urgent: Closed Friday'), 'The announcement type should be given in words');
+
+        runner.assertEqual(document.getElementById('hero-status').textContent, 'Not accepting new patients at the moment', 'The accepting status should be given in words');
+        runner.assert(document.getElementById('accepting-patients-badge').hidden, 'Hidden badges should use the hidden attribute');
+        runner.assertEqual(document.querySelectorAll('main [style*="display"]').length, 0, 'Nothing should be hidden with inline display');
+    } finally {
+        window.close();
+    }
+});
+
+// Test 2: Public page in another language
+runner.test('Should render the Spanish page without violations', async () => {
+    const window = await openPage(server.baseUrl, '/?lang=es');
+    try {
+        const document = window.document;
+        // Filling in the footer year is the last step of main.mjs's render
+        await waitFor(() => document.getElementById('current-year').textContent, 'main.mjs to render the config');
+        await assertNoViolations(window, 'index.html?lang=es');
+
+        runner.assertEqual(document.documentElement.lang, 'es');
+        runner.assertEqual(document.getElementById('announcements').getAttribute('aria-label'), 'Avisos', 'Landmark labels should be translated');
+        runner.assert(document.getElementById('announcements').textContent.includes('Urgente:'));
+    } finally {
+        window.close();
+    }
+});
+
+// Test 3: Admin password screen
+runner.test('Should render the admin password screen without violations and manage focus', async () => {
+    const window = await openPage(server.baseUrl, '/admin.html');
+    try {
+        const document = window.document;
+        const passwordInput = document.getElementById('password-input');
+        await waitFor(() => document.activeElement === passwordInput, 'focus in the password field');
+        await assertNoViolations(window, 'admin.html (password screen)');
+
+        passwordInput.value = 'wrong password';
+        document.getElementById('password-submit').click();
+        await waitFor(() => passwordInput.getAttribute('aria-invalid') === 'true', 'the failed login');
+        runner.assertEqual(document.activeElement, passwordInput, 'Focus should return to the password field');
+        runner.assertEqual(document.getElementById('password-error').getAttribute('role'), 'alert', 'The error should be announced');
+        runner.assert(document.getElementById('password-error').textContent.length > 0);
+        await assertNoViolations(window, 'admin.html (failed login)');
+    } finally {
+        window.close();
+    }
+});
+
+// Test 4: Admin panel
+runner.test('Should render the admin panel without violations and move focus on login and logout', async () => {
+    const window = await openPage(server.baseUrl, '/admin.html');
+    try {
+        const document = window.document;
+        const passwordInput = document.getElementById('password-input');
+        await waitFor(() => document.activeElement === passwordInput, 'focus in the password field');
+
+        passwordInput.value = ADMIN_PASSWORD;
+        document.getElementById('password-submit').click();
+        await waitFor(() => document.querySelector('#history-list li'), 'the admin panel');
+        runner.assertEqual(document.activeElement, document.getElementById('admin-heading'), 'Focus should move to the panel heading');
+        runner.assert(document.getElementById('password-screen').hidden);
+        await assertNoViolations(window, 'admin.html (admin panel)');
+
+        document.getElementById('logout-button').click();
+        await waitFor(() => !document.getElementById('password-screen').hidden, 'the password screen');
+        runner.assertEqual(document.activeElement, passwordInput, 'Focus should return to the password field on logout');
+    } finally {
+        window.close();
+    }
+});
+
+startServer({ password: ADMIN_PASSWORD, config: CONFIG })
+    .then((started) => {
+        server = started;
+        return runner.run();
+    })
+    .then(() => server.stop())
+    .then(() => {
+        if (runner.failed > 0) process.exitCode = 1;
+    });
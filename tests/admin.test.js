@@ -1,61 +1,17 @@
 /**
  * Tests for AdminController
- * Tests admin form validation and configuration management
+ * Runs the real admin.mjs against a jsdom document built from admin.html, logged
+ * in to the real config server (see page-environment.js)
+ * Node-only: run with `node tests/admin.test.js` (needs `npm install`)
  */
 
-class TestAdminController {
-    constructor() {
-        this.config = {
-            heroName: '',
-            contactEmail: '',
-            bannerEnabled: false,
-            bannerText: '',
-            bannerType: 'info',
-            theme: 'default',
-            profileImageUrl: '',
-            heroCredentials: '',
-            heroTagline: '',
-            acceptingPatients: false,
-            businessName: '',
-            contactEmail: ''
-        };
-    }
-
-    validateFormData(formData) {
-        // Validate required fields
-        if (!formData.heroName) {
-            return { valid: false, message: 'Display name is required' };
-        }
-
-        if (!formData.contactEmail) {
-            return { valid: false, message: 'Contact email is required' };
-        }
-
-        // Validate email format
-        const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-        if (!emailRegex.test(formData.contactEmail)) {
-            return { valid: false, message: 'Please enter a valid email address' };
-        }
-
-        return { valid: true };
-    }
+const ConfigSchema = require('../assets/js/schema.js');
+const { AdminController } = require('../assets/js/admin.mjs');
+const { ConfigManager } = require('../assets/js/config.mjs');
+const { startServer, openPage, waitFor } = require('./page-environment');
 
-    sanitizeFormData(formData) {
-        return {
-            heroName: formData.heroName.trim(),
-            heroCredentials: formData.heroCredentials.trim(),
-            heroTagline: formData.heroTagline.trim(),
-            profileImageUrl: formData.profileImageUrl.trim(),
-            bannerText: formData.bannerText.trim(),
-            businessName: formData.businessName.trim(),
-            contactEmail: formData.contactEmail.trim(),
-            bannerEnabled: formData.bannerEnabled,
-            bannerType: formData.bannerType,
-            theme: formData.theme,
-            acceptingPatients: formData.acceptingPatients
-        };
-    }
-}
+const ADMIN_PASSWORD = 'correct horse battery';
+const DEFAULTS = new ConfigManager().getDefaultConfig();
 
 class TestRunner {
     constructor() {
@@ -98,131 +54,191 @@ class TestRunner {
 }
 
 const runner = new TestRunner();
-const adminController = new TestAdminController();
-
-// Test 1: Valid form data
-runner.test('Should validate correct form data', () => {
-    const formData = {
-        heroName: 'Test Name',
-        contactEmail: 'test@example.com',
-        bannerEnabled: true,
-        bannerText: 'Test banner',
-        bannerType: 'info',
-        theme: 'default',
-        profileImageUrl: 'test.jpg',
-        heroCredentials: 'Test Credentials',
-        heroTagline: 'Test Tagline',
-        acceptingPatients: true,
-        businessName: 'Test LLC',
-        contactEmail: 'test@example.com'
-    };
-    
-    const result = adminController.validateFormData(formData);
-    runner.assert(result.valid === true, 'Valid form data should pass validation');
-});
+let server;
 
-// Test 2: Missing hero name
-runner.test('Should reject form data without hero name', () => {
-    const formData = {
-        heroName: '',
-        contactEmail: 'test@example.com'
-    };
-    
-    const result = adminController.validateFormData(formData);
-    runner.assert(result.valid === false, 'Form without hero name should fail validation');
-    runner.assert(result.message.includes('Display name'), 'Error message should mention display name');
-});
+/**
+ * Publishes a config, then opens admin.html with AdminController on its password screen
+ * @param {Object} [config] - Config fields to publish over the defaults
+ * @returns {Promise<Object>} { window, document, controller }
+ */
+async function openAdmin(config = {}) {
+    await server.publish({ ...DEFAULTS, ...config });
+    const window = openPage('admin.html', `${server.baseUrl}/admin.html`);
+    const document = window.document;
+    const controller = new AdminController({ document, storage: window.localStorage });
+    await waitFor(() => document.activeElement === document.getElementById('password-input'), 'the password screen');
+    return { window, document, controller };
+}
 
-// Test 3: Missing contact email
-runner.test('Should reject form data without contact email', () => {
-    const formData = {
-        heroName: 'Test Name',
-        contactEmail: ''
-    };
-    
-    const result = adminController.validateFormData(formData);
-    runner.assert(result.valid === false, 'Form without contact email should fail validation');
-    runner.assert(result.message.includes('Contact email'), 'Error message should mention contact email');
-});
+/**
+ * Logs in through the password form and waits for the admin panel to load
+ * @param {Document} document - Admin page
+ */
+async function logIn(document) {
+    document.getElementById('password-input').value = ADMIN_PASSWORD;
+    document.getElementById('password-submit').click();
+    // Filling in the waitlist summary is the last step of showAdminContent
+    await waitFor(() => document.getElementById('waitlist-summary').textContent, 'the admin panel');
+}
+
+/**
+ * Reads a config from the server with the page's session
+ * @param {Window} window - Logged-in admin page
+ * @param {string} path - "api/config" or "api/config/draft"
+ * @returns {Promise<Object|null>} Config, or null when there is none
+ */
+async function readConfig(window, path) {
+    const response = await window.fetch(path);
+    return response.ok ? response.json() : null;
+}
 
-// Test 4: Invalid email format
-runner.test('Should reject invalid email format', () => {
-    const formData = {
-        heroName: 'Test Name',
-        contactEmail: 'invalid-email'
-    };
-    
-    const result = adminController.validateFormData(formData);
-    runner.assert(result.valid === false, 'Invalid email should fail validation');
-    runner.assert(result.message.includes('valid email'), 'Error message should mention valid email');
+// Test 1: Password screen and form
+runner.test('Should render a control for every schema field and refuse a wrong password', async () => {
+    const { window, document } = await openAdmin();
+    try {
+        const form = document.getElementById('admin-form');
+        const missing = Object.keys(ConfigSchema.fields).filter((key) => !form.elements[key]);
+        runner.assertEqual(missing.join(', '), '', 'Every schema field should be in the form');
+        runner.assert(document.getElementById('admin-content').hidden, 'The panel should stay hidden before login');
+
+        document.getElementById('password-input').value = 'wrong password';
+        document.getElementById('password-submit').click();
+        const error = document.getElementById('password-error');
+        await waitFor(() => error.textContent, 'the failed login');
+        runner.assert(document.getElementById('admin-content').hidden, 'A wrong password should not open the panel');
+        runner.assertEqual(document.getElementById('password-input').getAttribute('aria-invalid'), 'true');
+    } finally {
+        window.close();
+    }
 });
 
-// Test 5: Email format variations
-runner.test('Should accept various valid email formats', () => {
-    const validEmails = [
-        'test@example.com',
-        'user.name@example.co.uk',
-        'test+tag@example.org',
-        'user123@test-domain.com'
-    ];
-    
-    validEmails.forEach(email => {
-        const formData = {
-            heroName: 'Test Name',
-            contactEmail: email
-        };
-        const result = adminController.validateFormData(formData);
-        runner.assert(result.valid === true, `Should accept valid email: ${email}`);
+// Test 2: Loading the published config
+runner.test('Should fill the form with the published config after login', async () => {
+    const { window, document, controller } = await openAdmin({
+        heroName: 'Published Name',
+        acceptingPatients: true,
+        credentials: [{ text: 'FNP', visible: true }, { text: 'MSN', visible: false }]
     });
+    try {
+        await logIn(document);
+        const form = document.getElementById('admin-form');
+        runner.assert(document.getElementById('password-screen').hidden);
+        runner.assertEqual(form.elements.heroName.value, 'Published Name');
+        runner.assertEqual(form.elements.acceptingPatients.checked, true);
+        runner.assertEqual(document.querySelectorAll('#field-credentials .list-item').length, 2);
+        runner.assert(document.getElementById('draft-status').textContent.startsWith('No unpublished changes'));
+
+        const data = controller.collectFormData();
+        runner.assertEqual(data.heroName, 'Published Name', 'The form should read back what it shows');
+        runner.assertEqual(data.credentials[1].visible, false);
+        runner.assert(ConfigSchema.validateConfig(data).valid, 'The form should read back a valid config');
+    } finally {
+        window.close();
+    }
 });
 
-// Test 6: Form data sanitization
-runner.test('Should sanitize form data by trimming whitespace', () => {
-    const formData = {
-        heroName: '  Test Name  ',
-        heroCredentials: '  Test Credentials  ',
-        heroTagline: '  Test Tagline  ',
-        profileImageUrl: '  test.jpg  ',
-        bannerText: '  Test Banner  ',
-        businessName: '  Test LLC  ',
-        contactEmail: '  test@example.com  ',
-        bannerEnabled: true,
-        bannerType: 'info',
-        theme: 'default',
-        acceptingPatients: false
-    };
-    
-    const sanitized = adminController.sanitizeFormData(formData);
-    runner.assertEqual(sanitized.heroName, 'Test Name', 'Should trim hero name');
-    runner.assertEqual(sanitized.heroCredentials, 'Test Credentials', 'Should trim credentials');
-    runner.assertEqual(sanitized.contactEmail, 'test@example.com', 'Should trim email');
-    runner.assert(sanitized.bannerEnabled === true, 'Should preserve boolean values');
+// Test 3: Validation
+runner.test('Should mark invalid fields and not save a draft with errors', async () => {
+    const { window, document, controller } = await openAdmin();
+    try {
+        await logIn(document);
+        const form = document.getElementById('admin-form');
+        form.elements.contactEmail.value = 'not-an-email';
+        form.elements.heroName.value = '';
+        // Called directly: the browser's own checks would stop the submit button first
+        runner.assertEqual(await controller.saveDraft(), false);
+
+        runner.assert(form.elements.contactEmail.classList.contains('invalid'), 'The email field should be marked');
+        runner.assert(form.elements.heroName.closest('.form-group').querySelector('.field-error'), 'The error should be shown under the field');
+        runner.assertEqual(document.getElementById('admin-message').textContent, 'Please fix 2 fields before saving');
+        runner.assertEqual(await readConfig(window, 'api/config/draft'), null, 'No draft should be saved');
+    } finally {
+        window.close();
+    }
 });
 
-// Test 7: Empty string handling
-runner.test('Should handle empty strings in form data', () => {
-    const formData = {
-        heroName: 'Test Name',
-        contactEmail: 'test@example.com',
-        heroCredentials: '',
-        heroTagline: '',
-        profileImageUrl: '',
-        bannerText: '',
-        businessName: '',
-        bannerEnabled: false,
-        bannerType: 'info',
-        theme: 'default',
-        acceptingPatients: false
-    };
-    
-    const sanitized = adminController.sanitizeFormData(formData);
-    runner.assertEqual(sanitized.heroCredentials, '', 'Should preserve empty strings');
-    runner.assertEqual(sanitized.bannerText, '', 'Should preserve empty banner text');
+// Test 4: Saving and publishing
+runner.test('Should save the form as a draft and publish it', async () => {
+    const { window, document } = await openAdmin({ heroName: 'Published Name' });
+    try {
+        await logIn(document);
+        const form = document.getElementById('admin-form');
+        const message = document.getElementById('admin-message');
+        form.elements.heroName.value = '  Draft Name  ';
+        document.querySelector('#admin-form .btn-save').click();
+        await waitFor(() => message.textContent.startsWith('Draft saved'), 'the draft to be saved');
+        runner.assertEqual((await readConfig(window, 'api/config/draft')).heroName, 'Draft Name', 'Text should be trimmed');
+        runner.assertEqual((await readConfig(window, 'api/config')).heroName, 'Published Name', 'A draft should not be published');
+        runner.assert(document.getElementById('draft-status').textContent.startsWith('You have unpublished draft changes'));
+
+        document.getElementById('publish-button').click();
+        await waitFor(() => message.textContent.startsWith('Configuration published'), 'the draft to be published');
+        runner.assertEqual((await readConfig(window, 'api/config')).heroName, 'Draft Name');
+        runner.assertEqual(await readConfig(window, 'api/config/draft'), null, 'Publishing should use up the draft');
+        runner.assert(document.querySelectorAll('#history-list li').length >= 2, 'The history should list the new revision');
+    } finally {
+        window.close();
+    }
 });
 
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { TestRunner, TestAdminController };
-} else {
-    runner.run();
-}
+// Test 5: List fields
+runner.test('Should add, move and remove list entries', async () => {
+    const { window, document, controller } = await openAdmin({
+        credentials: [{ text: 'FNP', visible: true }, { text: 'MSN', visible: true }]
+    });
+    try {
+        await logIn(document);
+        const fieldset = document.getElementById('field-credentials');
+        const button = (item, text) => [...item.querySelectorAll('button')].find((candidate) => candidate.textContent === text);
+
+        button(fieldset, 'Add credential').click();
+        let items = fieldset.querySelectorAll('.list-item');
+        runner.assertEqual(items.length, 3);
+        runner.assertEqual(items[2].querySelector('[data-item-key="visible"]').checked, true, 'New entries should get the defaults');
+        runner.assert(button(items[0], 'Move up').disabled, 'The first entry cannot move up');
+
+        button(items[0], 'Move down').click();
+        runner.assertEqual(controller.collectFormData().credentials.map((entry) => entry.text).join(','), 'MSN,FNP,');
+
+        items = fieldset.querySelectorAll('.list-item');
+        button(items[2], 'Remove').click();
+        button(fieldset.querySelectorAll('.list-item')[0], 'Remove').click();
+        runner.assertEqual(controller.collectFormData().credentials.map((entry) => entry.text).join(','), 'FNP');
+    } finally {
+        window.close();
+    }
+});
 
+// Test 6: Importing a config
+runner.test('Should load an imported config into the draft without publishing it', async () => {
+    const { window, document, controller } = await openAdmin({ heroName: 'Published Name' });
+    try {
+        await logIn(document);
+        const exported = {
+            format: 'fnp-site-config',
+            configVersion: controller.configManager.configVersion,
+            config: { ...DEFAULTS, heroName: 'Imported Name' }
+        };
+        // jsdom's File has no text(), which is all previewImport reads
+        await controller.previewImport({ text: async () => JSON.stringify(exported) });
+        runner.assert(document.getElementById('import-summary').textContent.startsWith('1 field(s) will change'));
+
+        runner.assertEqual(await controller.applyImport(), true);
+        runner.assertEqual(document.getElementById('admin-form').elements.heroName.value, 'Imported Name', 'The form should show the import');
+        runner.assertEqual((await readConfig(window, 'api/config/draft')).heroName, 'Imported Name', 'The import should be the draft');
+        runner.assertEqual((await readConfig(window, 'api/config')).heroName, 'Published Name', 'Visitors should not see it before publishing');
+        runner.assert(document.getElementById('draft-status').textContent.startsWith('You have unpublished draft changes'));
+    } finally {
+        window.close();
+    }
+});
+
+startServer({ password: ADMIN_PASSWORD })
+    .then((started) => {
+        server = started;
+        return runner.run();
+    })
+    .then(() => server.stop())
+    .then(() => {
+        if (runner.failed > 0) process.exitCode = 1;
+    });
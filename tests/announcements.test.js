@@ -0,0 +1,89 @@
+/**
+ * Tests for announcement scheduling
+ * Tests Announcements status, ordering and next-change lookups
+ * Node-only: run with `node tests/announcements.test.js`
+ */
+
+const Announcements = require('../assets/js/announcements.js');
+
+class TestRunner {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    }
+
+    async run() {
+        console.log('Running Announcements tests...\n');
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                console.log(`✓ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`✗ ${test.name}`);
+                console.error(`  Error: ${error.message}`);
+                this.failed++;
+            }
+        }
+        console.log(`\nResults: ${this.passed} passed, ${this.failed} failed`);
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected ${expected}, got ${actual}`);
+        }
+    }
+}
+
+const runner = new TestRunner();
+const NOW = new Date('2026-12-20T12:00:00.000Z');
+
+// Test 1: Status
+runner.test('Should place announcements in their schedule', () => {
+    runner.assertEqual(Announcements.getStatus({ startsAt: '', endsAt: '' }, NOW), 'active', 'Open windows should be active');
+    runner.assertEqual(Announcements.getStatus({ startsAt: '2026-12-24T00:00:00.000Z' }, NOW), 'scheduled');
+    runner.assertEqual(Announcements.getStatus({ endsAt: '2026-12-01T00:00:00.000Z' }, NOW), 'expired');
+    runner.assertEqual(Announcements.getStatus({ endsAt: NOW.toISOString() }, NOW), 'expired', 'The end time should be exclusive');
+    runner.assertEqual(Announcements.getStatus({ startsAt: NOW.toISOString() }, NOW), 'active', 'The start time should be inclusive');
+});
+
+// Test 2: Active list
+runner.test('Should list active announcements by priority, keeping configured order for ties', () => {
+    const active = Announcements.getActive([
+        { text: 'Low', priority: 0 },
+        { text: 'Expired', priority: 90, endsAt: '2026-12-01T00:00:00.000Z' },
+        { text: 'High', priority: 10 },
+        { text: 'Also low' },
+        { text: '', priority: 50 },
+        { text: 'Later', priority: 99, startsAt: '2026-12-24T00:00:00.000Z' }
+    ], NOW);
+    runner.assertEqual(active.map((a) => a.text).join(','), 'High,Low,Also low');
+    runner.assertEqual(Announcements.getActive(undefined, NOW).length, 0, 'Missing lists should be empty');
+});
+
+// Test 3: Next change
+runner.test('Should find the next start or end time', () => {
+    const next = Announcements.getNextChange([
+        { startsAt: '2026-12-01T00:00:00.000Z', endsAt: '2026-12-31T00:00:00.000Z' },
+        { startsAt: '2026-12-24T00:00:00.000Z' }
+    ], NOW);
+    runner.assertEqual(next.toISOString(), '2026-12-24T00:00:00.000Z');
+    runner.assertEqual(Announcements.getNextChange([{ startsAt: '', endsAt: '' }], NOW), null, 'Unscheduled lists have no next change');
+});
+
+runner.run().then(() => {
+    if (runner.failed > 0) {
+        process.exitCode = 1;
+    }
+});
@@ -0,0 +1,209 @@
+/**
+ * Tests for appointment requests and the waitlist
+ * Tests the shared Appointments and Waitlist rules and slot holds in the SubmissionStore
+ * Node-only: run with `node tests/appointments.test.js`
+ */
+
+const Appointments = require('../assets/js/appointments.js');
+const Waitlist = require('../assets/js/waitlist.js');
+const { SubmissionStore } = require('../server/submission-store');
+
+class TestRunner {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    }
+
+    async run() {
+        console.log('Running appointment tests...\n');
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                console.log(`✓ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`✗ ${test.name}`);
+                console.error(`  Error: ${error.message}`);
+                this.failed++;
+            }
+        }
+        console.log(`\nResults: ${this.passed} passed, ${this.failed} failed`);
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected ${expected}, got ${actual}`);
+        }
+    }
+}
+
+// In-memory stand-in for JsonFileStore
+class MemoryStore {
+    constructor() {
+        this.data = null;
+    }
+
+    async read() {
+        return this.data;
+    }
+
+    async write(data) {
+        this.data = data;
+    }
+}
+
+const runner = new TestRunner();
+const createStore = () => new SubmissionStore({
+    store: new MemoryStore(),
+    fields: Appointments.fields,
+    statuses: Appointments.STATUSES,
+    findConflict: Appointments.findConflict
+});
+const REQUEST = {
+    appointmentType: 'New patient visit',
+    slot: '2026-11-16T09:00',
+    name: 'Jordan Lee',
+    email: 'jordan@example.com',
+    consent: true
+};
+const CONFIG = {
+    timeZone: 'America/New_York',
+    appointmentSlots: [
+        { date: '2026-11-17', time: '14:30' },
+        { date: '2026-11-16', time: '09:00' },
+        { date: '2026-11-16', time: '08:00' },
+        { date: '2026-11-16', time: '10:00' }
+    ]
+};
+// Monday 2026-11-16, 8:30 AM in New York
+const NOW = new Date('2026-11-16T13:30:00Z');
+
+// Test 1: Validation
+runner.test('Should validate appointment requests and waitlist signups', () => {
+    runner.assert(Appointments.validate(REQUEST).valid, 'A complete request should be accepted');
+    runner.assertEqual(Appointments.validate({ ...REQUEST, slot: undefined }).errors.slot[0], 'Time is required');
+    runner.assertEqual(Appointments.validate({ ...REQUEST, slot: 'Monday 9am' }).errors.slot[0], 'Choose one of the open times');
+    const { email, ...withoutEmail } = REQUEST;
+    runner.assertEqual(Appointments.validate(withoutEmail).errors.email[0], 'Enter an email address or a phone number so we can reply');
+    const spanish = Appointments.validate({ ...withoutEmail, slot: 'Monday 9am' }, 'es').errors;
+    runner.assertEqual(spanish.slot.join(' '), 'Elija uno de los horarios disponibles.', 'Visitors should get one message per field in their language');
+    runner.assertEqual(spanish.email[0], 'Se requiere correo electrónico o teléfono.');
+
+    runner.assert(Waitlist.validate({ name: 'Sam', phone: '410-555-0123', consent: true }).valid, 'A waitlist signup should be accepted');
+    runner.assert(Waitlist.validate({ name: 'Sam', phone: '410-555-0123', consent: true, slot: REQUEST.slot }).errors.slot, 'Waitlist signups have no slot');
+});
+
+// Test 2: Open slots
+runner.test('Should offer future slots that are not held, soonest first', () => {
+    const keys = (slots) => slots.map((slot) => slot.key).join(',');
+    runner.assertEqual(keys(Appointments.getOpenSlots(CONFIG, [], NOW)), '2026-11-16T09:00,2026-11-16T10:00,2026-11-17T14:30', 'Past slots should be hidden');
+    runner.assertEqual(keys(Appointments.getOpenSlots(CONFIG, ['2026-11-16T10:00'], NOW)), '2026-11-16T09:00,2026-11-17T14:30', 'Held slots should be hidden');
+    runner.assertEqual(keys(Appointments.getOpenSlots({ ...CONFIG, timeZone: 'America/Los_Angeles' }, [], NOW)), '2026-11-16T08:00,2026-11-16T09:00,2026-11-16T10:00,2026-11-17T14:30', 'Slots should be in the configured time zone');
+    runner.assertEqual(Appointments.getOpenSlots({ ...CONFIG, timeZone: 'Nowhere' }, [], NOW).length, 0);
+    runner.assert(Appointments.isPast('2026-11-16T08:30', CONFIG.timeZone, NOW), 'A slot starting now has passed');
+
+    const days = Appointments.groupByDate(Appointments.getOpenSlots(CONFIG, [], NOW));
+    runner.assertEqual(days.map((day) => day.label).join(' / '), 'Monday, November 16 / Tuesday, November 17');
+    runner.assertEqual(days[0].slots.map((slot) => slot.label).join(','), '9 AM,10 AM');
+    runner.assertEqual(Appointments.formatSlot('2026-11-17T14:30'), 'Tuesday, November 17 at 2:30 PM');
+
+    const spanish = Appointments.groupByDate(Appointments.getOpenSlots(CONFIG, [], NOW), 'es');
+    runner.assertEqual(spanish[0].label, 'lunes, 16 de noviembre');
+    runner.assertEqual(spanish[0].slots.map((slot) => slot.label).join(','), '9:00,10:00');
+});
+
+// Test 3: Holds
+runner.test('Should hold a slot for pending and confirmed requests only', async () => {
+    const requests = createStore();
+    const first = await requests.add(REQUEST);
+    runner.assertEqual(first.status, 'pending');
+    const taken = await requests.add({ ...REQUEST, name: 'Sam' }).catch((error) => error);
+    runner.assertEqual(taken.status, 409, 'A held slot should not be requested twice');
+    runner.assertEqual(taken.message, Appointments.SLOT_TAKEN_MESSAGE);
+
+    await requests.setStatus(first.id, 'confirmed');
+    runner.assertEqual(Appointments.getHeldSlots(await requests.list()).join(','), REQUEST.slot);
+    await requests.setStatus(first.id, 'declined');
+    runner.assertEqual(Appointments.getHeldSlots(await requests.list()).length, 0, 'Declining should free the slot');
+
+    await requests.add({ ...REQUEST, name: 'Sam' });
+    const reopened = await requests.setStatus(first.id, 'pending').catch((error) => error.status);
+    runner.assertEqual(reopened, 409, 'A request cannot be reopened once its slot is held again');
+});
+
+// Test 4: Simultaneous requests
+runner.test('Should give a slot to only one of two simultaneous requests', async () => {
+    const requests = createStore();
+    const results = await Promise.all([
+        requests.add(REQUEST).then(() => 201, (error) => error.status),
+        requests.add({ ...REQUEST, name: 'Sam' }).then(() => 201, (error) => error.status)
+    ]);
+    runner.assertEqual(results.join(','), '201,409');
+    runner.assertEqual((await requests.list()).length, 1);
+});
+
+// Test 5: Waitlist exports
+runner.test('Should export the waitlist and the notification list as CSV', () => {
+    const entries = [
+        { id: 'b', receivedAt: '2026-11-02T10:00:00.000Z', status: 'waiting', name: 'Sam "Sammy" Park', phone: '410-555-0123' },
+        { id: 'c', receivedAt: '2026-11-03T10:00:00.000Z', status: 'contacted', name: 'Ana', email: 'ana@example.com' },
+        { id: 'a', receivedAt: '2026-11-01T10:00:00.000Z', status: 'waiting', name: 'Jordan Lee', email: 'jordan@example.com', note: '=HYPERLINK("x"), please' }
+    ];
+    runner.assertEqual(Waitlist.getWaiting(entries).map((entry) => entry.id).join(','), 'a,b', 'Waiting signups should be listed oldest first');
+
+    const lines = Waitlist.exportCsv(entries).split('\r\n');
+    runner.assertEqual(lines[0], 'Name,Email,Phone,Note,Signed up,Status');
+    runner.assertEqual(lines[2], '"Sam ""Sammy"" Park",,410-555-0123,,2026-11-02T10:00:00.000Z,Waiting', 'Quotes should be escaped');
+    runner.assertEqual(lines[1], 'Jordan Lee,jordan@example.com,,"\'=HYPERLINK(""x""), please",2026-11-01T10:00:00.000Z,Waiting', 'Formulas should not run in spreadsheets');
+    runner.assertEqual(lines[3], 'Ana,ana@example.com,,,2026-11-03T10:00:00.000Z,Contacted', 'Signups should be exported oldest first');
+    runner.assertEqual(lines[4], '', 'The file should end with a line break');
+
+    const config = { businessName: 'Riverside Family Care', contactEmail: 'office@example.com' };
+    const notifications = Waitlist.exportNotifications(entries, config).split('\r\n');
+    runner.assertEqual(notifications.length, 4, 'Only people still waiting should be notified');
+    runner.assert(notifications[1].startsWith('Jordan Lee,jordan@example.com,,'), 'The oldest signup should come first');
+    runner.assert(notifications[1].includes('Riverside Family Care is accepting new patients again'));
+    runner.assert(Waitlist.getNotificationMessage(config).includes('write to office@example.com'));
+    runner.assert(Waitlist.getNotificationMessage({}).startsWith('Good news: Our practice'));
+});
+
+// Test 6: Bulk status changes
+runner.test('Should mark several entries at once, or none when one fails', async () => {
+    const signups = new SubmissionStore({ store: new MemoryStore(), fields: Waitlist.fields, statuses: Waitlist.STATUSES });
+    const sam = await signups.add({ name: 'Sam', phone: '410-555-0123', consent: true });
+    const ana = await signups.add({ name: 'Ana', email: 'ana@example.com', consent: true });
+
+    const missing = await signups.setStatuses([sam.id, 'nope'], 'contacted').catch((error) => error.status);
+    runner.assertEqual(missing, 404);
+    runner.assertEqual(Waitlist.getWaiting(await signups.list()).length, 2, 'Nothing should change when an id is unknown');
+    const invalid = await signups.setStatuses([sam.id], 'booked').catch((error) => error.status);
+    runner.assertEqual(invalid, 400);
+
+    const updated = await signups.setStatuses([sam.id, ana.id], 'contacted');
+    runner.assertEqual(updated.map((entry) => entry.status).join(','), 'contacted,contacted');
+    runner.assertEqual(Waitlist.getWaiting(await signups.list()).length, 0);
+
+    const requests = createStore();
+    const first = await requests.add(REQUEST);
+    await requests.setStatus(first.id, 'declined');
+    const second = await requests.add({ ...REQUEST, name: 'Sam' });
+    await requests.setStatus(second.id, 'declined');
+    const both = await requests.setStatuses([first.id, second.id], 'pending').catch((error) => error.status);
+    runner.assertEqual(both, 409, 'Each change should be checked against the ones before it');
+    runner.assertEqual(Appointments.getHeldSlots(await requests.list()).length, 0);
+});
+
+runner.run().then(() => {
+    if (runner.failed > 0) process.exitCode = 1;
+});
@@ -0,0 +1,152 @@
+/**
+ * Tests for AuthService
+ * Tests password hashing, session expiry and lockout using a controllable clock
+ * Node-only: run with `node tests/auth.test.js`
+ */
+
+const { AuthService, hashPassword, verifyPassword } = require('../server/auth');
+
+class TestRunner {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    }
+
+    async run() {
+        console.log('Running AuthService tests...\n');
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                console.log(`✓ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`✗ ${test.name}`);
+                console.error(`  Error: ${error.message}`);
+                this.failed++;
+            }
+        }
+        console.log(`\nResults: ${this.passed} passed, ${this.failed} failed`);
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected ${expected}, got ${actual}`);
+        }
+    }
+
+    async assertRejects(promise, status, message) {
+        try {
+            await promise;
+        } catch (error) {
+            this.assertEqual(error.status, status, message);
+            return;
+        }
+        throw new Error(message || 'Expected promise to reject');
+    }
+}
+
+// In-memory stand-in for JsonFileStore
+class MemoryStore {
+    constructor(data) {
+        this.data = data;
+    }
+
+    async read() {
+        return this.data;
+    }
+
+    async write(data) {
+        this.data = data;
+    }
+}
+
+// Builds a service with a manual clock
+function createService(options = {}) {
+    const clock = { time: 1000000 };
+    const service = new AuthService({
+        credentialsStore: new MemoryStore(hashPassword('s3cret-password')),
+        sessionTtlMs: 60000,
+        lockoutMs: 30000,
+        now: () => clock.time,
+        ...options
+    });
+    return { service, clock };
+}
+
+// Fakes a request carrying a session cookie
+function requestWithToken(token) {
+    return { headers: { cookie: `other=1; fnp_admin_session=${token}` } };
+}
+
+const runner = new TestRunner();
+
+// Test 1: Hashing
+runner.test('Should store a salted hash rather than the password', () => {
+    const first = hashPassword('s3cret-password');
+    const second = hashPassword('s3cret-password');
+    runner.assert(!JSON.stringify(first).includes('s3cret-password'), 'Hash record should not contain the password');
+    runner.assert(first.salt !== second.salt, 'Each hash should use a new salt');
+    runner.assert(verifyPassword('s3cret-password', first), 'Correct password should verify');
+    runner.assert(!verifyPassword('wrong', first), 'Wrong password should not verify');
+});
+
+// Test 2: Session lifecycle
+runner.test('Should accept a session until it expires', async () => {
+    const { service, clock } = createService();
+    const session = await service.login('client', 's3cret-password');
+    runner.assert(service.getSession(requestWithToken(session.token)) !== null, 'New session should be valid');
+
+    clock.time += 60000;
+    runner.assertEqual(service.getSession(requestWithToken(session.token)), null, 'Expired session should be rejected');
+});
+
+// Test 3: requireSession
+runner.test('Should throw 401 from requireSession without a session', () => {
+    const { service } = createService();
+    try {
+        service.requireSession({ headers: {} });
+    } catch (error) {
+        runner.assertEqual(error.status, 401, 'Missing session should be a 401');
+        return;
+    }
+    throw new Error('requireSession should throw');
+});
+
+// Test 4: Lockout and recovery
+runner.test('Should lock out after repeated failures and recover after the lockout period', async () => {
+    const { service, clock } = createService({ maxFailedAttempts: 3 });
+    for (let i = 0; i < 3; i++) {
+        await runner.assertRejects(service.login('client', 'wrong'), 401, 'Wrong password should be a 401');
+    }
+    await runner.assertRejects(service.login('client', 's3cret-password'), 429, 'Locked client should get 429');
+
+    const other = await service.login('other-client', 's3cret-password');
+    runner.assert(other.token, 'Lockout should only affect the failing client');
+
+    clock.time += 30000;
+    const session = await service.login('client', 's3cret-password');
+    runner.assert(session.token, 'Client should be able to log in after the lockout ends');
+});
+
+// Test 5: No password configured
+runner.test('Should refuse logins until a password has been set', async () => {
+    const { service } = createService({ credentialsStore: new MemoryStore(null) });
+    await runner.assertRejects(service.login('client', 'anything'), 503, 'Unconfigured server should return 503');
+});
+
+runner.run().then(() => {
+    if (runner.failed > 0) {
+        process.exitCode = 1;
+    }
+});
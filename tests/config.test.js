@@ -1,20 +1,25 @@
 /**
  * Tests for ConfigManager
- * Tests configuration loading, saving, and updating functionality
+ * Tests the real config.mjs: the local cache, migrations on load, validation,
+ * and publishing and drafts through a storage backend
+ * Node-only: run with `node tests/config.test.js`
  */
 
-// Mock localStorage for testing
+const ConfigMigrations = require('../assets/js/migrations.js');
+const { ConfigManager } = require('../assets/js/config.mjs');
+
+// Mock localStorage for ConfigManager; also passed in as its storage
 class MockStorage {
     constructor() {
         this.store = {};
     }
 
     getItem(key) {
-        return this.store[key] || null;
+        return key in this.store ? this.store[key] : null;
     }
 
     setItem(key, value) {
-        this.store[key] = value;
+        this.store[key] = String(value);
     }
 
     removeItem(key) {
@@ -26,77 +31,47 @@ class MockStorage {
     }
 }
 
-// Setup test environment
-const mockLocalStorage = new MockStorage();
-global.localStorage = mockLocalStorage;
+// Storage backend kept in memory, in place of the config server
+class MemoryBackend {
+    constructor() {
+        this.published = null;
+        this.draft = null;
+        this.offline = false;
+    }
 
-// Import config manager (adjust path as needed)
-// In a real test environment, you'd use a proper test runner like Jest or Mocha
-// For now, we'll create a testable version
+    async read() {
+        if (this.offline) throw new Error('Backend unreachable');
+        return this.published;
+    }
 
-class TestConfigManager {
-    constructor() {
-        this.storageKey = 'fnp-site-config';
-        this.defaultConfig = this.getDefaultConfig();
-    }
-
-    getDefaultConfig() {
-        return {
-            heroName: 'Your Name, DNP, FNP-C',
-            heroCredentials: 'Family Nurse Practitioner specializing in kidney disease (Nephrology)',
-            heroTagline: 'Helping adults with kidney disease manage their health with clear, compassionate, evidence-based care.',
-            profileImageUrl: 'assets/images/placeholder-profile.svg',
-            acceptingPatients: false,
-            bannerEnabled: false,
-            bannerText: '',
-            bannerType: 'info',
-            theme: 'default',
-            businessName: 'dummyLLC',
-            contactEmail: 'contact@dummyllc.com'
-        };
+    async write(config) {
+        this.published = config;
+        return config;
     }
 
-    load() {
-        try {
-            const stored = localStorage.getItem(this.storageKey);
-            if (stored) {
-                const parsed = JSON.parse(stored);
-                return { ...this.defaultConfig, ...parsed };
-            }
-        } catch (error) {
-            console.error('Error loading config:', error);
-        }
-        return { ...this.defaultConfig };
+    async readDraft() {
+        return this.draft;
     }
 
-    save(config) {
-        try {
-            const merged = { ...this.defaultConfig, ...config };
-            localStorage.setItem(this.storageKey, JSON.stringify(merged));
-            return true;
-        } catch (error) {
-            console.error('Error saving config:', error);
-            return false;
-        }
+    async writeDraft(config) {
+        this.draft = config;
+        return config;
     }
 
-    update(updates) {
-        const current = this.load();
-        return this.save({ ...current, ...updates });
+    async deleteDraft() {
+        this.draft = null;
     }
 
-    reset() {
-        try {
-            localStorage.removeItem(this.storageKey);
-            return true;
-        } catch (error) {
-            console.error('Error resetting config:', error);
-            return false;
-        }
+    async publishDraft() {
+        this.published = this.draft;
+        this.draft = null;
+        return this.published;
     }
 }
 
-// Test Suite
+const mockLocalStorage = new MockStorage();
+global.localStorage = mockLocalStorage;
+
 class TestRunner {
     constructor() {
         this.tests = [];
@@ -109,7 +84,7 @@ class TestRunner {
     }
 
     async run() {
-        console.log('Running tests...\n');
+        console.log('Running ConfigManager tests...\n');
         for (const test of this.tests) {
             try {
                 await test.fn();
@@ -143,82 +118,169 @@ class TestRunner {
     }
 }
 
-// Run tests
 const runner = new TestRunner();
-const configManager = new TestConfigManager();
+const STORAGE_KEY = 'fnp-site-config';
+const VERSION_KEY = 'fnp-site-config-version';
+
+// Console output from the expected failures below would clutter the results
+async function quietly(fn) {
+    const { error, warn } = console;
+    console.error = console.warn = () => {};
+    try {
+        return await fn();
+    } finally {
+        Object.assign(console, { error, warn });
+    }
+}
 
 // Test 1: Default config loading
-runner.test('Should load default config when no stored config exists', () => {
+runner.test('Should load the defaults when nothing is stored and record the current version', () => {
     mockLocalStorage.clear();
+    const configManager = new ConfigManager();
     const config = configManager.load();
-    runner.assert(config.heroName === 'Your Name, DNP, FNP-C', 'Default heroName should be set');
-    runner.assert(config.theme === 'default', 'Default theme should be default');
-    runner.assert(config.bannerEnabled === false, 'Default bannerEnabled should be false');
+    runner.assertDeepEqual(config, configManager.getDefaultConfig());
+    runner.assert(configManager.validate(config).valid, 'The defaults should be valid');
+    runner.assertEqual(mockLocalStorage.getItem(VERSION_KEY), String(ConfigMigrations.CURRENT_VERSION));
+    runner.assertEqual(mockLocalStorage.getItem(STORAGE_KEY), null, 'Nothing should be cached yet');
 });
 
-// Test 2: Config saving
-runner.test('Should save configuration successfully', () => {
+// Test 2: Saving and loading
+runner.test('Should save valid config to the cache and refuse invalid config', async () => {
     mockLocalStorage.clear();
-    const testConfig = {
-        heroName: 'Test Name, DNP, FNP-C',
-        theme: 'winter'
-    };
-    const result = configManager.save(testConfig);
-    runner.assert(result === true, 'Save should return true');
-    const stored = JSON.parse(mockLocalStorage.getItem('fnp-site-config'));
-    runner.assertEqual(stored.heroName, 'Test Name, DNP, FNP-C', 'Saved heroName should match');
-    runner.assertEqual(stored.theme, 'winter', 'Saved theme should match');
+    const configManager = new ConfigManager();
+    runner.assert(configManager.save({ heroName: 'Test Name, FNP', theme: 'winter' }), 'Save should succeed');
+    const stored = JSON.parse(mockLocalStorage.getItem(STORAGE_KEY));
+    runner.assertEqual(stored.heroName, 'Test Name, FNP');
+    runner.assertEqual(stored.contactEmail, configManager.getDefaultConfig().contactEmail, 'Missing keys should be filled from the defaults');
+
+    const loaded = configManager.load();
+    runner.assertEqual(loaded.heroName, 'Test Name, FNP');
+    runner.assertEqual(loaded.theme, 'winter');
+
+    const saved = await quietly(() => configManager.save({ contactEmail: 'not-an-email' }));
+    runner.assertEqual(saved, false, 'Invalid config should not be saved');
+    runner.assertEqual(configManager.load().contactEmail, configManager.getDefaultConfig().contactEmail);
+    runner.assert(configManager.validate({ contactEmail: 'not-an-email' }).errors.contactEmail, 'Validation should name the field');
 });
 
-// Test 3: Config loading with stored data
-runner.test('Should load stored configuration', () => {
-    const testConfig = {
-        heroName: 'Stored Name',
-        bannerEnabled: true,
-        bannerText: 'Test banner'
-    };
-    mockLocalStorage.setItem('fnp-site-config', JSON.stringify(testConfig));
+// Test 3: Migrations and sanitizing on load
+runner.test('Should migrate and sanitize a cached config from before versioning', () => {
+    mockLocalStorage.clear();
+    mockLocalStorage.setItem(STORAGE_KEY, JSON.stringify({
+        heroName: 'Jane Doe, FNP',
+        heroCredentials: 'Retired field',
+        heroTagline: 'Retired field',
+        theme: 'no-such-theme'
+    }));
+    const configManager = new ConfigManager();
     const loaded = configManager.load();
-    runner.assertEqual(loaded.heroName, 'Stored Name', 'Should load stored heroName');
-    runner.assert(loaded.bannerEnabled === true, 'Should load stored bannerEnabled');
-    runner.assertEqual(loaded.bannerText, 'Test banner', 'Should load stored bannerText');
+    runner.assertEqual(loaded.heroName, 'Rujita Munankarmi, FNP', 'The placeholder name should be migrated');
+    runner.assert(!('heroCredentials' in loaded) && !('heroTagline' in loaded), 'Retired fields should be dropped');
+    runner.assertEqual(loaded.theme, configManager.getDefaultConfig().theme, 'Invalid values should fall back to the defaults');
+    runner.assertEqual(mockLocalStorage.getItem(VERSION_KEY), String(ConfigMigrations.CURRENT_VERSION), 'The migrated config should be saved');
+    runner.assertEqual(JSON.parse(mockLocalStorage.getItem(STORAGE_KEY)).heroName, 'Rujita Munankarmi, FNP');
 });
 
-// Test 4: Config update
-runner.test('Should update existing configuration', () => {
+// Test 4: Updating and resetting
+runner.test('Should update single fields and reset to the defaults', () => {
     mockLocalStorage.clear();
+    const configManager = new ConfigManager();
     configManager.save({ heroName: 'Original Name' });
-    const updated = configManager.update({ heroName: 'Updated Name' });
-    runner.assert(updated === true, 'Update should return true');
+    runner.assert(configManager.update({ acceptingPatients: true }), 'Update should succeed');
     const loaded = configManager.load();
-    runner.assertEqual(loaded.heroName, 'Updated Name', 'Should update heroName');
+    runner.assertEqual(loaded.heroName, 'Original Name', 'Other fields should be kept');
+    runner.assertEqual(loaded.acceptingPatients, true);
+
+    runner.assert(configManager.reset(), 'Reset should succeed');
+    runner.assertEqual(mockLocalStorage.getItem(STORAGE_KEY), null, 'The cache should be cleared');
+    runner.assertEqual(configManager.load().heroName, configManager.getDefaultConfig().heroName);
 });
 
-// Test 5: Config reset
-runner.test('Should reset configuration', () => {
-    mockLocalStorage.setItem('fnp-site-config', JSON.stringify({ heroName: 'Test' }));
-    const result = configManager.reset();
-    runner.assert(result === true, 'Reset should return true');
-    const stored = mockLocalStorage.getItem('fnp-site-config');
-    runner.assert(stored === null, 'Storage should be cleared after reset');
+// Test 5: Published config
+runner.test('Should fetch the published config and fall back to the cache when offline', async () => {
+    mockLocalStorage.clear();
+    const backend = new MemoryBackend();
+    const configManager = new ConfigManager({ backend });
+
+    runner.assert(await configManager.publish({ heroName: 'Published Name' }), 'Publish should succeed');
+    runner.assertEqual(backend.published.heroName, 'Published Name');
+    runner.assertEqual(configManager.load().heroName, 'Published Name', 'Publishing should refresh the cache');
+    runner.assertEqual(await quietly(() => configManager.publish({ heroName: '' })), false, 'Invalid config should not be published');
+
+    backend.published = { ...backend.published, heroName: 'Changed Elsewhere' };
+    runner.assertEqual((await configManager.fetchPublished()).heroName, 'Changed Elsewhere');
+
+    backend.offline = true;
+    const cached = await quietly(() => configManager.fetchPublished());
+    runner.assertEqual(cached.heroName, 'Changed Elsewhere', 'The cached copy should be used offline');
+
+    backend.offline = false;
+    backend.published = null;
+    runner.assertEqual((await configManager.fetchPublished()).heroName, configManager.getDefaultConfig().heroName, 'With nothing published, visitors should see the defaults');
 });
 
-// Test 6: Partial config merge
-runner.test('Should merge partial config with defaults', () => {
+// Test 6: Drafts
+runner.test('Should save, publish and discard drafts without touching the published config', async () => {
     mockLocalStorage.clear();
-    const partial = { heroName: 'Partial Name' };
-    configManager.save(partial);
-    const loaded = configManager.load();
-    runner.assertEqual(loaded.heroName, 'Partial Name', 'Should use partial heroName');
-    runner.assertEqual(loaded.theme, 'default', 'Should use default theme');
-    runner.assertEqual(loaded.contactEmail, 'contact@dummyllc.com', 'Should use default contactEmail');
+    const backend = new MemoryBackend();
+    const configManager = new ConfigManager({ backend });
+    await configManager.publish({ heroName: 'Published Name' });
+
+    runner.assertEqual(await configManager.fetchDraft(), null);
+    runner.assert(await configManager.saveDraft({ heroName: 'Draft Name' }), 'Saving a draft should succeed');
+    runner.assertEqual((await configManager.fetchDraft()).heroName, 'Draft Name');
+    runner.assertEqual(configManager.load().heroName, 'Published Name', 'A draft should not change the cache');
+
+    runner.assert(await configManager.publishDraft(), 'Publishing the draft should succeed');
+    runner.assertEqual(backend.published.heroName, 'Draft Name');
+    runner.assertEqual(configManager.load().heroName, 'Draft Name');
+
+    await configManager.saveDraft({ heroName: 'Second Draft' });
+    runner.assert(await configManager.discardDraft(), 'Discarding should succeed');
+    runner.assertEqual(await configManager.fetchDraft(), null);
+    runner.assertEqual(await new ConfigManager().saveDraft({ heroName: 'No Backend' }), false, 'Drafts need a backend');
 });
 
-// Run all tests
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { TestRunner, TestConfigManager };
-} else {
-    // Browser environment
-    runner.run();
-}
+// Test 7: Injected storage and clock
+runner.test('Should use the storage and clock it is given instead of the browser\'s', () => {
+    mockLocalStorage.clear();
+    const storage = new MockStorage();
+    const configManager = new ConfigManager({ storage, clock: () => new Date('2031-03-01T12:00:00Z') });
+    configManager.save({ heroName: 'Injected Name' });
+    runner.assertEqual(JSON.parse(storage.getItem(STORAGE_KEY)).heroName, 'Injected Name');
+    runner.assertEqual(mockLocalStorage.getItem(STORAGE_KEY), null, 'localStorage should be left alone');
+
+    const exported = configManager.exportConfig();
+    runner.assertEqual(exported.exportedAt, '2031-03-01T12:00:00.000Z', 'The export should be stamped by the clock');
+    runner.assertEqual(exported.config.heroName, 'Injected Name');
+});
+
+// Test 8: Blocked storage
+runner.test('Should return the published config when the browser won\'t store it', async () => {
+    // Blocked site data: every storage call throws
+    const blocked = {};
+    ['getItem', 'setItem', 'removeItem', 'clear'].forEach((method) => {
+        blocked[method] = () => {
+            throw new Error('The operation is insecure.');
+        };
+    });
+    const backend = new MemoryBackend();
+    backend.published = { ...new ConfigManager().getDefaultConfig(), heroName: 'Published Name' };
+    const configManager = new ConfigManager({ backend, storage: blocked });
 
+    const published = await quietly(() => configManager.fetchPublished());
+    runner.assertEqual(published.heroName, 'Published Name', 'The fetched config should be used without a cache');
+
+    backend.draft = { ...backend.published, heroName: 'Draft Name' };
+    const afterPublish = await quietly(() => configManager.publishDraft());
+    runner.assertEqual(afterPublish.heroName, 'Draft Name', 'Publishing should return what was published');
+    runner.assertEqual(configManager.exportConfig(afterPublish).config.heroName, 'Draft Name');
+
+    backend.offline = true;
+    const offline = await quietly(() => configManager.fetchPublished());
+    runner.assertEqual(offline.heroName, configManager.getDefaultConfig().heroName, 'Offline without a cache, the defaults are all there is');
+});
+
+runner.run().then(() => {
+    if (runner.failed > 0) process.exitCode = 1;
+});
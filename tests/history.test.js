@@ -0,0 +1,126 @@
+/**
+ * Tests for config revision history
+ * Tests ConfigHistory bounding and overlapping records, and ConfigManager.diffConfigs()
+ * Node-only: run with `node tests/history.test.js`
+ */
+
+const { ConfigHistory } = require('../server/config-history');
+const { ConfigManager } = require('../assets/js/config.mjs');
+
+class TestRunner {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    }
+
+    async run() {
+        console.log('Running config history tests...\n');
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                console.log(`✓ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`✗ ${test.name}`);
+                console.error(`  Error: ${error.message}`);
+                this.failed++;
+            }
+        }
+        console.log(`\nResults: ${this.passed} passed, ${this.failed} failed`);
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected ${expected}, got ${actual}`);
+        }
+    }
+}
+
+// In-memory stand-in for JsonFileStore
+class MemoryStore {
+    constructor() {
+        this.data = null;
+    }
+
+    async read() {
+        return this.data;
+    }
+
+    async write(data) {
+        // Yield like a file write, so overlapping records interleave
+        await new Promise((resolve) => setImmediate(resolve));
+        this.data = data;
+    }
+}
+
+const runner = new TestRunner();
+const manager = new ConfigManager();
+
+// Test 1: Recording
+runner.test('Should record revisions with id, timestamp, author and snapshot', async () => {
+    const history = new ConfigHistory({ store: new MemoryStore(), now: () => Date.UTC(2026, 0, 2) });
+    const revision = await history.record({ heroName: 'A' }, 'Rujita');
+    runner.assertEqual(revision.id, 1);
+    runner.assertEqual(revision.timestamp, '2026-01-02T00:00:00.000Z');
+    runner.assertEqual(revision.author, 'Rujita');
+    runner.assertEqual(revision.config.heroName, 'A');
+});
+
+// Test 2: Bounding
+runner.test('Should keep only the newest revisions, without reusing ids', async () => {
+    const history = new ConfigHistory({ store: new MemoryStore(), maxRevisions: 3 });
+    for (let i = 1; i <= 5; i++) {
+        await history.record({ heroName: `Name ${i}` }, 'admin');
+    }
+    const revisions = await history.list();
+    runner.assertEqual(revisions.length, 3, 'History should be bounded');
+    runner.assertEqual(revisions[0].id, 5, 'Newest revision should be listed first');
+    runner.assertEqual(await history.get(1), null, 'Discarded revisions should not be found');
+    runner.assertEqual((await history.record({}, 'admin')).id, 6, 'Ids should keep increasing');
+});
+
+// Test 3: Overlapping records
+runner.test('Should give overlapping records their own ids and keep them all', async () => {
+    const history = new ConfigHistory({ store: new MemoryStore() });
+    const recorded = await Promise.all(['A', 'B', 'C'].map((heroName) => history.record({ heroName }, 'admin')));
+    runner.assertEqual(recorded.map((revision) => revision.id).join(','), '1,2,3');
+    const revisions = await history.list();
+    runner.assertEqual(revisions.map((revision) => revision.config.heroName).join(','), 'C,B,A', 'No revision should be lost');
+});
+
+// Test 4: Diff
+runner.test('Should diff two configs field by field in schema order', () => {
+    const before = manager.getDefaultConfig();
+    const after = { ...before, theme: 'winter', heroName: 'New Name' };
+    const changes = manager.diffConfigs(before, after);
+    runner.assertEqual(changes.length, 2, 'Only changed fields should be listed');
+    runner.assertEqual(changes[0].key, 'theme', 'Changes should follow schema order');
+    runner.assertEqual(changes[1].label, 'Display name', 'Changes should carry the field label');
+    runner.assertEqual(changes[1].before, before.heroName);
+    runner.assertEqual(changes[1].after, 'New Name');
+});
+
+// Test 5: Keys outside the schema
+runner.test('Should include keys missing from one side or unknown to the schema', () => {
+    const changes = manager.diffConfigs({ legacyKey: 'x' }, { heroName: 'Name' });
+    const keys = changes.map((change) => change.key);
+    runner.assert(keys.includes('legacyKey'), 'Removed unknown keys should be listed');
+    runner.assert(keys.includes('heroName'), 'Added keys should be listed');
+});
+
+runner.run().then(() => {
+    if (runner.failed > 0) {
+        process.exitCode = 1;
+    }
+});
@@ -0,0 +1,182 @@
+/**
+ * Tests for page translations
+ * Tests I18n messages and language detection, Translations of config text,
+ * their schema rules, and the translated head tags, language links and page text
+ * Node-only: run with `node tests/i18n.test.js`
+ */
+
+const fs = require('fs');
+const path = require('path');
+const I18n = require('../assets/js/i18n.js');
+const Translations = require('../assets/js/translations.js');
+const ConfigSchema = require('../assets/js/schema.js');
+const Seo = require('../assets/js/seo.js');
+const { ConfigManager } = require('../assets/js/config.mjs');
+const { renderPublicPage } = require('../server/public-page');
+
+class TestRunner {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    }
+
+    async run() {
+        console.log('Running translation tests...\n');
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                console.log(`✓ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`✗ ${test.name}`);
+                console.error(`  Error: ${error.message}`);
+                this.failed++;
+            }
+        }
+        console.log(`\nResults: ${this.passed} passed, ${this.failed} failed`);
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected ${expected}, got ${actual}`);
+        }
+    }
+}
+
+const runner = new TestRunner();
+const DEFAULTS = new ConfigManager().getDefaultConfig();
+const CONFIG = {
+    ...DEFAULTS,
+    heroSubtitle: '<strong>Primary care</strong> for every age.',
+    languages: [{ locale: 'es' }],
+    expertiseCards: [
+        { title: 'Diabetes', text: 'Long-term care.' },
+        { title: 'Diabetes', text: 'Prevention.' }
+    ],
+    translations: [
+        { locale: 'es', field: 'heroSubtitle', source: '<strong>Primary care</strong> for every age.', text: '<strong>Atención primaria</strong> para todas las edades.' },
+        { locale: 'es', field: 'expertiseCards.title', source: 'Diabetes', text: 'Diabetes (es)' },
+        { locale: 'es', field: 'expertiseCards.text', source: 'Old text', text: 'Texto antiguo' }
+    ]
+};
+
+// Test 1: Page messages
+runner.test('Should have every page message in each language, matching index.html in English', () => {
+    const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+    const marked = [...html.matchAll(/data-i18n="([\w.]+)"[^>]*>([^<]*)</g)];
+    runner.assert(marked.length > 0, 'index.html should mark its text');
+    marked.forEach(([, key, text]) => {
+        const english = text.replace(/\s+/g, ' ').trim().replace(/&amp;/g, '&');
+        runner.assertEqual(english, I18n.MESSAGES.en[key], `index.html text for ${key} should match the English message`);
+    });
+
+    Object.keys(I18n.LOCALE_NAMES).forEach((locale) => {
+        runner.assertEqual(I18n.getMissingMessages(locale).length, 0, `${locale} should have every message`);
+    });
+    runner.assertEqual(I18n.translate('es', 'hours.timeZone', { zone: 'Eastern Time' }).includes('Eastern Time'), true);
+    runner.assertEqual(I18n.translate('fr', 'nav.about'), I18n.MESSAGES.en['nav.about'], 'Unknown languages should fall back to English');
+    runner.assertEqual(I18n.translate('es', 'no.such.key'), 'no.such.key');
+});
+
+// Test 2: Language detection
+runner.test('Should pick the language from the address, the saved choice, then the browser', () => {
+    const available = I18n.getEnabledLocales({ languages: [{ locale: 'es' }, { locale: 'es' }, { locale: 'xx' }] });
+    runner.assertEqual(available.join(','), 'en,es', 'English is always offered and unknown or repeated languages are skipped');
+    runner.assertEqual(I18n.detectLocale({ requested: 'es', stored: 'en' }, available), 'es');
+    runner.assertEqual(I18n.detectLocale({ requested: 'ne', stored: 'es' }, available), 'es', 'Languages that are not offered should be skipped');
+    runner.assertEqual(I18n.detectLocale({ preferred: ['fr-FR', 'es-MX'] }, available), 'es', 'Regional tags should match their language');
+    runner.assertEqual(I18n.detectLocale({}, available), 'en');
+
+    runner.assertEqual(I18n.getLocaleUrl('https://example.com/?a=1#about', 'es'), 'https://example.com/?a=1&lang=es#about');
+    runner.assertEqual(I18n.getLocaleUrl('https://example.com/?lang=es', 'en'), 'https://example.com/');
+});
+
+// Test 3: Config text
+runner.test('Should translate config text matched on its English source', () => {
+    const spanish = Translations.localize(CONFIG, 'es');
+    runner.assertEqual(spanish.heroSubtitle, '<strong>Atención primaria</strong> para todas las edades.');
+    runner.assertEqual(spanish.expertiseCards[0].title, 'Diabetes (es)');
+    runner.assertEqual(spanish.expertiseCards[1].title, 'Diabetes (es)', 'Repeated text should share its translation');
+    runner.assertEqual(spanish.expertiseCards[0].text, 'Long-term care.', 'Untranslated text should stay English');
+    runner.assertEqual(CONFIG.expertiseCards[0].title, 'Diabetes', 'The config itself should not change');
+    runner.assertEqual(Translations.localize(CONFIG, 'en'), CONFIG);
+
+    const sources = Translations.getSources(CONFIG);
+    runner.assertEqual(sources.filter((source) => source.field === 'expertiseCards.title').length, 1, 'Sources should be listed once per distinct text');
+    runner.assert(sources.find((source) => source.field === 'heroSubtitle').richText);
+    const missing = Translations.getMissing(CONFIG, 'es');
+    runner.assertEqual(missing.length, sources.length - 2);
+    runner.assert(missing.some((source) => source.source === 'Long-term care.'));
+
+    let translations = Translations.update(CONFIG.translations, 'es', 'expertiseCards.text', 'Prevention.', 'Prevención.');
+    runner.assertEqual(Translations.find(translations, 'es', 'expertiseCards.text', 'Prevention.'), 'Prevención.');
+    translations = Translations.update(translations, 'es', 'expertiseCards.title', 'Diabetes', '');
+    runner.assertEqual(Translations.find(translations, 'es', 'expertiseCards.title', 'Diabetes'), '', 'Empty text should remove the translation');
+
+    const pruned = Translations.prune(CONFIG);
+    runner.assertEqual(pruned.length, 2, 'Translations of text no longer in the config should be dropped');
+    runner.assert(!pruned.some((entry) => entry.source === 'Old text'));
+});
+
+// Test 4: Schema rules
+runner.test('Should validate languages and translations', () => {
+    runner.assert(ConfigSchema.validateConfig(CONFIG).valid, 'The test config should be valid');
+
+    const repeated = ConfigSchema.validateConfig({ ...CONFIG, languages: [{ locale: 'es' }, { locale: 'es' }] });
+    runner.assert(!repeated.valid && repeated.errors.languages, 'Languages should only be added once');
+    runner.assert(!ConfigSchema.validateConfig({ ...CONFIG, languages: [{ locale: 'en' }] }).valid, 'English is not an extra language');
+
+    const translation = { locale: 'es', field: 'heroSubtitle', source: 'a', text: 'b' };
+    runner.assert(!ConfigSchema.validateConfig({ ...CONFIG, translations: [{ ...translation, field: 'contactEmail' }] }).valid, 'Only translatable fields can be translated');
+    runner.assert(!ConfigSchema.validateConfig({ ...CONFIG, translations: [{ ...translation, text: '<img src=x onerror=alert(1)>' }] }).valid, 'Rich text translations should be sanitized');
+    runner.assert(ConfigSchema.getTranslatableFields().some((field) => field.path === 'aboutParagraphs.text'));
+    runner.assert(!ConfigSchema.getTranslatableFields().some((field) => field.path === 'heroName'), 'Names should not be translatable');
+});
+
+// Test 5: Head tags
+runner.test('Should render translated head tags with links to each language', () => {
+    const config = { ...CONFIG, siteUrl: 'https://example.com/' };
+    const meta = Seo.getPageMeta(Translations.localize(config, 'es'), config.siteUrl, 'es');
+    runner.assertEqual(meta.url, 'https://example.com/?lang=es');
+    runner.assert(meta.description.startsWith('Atención primaria para todas las edades'), 'The description should be translated');
+    runner.assertEqual(meta.alternates.map((alternate) => alternate.hreflang).join(','), 'en,es,x-default');
+    runner.assertEqual(Seo.getPageMeta(DEFAULTS, 'https://example.com/').alternates.length, 0, 'No language links with English only');
+
+    const html = ['<html lang="en">', '<head>', '    <!-- seo:start -->', '    <!-- seo:end -->', '</head>', '</html>'].join('\n');
+    const page = renderPublicPage(html, config, new Date('2026-11-16T13:30:00Z'), 'es');
+    runner.assert(page.startsWith('<html lang="es">'), 'The page language should be set');
+    runner.assert(page.includes('<link rel="alternate" hreflang="es" href="https://example.com/?lang=es" />'));
+    runner.assert(page.includes('<link rel="canonical" href="https://example.com/?lang=es" />'));
+});
+
+// Test 6: Page text
+runner.test('Should serve the page text in the language of the page', () => {
+    const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+    const config = { ...CONFIG, siteUrl: 'https://example.com/' };
+    const page = renderPublicPage(html, config, new Date('2026-11-16T13:30:00Z'), 'es');
+    runner.assert(page.includes('Conozca a su enfermera practicante'), 'Marked text should be translated');
+    runner.assert(!page.includes('About Your Nurse Practitioner'), 'No English text should be left');
+    runner.assert(page.includes(`aria-label="${I18n.MESSAGES.es['announcements.label']}"`), 'Marked labels should be translated');
+    [...page.matchAll(/data-i18n="([\w.]+)"[^>]*>([^<]*)</g)].forEach(([, key, text]) => {
+        runner.assertEqual(text.replace(/&amp;/g, '&'), I18n.MESSAGES.es[key], `${key} should be in Spanish`);
+    });
+
+    const english = renderPublicPage(html, config, new Date('2026-11-16T13:30:00Z'));
+    runner.assert(english.includes('About Your Nurse Practitioner'), 'English pages should keep their text');
+    runner.assertEqual(english.slice(english.indexOf('<body')), html.slice(html.indexOf('<body')), 'English pages should keep their markup as written');
+});
+
+runner.run().then(() => {
+    if (runner.failed > 0) process.exitCode = 1;
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for the image manifest builder
+ * Tests reading image dimensions from file headers and listing assets/images
+ * Node-only: run with `node tests/image-manifest.test.js`
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+const { buildImageManifest, writeImageManifest, readImageSize } = require('../server/image-manifest');
+
+class TestRunner {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    }
+
+    async run() {
+        console.log('Running image manifest tests...\n');
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                console.log(`✓ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`✗ ${test.name}`);
+                console.error(`  Error: ${error.message}`);
+                this.failed++;
+            }
+        }
+        console.log(`\nResults: ${this.passed} passed, ${this.failed} failed`);
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected ${expected}, got ${actual}`);
+        }
+    }
+}
+
+const runner = new TestRunner();
+
+// Minimal file headers carrying 120x80 dimensions
+function pngHeader(width, height) {
+    const data = Buffer.alloc(24);
+    Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).copy(data);
+    data.writeUInt32BE(13, 8);
+    data.write('IHDR', 12, 'ascii');
+    data.writeUInt32BE(width, 16);
+    data.writeUInt32BE(height, 20);
+    return data;
+}
+
+function jpegHeader(width, height) {
+    const app0 = Buffer.from([0xff, 0xe0, 0x00, 0x04, 0x00, 0x00]);
+    const sof = Buffer.from([0xff, 0xc2, 0x00, 0x11, 0x08, 0, 0, 0, 0, 0x03]);
+    sof.writeUInt16BE(height, 5);
+    sof.writeUInt16BE(width, 7);
+    return Buffer.concat([Buffer.from([0xff, 0xd8]), app0, sof, Buffer.alloc(8)]);
+}
+
+function webpHeader(width, height) {
+    const data = Buffer.alloc(30);
+    data.write('RIFF', 0, 'ascii');
+    data.write('WEBPVP8X', 8, 'ascii');
+    data.writeUIntLE(width - 1, 24, 3);
+    data.writeUIntLE(height - 1, 27, 3);
+    return data;
+}
+
+// Test 1: Raster headers
+runner.test('Should read dimensions from PNG, JPEG, GIF and WebP headers', () => {
+    runner.assertEqual(JSON.stringify(readImageSize(pngHeader(120, 80), 'image/png')), '{"width":120,"height":80}');
+    runner.assertEqual(JSON.stringify(readImageSize(jpegHeader(120, 80), 'image/jpeg')), '{"width":120,"height":80}');
+    const gif = Buffer.from('GIF89a\x78\x00\x50\x00', 'latin1');
+    runner.assertEqual(JSON.stringify(readImageSize(gif, 'image/gif')), '{"width":120,"height":80}');
+    runner.assertEqual(JSON.stringify(readImageSize(webpHeader(120, 80), 'image/webp')), '{"width":120,"height":80}');
+    runner.assertEqual(readImageSize(Buffer.from([0xff, 0xd8, 0xff]), 'image/jpeg'), null, 'Truncated files should have no size');
+});
+
+// Test 2: SVG
+runner.test('Should read SVG dimensions from attributes or the viewBox', () => {
+    runner.assertEqual(JSON.stringify(readImageSize(Buffer.from('<svg width="300" height="200px"></svg>'), 'image/svg+xml')), '{"width":300,"height":200}');
+    runner.assertEqual(JSON.stringify(readImageSize(Buffer.from('<?xml?><svg viewBox="0 0 64 32"/>'), 'image/svg+xml')), '{"width":64,"height":32}');
+});
+
+// Test 3: Listing a directory
+runner.test('Should list images with sizes and hashes, leave out uploads, and rebuild identically', async () => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fnp-manifest-test-'));
+    try {
+        const imagesDir = path.join(rootDir, 'assets', 'images');
+        fs.mkdirSync(path.join(imagesDir, 'uploads'), { recursive: true });
+        fs.writeFileSync(path.join(imagesDir, 'pfp2.jpg'), jpegHeader(400, 400));
+        fs.writeFileSync(path.join(imagesDir, 'uploads', 'profile-0123456789abcdef-300.jpg'), jpegHeader(300, 400));
+        fs.mkdirSync(path.join(imagesDir, 'team'));
+        fs.writeFileSync(path.join(imagesDir, 'team', 'team.png'), pngHeader(800, 400));
+        fs.writeFileSync(path.join(imagesDir, 'notes.txt'), 'not an image');
+        fs.writeFileSync(path.join(imagesDir, '.hidden.jpg'), jpegHeader(1, 1));
+
+        const { images } = await buildImageManifest(imagesDir, rootDir);
+        runner.assertEqual(images.map((image) => image.src).join(','), 'assets/images/pfp2.jpg,assets/images/team/team.png', 'Uploads are git-ignored and listed in the config instead');
+        runner.assertEqual(images[1].width, 800);
+        runner.assertEqual(images[1].type, 'image/png');
+        runner.assertEqual(images[0].sha256, crypto.createHash('sha256').update(jpegHeader(400, 400)).digest('hex'));
+
+        await writeImageManifest(rootDir);
+        const first = fs.readFileSync(path.join(imagesDir, 'manifest.json'), 'utf8');
+        await writeImageManifest(rootDir);
+        runner.assertEqual(fs.readFileSync(path.join(imagesDir, 'manifest.json'), 'utf8'), first, 'Rebuilding should not change the file');
+        runner.assertEqual(JSON.parse(first).images.length, 2, 'The manifest should not list itself');
+    } finally {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    }
+});
+
+// Test 4: The committed manifest is current
+runner.test('Should match the images in assets/images', async () => {
+    const rootDir = path.resolve(__dirname, '..');
+    const committed = JSON.parse(fs.readFileSync(path.join(rootDir, 'assets', 'images', 'manifest.json'), 'utf8'));
+    const built = await buildImageManifest(path.join(rootDir, 'assets', 'images'), rootDir);
+    runner.assertEqual(JSON.stringify(committed), JSON.stringify(built), 'Run npm run images:manifest after changing images');
+});
+
+runner.run().then(() => {
+    if (runner.failed > 0) {
+        process.exitCode = 1;
+    }
+});
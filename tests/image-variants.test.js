@@ -0,0 +1,118 @@
+/**
+ * Tests for uploaded image helpers
+ * Tests ImageVariants crop geometry, variant widths, srcset building, fallback choice
+ * and manifest lookup
+ * Node-only: run with `node tests/image-variants.test.js`
+ */
+
+const ImageVariants = require('../assets/js/image-variants.js');
+
+class TestRunner {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    }
+
+    async run() {
+        console.log('Running ImageVariants tests...\n');
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                console.log(`✓ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`✗ ${test.name}`);
+                console.error(`  Error: ${error.message}`);
+                this.failed++;
+            }
+        }
+        console.log(`\nResults: ${this.passed} passed, ${this.failed} failed`);
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected ${expected}, got ${actual}`);
+        }
+    }
+}
+
+const runner = new TestRunner();
+const VARIANTS = [
+    { src: 'uploads/p-600.webp', width: 600, height: 600, type: 'image/webp' },
+    { src: 'uploads/p-600.jpg', width: 600, height: 600, type: 'image/jpeg' },
+    { src: 'uploads/p-200.jpg', width: 200, height: 200, type: 'image/jpeg' },
+    { src: 'uploads/p-300.jpg', width: 300, height: 300, type: 'image/jpeg' }
+];
+
+// Test 1: Crop geometry
+runner.test('Should crop the largest centred square by default', () => {
+    const landscape = ImageVariants.getCrop(1200, 800);
+    runner.assertEqual(JSON.stringify(landscape), JSON.stringify({ x: 200, y: 0, width: 800, height: 800 }));
+    const portrait = ImageVariants.getCrop(600, 1000, { y: 0 });
+    runner.assertEqual(JSON.stringify(portrait), JSON.stringify({ x: 0, y: 0, width: 600, height: 600 }), 'y=0 should keep the top');
+});
+
+// Test 2: Zoom and position
+runner.test('Should zoom in and keep the crop inside the photo', () => {
+    const zoomed = ImageVariants.getCrop(1000, 1000, { zoom: 2, x: 1, y: 0 });
+    runner.assertEqual(JSON.stringify(zoomed), JSON.stringify({ x: 500, y: 0, width: 500, height: 500 }));
+    const clamped = ImageVariants.getCrop(1000, 1000, { zoom: 10, x: 5, y: -1 });
+    runner.assertEqual(clamped.width, Math.round(1000 / ImageVariants.MAX_ZOOM), 'Zoom should be capped');
+    runner.assertEqual(clamped.x + clamped.width, 1000, 'Positions should be clamped to the edges');
+    runner.assertEqual(clamped.y, 0);
+});
+
+// Test 3: Variant widths
+runner.test('Should not upscale when choosing variant widths', () => {
+    runner.assertEqual(ImageVariants.getTargetWidths(2000).join(','), ImageVariants.WIDTHS.join(','));
+    runner.assertEqual(ImageVariants.getTargetWidths(450).join(','), '200,300');
+    runner.assertEqual(ImageVariants.getTargetWidths(120.4).join(','), '120', 'Small crops should keep their own size');
+});
+
+// Test 4: srcset and fallback
+runner.test('Should build srcsets per format and pick a display-sized fallback', () => {
+    runner.assertEqual(ImageVariants.toSrcset(VARIANTS, 'image/jpeg'), 'uploads/p-200.jpg 200w, uploads/p-300.jpg 300w, uploads/p-600.jpg 600w');
+    runner.assertEqual(ImageVariants.toSrcset(VARIANTS, 'image/webp'), 'uploads/p-600.webp 600w');
+    runner.assertEqual(ImageVariants.toSrcset([], 'image/webp'), '');
+    runner.assertEqual(ImageVariants.getFallback(VARIANTS).src, 'uploads/p-300.jpg');
+    runner.assertEqual(ImageVariants.getFallback(VARIANTS.slice(2, 3)).src, 'uploads/p-200.jpg', 'Should fall back to the largest JPEG');
+    runner.assertEqual(ImageVariants.getFallback(VARIANTS.slice(0, 1)), null);
+});
+
+// Test 5: Manifest lookup
+runner.test('Should resolve configured paths against the image manifest', () => {
+    const manifest = {
+        images: [
+            { src: 'assets/images/pfp.jpg', width: 400, height: 400, sha256: 'aaaaaaaa11' },
+            { src: 'assets/images/pfp2.jpg', width: 500, height: 500, sha256: 'bbbbbbbb22' },
+            { src: 'assets/images/pfp10.jpg', width: 600, height: 600, sha256: 'cccccccc33' },
+            { src: 'assets/images/team.png', width: 800, height: 400, sha256: 'dddddddd44' }
+        ]
+    };
+    runner.assertEqual(JSON.stringify(ImageVariants.resolveFromManifest(manifest, 'assets/images/pfp.jpg')),
+        JSON.stringify({ src: 'assets/images/pfp10.jpg?v=cccccccc', width: 600, height: 600 }), 'pfp paths should use the highest number');
+    runner.assertEqual(ImageVariants.resolveFromManifest(manifest, 'assets/images/team.png').src, 'assets/images/team.png?v=dddddddd');
+    runner.assertEqual(ImageVariants.resolveFromManifest(manifest, 'assets/images/missing.jpg').src, 'assets/images/placeholder-profile.svg', 'Missing local images should use the placeholder');
+    runner.assertEqual(ImageVariants.resolveFromManifest(manifest, 'https://example.com/me.jpg').src, 'https://example.com/me.jpg', 'External URLs should be kept');
+    runner.assertEqual(ImageVariants.resolveFromManifest(null, 'assets/images/pfp.jpg').src, 'assets/images/pfp.jpg', 'Without a manifest the path should be kept');
+    runner.assertEqual(ImageVariants.resolveFromManifest({ images: [] }, 'assets/images/pfp.jpg').src, 'assets/images/placeholder-profile.svg');
+    const withPlaceholder = { images: [{ src: 'assets/images/placeholder-profile.svg', width: 300, height: 300, sha256: 'eeeeeeee55' }] };
+    runner.assertEqual(ImageVariants.resolveFromManifest(withPlaceholder, 'assets/images/pfp.jpg').src, 'assets/images/placeholder-profile.svg?v=eeeeeeee', 'A listed placeholder should get its hash');
+});
+
+runner.run().then(() => {
+    if (runner.failed > 0) {
+        process.exitCode = 1;
+    }
+});
@@ -0,0 +1,166 @@
+/**
+ * Tests for contact form inquiries
+ * Tests the shared Inquiries rules, SubmissionStore and the RateLimiter
+ * Node-only: run with `node tests/inquiries.test.js`
+ */
+
+const Inquiries = require('../assets/js/inquiries.js');
+const { SubmissionStore } = require('../server/submission-store');
+const { RateLimiter } = require('../server/rate-limiter');
+
+class TestRunner {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    }
+
+    async run() {
+        console.log('Running inquiry tests...\n');
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                console.log(`✓ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`✗ ${test.name}`);
+                console.error(`  Error: ${error.message}`);
+                this.failed++;
+            }
+        }
+        console.log(`\nResults: ${this.passed} passed, ${this.failed} failed`);
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected ${expected}, got ${actual}`);
+        }
+    }
+}
+
+// In-memory stand-in for JsonFileStore
+class MemoryStore {
+    constructor() {
+        this.data = null;
+    }
+
+    async read() {
+        return this.data;
+    }
+
+    async write(data) {
+        this.data = data;
+    }
+}
+
+const runner = new TestRunner();
+const createStore = (options) => new SubmissionStore({
+    store: new MemoryStore(),
+    fields: Inquiries.fields,
+    statuses: Inquiries.STATUSES,
+    ...options
+});
+const VALID = {
+    name: 'Jordan Lee',
+    email: 'jordan@example.com',
+    contactTime: 'morning',
+    reason: 'Are you taking new patients for blood pressure management?',
+    consent: true
+};
+
+// Test 1: Valid submissions
+runner.test('Should accept a submission with an email or a phone number', () => {
+    runner.assert(Inquiries.validate(VALID).valid, 'Email only should be accepted');
+    const { email, ...withoutEmail } = VALID;
+    runner.assert(Inquiries.validate({ ...withoutEmail, phone: '(410) 555-0123' }).valid, 'Phone only should be accepted');
+    runner.assert(Inquiries.validate({ ...VALID, phone: '+1 410.555.0123' }).valid, 'Both should be accepted');
+});
+
+// Test 2: Invalid submissions
+runner.test('Should explain what is wrong with a submission', () => {
+    const { email, ...withoutEmail } = VALID;
+    runner.assertEqual(Inquiries.validate(withoutEmail).errors.email[0], 'Enter an email address or a phone number so we can reply');
+    runner.assertEqual(Inquiries.validate({ ...VALID, consent: false }).errors.consent[0], 'Please confirm that your message contains no personal health information');
+    runner.assertEqual(Inquiries.validate({ ...VALID, consent: undefined }).errors.consent[0], 'Consent is required');
+    runner.assertEqual(Inquiries.validate({ ...VALID, phone: '555' }).errors.phone[0], 'Phone must be a phone number such as (410) 555-0123');
+    runner.assertEqual(Inquiries.validate({ ...VALID, reason: 'x'.repeat(1001) }).errors.reason[0], 'Reason for contacting us must be at most 1000 characters');
+    runner.assert(Inquiries.validate({ ...VALID, contactTime: 'midnight' }).errors.contactTime, 'Unknown contact times should be rejected');
+    runner.assertEqual(Inquiries.validate({ ...VALID, diagnosis: 'x' }).errors.diagnosis[0], 'Unknown setting "diagnosis"', 'Extra fields should be rejected');
+    runner.assertEqual(Inquiries.validate(null).valid, false);
+
+    runner.assertEqual(Inquiries.validate({ ...VALID, phone: '555' }, 'es').errors.phone[0], 'Escriba un teléfono como (410) 555-0123.', 'Visitors should get messages in their language');
+    runner.assertEqual(Inquiries.validate({ ...VALID, reason: 'x'.repeat(1001) }, 'en').errors.reason[0], 'Tell us why you are contacting us, in up to 1000 characters.');
+    runner.assertEqual(Inquiries.validate(withoutEmail, 'es').errors.email[0], 'Se requiere correo electrónico o teléfono.');
+});
+
+// Test 3: Store
+runner.test('Should store inquiries as new, newest first, and update or delete them', async () => {
+    let now = Date.UTC(2026, 10, 2);
+    const inquiries = createStore({ now: () => now });
+    const first = await inquiries.add(VALID);
+    now += 1000;
+    const second = await inquiries.add({ ...VALID, name: 'Sam' });
+
+    runner.assertEqual(first.status, 'new');
+    runner.assertEqual(first.receivedAt, '2026-11-02T00:00:00.000Z');
+    runner.assert(/^[0-9a-f]{16}$/.test(first.id) && first.id !== second.id, 'Ids should be unique');
+    runner.assertEqual((await inquiries.list()).map((inquiry) => inquiry.name).join(','), 'Sam,Jordan Lee');
+
+    runner.assertEqual((await inquiries.setStatus(first.id, 'archived')).status, 'archived');
+    await inquiries.remove(second.id);
+    const remaining = await inquiries.list();
+    runner.assertEqual(remaining.length, 1);
+    runner.assertEqual(remaining[0].status, 'archived');
+
+    const failures = await Promise.all([
+        inquiries.setStatus(first.id, 'deleted').catch((error) => error.status),
+        inquiries.setStatus('missing', 'read').catch((error) => error.status),
+        inquiries.remove('missing').catch((error) => error.status)
+    ]);
+    runner.assertEqual(failures.join(','), '400,404,404');
+});
+
+// Test 4: Full inbox
+runner.test('Should refuse new inquiries instead of dropping old ones when full', async () => {
+    const inquiries = createStore({ maxEntries: 2 });
+    await inquiries.add(VALID);
+    await inquiries.add(VALID);
+    const status = await inquiries.add(VALID).then(() => 201, (error) => error.status);
+    runner.assertEqual(status, 503);
+    runner.assertEqual((await inquiries.list()).length, 2, 'Stored inquiries should be kept');
+});
+
+// Test 5: Rate limiting
+runner.test('Should limit requests per client within a window', () => {
+    let now = 0;
+    const limiter = new RateLimiter({ limit: 2, windowMs: 60000, now: () => now });
+    limiter.hit('a');
+    limiter.hit('a');
+    limiter.hit('b');
+    let error = null;
+    try {
+        limiter.hit('a');
+    } catch (caught) {
+        error = caught;
+    }
+    runner.assertEqual(error && error.status, 429, 'The third request should be refused');
+    runner.assertEqual(error.details.retryAfter, 60);
+
+    now = 60000;
+    limiter.hit('a');
+    runner.assertEqual(limiter.windows.size, 1, 'Finished windows should be forgotten');
+});
+
+runner.run().then(() => {
+    if (runner.failed > 0) process.exitCode = 1;
+});
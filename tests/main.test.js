@@ -1,124 +1,17 @@
 /**
  * Tests for MainPageController
- * Tests DOM manipulation and configuration application
+ * Runs the real main.mjs against a jsdom document built from index.html, with
+ * the config served by the real config server (see page-environment.js)
+ * Node-only: run with `node tests/main.test.js` (needs `npm install`)
  */
 
-// Mock DOM for testing
-class MockDOM {
-    constructor() {
-        this.elements = {};
-    }
-
-    createElement(tag) {
-        return {
-            tagName: tag,
-            textContent: '',
-            style: {},
-            className: '',
-            classList: {
-                add: (cls) => {
-                    if (!this.className.includes(cls)) {
-                        this.className += (this.className ? ' ' : '') + cls;
-                    }
-                },
-                remove: (cls) => {
-                    this.className = this.className.replace(new RegExp(`\\b${cls}\\b`, 'g'), '').trim();
-                }
-            },
-            src: '',
-            alt: '',
-            href: '',
-            display: 'block'
-        };
-    }
-
-    getElementById(id) {
-        if (!this.elements[id]) {
-            this.elements[id] = this.createElement('div');
-            this.elements[id].id = id;
-        }
-        return this.elements[id];
-    }
-
-    querySelector(selector) {
-        // Simple mock - in real tests, use jsdom or similar
-        return this.createElement('div');
-    }
-}
-
-// Test MainPageController logic
-class TestMainPageController {
-    constructor(config, dom) {
-        this.config = config;
-        this.dom = dom;
-    }
-
-    applyBanner() {
-        const banner = this.dom.getElementById('urgent-banner');
-        const bannerText = this.dom.getElementById('banner-text');
-        
-        if (!banner || !bannerText) return;
-
-        if (this.config.bannerEnabled && this.config.bannerText) {
-            banner.style.display = 'block';
-            bannerText.textContent = this.config.bannerText;
-            banner.className = `urgent-banner ${this.config.bannerType}`;
-        } else {
-            banner.style.display = 'none';
-        }
-    }
-
-    applyTheme() {
-        const body = { className: '' };
-        body.className = body.className.replace(/theme-\w+/g, '');
-        if (this.config.theme && this.config.theme !== 'default') {
-            body.className += ` theme-${this.config.theme}`;
-        }
-        return body;
-    }
-
-    applyHero() {
-        const heroName = this.dom.getElementById('hero-name');
-        const heroCredentials = this.dom.getElementById('hero-credentials');
-        const heroTagline = this.dom.getElementById('hero-tagline');
-        const profileImage = this.dom.getElementById('profile-image');
-        const acceptingBadge = this.dom.getElementById('accepting-patients-badge');
-        const consultationBtn = this.dom.getElementById('consultation-btn');
-
-        if (heroName && this.config.heroName) {
-            heroName.textContent = this.config.heroName;
-        }
-
-        if (heroCredentials && this.config.heroCredentials) {
-            heroCredentials.textContent = this.config.heroCredentials;
-        }
-
-        if (heroTagline && this.config.heroTagline) {
-            heroTagline.textContent = this.config.heroTagline;
-        }
-
-        if (profileImage && this.config.profileImageUrl) {
-            profileImage.src = this.config.profileImageUrl;
-            profileImage.alt = this.config.heroName || 'Profile';
-        }
-
-        if (acceptingBadge) {
-            if (this.config.acceptingPatients) {
-                acceptingBadge.style.display = 'inline-block';
-                acceptingBadge.classList.add('active');
-            } else {
-                acceptingBadge.style.display = 'none';
-                acceptingBadge.classList.remove('active');
-            }
-        }
+const { MainPageController } = require('../assets/js/main.mjs');
+const { ConfigManager } = require('../assets/js/config.mjs');
+const { startServer, openPage, waitFor } = require('./page-environment');
 
-        if (consultationBtn && this.config.contactEmail) {
-            consultationBtn.href = `mailto:${this.config.contactEmail}`;
-        }
-    }
-}
+const ADMIN_PASSWORD = 'correct horse battery';
+const DEFAULTS = new ConfigManager().getDefaultConfig();
 
-// Test Suite
 class TestRunner {
     constructor() {
         this.tests = [];
@@ -160,112 +53,203 @@ class TestRunner {
 }
 
 const runner = new TestRunner();
+let server;
 
-// Test 1: Banner application when enabled
-runner.test('Should apply banner when enabled', () => {
-    const dom = new MockDOM();
-    const config = {
-        bannerEnabled: true,
-        bannerText: 'Test banner message',
-        bannerType: 'urgent'
-    };
-    const controller = new TestMainPageController(config, dom);
-    controller.applyBanner();
-    
-    const banner = dom.getElementById('urgent-banner');
-    const bannerText = dom.getElementById('banner-text');
-    
-    runner.assertEqual(banner.style.display, 'block', 'Banner should be displayed');
-    runner.assertEqual(bannerText.textContent, 'Test banner message', 'Banner text should match');
-    runner.assert(banner.className.includes('urgent'), 'Banner should have urgent class');
-});
+/**
+ * Renders an opened page with MainPageController
+ * @param {Window} window - Page from openPage()
+ * @param {Function} [clock] - Returns the current Date
+ * @returns {Promise<MainPageController>} Controller, once rendered
+ */
+async function renderController(window, clock) {
+    const controller = new MainPageController({ document: window.document, storage: window.localStorage, clock });
+    await controller.ready;
+    return controller;
+}
 
-// Test 2: Banner hidden when disabled
-runner.test('Should hide banner when disabled', () => {
-    const dom = new MockDOM();
-    const config = {
-        bannerEnabled: false,
-        bannerText: 'Test banner'
-    };
-    const controller = new TestMainPageController(config, dom);
-    controller.applyBanner();
-    
-    const banner = dom.getElementById('urgent-banner');
-    runner.assertEqual(banner.style.display, 'none', 'Banner should be hidden');
+/**
+ * Publishes a config, then opens index.html and renders it with MainPageController
+ * @param {Object} config - Config fields to publish over the defaults
+ * @param {string} [search] - Query string of the page address
+ * @param {Function} [clock] - Returns the current Date
+ * @returns {Promise<Object>} { window, document, controller }
+ */
+async function renderPage(config, search = '', clock) {
+    await server.publish({ ...DEFAULTS, ...config });
+    const window = openPage('index.html', `${server.baseUrl}/${search}`);
+    const controller = await renderController(window, clock);
+    return { window, document: window.document, controller };
+}
+
+// Test 1: Hero
+runner.test('Should fill the hero from the published config', async () => {
+    const { window, document } = await renderPage({
+        heroName: 'Test Name, FNP',
+        heroSubtitle: '<strong>Kidney</strong> care',
+        contactEmail: 'test@example.com'
+    }, '', () => new Date('2031-03-01T12:00:00Z'));
+    try {
+        runner.assertEqual(document.getElementById('hero-name').textContent, 'Test Name, FNP');
+        runner.assertEqual(document.getElementById('hero-subtitle').innerHTML, '<strong>Kidney</strong> care');
+        runner.assertEqual(document.getElementById('profile-image').getAttribute('alt'), 'Test Name, FNP');
+        runner.assertEqual(document.getElementById('contact-email-link').getAttribute('href'), 'mailto:test@example.com');
+        runner.assert(document.title.startsWith('Test Name, FNP'), 'The title should name the clinician');
+        runner.assertEqual(document.getElementById('current-year').textContent, '2031', 'The year should come from the clock');
+    } finally {
+        window.close();
+    }
 });
 
-// Test 3: Theme application
-runner.test('Should apply theme class to body', () => {
-    const dom = new MockDOM();
-    const config = { theme: 'winter' };
-    const controller = new TestMainPageController(config, dom);
-    const body = controller.applyTheme();
-    
-    runner.assert(body.className.includes('theme-winter'), 'Body should have winter theme class');
+// Test 2: Accepting patients
+runner.test('Should show the accepting badge and spoken status only when accepting patients', async () => {
+    let page = await renderPage({ acceptingPatients: true });
+    try {
+        runner.assert(!page.document.getElementById('accepting-patients-badge').hidden, 'The badge should be shown');
+        runner.assertEqual(page.document.getElementById('hero-status').textContent, 'Accepting new patients');
+    } finally {
+        page.window.close();
+    }
+
+    page = await renderPage({ acceptingPatients: false });
+    try {
+        runner.assert(page.document.getElementById('accepting-patients-badge').hidden, 'The badge should be hidden');
+        runner.assertEqual(page.document.getElementById('hero-status').textContent, 'Not accepting new patients at the moment');
+    } finally {
+        page.window.close();
+    }
 });
 
-// Test 4: Default theme
-runner.test('Should not apply theme class for default theme', () => {
-    const dom = new MockDOM();
-    const config = { theme: 'default' };
-    const controller = new TestMainPageController(config, dom);
-    const body = controller.applyTheme();
-    
-    runner.assert(!body.className.includes('theme-'), 'Body should not have theme class for default');
+// Test 3: Announcements
+runner.test('Should show active announcements by priority, with their type in words', async () => {
+    const { window, document, controller } = await renderPage({
+        announcements: [
+            { type: 'info', text: 'Flu shots available', priority: 0 },
+            { type: 'urgent', text: 'Closed Friday', priority: 1 },
+            { type: 'warning', text: 'Long over', priority: 2, endsAt: '2000-01-01T00:00:00Z' }
+        ]
+    });
+    try {
+        const items = [...document.querySelectorAll('#announcements .urgent-banner')];
+        runner.assertEqual(items.length, 2, 'Ended announcements should not be shown');
+        runner.assert(items[0].textContent.includes('Urgent: Closed Friday'), 'Higher priority should come first');
+        runner.assert(items[1].textContent.includes('Flu shots available'));
+        runner.assert(!document.getElementById('announcements').hidden);
+    } finally {
+        clearTimeout(controller.announcementTimer);
+        window.close();
+    }
 });
 
-// Test 5: Hero content application
-runner.test('Should apply hero content from config', () => {
-    const dom = new MockDOM();
-    const config = {
-        heroName: 'Test Name, DNP',
-        heroCredentials: 'Test Credentials',
-        heroTagline: 'Test Tagline',
-        profileImageUrl: 'test.jpg',
-        contactEmail: 'test@example.com'
-    };
-    const controller = new TestMainPageController(config, dom);
-    controller.applyHero();
-    
-    const heroName = dom.getElementById('hero-name');
-    const heroCredentials = dom.getElementById('hero-credentials');
-    const heroTagline = dom.getElementById('hero-tagline');
-    const profileImage = dom.getElementById('profile-image');
-    const consultationBtn = dom.getElementById('consultation-btn');
-    
-    runner.assertEqual(heroName.textContent, 'Test Name, DNP', 'Hero name should match');
-    runner.assertEqual(heroCredentials.textContent, 'Test Credentials', 'Hero credentials should match');
-    runner.assertEqual(heroTagline.textContent, 'Test Tagline', 'Hero tagline should match');
-    runner.assertEqual(profileImage.src, 'test.jpg', 'Profile image src should match');
-    runner.assertEqual(consultationBtn.href, 'mailto:test@example.com', 'Consultation button href should match');
+// Test 4: Theme, color scheme and visibility
+runner.test('Should apply the theme, the color scheme and the visibility settings', async () => {
+    const { window, document } = await renderPage({
+        theme: 'winter',
+        darkModeEnabled: false,
+        showHeaderNav: true,
+        showHeroCTA: false
+    });
+    try {
+        runner.assert(document.body.classList.contains('theme-winter'), 'The theme class should be set');
+        runner.assertEqual(document.documentElement.dataset.colorScheme, 'light', 'Disabled dark mode should force light');
+        runner.assert(document.getElementById('color-scheme-toggle').hidden, 'The toggle should be hidden without dark mode');
+        runner.assert(!document.getElementById('header-nav').hidden, 'The nav should be shown');
+        runner.assert(document.getElementById('hero-cta').hidden, 'The call to action should be hidden');
+    } finally {
+        window.close();
+    }
 });
 
-// Test 6: Accepting patients badge
-runner.test('Should show accepting patients badge when enabled', () => {
-    const dom = new MockDOM();
-    const config = { acceptingPatients: true };
-    const controller = new TestMainPageController(config, dom);
-    controller.applyHero();
-    
-    const badge = dom.getElementById('accepting-patients-badge');
-    runner.assertEqual(badge.style.display, 'inline-block', 'Badge should be displayed');
-    runner.assert(badge.className.includes('active'), 'Badge should have active class');
+// Test 5: Languages
+runner.test('Should render the requested language and switch languages from the menu', async () => {
+    const officeHours = [{ day: 'monday', opens: '09:00', closes: '17:00' }];
+    const { window, document, controller } = await renderPage({ languages: [{ locale: 'es' }], timeZone: 'America/New_York', officeHours }, '?lang=es');
+    try {
+        const select = document.getElementById('language-select');
+        runner.assertEqual(document.documentElement.lang, 'es');
+        runner.assertEqual(select.value, 'es');
+        runner.assert(!select.hidden, 'The menu should be shown with two languages');
+        runner.assertEqual(document.querySelector('[data-i18n="nav.about"]').textContent, 'Acerca de');
+        const rows = [...document.querySelectorAll('#office-hours-table tr')];
+        runner.assertEqual(rows[0].textContent, 'lunes9:00 – 17:00', 'Office hours should be in the page language');
+        runner.assertEqual(rows.filter((row) => row.classList.contains('is-closed')).length, 6, 'Closed days should be marked in any language');
+        runner.assert(/^(Abierto|Cerrado)/.test(document.getElementById('office-hours-status').textContent));
+
+        await controller.changeLanguage('en');
+        runner.assertEqual(document.documentElement.lang, 'en');
+        runner.assertEqual(window.location.search, '', 'The address should drop the language for English');
+        runner.assertEqual(window.localStorage.getItem('fnp-locale'), 'en', 'The choice should be saved');
+        runner.assertEqual(document.querySelector('[data-i18n="nav.about"]').textContent, 'About');
+    } finally {
+        // The page re-renders the hours when they next change, on Node's timers
+        clearTimeout(controller.officeHoursTimer);
+        window.close();
+    }
 });
 
-// Test 7: Accepting patients badge hidden
-runner.test('Should hide accepting patients badge when disabled', () => {
-    const dom = new MockDOM();
-    const config = { acceptingPatients: false };
-    const controller = new TestMainPageController(config, dom);
-    controller.applyHero();
-    
-    const badge = dom.getElementById('accepting-patients-badge');
-    runner.assertEqual(badge.style.display, 'none', 'Badge should be hidden');
+// Test 6: Draft preview
+runner.test('Should render the draft in preview mode for a logged-in admin', async () => {
+    await server.saveDraft({ ...DEFAULTS, heroName: 'Draft Name' });
+    // Without a session the draft request is refused, and the controller warns about it
+    const { warn } = console;
+    console.warn = () => {};
+    let page;
+    try {
+        page = await renderPage({ heroName: 'Published Name' }, '?preview=draft');
+    } finally {
+        console.warn = warn;
+    }
+    try {
+        runner.assertEqual(page.document.getElementById('hero-name').textContent, 'Published Name', 'Visitors should not see the draft');
+        runner.assertEqual(page.document.getElementById('preview-notice'), null);
+    } finally {
+        page.window.close();
+    }
+
+    const window = openPage('index.html', `${server.baseUrl}/?preview=draft`);
+    try {
+        await window.fetch('api/session', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password: ADMIN_PASSWORD })
+        });
+        await renderController(window);
+        runner.assertEqual(window.document.getElementById('hero-name').textContent, 'Draft Name');
+        runner.assert(window.document.getElementById('preview-notice'), 'The preview should be marked');
+    } finally {
+        window.close();
+    }
 });
 
-if (typeof module !== 'undefined' && module.exports) {
-    module.exports = { TestRunner, TestMainPageController, MockDOM };
-} else {
-    runner.run();
-}
+// Test 7: Contact form
+runner.test('Should validate the contact form and send it to the server', async () => {
+    const { window, document } = await renderPage({ showContactForm: true });
+    try {
+        const form = document.getElementById('inquiry-form');
+        const status = document.getElementById('inquiry-status');
+        document.getElementById('inquiry-submit').click();
+        runner.assert(status.classList.contains('error'), 'An empty form should not be sent');
+        runner.assertEqual(document.getElementById('inquiry-name').getAttribute('aria-invalid'), 'true');
+        runner.assertEqual(document.activeElement, document.getElementById('inquiry-name'), 'Focus should move to the first error');
+
+        form.elements.name.value = 'Pat Visitor';
+        form.elements.email.value = 'pat@example.com';
+        form.elements.reason.value = 'New patient question';
+        form.elements.consent.checked = true;
+        document.getElementById('inquiry-submit').click();
+        await waitFor(() => status.classList.contains('success'), 'the inquiry to be sent');
+        runner.assertEqual(form.elements.name.value, '', 'The form should be cleared once sent');
+        runner.assertEqual(document.querySelectorAll('#inquiry-form [aria-invalid]').length, 0);
+    } finally {
+        window.close();
+    }
+});
 
+startServer({ password: ADMIN_PASSWORD })
+    .then((started) => {
+        server = started;
+        return runner.run();
+    })
+    .then(() => server.stop())
+    .then(() => {
+        if (runner.failed > 0) process.exitCode = 1;
+    });
@@ -0,0 +1,241 @@
+/**
+ * Tests for ConfigMigrations
+ * Tests every migration step and that ConfigManager runs each one exactly once
+ * Node-only: run with `node tests/migrations.test.js`
+ */
+
+const ConfigMigrations = require('../assets/js/migrations.js');
+const { ConfigManager } = require('../assets/js/config.mjs');
+
+// Mock localStorage for ConfigManager
+class MockStorage {
+    constructor() {
+        this.store = {};
+    }
+
+    getItem(key) {
+        return key in this.store ? this.store[key] : null;
+    }
+
+    setItem(key, value) {
+        this.store[key] = String(value);
+    }
+
+    removeItem(key) {
+        delete this.store[key];
+    }
+
+    clear() {
+        this.store = {};
+    }
+}
+
+const mockLocalStorage = new MockStorage();
+global.localStorage = mockLocalStorage;
+
+class TestRunner {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    }
+
+    async run() {
+        console.log('Running ConfigMigrations tests...\n');
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                console.log(`✓ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`✗ ${test.name}`);
+                console.error(`  Error: ${error.message}`);
+                this.failed++;
+            }
+        }
+        console.log(`\nResults: ${this.passed} passed, ${this.failed} failed`);
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected ${expected}, got ${actual}`);
+        }
+    }
+
+    assertDeepEqual(actual, expected, message) {
+        if (JSON.stringify(actual) !== JSON.stringify(expected)) {
+            throw new Error(message || `Expected ${JSON.stringify(expected)}, got ${JSON.stringify(actual)}`);
+        }
+    }
+}
+
+// Runs a single migration by version number
+function migrateStep(version, config) {
+    const migration = ConfigMigrations.migrations.find((m) => m.version === version);
+    return migration.migrate({ ...config });
+}
+
+const runner = new TestRunner();
+
+// Test 1: List integrity
+runner.test('Should number migrations consecutively from 2', () => {
+    ConfigMigrations.migrations.forEach((migration, index) => {
+        runner.assertEqual(migration.version, index + 2, 'Versions should be consecutive');
+        runner.assert(migration.description, `Migration ${migration.version} should have a description`);
+    });
+    runner.assertEqual(ConfigMigrations.CURRENT_VERSION, ConfigMigrations.migrations.length + 1);
+});
+
+// Test 2: Version parsing
+runner.test('Should parse recorded versions, including the legacy "2.0" string', () => {
+    runner.assertEqual(ConfigMigrations.parseVersion(null), 1, 'Missing version should be unversioned');
+    runner.assertEqual(ConfigMigrations.parseVersion('2.0'), 2, 'Legacy "2.0" should be version 2');
+    runner.assertEqual(ConfigMigrations.parseVersion('7'), 7);
+    runner.assertEqual(ConfigMigrations.parseVersion('garbage'), 1);
+});
+
+// Test 3: 1 → 2
+runner.test('Migration 2 should drop retired hero fields', () => {
+    const result = migrateStep(2, { heroName: 'Kept', heroCredentials: 'Old', heroTagline: 'Old' });
+    runner.assertDeepEqual(result, { heroName: 'Kept' });
+});
+
+// Test 4: 2 → 3
+runner.test('Migration 3 should replace the old location only', () => {
+    runner.assertEqual(migrateStep(3, { location: 'Bel Air, Maryland (serving surrounding communities)' }).location, 'Harford County, Maryland');
+    runner.assertEqual(migrateStep(3, { location: 'Towson, Maryland' }).location, 'Towson, Maryland');
+});
+
+// Test 5: 3 → 4
+runner.test('Migration 4 should replace the placeholder display name only', () => {
+    runner.assertEqual(migrateStep(4, { heroName: 'Jane Doe, FNP' }).heroName, 'Rujita Munankarmi, FNP');
+    runner.assertEqual(migrateStep(4, { heroName: 'Someone Else' }).heroName, 'Someone Else');
+});
+
+// Test 6: 4 → 5
+runner.test('Migration 5 should replace the placeholder business name only', () => {
+    runner.assertEqual(migrateStep(5, { businessName: 'dummyLLC' }).businessName, 'CarenexLLC');
+    runner.assertEqual(migrateStep(5, { businessName: 'Other LLC' }).businessName, 'Other LLC');
+});
+
+// Test 7: 5 → 6
+runner.test('Migration 6 should replace the placeholder contact email only', () => {
+    runner.assertEqual(migrateStep(6, { contactEmail: 'contact@dummyllc.com' }).contactEmail, 'carenex.np@gmail.com');
+    runner.assertEqual(migrateStep(6, { contactEmail: 'me@example.com' }).contactEmail, 'me@example.com');
+});
+
+// Test 8: 6 → 7
+runner.test('Migration 7 should switch from the placeholder profile image only', () => {
+    runner.assertEqual(migrateStep(7, { profileImageUrl: 'assets/images/placeholder-profile.svg' }).profileImageUrl, 'assets/images/pfp.jpg');
+    runner.assertEqual(migrateStep(7, { profileImageUrl: 'https://example.com/me.jpg' }).profileImageUrl, 'https://example.com/me.jpg');
+});
+
+// Test 9: 7 → 8
+runner.test('Migration 8 should move an enabled banner into the announcements list', () => {
+    const result = migrateStep(8, { heroName: 'Kept', bannerEnabled: true, bannerText: 'Closed Friday', bannerType: 'urgent' });
+    runner.assertDeepEqual(result, {
+        heroName: 'Kept',
+        announcements: [{ type: 'urgent', text: 'Closed Friday', link: '', startsAt: '', endsAt: '', priority: 0 }]
+    });
+    runner.assertDeepEqual(migrateStep(8, { bannerEnabled: false, bannerText: 'Old news', bannerType: 'info' }), { announcements: [] }, 'Disabled banners should be dropped');
+    runner.assertEqual(migrateStep(8, { bannerEnabled: true, bannerText: 'Hi', bannerType: 'party' }).announcements[0].type, 'info', 'Unknown types should become info');
+});
+
+// Test 10: 8 → 9
+runner.test('Migration 9 should reduce the hero subtitle to the allowed formatting', () => {
+    const defaultSubtitle = new ConfigManager().getDefaultConfig().heroSubtitle;
+    runner.assertEqual(migrateStep(9, { heroSubtitle: defaultSubtitle }).heroSubtitle, defaultSubtitle, 'The default subtitle should be unchanged');
+    runner.assertEqual(
+        migrateStep(9, { heroSubtitle: '<b onclick="x()">Care</b><script>alert(1)</script> <span style="color:red">now</span>' }).heroSubtitle,
+        '<strong>Care</strong> now'
+    );
+    runner.assertDeepEqual(migrateStep(9, { heroName: 'Kept' }), { heroName: 'Kept' }, 'Configs without a subtitle should pass through');
+});
+
+// Test 11: Ordering and partial runs
+runner.test('Should only run migrations newer than the stored version, in order', () => {
+    const order = [];
+    const list = [
+        { version: 3, migrate: (c) => { order.push(3); return c; } },
+        { version: 2, migrate: (c) => { order.push(2); return c; } },
+        { version: 4, migrate: (c) => { order.push(4); return c; } }
+    ];
+    const result = ConfigMigrations.runMigrations({}, 2, list);
+    runner.assertDeepEqual(order, [3, 4], 'Should skip applied migrations and sort the rest');
+    runner.assertEqual(result.version, 4, 'Should report the version reached');
+    runner.assertDeepEqual(result.applied, [3, 4]);
+});
+
+// Test 12: Renaming and splitting keys
+runner.test('Should support migrations that rename and split keys', () => {
+    const list = [
+        {
+            version: 2,
+            migrate({ phone, ...rest }) {
+                return { ...rest, contactPhone: phone };
+            }
+        },
+        {
+            version: 3,
+            migrate({ address, ...rest }) {
+                const [street, city] = address.split(', ');
+                return { ...rest, street, city };
+            }
+        }
+    ];
+    const result = ConfigMigrations.runMigrations({ phone: '555-0100', address: '1 Main St, Bel Air' }, 1, list);
+    runner.assertDeepEqual(result.config, { contactPhone: '555-0100', street: '1 Main St', city: 'Bel Air' });
+});
+
+// Test 13: Input is not mutated
+runner.test('Should not mutate the stored object', () => {
+    const stored = { heroName: 'Jane Doe, FNP', heroTagline: 'Old' };
+    ConfigMigrations.runMigrations(stored, 1);
+    runner.assertDeepEqual(stored, { heroName: 'Jane Doe, FNP', heroTagline: 'Old' });
+});
+
+// Test 14: ConfigManager applies migrations once and records the version
+runner.test('ConfigManager should migrate a legacy config once and record the version', () => {
+    mockLocalStorage.clear();
+    const manager = new ConfigManager();
+    mockLocalStorage.setItem('fnp-site-config', JSON.stringify({
+        heroName: 'Jane Doe, FNP',
+        businessName: 'dummyLLC',
+        heroTagline: 'Old tagline'
+    }));
+
+    const loaded = manager.load();
+    runner.assertEqual(loaded.heroName, 'Rujita Munankarmi, FNP', 'Legacy name should be migrated');
+    runner.assertEqual(loaded.businessName, 'CarenexLLC', 'Legacy business should be migrated');
+    runner.assert(!('heroTagline' in loaded), 'Retired key should be dropped');
+    runner.assertEqual(mockLocalStorage.getItem('fnp-site-config-version'), String(ConfigMigrations.CURRENT_VERSION));
+
+    // A value matching an old placeholder, saved after migration, must not be rewritten
+    manager.save({ ...loaded, heroName: 'Jane Doe, FNP' });
+    runner.assertEqual(manager.load().heroName, 'Jane Doe, FNP', 'Migrations should not run again');
+});
+
+// Test 15: Legacy "2.0" caches skip the already-applied step
+runner.test('ConfigManager should treat the legacy "2.0" version as version 2', () => {
+    mockLocalStorage.clear();
+    const manager = new ConfigManager();
+    mockLocalStorage.setItem('fnp-site-config-version', '2.0');
+    mockLocalStorage.setItem('fnp-site-config', JSON.stringify({ location: 'Bel Air, Maryland (serving surrounding communities)' }));
+    runner.assertEqual(manager.load().location, 'Harford County, Maryland', 'Later migrations should still run');
+});
+
+runner.run().then(() => {
+    if (runner.failed > 0) {
+        process.exitCode = 1;
+    }
+});
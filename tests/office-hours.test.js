@@ -0,0 +1,176 @@
+/**
+ * Tests for office hours
+ * Tests OfficeHours open/closed status, exceptions, time zones and display rows
+ * in each language
+ * Node-only: run with `node tests/office-hours.test.js`
+ */
+
+const OfficeHours = require('../assets/js/office-hours.js');
+
+class TestRunner {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    }
+
+    async run() {
+        console.log('Running Office Hours tests...\n');
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                console.log(`✓ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`✗ ${test.name}`);
+                console.error(`  Error: ${error.message}`);
+                this.failed++;
+            }
+        }
+        console.log(`\nResults: ${this.passed} passed, ${this.failed} failed`);
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected ${expected}, got ${actual}`);
+        }
+    }
+}
+
+const runner = new TestRunner();
+
+// 2026-11-16 is a Monday; New York is on Eastern Standard Time (UTC-5) then
+const config = {
+    timeZone: 'America/New_York',
+    officeHours: [
+        { day: 'monday', opens: '09:00', closes: '17:00' },
+        { day: 'tuesday', opens: '09:00', closes: '12:00' },
+        { day: 'tuesday', opens: '12:00', closes: '17:00' },
+        { day: 'wednesday', opens: '09:00', closes: '12:00' },
+        { day: 'wednesday', opens: '13:00', closes: '17:00' },
+        { day: 'thursday', opens: '09:00', closes: '17:00' },
+        { day: 'friday', opens: '09:00', closes: '13:30' }
+    ],
+    hoursExceptions: [
+        { date: '2026-11-26', label: 'Thanksgiving', closed: true },
+        { date: '2026-11-27', label: 'Day after Thanksgiving', closed: false, opens: '10:00', closes: '12:00' }
+    ]
+};
+
+// Test 1: Open now
+runner.test('Should report open with the closing time during opening hours', () => {
+    const status = OfficeHours.getStatus(config, new Date('2026-11-16T15:00:00Z'));
+    runner.assertEqual(status.open, true);
+    runner.assertEqual(OfficeHours.describeStatus(status), 'Open now · Closes 5 PM');
+    runner.assertEqual(OfficeHours.getStatus(config, new Date('2026-11-16T22:00:00Z')).open, false, 'Closing time should be exclusive');
+    runner.assertEqual(OfficeHours.getStatus(config, new Date('2026-11-16T14:00:00Z')).open, true, 'Opening time should be inclusive');
+});
+
+// Test 2: Next opening
+runner.test('Should name the next opening today, tomorrow or by weekday', () => {
+    const describe = (iso) => OfficeHours.describeStatus(OfficeHours.getStatus(config, new Date(iso)));
+    runner.assertEqual(describe('2026-11-16T12:00:00Z'), 'Closed · Opens today 9 AM');
+    runner.assertEqual(describe('2026-11-16T23:00:00Z'), 'Closed · Opens tomorrow 9 AM');
+    runner.assertEqual(describe('2026-11-18T17:30:00Z'), 'Closed · Opens today 1 PM', 'A lunch break should reopen the same day');
+    runner.assertEqual(describe('2026-11-20T19:00:00Z'), 'Closed · Opens Monday 9 AM', 'Weekends should skip to Monday');
+});
+
+// Test 3: Periods
+runner.test('Should merge touching periods and show closed days in the weekly table', () => {
+    const status = OfficeHours.getStatus(config, new Date('2026-11-17T16:59:00Z'));
+    runner.assertEqual(status.closesAt, 17 * 60, 'Back-to-back periods should merge');
+
+    const table = OfficeHours.getWeeklyTable(config.officeHours);
+    runner.assertEqual(table.map((row) => row.day).join(','), 'monday,tuesday,wednesday,thursday,friday,saturday,sunday');
+    runner.assertEqual(table[1].hours, '9 AM – 5 PM');
+    runner.assertEqual(table[2].hours, '9 AM – 12 PM, 1 PM – 5 PM');
+    runner.assertEqual(table[4].hours, '9 AM – 1:30 PM');
+    runner.assertEqual(table[5].hours, 'Closed');
+    runner.assertEqual(table.filter((row) => row.closed).map((row) => row.day).join(','), 'saturday,sunday', 'Rows should flag closed days');
+});
+
+// Test 4: Exceptions
+runner.test('Should apply holiday closures and special hours', () => {
+    const holiday = OfficeHours.getStatus(config, new Date('2026-11-26T15:00:00Z'));
+    runner.assertEqual(OfficeHours.describeStatus(holiday), 'Closed today (Thanksgiving) · Opens tomorrow 10 AM');
+
+    const special = OfficeHours.getStatus(config, new Date('2026-11-27T16:00:00Z'));
+    runner.assertEqual(OfficeHours.describeStatus(special), 'Open now · Closes 12 PM');
+
+    const upcoming = OfficeHours.getUpcomingExceptions(config, new Date('2026-11-16T15:00:00Z'));
+    runner.assertEqual(upcoming.length, 2);
+    runner.assertEqual(upcoming[0].date, 'Thu, Nov 26');
+    runner.assertEqual(upcoming[0].hours, 'Closed');
+    runner.assertEqual(upcoming[1].hours, '10 AM – 12 PM');
+    runner.assertEqual(OfficeHours.getUpcomingExceptions(config, new Date('2026-11-28T15:00:00Z')).length, 0, 'Past exceptions should be hidden');
+});
+
+// Test 5: Long closures
+runner.test('Should give a date for openings a week or more away', () => {
+    const closure = {
+        ...config,
+        hoursExceptions: ['2026-11-23', '2026-11-24', '2026-11-25', '2026-11-26', '2026-11-27', '2026-11-30']
+            .map((date) => ({ date, label: 'Vacation', closed: true }))
+    };
+    const status = OfficeHours.getStatus(closure, new Date('2026-11-20T19:00:00Z'));
+    runner.assertEqual(status.nextOpen.daysAhead, 11);
+    runner.assertEqual(OfficeHours.describeStatus(status), 'Closed · Opens Tuesday, Dec 1 9 AM');
+});
+
+// Test 6: Time zones
+runner.test('Should use the practice time zone rather than the visitor\'s', () => {
+    const pacific = { ...config, timeZone: 'America/Los_Angeles' };
+    // 9:30 AM in New York is 6:30 AM in Los Angeles
+    runner.assertEqual(OfficeHours.getStatus(pacific, new Date('2026-11-16T14:30:00Z')).open, false);
+    runner.assertEqual(OfficeHours.getStatus(config, new Date('2026-11-16T14:30:00Z')).open, true);
+    // Daylight saving time: 9 AM in New York in July is 13:00 UTC
+    runner.assertEqual(OfficeHours.getStatus(config, new Date('2026-07-13T13:00:00Z')).open, true);
+
+    runner.assertEqual(OfficeHours.isValidTimeZone('Europe/London'), true);
+    runner.assertEqual(OfficeHours.isValidTimeZone('Mars/Olympus_Mons'), false);
+    runner.assertEqual(OfficeHours.getStatus({ ...config, timeZone: 'Nowhere' }), null, 'Invalid zones should disable the status');
+    runner.assertEqual(OfficeHours.getStatus({ ...config, officeHours: [] }), null, 'No hours should disable the status');
+});
+
+// Test 7: Next change
+runner.test('Should schedule the next re-render at an opening, closing or local midnight', () => {
+    runner.assertEqual(OfficeHours.getNextChange(config, new Date('2026-11-16T15:00:30Z')).toISOString(), '2026-11-16T22:00:00.000Z', 'Open: at closing time');
+    runner.assertEqual(OfficeHours.getNextChange(config, new Date('2026-11-16T12:00:00Z')).toISOString(), '2026-11-16T14:00:00.000Z', 'Closed: at opening time');
+    runner.assertEqual(OfficeHours.getNextChange(config, new Date('2026-11-16T23:00:00Z')).toISOString(), '2026-11-17T05:00:00.000Z', 'Closed for the day: at local midnight');
+    runner.assertEqual(OfficeHours.getNextChange({ ...config, officeHours: [] }), null);
+});
+
+// Test 8: Languages
+runner.test('Should describe the hours in the page language', () => {
+    const describe = (iso) => OfficeHours.describeStatus(OfficeHours.getStatus(config, new Date(iso)), 'es');
+    runner.assertEqual(describe('2026-11-16T15:00:00Z'), 'Abierto ahora · Cierra a las 17:00');
+    runner.assertEqual(describe('2026-11-16T23:00:00Z'), 'Cerrado · Abre mañana a las 9:00');
+    runner.assertEqual(describe('2026-11-20T19:00:00Z'), 'Cerrado · Abre lunes a las 9:00');
+    runner.assertEqual(describe('2026-11-26T15:00:00Z'), 'Cerrado hoy (Thanksgiving) · Abre mañana a las 10:00');
+
+    const table = OfficeHours.getWeeklyTable(config.officeHours, 'es');
+    runner.assertEqual(table[0].label, 'lunes');
+    runner.assertEqual(table[4].hours, '9:00 – 13:30');
+    runner.assertEqual(table[5].hours, 'Cerrado');
+    runner.assertEqual(table[5].closed, true);
+
+    const upcoming = OfficeHours.getUpcomingExceptions(config, new Date('2026-11-16T15:00:00Z'), 'es');
+    runner.assertEqual(upcoming[0].date, 'jue, 26 nov');
+    runner.assertEqual(upcoming[1].hours, '10:00 – 12:00');
+    runner.assertEqual(OfficeHours.getTimeZoneName('America/New_York', 'es'), 'hora oriental');
+    runner.assertEqual(OfficeHours.formatTime(17 * 60 + 30), '5:30 PM', 'English should stay the default');
+});
+
+runner.run().then(() => {
+    if (runner.failed > 0) process.exitCode = 1;
+});
@@ -0,0 +1,112 @@
+/**
+ * Page environment for the page tests
+ * Starts the real config server and builds jsdom documents from the site's own
+ * pages, so the page controllers run unchanged against the actual markup.
+ * Shared by the main, admin and accessibility tests; not a test itself.
+ * Node-only; needs `npm install` (jsdom)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const { createServer } = require('../server/app');
+const { hashPassword } = require('../server/auth');
+
+const ROOT = path.join(__dirname, '..');
+// Node's own fetch, kept before openPage() replaces the global with the page's
+const nodeFetch = global.fetch;
+
+/**
+ * Starts the config server with a fresh data directory
+ * @param {Object} options - Server options
+ * @param {string} options.password - Admin password
+ * @param {Object} [options.config] - Config to publish right away, if any
+ * @returns {Promise<Object>} { baseUrl, publish(config), saveDraft(config), stop() }
+ */
+async function startServer({ password, config }) {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fnp-page-test-'));
+    fs.writeFileSync(path.join(dataDir, 'admin-credentials.json'), JSON.stringify(hashPassword(password)));
+    const server = createServer({ dataDir, uploadsDir: path.join(dataDir, 'uploads') });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    // Sends a config to the server as a logged-in admin
+    const putConfig = async (endpoint, body) => {
+        const login = await nodeFetch(`${baseUrl}/api/session`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ password })
+        });
+        const cookie = login.headers.get('set-cookie').split(';')[0];
+        const response = await nodeFetch(`${baseUrl}${endpoint}`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', Cookie: cookie },
+            body: JSON.stringify(body)
+        });
+        if (!response.ok) throw new Error(`PUT ${endpoint} failed with ${response.status}`);
+    };
+
+    const started = {
+        baseUrl,
+        publish: (published) => putConfig('/api/config', published),
+        saveDraft: (draft) => putConfig('/api/config/draft', draft),
+        async stop() {
+            await new Promise((resolve) => server.close(resolve));
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+    if (config) await started.publish(config);
+    return started;
+}
+
+/**
+ * Builds a fetch for a page: relative URLs resolve against the page's address
+ * and the session cookie is kept, as a browser would
+ * jsdom has no fetch, so this wraps Node's
+ * @param {Window} window - Page window
+ * @returns {Function} fetch
+ */
+function createPageFetch(window) {
+    let cookie = '';
+    return async (resource, init = {}) => {
+        const headers = new Headers(init.headers);
+        if (cookie) headers.set('Cookie', cookie);
+        const response = await nodeFetch(new URL(resource, window.location.href), { ...init, headers });
+        const setCookie = response.headers.get('set-cookie');
+        if (setCookie) cookie = setCookie.split(';')[0];
+        return response;
+    };
+}
+
+/**
+ * Builds one of the site's pages in jsdom, without its script tags, and makes
+ * its fetch Node's, for the API clients; a later call replaces it
+ * Pass the page's document and localStorage to the controller under test
+ * @param {string} file - Page file, e.g. "admin.html"
+ * @param {string} url - Address the page is at, e.g. `${baseUrl}/?lang=es`
+ * @returns {Window} Page window; close() it when done
+ */
+function openPage(file, url) {
+    const html = fs.readFileSync(path.join(ROOT, file), 'utf8').replace(/<script\b[^>]*\bsrc="[^"]*"[^>]*><\/script>\s*/g, '');
+    const { window } = new JSDOM(html, { url, pretendToBeVisual: true });
+    window.fetch = createPageFetch(window);
+    global.fetch = window.fetch;
+    return window;
+}
+
+/**
+ * Waits until a condition holds, for work a page does after an event
+ * @param {Function} condition - Returns true when ready
+ * @param {string} description - What is awaited, for the timeout error
+ * @returns {Promise<void>}
+ */
+async function waitFor(condition, description) {
+    const deadline = Date.now() + 5000;
+    while (!condition()) {
+        if (Date.now() > deadline) throw new Error(`Timed out waiting for ${description}`);
+        await new Promise((resolve) => setTimeout(resolve, 20));
+    }
+}
+
+module.exports = { startServer, createPageFetch, openPage, waitFor };
@@ -0,0 +1,122 @@
+/**
+ * Tests for the rich-text sanitizer
+ * Tests RichText allow-listing of tags, attributes and link targets
+ * Node-only: run with `node tests/rich-text.test.js`
+ */
+
+const RichText = require('../assets/js/rich-text.js');
+const { ConfigManager } = require('../assets/js/config.mjs');
+
+class TestRunner {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    }
+
+    async run() {
+        console.log('Running RichText tests...\n');
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                console.log(`✓ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`✗ ${test.name}`);
+                console.error(`  Error: ${error.message}`);
+                this.failed++;
+            }
+        }
+        console.log(`\nResults: ${this.passed} passed, ${this.failed} failed`);
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected ${expected}, got ${actual}`);
+        }
+    }
+}
+
+const runner = new TestRunner();
+
+// Test 1: Allowed formatting is kept
+runner.test('Should keep bold, italics, accent spans and safe links', () => {
+    const html = 'Care <strong>close</strong> to <em>home</em>, <span class="accent">today</span>. <a href="https://example.com/book">Book</a> or <a href="mailto:a@b.co">email</a> or <a href="/contact">visit</a>';
+    runner.assertEqual(RichText.sanitize(html), html);
+    runner.assertEqual(RichText.sanitize('<b>Bold</b> <i>italic</i>'), '<strong>Bold</strong> <em>italic</em>', 'b and i should map to strong and em');
+
+    const defaultSubtitle = new ConfigManager().getDefaultConfig().heroSubtitle;
+    runner.assertEqual(RichText.sanitize(defaultSubtitle), defaultSubtitle, 'The default subtitle should be unchanged');
+});
+
+// Test 2: Scripts and unknown tags
+runner.test('Should drop scripts with their content and unwrap other tags', () => {
+    runner.assertEqual(RichText.sanitize('Hi<script>alert(1)</script> there'), 'Hi there');
+    runner.assertEqual(RichText.sanitize('<style>body{}</style><div><img src=x onerror=alert(1)>Text</div>'), 'Text');
+    runner.assertEqual(RichText.sanitize('<!-- note -->a < b'), 'a &lt; b', 'Stray angle brackets should be escaped');
+    runner.assertEqual(RichText.sanitize(null), '');
+});
+
+// Test 3: Attributes
+runner.test('Should drop attributes that are not allowed', () => {
+    runner.assertEqual(RichText.sanitize('<strong onclick="x()" style="color:red">Hi</strong>'), '<strong>Hi</strong>');
+    runner.assertEqual(RichText.sanitize('<span class="accent big" id="x">Hi</span>'), '<span class="accent">Hi</span>');
+    runner.assertEqual(RichText.sanitize('<span style="color:red">Hi</span>'), 'Hi', 'Spans without the accent class should be unwrapped');
+    runner.assertEqual(RichText.sanitize('<a href="https://example.com" onmouseover="x()" target="_blank">Hi</a>'), '<a href="https://example.com">Hi</a>');
+});
+
+// Test 4: Link targets
+runner.test('Should unwrap links with unsafe or obfuscated schemes', () => {
+    [
+        'javascript:alert(1)',
+        'JavaScript:alert(1)',
+        ' java\tscript:alert(1)',
+        'javascript&colon;alert(1)',
+        '&#106;avascript:alert(1)',
+        'jav&#x09;ascript:alert(1)',
+        'data:text/html,<script>alert(1)</script>',
+        'vbscript:msgbox(1)',
+        ''
+    ].forEach((href) => {
+        runner.assertEqual(RichText.sanitize(`<a href="${href}">Hi</a>`), 'Hi', `Should reject ${JSON.stringify(href)}`);
+    });
+    runner.assertEqual(RichText.sanitize('<a href=\'https://example.com/?a=1&b="2"\'>Hi</a>'), '<a href="https://example.com/?a=1&amp;b=&quot;2&quot;">Hi</a>', 'Attribute values should be escaped');
+});
+
+// Test 5: Balancing and stability
+runner.test('Should balance tags and return stable output', () => {
+    runner.assertEqual(RichText.sanitize('<strong>open <em>nested'), '<strong>open <em>nested</em></strong>');
+    runner.assertEqual(RichText.sanitize('stray</strong> <strong><em>x</strong>'), 'stray <strong><em>x</em></strong>');
+    [
+        '<b><i>a</b></i>',
+        '<a href="&quot;onmouseover=x()">Hi</a>',
+        '<strong>a<script>b</strong>c',
+        '<span class="accent"><a href="/x">y</span></a>'
+    ].forEach((html) => {
+        const once = RichText.sanitize(html);
+        runner.assertEqual(RichText.sanitize(once), once, `Sanitizing ${JSON.stringify(html)} again should not change it`);
+    });
+    runner.assertEqual(RichText.toPlainText('<strong>Hi</strong> <a href="/x">there</a>'), 'Hi there');
+});
+
+// Test 6: Escaping plain text
+runner.test('Should escape plain text for elements and attributes', () => {
+    runner.assertEqual(RichText.escapeHtml('Tom & "Jerry" <b>'), 'Tom &amp; &quot;Jerry&quot; &lt;b&gt;');
+    runner.assertEqual(RichText.escapeHtml(2031), '2031', 'Non-strings should be converted');
+});
+
+runner.run().then(() => {
+    if (runner.failed > 0) {
+        process.exitCode = 1;
+    }
+});
@@ -0,0 +1,299 @@
+/**
+ * Tests for ConfigSchema
+ * Tests field rules, full-config validation and sanitizing against the real schema,
+ * and that ConfigManager enforces it on save() and load()
+ * Node-only: run with `node tests/schema.test.js`
+ */
+
+const ConfigSchema = require('../assets/js/schema.js');
+const { ConfigManager } = require('../assets/js/config.mjs');
+
+// Mock localStorage for ConfigManager
+class MockStorage {
+    constructor() {
+        this.store = {};
+    }
+
+    getItem(key) {
+        return this.store[key] || null;
+    }
+
+    setItem(key, value) {
+        this.store[key] = value;
+    }
+
+    removeItem(key) {
+        delete this.store[key];
+    }
+
+    clear() {
+        this.store = {};
+    }
+}
+
+const mockLocalStorage = new MockStorage();
+global.localStorage = mockLocalStorage;
+
+class TestRunner {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    }
+
+    async run() {
+        console.log('Running ConfigSchema tests...\n');
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                console.log(`✓ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`✗ ${test.name}`);
+                console.error(`  Error: ${error.message}`);
+                this.failed++;
+            }
+        }
+        console.log(`\nResults: ${this.passed} passed, ${this.failed} failed`);
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected ${expected}, got ${actual}`);
+        }
+    }
+}
+
+const runner = new TestRunner();
+const defaults = new ConfigManager().getDefaultConfig();
+
+// Test 1: Defaults are valid
+runner.test('Should accept the default config', () => {
+    const result = ConfigSchema.validateConfig(defaults);
+    runner.assert(result.valid === true, `Defaults should be valid: ${JSON.stringify(result.errors)}`);
+});
+
+// Test 2: Every default key is described
+runner.test('Should have a schema rule for every default config key', () => {
+    Object.keys(defaults).forEach((key) => {
+        runner.assert(ConfigSchema.fields[key], `Missing schema rule for ${key}`);
+    });
+});
+
+// Test 3: Required fields
+runner.test('Should report missing required fields', () => {
+    const result = ConfigSchema.validateConfig({ ...defaults, heroName: '', contactEmail: '' });
+    runner.assert(result.valid === false, 'Config should be invalid');
+    runner.assertEqual(result.errors.heroName[0], 'Display name is required');
+    runner.assertEqual(result.errors.contactEmail[0], 'Contact email is required');
+});
+
+// Test 4: Types, enums and formats
+runner.test('Should report type, enum, email and URL errors per field', () => {
+    const result = ConfigSchema.validateConfig({
+        ...defaults,
+        acceptingPatients: 'yes',
+        theme: 'neon',
+        contactEmail: 'invalid-email',
+        profileImageUrl: 'javascript:alert(1)'
+    });
+    runner.assert(result.errors.acceptingPatients[0].includes('boolean'), 'Should report boolean type');
+    runner.assert(result.errors.theme[0].includes('default, winter, spring, autumn'), 'Should list allowed themes');
+    runner.assert(result.errors.contactEmail[0].includes('valid email'), 'Should report email format');
+    runner.assert(result.errors.profileImageUrl.length === 1, 'Should reject javascript: URLs');
+});
+
+// Test 5: Email and URL acceptance
+runner.test('Should accept valid email addresses and image paths', () => {
+    ['test@example.com', 'user.name@example.co.uk', 'test+tag@example.org'].forEach((email) => {
+        runner.assertEqual(ConfigSchema.validateField(email, ConfigSchema.fields.contactEmail).length, 0, `Should accept ${email}`);
+    });
+    ['assets/images/pfp.jpg', '/images/me.png', 'https://example.com/me.jpg'].forEach((url) => {
+        runner.assertEqual(ConfigSchema.validateField(url, ConfigSchema.fields.profileImageUrl).length, 0, `Should accept ${url}`);
+    });
+});
+
+// Test 6: Max length
+runner.test('Should enforce max lengths', () => {
+    const result = ConfigSchema.validateConfig({ ...defaults, availabilityStatus: 'x'.repeat(201) });
+    runner.assert(result.errors.availabilityStatus[0].includes('200'), 'Should report the max length');
+});
+
+// Test 7: Rich text
+runner.test('Should only accept the allowed rich-text formatting in the hero subtitle', () => {
+    const rule = ConfigSchema.fields.heroSubtitle;
+    runner.assertEqual(ConfigSchema.validateField('Care <strong>close</strong> to <span class="accent">home</span>', rule).length, 0);
+    runner.assertEqual(ConfigSchema.validateField('<em>Visit</em> <a href="https://example.com">us</a>', rule).length, 0);
+    const errors = ConfigSchema.validateField('<img src=x onerror="alert(1)">Hi', rule);
+    runner.assertEqual(errors[0], 'Hero subtitle may only use bold, italics, accent color and links');
+    runner.assertEqual(ConfigSchema.validateField('<a href="javascript:alert(1)">Hi</a>', rule).length, 1, 'Should reject unsafe links');
+});
+
+// Test 8: Lists of entries
+runner.test('Should validate each entry of a list field', () => {
+    const announcement = { type: 'info', text: 'Closed Friday', link: '', startsAt: '2026-12-24T09:00:00.000Z', endsAt: '', priority: 5 };
+    runner.assertEqual(ConfigSchema.validateField([announcement], ConfigSchema.fields.announcements).length, 0, 'Valid entries should pass');
+
+    const errors = ConfigSchema.validateField([
+        announcement,
+        { type: 'party', text: '', priority: 500 },
+        { ...announcement, startsAt: 'next tuesday' },
+        { ...announcement, endsAt: '2026-12-23T09:00:00.000Z' },
+        'not an object'
+    ], ConfigSchema.fields.announcements);
+    runner.assert(errors.some((e) => e.startsWith('Announcement 2: Type must be one of')), 'Should report enum errors with the entry number');
+    runner.assert(errors.includes('Announcement 2: Message is required'), 'Should report required entry fields');
+    runner.assert(errors.includes('Announcement 2: Priority must be at most 100'), 'Should enforce number ranges');
+    runner.assert(errors.includes('Announcement 3: Starts must be a valid date and time'), 'Should reject unreadable dates');
+    runner.assert(errors.includes('Announcement 4: Ends must be after Starts'), 'Should run the entry check');
+    runner.assert(errors.includes('Announcement 5 must be an object'), 'Should reject non-object entries');
+
+    runner.assert(ConfigSchema.validateField('Closed Friday', ConfigSchema.fields.announcements)[0].includes('must be a list'), 'Should require a list');
+    const tooMany = new Array(21).fill(announcement);
+    runner.assert(ConfigSchema.validateField(tooMany, ConfigSchema.fields.announcements)[0].includes('at most 20'), 'Should cap the number of entries');
+});
+
+// Test 9: Editable content blocks
+runner.test('Should validate the About, Expertise and Approach content lists', () => {
+    ['aboutParagraphs', 'credentials', 'expertiseCards', 'approachItems'].forEach((key) => {
+        const rule = ConfigSchema.fields[key];
+        runner.assertEqual(rule.type, 'array', `${key} should be a list`);
+        runner.assertEqual(rule.items.visible.default, true, `New ${key} entries should start visible`);
+        runner.assert(defaults[key].length > 0, `${key} should ship with the current page content`);
+    });
+
+    const errors = ConfigSchema.validateField([
+        { title: 'Listen First', text: 'Kept', visible: false },
+        { title: '', text: 'No title', visible: true },
+        { title: 'Hidden flag', text: 'Wrong type', visible: 'no' }
+    ], ConfigSchema.fields.approachItems);
+    runner.assertEqual(errors.length, 2, 'Only the invalid entries should be reported');
+    runner.assert(errors.includes('Item 2: Title is required'), 'Should require a title');
+    runner.assert(errors.includes('Item 3: Show on site must be a boolean'), 'Should require a boolean visibility flag');
+});
+
+// Test 10: Custom themes
+runner.test('Should validate custom themes and let the theme field select them', () => {
+    const holiday = { name: 'Holiday', primaryColor: '#1f4e79', accentColor: '#247a6d', backgroundColor: '#f7f9fb', textColor: '#333333', headingFont: 'serif', bodyFont: 'system' };
+    runner.assert(ConfigSchema.validateConfig({ ...defaults, customThemes: [holiday], theme: 'Holiday' }).valid, 'Themes should be selectable by name');
+
+    const missing = ConfigSchema.validateConfig({ ...defaults, theme: 'Holiday' });
+    runner.assert(missing.errors.theme[0].includes('custom theme name'), 'Undefined theme names should be rejected');
+
+    const unreadable = ConfigSchema.validateConfig({ ...defaults, customThemes: [{ ...holiday, textColor: '#eeeeee' }] });
+    runner.assert(unreadable.errors.customThemes[0].startsWith('Theme 1: Body text on background has a contrast ratio of'), 'Unreadable themes should be blocked');
+
+    const errors = ConfigSchema.validateConfig({ ...defaults, customThemes: [holiday, holiday, { ...holiday, name: 'winter', primaryColor: 'navy' }] }).errors.customThemes;
+    runner.assert(errors.includes('Theme 3: Primary color (headings, buttons) must be a color such as #1f4e79'), 'Colors should be #rrggbb');
+    runner.assert(ConfigSchema.validateConfig({ ...defaults, customThemes: [holiday, { ...holiday, name: 'winter' }] }).errors.customThemes[0].includes('built-in'), 'Built-in names should be reserved');
+    runner.assert(ConfigSchema.validateConfig({ ...defaults, customThemes: [holiday, holiday] }).errors.customThemes[0].includes('unique'), 'Names should be unique');
+
+    const sanitized = ConfigSchema.sanitizeConfig({ ...defaults, theme: 'Gone' }, defaults);
+    runner.assertEqual(sanitized.theme, 'default', 'Sanitizing should drop references to missing themes');
+});
+
+// Test 11: Office hours
+runner.test('Should validate office hours, closures and the time zone', () => {
+    const hours = [{ day: 'monday', opens: '09:00', closes: '17:00' }];
+    const holiday = { date: '2026-11-26', label: 'Thanksgiving', closed: true };
+    runner.assert(ConfigSchema.validateConfig({ ...defaults, officeHours: hours, hoursExceptions: [holiday] }).valid, 'Weekly hours and closures should be accepted');
+
+    runner.assertEqual(ConfigSchema.validateConfig({ ...defaults, timeZone: 'Eastern' }).errors.timeZone[0], 'Time zone must be an IANA time zone such as America/New_York');
+    const badTime = ConfigSchema.validateConfig({ ...defaults, officeHours: [{ day: 'monday', opens: '9am', closes: '24:00' }] }).errors.officeHours;
+    runner.assert(badTime.includes('Opening period 1: Opens must be a time such as 09:00'), 'Times should be HH:MM');
+    runner.assert(badTime.includes('Opening period 1: Closes must be a time such as 09:00'), 'Hours should stop at 23');
+    runner.assertEqual(ConfigSchema.validateConfig({ ...defaults, officeHours: [{ day: 'monday', opens: '17:00', closes: '09:00' }] }).errors.officeHours[0], 'Opening period 1: Closes must be after Opens');
+    runner.assert(ConfigSchema.validateConfig({ ...defaults, officeHours: [{ ...hours[0], day: 'mon' }] }).errors.officeHours[0].startsWith('Opening period 1: Day must be one of'), 'Days should be full names');
+
+    const exceptionErrors = (entry) => ConfigSchema.validateConfig({ ...defaults, hoursExceptions: [entry] }).errors.hoursExceptions;
+    runner.assertEqual(exceptionErrors({ ...holiday, date: '2026-02-30' })[0], 'Closure or exception 1: Date must be a valid date');
+    runner.assertEqual(exceptionErrors({ ...holiday, closed: false })[0], 'Closure or exception 1: Set Opens and Closes, or tick Closed all day');
+    runner.assertEqual(exceptionErrors({ ...holiday, closed: false, opens: '10:00', closes: '12:00' }), undefined, 'Special hours should be accepted');
+    runner.assert(ConfigSchema.validateConfig({ ...defaults, hoursExceptions: [holiday, holiday] }).errors.hoursExceptions[0].includes('2026-11-26'), 'Dates should be unique');
+});
+
+// Test 12: Appointments
+runner.test('Should validate appointment types and open times', () => {
+    const type = { name: 'New patient visit', duration: 45, description: '', visible: true };
+    const slot = { date: '2026-11-16', time: '09:00' };
+    runner.assert(ConfigSchema.validateConfig({ ...defaults, appointmentTypes: [type], appointmentSlots: [slot] }).valid, 'Types and times should be accepted');
+
+    runner.assertEqual(ConfigSchema.validateConfig({ ...defaults, appointmentTypes: [{ ...type, duration: 5 }] }).errors.appointmentTypes[0], 'Appointment type 1: Length (minutes) must be at least 10');
+    runner.assert(ConfigSchema.validateConfig({ ...defaults, appointmentTypes: [type, type] }).errors.appointmentTypes[0].includes('New patient visit'), 'Type names should be unique');
+    runner.assertEqual(ConfigSchema.validateConfig({ ...defaults, appointmentSlots: [{ ...slot, time: '9:00' }] }).errors.appointmentSlots[0], 'Open time 1: Time must be a time such as 09:00');
+    runner.assert(ConfigSchema.validateConfig({ ...defaults, appointmentSlots: [slot, slot] }).errors.appointmentSlots[0].includes('2026-11-16 09:00'), 'Times should be unique');
+});
+
+// Test 13: Unknown keys
+runner.test('Should flag unknown keys', () => {
+    const result = ConfigSchema.validateConfig({ ...defaults, heroTagline: 'Old field' });
+    runner.assert(result.errors.heroTagline, 'Unknown key should be reported');
+});
+
+// Test 14: Sanitizing
+runner.test('Should sanitize by dropping unknown keys and replacing invalid values', () => {
+    const sanitized = ConfigSchema.sanitizeConfig(
+        { heroName: 'Kept Name', theme: 'neon', heroTagline: 'Old field' },
+        defaults
+    );
+    runner.assertEqual(sanitized.heroName, 'Kept Name', 'Valid values should be kept');
+    runner.assertEqual(sanitized.theme, 'default', 'Invalid values should fall back to defaults');
+    runner.assert(!('heroTagline' in sanitized), 'Unknown keys should be dropped');
+});
+
+// Test 15: Admin form definitions
+runner.test('Should give every field the metadata the admin form needs', () => {
+    const sectionIds = ConfigSchema.sections.map((section) => section.id);
+    Object.keys(ConfigSchema.fields).forEach((key) => {
+        const rule = ConfigSchema.fields[key];
+        runner.assert(rule.label, `${key} should have a label`);
+        runner.assert(sectionIds.includes(rule.section), `${key} should belong to a known section`);
+        if (rule.optionLabels) {
+            (rule.enum || rule.options).forEach((value) => {
+                runner.assert(rule.optionLabels[value], `${key} should label option ${value}`);
+            });
+        }
+    });
+});
+
+// Test 16: ConfigManager.save() enforces the schema
+runner.test('Should refuse to save an invalid config through ConfigManager', () => {
+    mockLocalStorage.clear();
+    const manager = new ConfigManager();
+    const originalError = console.error;
+    console.error = () => {};
+    try {
+        runner.assert(manager.save({ contactEmail: 'invalid-email' }) === false, 'save() should return false');
+    } finally {
+        console.error = originalError;
+    }
+    runner.assertEqual(mockLocalStorage.getItem('fnp-site-config'), null, 'Nothing should be stored');
+    runner.assert(manager.save({ heroName: 'Valid Name' }) === true, 'Valid config should save');
+});
+
+// Test 17: ConfigManager.load() sanitizes stored values
+runner.test('Should replace invalid stored values with defaults on load', () => {
+    mockLocalStorage.clear();
+    const manager = new ConfigManager();
+    mockLocalStorage.setItem('fnp-site-config-version', manager.configVersion);
+    mockLocalStorage.setItem('fnp-site-config', JSON.stringify({ heroName: 'Stored Name', theme: 'party' }));
+    const loaded = manager.load();
+    runner.assertEqual(loaded.heroName, 'Stored Name', 'Valid stored values should load');
+    runner.assertEqual(loaded.theme, 'default', 'Invalid stored values should fall back to defaults');
+});
+
+runner.run().then(() => {
+    if (runner.failed > 0) {
+        process.exitCode = 1;
+    }
+});
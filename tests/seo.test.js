@@ -0,0 +1,156 @@
+/**
+ * Tests for search and sharing metadata
+ * Tests Seo page meta, JSON-LD and head rendering, and the server's rendering of index.html
+ * Node-only: run with `node tests/seo.test.js`
+ */
+
+const Seo = require('../assets/js/seo.js');
+const { ConfigManager } = require('../assets/js/config.mjs');
+const { renderPublicPage } = require('../server/public-page');
+
+class TestRunner {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    }
+
+    async run() {
+        console.log('Running SEO tests...\n');
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                console.log(`✓ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`✗ ${test.name}`);
+                console.error(`  Error: ${error.message}`);
+                this.failed++;
+            }
+        }
+        console.log(`\nResults: ${this.passed} passed, ${this.failed} failed`);
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected ${expected}, got ${actual}`);
+        }
+    }
+}
+
+const runner = new TestRunner();
+const CONFIG = {
+    ...new ConfigManager().getDefaultConfig(),
+    heroName: 'Jordan Lee, FNP',
+    heroSubtitle: '<strong>Primary care</strong> &amp; <span class="accent">kidney health</span>.',
+    businessName: 'Riverside Family Care',
+    location: 'Bel Air, Maryland',
+    contactEmail: 'office@example.com',
+    profileImageUrl: 'assets/images/pfp.jpg',
+    timeZone: 'America/New_York',
+    officeHours: [
+        { day: 'monday', opens: '09:00', closes: '17:00' },
+        { day: 'tuesday', opens: '09:00', closes: '17:00' },
+        { day: 'friday', opens: '09:00', closes: '12:00' }
+    ],
+    hoursExceptions: [
+        { date: '2026-11-26', closed: true, label: 'Thanksgiving' },
+        { date: '2026-12-24', closed: false, opens: '09:00', closes: '12:00', label: '' },
+        { date: '2027-06-01', closed: true, label: 'Too far ahead' }
+    ]
+};
+const NOW = new Date('2026-11-16T13:30:00Z');
+
+// Test 1: Page meta
+runner.test('Should build the title and description from the config', () => {
+    const meta = Seo.getPageMeta(CONFIG, 'https://example.com/?utm_source=x#about');
+    runner.assertEqual(meta.title, 'Jordan Lee, FNP - Riverside Family Care');
+    runner.assertEqual(meta.description, 'Primary care & kidney health in Bel Air, Maryland.', 'Markup and entities should be removed');
+    runner.assertEqual(meta.url, 'https://example.com/', 'Query and fragment should be dropped');
+    runner.assertEqual(meta.image, 'https://example.com/assets/images/pfp.jpg', 'The image should be absolute');
+
+    const accepting = Seo.getPageMeta({ ...CONFIG, acceptingPatients: true, siteUrl: 'https://www.riverside.example/care/' }, 'http://localhost:8080/');
+    runner.assert(accepting.description.endsWith('Accepting new patients.'));
+    runner.assertEqual(accepting.url, 'https://www.riverside.example/care/', 'The configured site address should win');
+
+    const long = Seo.getPageMeta({ ...CONFIG, heroSubtitle: 'word '.repeat(60) });
+    runner.assert(long.description.length <= 160 && long.description.endsWith('word…'), 'Long descriptions should be cut at a word');
+    runner.assertEqual(Seo.getPageMeta({ ...CONFIG, businessName: '' }).title, 'Jordan Lee, FNP');
+
+    const withVariants = Seo.getPageMeta({
+        ...CONFIG,
+        profileImageVariants: [
+            { src: 'uploads/pfp-300.jpg', width: 300, height: 300, type: 'image/jpeg' },
+            { src: 'uploads/pfp-600.webp', width: 600, height: 600, type: 'image/webp' },
+            { src: 'uploads/pfp-600.jpg', width: 600, height: 600, type: 'image/jpeg' }
+        ]
+    });
+    runner.assertEqual(withVariants.image, 'uploads/pfp-600.jpg', 'The largest JPEG should be shared');
+});
+
+// Test 2: Structured data
+runner.test('Should describe the practice and clinician as schema.org JSON-LD', () => {
+    const data = Seo.getStructuredData(CONFIG, 'https://example.com/', NOW);
+    const [practice, physician] = data['@graph'];
+    runner.assertEqual(data['@context'], 'https://schema.org');
+    runner.assertEqual(practice['@type'], 'MedicalBusiness');
+    runner.assertEqual(practice.name, 'Riverside Family Care');
+    runner.assertEqual(practice.email, 'office@example.com');
+    runner.assertEqual(practice.areaServed, 'Bel Air, Maryland');
+    runner.assertEqual(practice.openingHoursSpecification.length, 2, 'Days with the same hours should share an entry');
+    runner.assertEqual(practice.openingHoursSpecification[0].dayOfWeek.join(','), 'Monday,Tuesday');
+    runner.assertEqual(practice.openingHoursSpecification[1].closes, '12:00');
+    runner.assertEqual(practice.specialOpeningHoursSpecification.length, 2, 'Only exceptions in the next 60 days should be listed');
+    runner.assertEqual(practice.specialOpeningHoursSpecification[0].opens, '00:00', 'Closed days open and close at midnight');
+    runner.assertEqual(physician['@type'], 'Physician');
+    runner.assertEqual(physician.name, 'Jordan Lee, FNP');
+    runner.assertEqual(physician.parentOrganization['@id'], 'https://example.com/#practice');
+    runner.assertEqual(physician.isAcceptingNewPatients, false);
+
+    const bare = Seo.getStructuredData({ ...CONFIG, officeHours: [], hoursExceptions: [] }, '', NOW)['@graph'][0];
+    runner.assert(!bare.openingHoursSpecification && !bare.url, 'Unknown details should be left out');
+});
+
+// Test 3: Rendering
+runner.test('Should render escaped head tags that keep config text out of the markup', () => {
+    const hostile = { ...CONFIG, heroName: 'Jo "</script><script>alert(1)</script>' };
+    const head = Seo.renderHead(hostile, 'https://example.com/', NOW);
+    runner.assert(head.includes('<title>Jo &quot;&lt;/script&gt;'), 'The title should be escaped');
+    runner.assert(head.includes('<meta property="og:url" content="https://example.com/" />'));
+    runner.assert(head.includes('<link rel="canonical" href="https://example.com/" />'));
+    runner.assertEqual(head.match(/<\/script>/g).length, 1, 'Config text should not close the JSON-LD script');
+    const json = head.slice(head.indexOf('>', head.indexOf('application/ld+json')) + 1, head.lastIndexOf('</script>'));
+    runner.assertEqual(JSON.parse(json)['@graph'][1].name, hostile.heroName, 'The JSON-LD should still parse to the original text');
+    runner.assert(!Seo.renderHead(CONFIG, '', NOW).includes('canonical'), 'No canonical link without a site address');
+});
+
+// Test 4: index.html
+runner.test('Should replace the marked head tags of index.html', () => {
+    const html = [
+        '<head>',
+        '    <meta charset="UTF-8" />',
+        '    <!-- seo:start -->',
+        '    <title>Old</title>',
+        '    <!-- seo:end -->',
+        '</head>'
+    ].join('\n');
+    const page = renderPublicPage(html, { ...CONFIG, siteUrl: 'https://example.com/' }, NOW);
+    runner.assert(!page.includes('<title>Old</title>'), 'The old tags should be replaced');
+    runner.assert(page.includes('\n    <title>Jordan Lee, FNP - Riverside Family Care</title>\n'), 'New tags should keep the indentation');
+    runner.assert(page.includes('\n    <!-- seo:end -->\n</head>'));
+    runner.assertEqual(renderPublicPage('<head></head>', CONFIG, NOW), '<head></head>', 'Pages without markers should be left alone');
+});
+
+runner.run().then(() => {
+    if (runner.failed > 0) process.exitCode = 1;
+});
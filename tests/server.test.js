@@ -0,0 +1,661 @@
+/**
+ * Tests for the config server
+ * Starts the real server on a random port with a temporary data directory
+ * Node-only: run with `node tests/server.test.js`
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createServer } = require('../server/app');
+const { hashPassword } = require('../server/auth');
+const { ConfigManager } = require('../assets/js/config.mjs');
+const ConfigMigrations = require('../assets/js/migrations.js');
+
+const ADMIN_PASSWORD = 'correct horse battery';
+const DEFAULT_CONFIG = new ConfigManager().getDefaultConfig();
+
+class TestRunner {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    }
+
+    async run() {
+        console.log('Running config server tests...\n');
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                console.log(`✓ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`✗ ${test.name}`);
+                console.error(`  Error: ${error.message}`);
+                this.failed++;
+            }
+        }
+        console.log(`\nResults: ${this.passed} passed, ${this.failed} failed`);
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected ${expected}, got ${actual}`);
+        }
+    }
+}
+
+// Starts a server with a fresh data directory and returns its base URL
+async function startServer() {
+    const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fnp-server-test-'));
+    fs.writeFileSync(path.join(dataDir, 'admin-credentials.json'), JSON.stringify(hashPassword(ADMIN_PASSWORD)));
+    const server = createServer({ dataDir, uploadsDir: path.join(dataDir, 'uploads') });
+    await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    return {
+        baseUrl,
+        dataDir,
+        // Logs in and returns the session cookie
+        async login(password = ADMIN_PASSWORD, name) {
+            const response = await fetch(`${baseUrl}/api/session`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({ password, name })
+            });
+            const setCookie = response.headers.get('set-cookie');
+            return { response, cookie: setCookie ? setCookie.split(';')[0] : null };
+        },
+        async stop() {
+            await new Promise((resolve) => server.close(resolve));
+            fs.rmSync(dataDir, { recursive: true, force: true });
+        }
+    };
+}
+
+const runner = new TestRunner();
+
+// Test 1: Nothing published yet
+runner.test('Should return 404 when no config has been published', async () => {
+    const server = await startServer();
+    try {
+        const response = await fetch(`${server.baseUrl}/api/config`);
+        runner.assertEqual(response.status, 404, 'GET should return 404');
+    } finally {
+        await server.stop();
+    }
+});
+
+// Test 2: Publish and read back
+runner.test('Should persist a published config to disk', async () => {
+    const server = await startServer();
+    try {
+        const { cookie } = await server.login();
+        const put = await fetch(`${server.baseUrl}/api/config`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', Cookie: cookie },
+            body: JSON.stringify({ ...DEFAULT_CONFIG, heroName: 'Published Name' })
+        });
+        runner.assertEqual(put.status, 200, 'PUT should succeed');
+
+        const get = await fetch(`${server.baseUrl}/api/config`);
+        const config = await get.json();
+        runner.assertEqual(config.heroName, 'Published Name', 'GET should return the published config');
+
+        const onDisk = JSON.parse(fs.readFileSync(path.join(server.dataDir, 'config.json'), 'utf8'));
+        runner.assertEqual(onDisk.config.heroName, 'Published Name', 'Config should be written to the data directory');
+        runner.assertEqual(onDisk.configVersion, ConfigMigrations.CURRENT_VERSION, 'Stored config should record its version');
+    } finally {
+        await server.stop();
+    }
+});
+
+// Test 3: Invalid payloads
+runner.test('Should reject non-object, malformed and oversized config bodies', async () => {
+    const server = await startServer();
+    try {
+        const { cookie } = await server.login();
+        const arrayBody = await fetch(`${server.baseUrl}/api/config`, {
+            method: 'PUT',
+            headers: { Cookie: cookie },
+            body: '[1, 2, 3]'
+        });
+        runner.assertEqual(arrayBody.status, 400, 'Arrays should be rejected');
+
+        const malformed = await fetch(`${server.baseUrl}/api/config`, {
+            method: 'PUT',
+            headers: { Cookie: cookie },
+            body: '{not json'
+        });
+        runner.assertEqual(malformed.status, 400, 'Malformed JSON should be rejected');
+
+        const oversized = await fetch(`${server.baseUrl}/api/config`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', Cookie: cookie },
+            body: JSON.stringify({ ...DEFAULT_CONFIG, heroSubtitle: 'x'.repeat(200 * 1024) })
+        });
+        runner.assertEqual(oversized.status, 413, 'Oversized bodies should be answered with 413');
+        runner.assertEqual(oversized.headers.get('connection'), 'close');
+    } finally {
+        await server.stop();
+    }
+});
+
+// Test 4: Static files
+runner.test('Should serve site pages but not server code or data', async () => {
+    const server = await startServer();
+    try {
+        const index = await fetch(`${server.baseUrl}/`);
+        runner.assertEqual(index.status, 200, 'index.html should be served');
+        runner.assert(index.headers.get('content-type').includes('text/html'), 'index.html should be served as HTML');
+
+        const script = await fetch(`${server.baseUrl}/assets/js/schema.js`);
+        runner.assertEqual(script.status, 200, 'Assets should be served');
+
+        const serverCode = await fetch(`${server.baseUrl}/server/app.js`);
+        runner.assertEqual(serverCode.status, 404, 'Server code should not be served');
+
+        const tests = await fetch(`${server.baseUrl}/tests/config.test.js`);
+        runner.assertEqual(tests.status, 404, 'Tests should not be served');
+
+        const packageJson = await fetch(`${server.baseUrl}/package.json`);
+        runner.assertEqual(packageJson.status, 404, 'Root files other than HTML should not be served');
+    } finally {
+        await server.stop();
+    }
+});
+
+// Test 5: Unsupported methods
+runner.test('Should reject unsupported methods on the config endpoint', async () => {
+    const server = await startServer();
+    try {
+        const response = await fetch(`${server.baseUrl}/api/config`, { method: 'DELETE' });
+        runner.assertEqual(response.status, 405, 'DELETE should return 405');
+    } finally {
+        await server.stop();
+    }
+});
+
+// Test 6: Schema validation
+runner.test('Should reject configs that fail schema validation with per-field errors', async () => {
+    const server = await startServer();
+    try {
+        const { cookie } = await server.login();
+        const response = await fetch(`${server.baseUrl}/api/config`, {
+            method: 'PUT',
+            headers: { Cookie: cookie },
+            body: JSON.stringify({ ...DEFAULT_CONFIG, contactEmail: 'not-an-email', theme: 'neon' })
+        });
+        runner.assertEqual(response.status, 400, 'Invalid config should return 400');
+        const body = await response.json();
+        runner.assert(Array.isArray(body.errors.contactEmail), 'Errors should include contactEmail');
+        runner.assert(Array.isArray(body.errors.theme), 'Errors should include theme');
+    } finally {
+        await server.stop();
+    }
+});
+
+// Test 7: Writes require a session
+runner.test('Should reject config writes without a valid session', async () => {
+    const server = await startServer();
+    try {
+        const anonymous = await fetch(`${server.baseUrl}/api/config`, {
+            method: 'PUT',
+            body: JSON.stringify({ heroName: 'Intruder' })
+        });
+        runner.assertEqual(anonymous.status, 401, 'Anonymous PUT should return 401');
+
+        const forged = await fetch(`${server.baseUrl}/api/config`, {
+            method: 'PUT',
+            headers: { Cookie: 'fnp_admin_session=forged' },
+            body: JSON.stringify({ heroName: 'Intruder' })
+        });
+        runner.assertEqual(forged.status, 401, 'Unknown session tokens should return 401');
+
+        const get = await fetch(`${server.baseUrl}/api/config`);
+        runner.assertEqual(get.status, 404, 'Rejected writes should not be stored');
+    } finally {
+        await server.stop();
+    }
+});
+
+// Test 8: Login, session check and logout
+runner.test('Should issue an HttpOnly session cookie and end it on logout', async () => {
+    const server = await startServer();
+    try {
+        const wrong = await server.login('wrong password');
+        runner.assertEqual(wrong.response.status, 401, 'Wrong password should return 401');
+        runner.assert(wrong.cookie === null, 'Wrong password should not set a cookie');
+
+        const { response, cookie } = await server.login();
+        runner.assertEqual(response.status, 200, 'Correct password should log in');
+        runner.assert(response.headers.get('set-cookie').includes('HttpOnly'), 'Session cookie should be HttpOnly');
+
+        const check = await fetch(`${server.baseUrl}/api/session`, { headers: { Cookie: cookie } });
+        runner.assert((await check.json()).authenticated === true, 'Session should be reported as authenticated');
+
+        await fetch(`${server.baseUrl}/api/session`, { method: 'DELETE', headers: { Cookie: cookie } });
+        const afterLogout = await fetch(`${server.baseUrl}/api/config`, {
+            method: 'PUT',
+            headers: { Cookie: cookie },
+            body: JSON.stringify({ heroName: 'After logout' })
+        });
+        runner.assertEqual(afterLogout.status, 401, 'Session should be invalid after logout');
+    } finally {
+        await server.stop();
+    }
+});
+
+// Test 9: Lockout
+runner.test('Should lock out a client after repeated failed logins', async () => {
+    const server = await startServer();
+    try {
+        for (let i = 0; i < 5; i++) {
+            await server.login('wrong password');
+        }
+        const locked = await server.login();
+        runner.assertEqual(locked.response.status, 429, 'Correct password should be refused during lockout');
+    } finally {
+        await server.stop();
+    }
+});
+
+// Test 10: Revision history and restore
+runner.test('Should record revisions with author and restore an earlier one', async () => {
+    const server = await startServer();
+    try {
+        const { cookie } = await server.login(ADMIN_PASSWORD, 'Rujita');
+        const put = (heroName) => fetch(`${server.baseUrl}/api/config`, {
+            method: 'PUT',
+            headers: { Cookie: cookie },
+            body: JSON.stringify({ ...DEFAULT_CONFIG, heroName })
+        });
+        await put('First Name');
+        await put('Second Name');
+
+        const anonymous = await fetch(`${server.baseUrl}/api/config/history`);
+        runner.assertEqual(anonymous.status, 401, 'History should require a session');
+
+        const history = await (await fetch(`${server.baseUrl}/api/config/history`, { headers: { Cookie: cookie } })).json();
+        runner.assertEqual(history.length, 2, 'Both publishes should be recorded');
+        runner.assertEqual(history[0].config.heroName, 'Second Name', 'Newest revision should be first');
+        runner.assertEqual(history[0].author, 'Rujita', 'Revision should record the author');
+
+        const restore = await fetch(`${server.baseUrl}/api/config/history/${history[1].id}/restore`, {
+            method: 'POST',
+            headers: { Cookie: cookie }
+        });
+        runner.assertEqual(restore.status, 200, 'Restore should succeed');
+
+        const current = await (await fetch(`${server.baseUrl}/api/config`)).json();
+        runner.assertEqual(current.heroName, 'First Name', 'Restored revision should be published');
+
+        const after = await (await fetch(`${server.baseUrl}/api/config/history`, { headers: { Cookie: cookie } })).json();
+        runner.assertEqual(after.length, 3, 'Restore should be recorded as a new revision');
+        runner.assert(after[0].note.includes(`revision ${history[1].id}`), 'Restore revision should note its source');
+
+        const missing = await fetch(`${server.baseUrl}/api/config/history/999/restore`, {
+            method: 'POST',
+            headers: { Cookie: cookie }
+        });
+        runner.assertEqual(missing.status, 404, 'Unknown revisions should return 404');
+    } finally {
+        await server.stop();
+    }
+});
+
+// Test 11: Draft workflow
+runner.test('Should keep drafts private until they are published', async () => {
+    const server = await startServer();
+    try {
+        const { cookie } = await server.login();
+        const draftUrl = `${server.baseUrl}/api/config/draft`;
+
+        const anonymous = await fetch(draftUrl);
+        runner.assertEqual(anonymous.status, 401, 'Drafts should require a session');
+
+        const none = await fetch(draftUrl, { headers: { Cookie: cookie } });
+        runner.assertEqual(none.status, 404, 'No draft should exist yet');
+
+        const save = await fetch(draftUrl, {
+            method: 'PUT',
+            headers: { Cookie: cookie },
+            body: JSON.stringify({ ...DEFAULT_CONFIG, heroName: 'Draft Name' })
+        });
+        runner.assertEqual(save.status, 200, 'Draft should save');
+
+        const published = await fetch(`${server.baseUrl}/api/config`);
+        runner.assertEqual(published.status, 404, 'Saving a draft should not publish it');
+
+        const publish = await fetch(`${draftUrl}/publish`, { method: 'POST', headers: { Cookie: cookie } });
+        runner.assertEqual(publish.status, 200, 'Draft should publish');
+
+        const live = await (await fetch(`${server.baseUrl}/api/config`)).json();
+        runner.assertEqual(live.heroName, 'Draft Name', 'Published config should be the draft');
+
+        const afterPublish = await fetch(draftUrl, { headers: { Cookie: cookie } });
+        runner.assertEqual(afterPublish.status, 404, 'Draft should be cleared after publishing');
+
+        const history = await (await fetch(`${server.baseUrl}/api/config/history`, { headers: { Cookie: cookie } })).json();
+        runner.assertEqual(history[0].note, 'Published draft', 'Publishing a draft should be recorded');
+    } finally {
+        await server.stop();
+    }
+});
+
+// Test 12: Draft validation and discard
+runner.test('Should validate drafts and allow discarding them', async () => {
+    const server = await startServer();
+    try {
+        const { cookie } = await server.login();
+        const draftUrl = `${server.baseUrl}/api/config/draft`;
+
+        const invalid = await fetch(draftUrl, {
+            method: 'PUT',
+            headers: { Cookie: cookie },
+            body: JSON.stringify({ ...DEFAULT_CONFIG, theme: 'party' })
+        });
+        runner.assertEqual(invalid.status, 400, 'Invalid drafts should be rejected');
+
+        await fetch(draftUrl, {
+            method: 'PUT',
+            headers: { Cookie: cookie },
+            body: JSON.stringify(DEFAULT_CONFIG)
+        });
+        const discard = await fetch(draftUrl, { method: 'DELETE', headers: { Cookie: cookie } });
+        runner.assertEqual(discard.status, 200, 'Discard should succeed');
+
+        const publish = await fetch(`${draftUrl}/publish`, { method: 'POST', headers: { Cookie: cookie } });
+        runner.assertEqual(publish.status, 404, 'Discarded drafts cannot be published');
+    } finally {
+        await server.stop();
+    }
+});
+
+// Test 13: Stored configs are migrated on read
+runner.test('Should migrate stored configs and revisions written at older versions', async () => {
+    const server = await startServer();
+    try {
+        const legacy = { ...DEFAULT_CONFIG, bannerEnabled: true, bannerText: 'Closed Friday', bannerType: 'urgent' };
+        delete legacy.announcements;
+        fs.writeFileSync(path.join(server.dataDir, 'config.json'), JSON.stringify({ configVersion: 7, config: legacy }));
+        fs.writeFileSync(path.join(server.dataDir, 'config-history.json'), JSON.stringify([
+            { id: 1, timestamp: new Date().toISOString(), author: 'admin', note: '', configVersion: 7, config: legacy }
+        ]));
+
+        const config = await (await fetch(`${server.baseUrl}/api/config`)).json();
+        runner.assertEqual(config.announcements[0].text, 'Closed Friday', 'Published config should be migrated');
+        runner.assert(!('bannerText' in config), 'Retired keys should be dropped');
+
+        const { cookie } = await server.login();
+        const history = await (await fetch(`${server.baseUrl}/api/config/history`, { headers: { Cookie: cookie } })).json();
+        runner.assertEqual(history[0].config.announcements[0].type, 'urgent', 'Revisions should be migrated');
+        runner.assert(!('configVersion' in history[0]), 'Revisions should not expose the stored version');
+
+        const restore = await fetch(`${server.baseUrl}/api/config/history/1/restore`, { method: 'POST', headers: { Cookie: cookie } });
+        runner.assertEqual(restore.status, 200, 'Migrated revisions should pass validation when restored');
+    } finally {
+        await server.stop();
+    }
+});
+
+// Test 14: Image uploads
+runner.test('Should store uploaded image variants for admins only', async () => {
+    const server = await startServer();
+    try {
+        const jpeg = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0, 0x10]).toString('base64');
+        const webp = Buffer.concat([Buffer.from('RIFF'), Buffer.alloc(4), Buffer.from('WEBPVP8 ')]).toString('base64');
+        const upload = (cookie, variants) => fetch(`${server.baseUrl}/api/config/images`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json', ...(cookie ? { Cookie: cookie } : {}) },
+            body: JSON.stringify({ variants })
+        });
+
+        const anonymous = await upload(null, [{ type: 'image/jpeg', width: 200, height: 200, data: jpeg }]);
+        runner.assertEqual(anonymous.status, 401, 'Uploads should require a session');
+
+        const { cookie } = await server.login();
+        const response = await upload(cookie, [
+            { type: 'image/jpeg', width: 200, height: 200, data: jpeg },
+            { type: 'image/webp', width: 200, height: 200, data: webp }
+        ]);
+        runner.assertEqual(response.status, 201, 'Valid uploads should be stored');
+        const { variants } = await response.json();
+        runner.assertEqual(variants.length, 2);
+        runner.assert(/^assets\/images\/uploads\/profile-[0-9a-f]{16}-200\.jpg$/.test(variants[0].src), `Unexpected path ${variants[0].src}`);
+        runner.assertEqual(variants[1].type, 'image/webp');
+        const stored = fs.readFileSync(path.join(server.dataDir, 'uploads', path.basename(variants[0].src)));
+        runner.assertEqual(stored.toString('base64'), jpeg, 'The file should be written as uploaded');
+
+        const mislabelled = await upload(cookie, [{ type: 'image/webp', width: 200, height: 200, data: jpeg }]);
+        runner.assertEqual(mislabelled.status, 400, 'Files should match their declared type');
+        const png = await upload(cookie, [{ type: 'image/png', width: 200, height: 200, data: jpeg }]);
+        runner.assertEqual(png.status, 400, 'Only JPEG and WebP should be accepted');
+        const empty = await upload(cookie, []);
+        runner.assertEqual(empty.status, 400, 'At least one variant should be required');
+    } finally {
+        await server.stop();
+    }
+});
+
+// Test 15: Contact form inquiries
+runner.test('Should receive contact form messages, filter spam and list them for admins', async () => {
+    const server = await startServer();
+    try {
+        const inquiry = { name: 'Jordan Lee', phone: '410-555-0123', reason: 'Do you see new patients?', consent: true };
+        const submit = (body) => fetch(`${server.baseUrl}/api/inquiries`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+
+        runner.assertEqual((await submit(inquiry)).status, 201, 'Valid messages should be accepted');
+        const spam = await submit({ ...inquiry, name: 'Bot', website: 'http://spam.example' });
+        runner.assertEqual(spam.status, 201, 'Honeypot hits should look successful');
+        const invalid = await submit({ ...inquiry, consent: false });
+        runner.assertEqual(invalid.status, 400);
+        runner.assert((await invalid.json()).errors.consent, 'Field errors should be returned');
+
+        runner.assertEqual((await fetch(`${server.baseUrl}/api/inquiries`)).status, 401, 'The inbox should require a session');
+        const { cookie } = await server.login();
+        const list = await (await fetch(`${server.baseUrl}/api/inquiries`, { headers: { Cookie: cookie } })).json();
+        runner.assertEqual(list.length, 1, 'Spam and invalid messages should not be stored');
+        runner.assertEqual(list[0].name, 'Jordan Lee');
+        runner.assertEqual(list[0].status, 'new');
+
+        const patch = await fetch(`${server.baseUrl}/api/inquiries/${list[0].id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json', Cookie: cookie },
+            body: JSON.stringify({ status: 'read' })
+        });
+        runner.assertEqual((await patch.json()).status, 'read');
+        const removed = await fetch(`${server.baseUrl}/api/inquiries/${list[0].id}`, { method: 'DELETE', headers: { Cookie: cookie } });
+        runner.assertEqual(removed.status, 200);
+        runner.assertEqual(JSON.parse(fs.readFileSync(path.join(server.dataDir, 'inquiries.json'), 'utf8')).length, 0);
+
+        // Three requests so far; the default limit is five per hour per client
+        await submit(inquiry);
+        await submit(inquiry);
+        const limited = await submit(inquiry);
+        runner.assertEqual(limited.status, 429, 'Clients should be rate limited');
+        runner.assert((await limited.json()).retryAfter > 0, 'The response should say when to retry');
+    } finally {
+        await server.stop();
+    }
+});
+
+// Test 16: Appointment requests and the waitlist
+runner.test('Should hold requested appointment slots and take waitlist signups', async () => {
+    const server = await startServer();
+    try {
+        const { cookie } = await server.login();
+        const post = (endpoint, body) => fetch(`${server.baseUrl}${endpoint}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify(body)
+        });
+        const held = async () => (await fetch(`${server.baseUrl}/api/appointments/held`)).json();
+        await fetch(`${server.baseUrl}/api/config`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', Cookie: cookie },
+            body: JSON.stringify({
+                ...DEFAULT_CONFIG,
+                acceptingPatients: true,
+                appointmentTypes: [{ name: 'New patient visit', duration: 45, visible: true }],
+                appointmentSlots: [{ date: '2099-03-02', time: '09:00' }, { date: '2000-01-03', time: '09:00' }]
+            })
+        });
+        const request = { appointmentType: 'New patient visit', slot: '2099-03-02T09:00', name: 'Jordan Lee', phone: '410-555-0123', consent: true };
+
+        runner.assertEqual((await held()).length, 0);
+        runner.assertEqual((await post('/api/appointments', request)).status, 201, 'An open slot should be requestable');
+        const taken = await post('/api/appointments', { ...request, name: 'Sam' });
+        runner.assertEqual(taken.status, 409, 'A held slot should be refused');
+        runner.assertEqual((await post('/api/appointments', { ...request, slot: '2000-01-03T09:00' })).status, 409, 'Past slots should be refused');
+        const unknownType = await post('/api/appointments', { ...request, appointmentType: 'Massage' });
+        runner.assert((await unknownType.json()).errors.appointmentType, 'Unknown appointment types should be refused');
+        runner.assertEqual((await held()).join(','), '2099-03-02T09:00', 'The requested slot should be held');
+
+        runner.assertEqual((await fetch(`${server.baseUrl}/api/appointments`)).status, 401, 'Requests should only be listed for admins');
+        const list = await (await fetch(`${server.baseUrl}/api/appointments`, { headers: { Cookie: cookie } })).json();
+        runner.assertEqual(list.length, 1);
+        runner.assertEqual(list[0].status, 'pending');
+        await fetch(`${server.baseUrl}/api/appointments/${list[0].id}`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json', Cookie: cookie },
+            body: JSON.stringify({ status: 'declined' })
+        });
+        runner.assertEqual((await held()).length, 0, 'Declining should free the slot');
+
+        // The fifth submission from this client; the limit is shared by the public forms
+        runner.assertEqual((await post('/api/waitlist', { name: 'Sam', email: 'sam@example.com', consent: true })).status, 201);
+        const waitlist = await (await fetch(`${server.baseUrl}/api/waitlist`, { headers: { Cookie: cookie } })).json();
+        runner.assertEqual(waitlist[0].status, 'waiting');
+        const bulk = (body) => fetch(`${server.baseUrl}/api/waitlist`, {
+            method: 'PATCH',
+            headers: { 'Content-Type': 'application/json', Cookie: cookie },
+            body: JSON.stringify(body)
+        });
+        runner.assertEqual((await bulk({ status: 'contacted' })).status, 400, 'Bulk updates need an ids list');
+        const marked = await (await bulk({ ids: [waitlist[0].id], status: 'contacted' })).json();
+        runner.assertEqual(marked[0].status, 'contacted', 'Signups should be marked as contacted in bulk');
+        runner.assertEqual((await post('/api/inquiries', { name: 'Sam', email: 'sam@example.com', reason: 'Hello', consent: true })).status, 429);
+    } finally {
+        await server.stop();
+    }
+});
+
+// Test 17: Search and sharing tags
+runner.test('Should render the published config into the public page head', async () => {
+    const server = await startServer();
+    try {
+        const onDisk = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+        runner.assertEqual(await (await fetch(`${server.baseUrl}/`)).text(), onDisk, 'Before publishing, index.html should be served as it is');
+
+        const { cookie } = await server.login();
+        await fetch(`${server.baseUrl}/api/config`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', Cookie: cookie },
+            body: JSON.stringify({ ...DEFAULT_CONFIG, heroName: 'Published Name', siteUrl: 'https://www.example.com/' })
+        });
+        for (const page of ['/', '/index.html']) {
+            const response = await fetch(`${server.baseUrl}${page}`);
+            const html = await response.text();
+            runner.assertEqual(response.headers.get('cache-control'), 'no-cache');
+            runner.assert(html.includes('<title>Published Name - CarenexLLC</title>'), `${page} should have the published title`);
+            runner.assert(html.includes('<meta property="og:url" content="https://www.example.com/" />'), `${page} should use the site address`);
+            runner.assert(html.includes('"name":"Published Name"'), `${page} should have the published JSON-LD`);
+        }
+    } finally {
+        await server.stop();
+    }
+});
+
+// Test 18: Unreadable config
+runner.test('Should still serve the public page when the stored config is corrupt', async () => {
+    const server = await startServer();
+    const { error } = console;
+    console.error = () => {};
+    try {
+        fs.writeFileSync(path.join(server.dataDir, 'config.json'), '{not json');
+        const onDisk = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+        const page = await fetch(`${server.baseUrl}/`);
+        runner.assertEqual(page.status, 200, 'The page should be served as it is on disk');
+        runner.assertEqual(await page.text(), onDisk);
+        runner.assertEqual((await fetch(`${server.baseUrl}/api/config`)).status, 500, 'The API should report the error');
+    } finally {
+        console.error = error;
+        await server.stop();
+    }
+});
+
+// Test 19: Route parameters
+runner.test('Should not decode route parameters twice', async () => {
+    const server = await startServer();
+    try {
+        // %25 decodes to "%", which a second decode would reject as malformed
+        const restore = await fetch(`${server.baseUrl}/api/config/history/%25/restore`, { method: 'POST' });
+        runner.assertEqual(restore.status, 401, 'The request should reach the route');
+
+        const { cookie } = await server.login();
+        const missing = await fetch(`${server.baseUrl}/api/config/history/%25/restore`, { method: 'POST', headers: { Cookie: cookie } });
+        runner.assertEqual(missing.status, 404, 'An unknown revision should be reported');
+        runner.assertEqual((await fetch(`${server.baseUrl}/api/config`)).status, 404, 'The server should still be running');
+    } finally {
+        await server.stop();
+    }
+});
+
+// Test 20: Malformed cookies
+runner.test('Should keep the session when another cookie is not percent-encoded', async () => {
+    const server = await startServer();
+    try {
+        const { cookie } = await server.login();
+        const cookies = `other=%zz; ${cookie}`;
+        const check = await fetch(`${server.baseUrl}/api/session`, { headers: { Cookie: cookies } });
+        runner.assertEqual(check.status, 200, 'The session check should not fail');
+        runner.assertEqual((await check.json()).authenticated, true, 'The session should still be found');
+
+        const put = await fetch(`${server.baseUrl}/api/config`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', Cookie: cookies },
+            body: JSON.stringify({ ...DEFAULT_CONFIG, heroName: 'Published Name' })
+        });
+        runner.assertEqual(put.status, 200, 'Writes should still be allowed');
+    } finally {
+        await server.stop();
+    }
+});
+
+// Test 21: Overlapping writes
+runner.test('Should accept overlapping publishes', async () => {
+    const server = await startServer();
+    try {
+        const { cookie } = await server.login();
+        const publish = (heroName) => fetch(`${server.baseUrl}/api/config`, {
+            method: 'PUT',
+            headers: { 'Content-Type': 'application/json', Cookie: cookie },
+            body: JSON.stringify({ ...DEFAULT_CONFIG, heroName })
+        });
+        const responses = await Promise.all(['One', 'Two', 'Three'].map(publish));
+        runner.assertEqual(responses.map((response) => response.status).join(','), '200,200,200', 'Every publish should be written');
+        runner.assertEqual(fs.readdirSync(server.dataDir).filter((name) => name.endsWith('.tmp')).length, 0, 'No temp files should be left');
+    } finally {
+        await server.stop();
+    }
+});
+
+runner.run().then(() => {
+    if (runner.failed > 0) {
+        process.exitCode = 1;
+    }
+});
@@ -0,0 +1,214 @@
+/**
+ * Tests for the static site build
+ * Tests PageView patches, HTML patching and building the pre-rendered site
+ * Node-only: run with `node tests/static-site.test.js`
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { JSDOM } = require('jsdom');
+const PageView = require('../assets/js/page-view.js');
+const Themes = require('../assets/js/themes.js');
+const { applyPatches } = require('../server/html-patch');
+const { resolveConfig, renderStaticPage, buildStaticSite } = require('../server/static-site');
+
+class TestRunner {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    }
+
+    async run() {
+        console.log('Running Static Site tests...\n');
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                console.log(`✓ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`✗ ${test.name}`);
+                console.error(`  Error: ${error.message}`);
+                this.failed++;
+            }
+        }
+        console.log(`\nResults: ${this.passed} passed, ${this.failed} failed`);
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected ${expected}, got ${actual}`);
+        }
+    }
+}
+
+const runner = new TestRunner();
+const CONFIG = resolveConfig({
+    heroName: 'Jordan Lee, FNP',
+    heroSubtitle: '<strong>Primary care</strong> <script>alert(1)</script>',
+    businessName: 'Riverside & Family Care',
+    contactEmail: 'office@example.com',
+    profileImageUrl: 'assets/images/uploads/jordan.jpg',
+    acceptingPatients: true,
+    showContactEmail: false,
+    theme: 'winter',
+    announcements: [
+        { text: 'Closed <Friday>', type: 'urgent', priority: 1, endsAt: '2026-11-20T00:00:00.000Z' },
+        { text: 'Flu shots', type: 'info', priority: 0, startsAt: '2026-12-01T00:00:00.000Z' }
+    ]
+});
+const NOW = new Date('2026-11-16T13:30:00Z');
+
+// Test 1: Page view
+runner.test('Should describe the page as patches', () => {
+    const hero = PageView.getHero(CONFIG, PageView.getProfileImage(CONFIG, null));
+    runner.assertEqual(hero.find((patch) => patch.target === 'hero-name').text, 'Jordan Lee, FNP');
+    runner.assert(!hero.find((patch) => patch.target === 'hero-subtitle').html.includes('<script'), 'The subtitle should be sanitized');
+    const badge = hero.find((patch) => patch.target === 'accepting-patients-badge');
+    runner.assertEqual(badge.attributes.hidden, null, 'Shown elements should lose the hidden attribute');
+    runner.assertEqual(badge.classes.active, true);
+    runner.assertEqual(hero.find((patch) => patch.target === 'waitlist-badge').attributes.hidden, '');
+    runner.assertEqual(hero.find((patch) => patch.target === 'hero-status').text, 'Accepting new patients', 'The status should be given in words');
+
+    const [body] = PageView.getTheme(CONFIG, 'light');
+    runner.assertEqual(body.classes['theme-winter'], true);
+    runner.assertEqual(body.classes['theme-autumn'], false, 'Other theme classes should be removed');
+
+    const [announcements] = PageView.getAnnouncements(CONFIG.announcements, NOW);
+    runner.assert(announcements.html.includes('Closed &lt;Friday&gt;'), 'Announcement text should be escaped');
+    runner.assert(announcements.html.includes('<span class="visually-hidden">Urgent: </span>'), 'The type should be given in words');
+    runner.assert(!announcements.html.includes('Flu shots'), 'Scheduled announcements should wait for their start');
+});
+
+// Test 2: Patching HTML
+runner.test('Should apply patches to HTML the way the DOM would', () => {
+    const html = [
+        '<body class="loading theme-autumn">',
+        '<div id="outer" data-id="x"><div id="inner" style="color: red">Old <div>nested</div></div><p>after</p></div>',
+        '<img id="photo" src="old.jpg" alt="" />',
+        '<span data-id="photo">decoy</span>',
+        '</body>'
+    ].join('\n');
+    const page = applyPatches(html, [
+        { target: 'body', classes: { 'theme-autumn': false, 'theme-winter': true } },
+        { target: 'inner', text: 'A & <B>', style: { color: '', display: 'none' } },
+        { target: 'photo', attributes: { src: 'new "1".jpg', alt: null } },
+        { target: 'missing', text: 'ignored' }
+    ]);
+    runner.assert(page.includes('<body class="loading theme-winter">'));
+    runner.assert(page.includes('<div id="inner" style="display: none">A &amp; &lt;B&gt;</div><p>after</p></div>'), 'Content up to the matching end tag should be replaced');
+    runner.assert(page.includes('<img id="photo" src="new &quot;1&quot;.jpg" />'), 'Attributes should be escaped or removed');
+    runner.assert(page.includes('<span data-id="photo">decoy</span>'), 'data-id should not match an id');
+    runner.assertEqual(applyPatches('<div\n  id="a"\n  class="b"\n></div>', [{ target: 'a', html: '<i>x</i>' }]), '<div\n  id="a"\n  class="b"\n><i>x</i></div>', 'Content-only patches should keep the start tag');
+});
+
+// Test 3: Rendering index.html
+runner.test('Should pre-render index.html from the config', () => {
+    const rootDir = path.resolve(__dirname, '..');
+    const html = fs.readFileSync(path.join(rootDir, 'index.html'), 'utf8');
+    const page = renderStaticPage(html, CONFIG, null, NOW);
+    runner.assert(page.includes('>Jordan Lee, FNP</h1>'), 'The hero name should be rendered');
+    runner.assert(page.includes('>Riverside &amp; Family Care<'), 'The business name should be rendered escaped');
+    runner.assert(page.includes('src="assets/images/uploads/jordan.jpg"'), 'The profile image should be rendered');
+    runner.assert(/id="contact-field-email"[^>]*hidden=""/.test(page), 'Hidden contact fields should be hidden');
+    runner.assert(/<body[^>]*class="[^"]*theme-winter/.test(page), 'The theme class should be on <body>');
+    runner.assert(page.includes('Closed &lt;Friday&gt;'), 'Active announcements should be rendered');
+    runner.assert(page.includes('<title>Jordan Lee, FNP - Riverside &amp; Family Care</title>'), 'The head tags should be rendered');
+    runner.assert(!page.includes('<script>alert(1)</script>'), 'Config markup should not reach the page');
+});
+
+// Test 4: Content lists
+runner.test('Should pre-render the About, Expertise and Approach lists from the config', () => {
+    const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+    const config = resolveConfig({
+        aboutParagraphs: [{ text: 'Edited <about> paragraph', visible: true }, { text: 'Hidden paragraph', visible: false }],
+        credentials: [],
+        expertiseCards: [{ title: 'Dialysis Planning', text: 'Choosing a treatment together', visible: true }],
+        approachItems: []
+    });
+    const page = renderStaticPage(html, config, null, NOW);
+    runner.assert(page.includes('<p>Edited &lt;about&gt; paragraph</p>'), 'Edited paragraphs should be rendered escaped');
+    runner.assert(!page.includes('Hidden paragraph'), 'Hidden entries should be left out');
+    runner.assert(page.includes('<h3 class="card-title">Dialysis Planning</h3>'), 'Edited cards should be rendered');
+    runner.assert(!page.includes('Chronic Disease Support'), 'The template\'s cards should be replaced');
+    runner.assert(/id="about-details"[^>]*hidden=""/.test(page), 'An empty credentials list should be hidden');
+    runner.assert(/<section id="approach"[^>]*hidden=""/.test(page), 'An empty section should be hidden');
+    runner.assert(/id="nav-approach"[^>]*hidden=""/.test(page), 'So should its nav link');
+    runner.assert(!/id="nav-expertise"[^>]*hidden=""/.test(page));
+});
+
+// Test 5: Custom themes
+runner.test('Should keep the quoted font names of custom themes in the body style', () => {
+    const html = fs.readFileSync(path.join(__dirname, '..', 'index.html'), 'utf8');
+    const config = resolveConfig({
+        customThemes: [{ name: 'Holiday', primaryColor: '#1f4e79', accentColor: '#247a6d', backgroundColor: '#f7f9fb', textColor: '#333333', headingFont: 'serif', bodyFont: 'system' }],
+        theme: 'Holiday'
+    });
+    const page = renderStaticPage(html, config, null, NOW);
+    const { document } = new JSDOM(page).window;
+    runner.assertEqual(document.body.style.getPropertyValue('--heading-font').trim(), Themes.FONT_STACKS.serif);
+    runner.assertEqual(document.body.style.getPropertyValue('--body-font').trim(), Themes.FONT_STACKS.system);
+    runner.assertEqual(document.body.style.getPropertyValue('--primary-color').trim(), '#1f4e79');
+    runner.assert(!document.body.hasAttribute('roboto'), 'The style should not spill into other attributes');
+
+    const restyled = applyPatches(page, [{ target: 'body', style: { '--primary-color': '#000000' } }]);
+    runner.assertEqual(new JSDOM(restyled).window.document.body.style.getPropertyValue('--body-font').trim(), Themes.FONT_STACKS.system, 'Escaped styles should survive another patch');
+});
+
+// Test 6: Building the site
+runner.test('Should build a site folder with the page, assets and config', async () => {
+    const rootDir = fs.mkdtempSync(path.join(os.tmpdir(), 'fnp-static-test-'));
+    try {
+        fs.mkdirSync(path.join(rootDir, 'assets', 'css'), { recursive: true });
+        fs.writeFileSync(path.join(rootDir, 'assets', 'css', 'styles.css'), 'body {}');
+        fs.writeFileSync(path.join(rootDir, 'index.html'), '<body><h2 id="hero-name">Name</h2></body>');
+        fs.writeFileSync(path.join(rootDir, 'admin.html'), '<body></body>');
+        const outDir = path.join(rootDir, 'dist');
+        fs.mkdirSync(outDir);
+        fs.writeFileSync(path.join(outDir, 'stale.html'), 'old build');
+
+        await buildStaticSite({ rootDir, outDir, config: CONFIG, now: NOW });
+        runner.assertEqual(fs.readFileSync(path.join(outDir, 'index.html'), 'utf8'), '<body class="theme-winter"><h2 id="hero-name">Jordan Lee, FNP</h2></body>');
+        runner.assertEqual(fs.readFileSync(path.join(outDir, 'assets', 'css', 'styles.css'), 'utf8'), 'body {}');
+        runner.assertEqual(JSON.parse(fs.readFileSync(path.join(outDir, 'api', 'config'), 'utf8')).heroName, 'Jordan Lee, FNP', 'main.mjs should find the same config');
+        runner.assert(!fs.existsSync(path.join(outDir, 'admin.html')), 'The admin panel needs the server and should not be copied');
+        runner.assert(!fs.existsSync(path.join(outDir, 'stale.html')), 'Earlier builds should be cleared');
+
+        let error = null;
+        try {
+            await buildStaticSite({ rootDir, outDir: path.dirname(rootDir), config: CONFIG });
+        } catch (caught) {
+            error = caught;
+        }
+        runner.assert(error && error.message.includes('Refusing'), 'Building over the site should be refused');
+        runner.assert(fs.existsSync(path.join(rootDir, 'index.html')));
+
+        for (const folder of ['assets', path.join('dist', 'nested')]) {
+            error = null;
+            try {
+                await buildStaticSite({ rootDir, outDir: path.join(rootDir, folder), config: CONFIG });
+            } catch (caught) {
+                error = caught;
+            }
+            runner.assert(error && error.message.includes('part of the site'), `Building into ${folder} should be refused`);
+        }
+        runner.assert(fs.existsSync(path.join(rootDir, 'assets', 'css', 'styles.css')), 'The site\'s own folders should be left alone');
+    } finally {
+        fs.rmSync(rootDir, { recursive: true, force: true });
+    }
+});
+
+runner.run().then(() => {
+    if (runner.failed > 0) process.exitCode = 1;
+});
@@ -0,0 +1,105 @@
+/**
+ * Tests for custom theme helpers
+ * Tests Themes contrast ratios, contrast checks and CSS custom property mapping
+ * Node-only: run with `node tests/themes.test.js`
+ */
+
+const Themes = require('../assets/js/themes.js');
+
+class TestRunner {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    }
+
+    async run() {
+        console.log('Running Themes tests...\n');
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                console.log(`✓ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`✗ ${test.name}`);
+                console.error(`  Error: ${error.message}`);
+                this.failed++;
+            }
+        }
+        console.log(`\nResults: ${this.passed} passed, ${this.failed} failed`);
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected ${expected}, got ${actual}`);
+        }
+    }
+}
+
+const runner = new TestRunner();
+const READABLE = {
+    name: 'Holiday',
+    primaryColor: '#1f4e79',
+    accentColor: '#247a6d',
+    backgroundColor: '#f7f9fb',
+    textColor: '#333333',
+    headingFont: 'serif',
+    bodyFont: 'system'
+};
+
+// Test 1: Contrast ratio
+runner.test('Should compute WCAG contrast ratios', () => {
+    runner.assertEqual(Themes.contrastRatio('#000000', '#ffffff').toFixed(2), '21.00', 'Black on white is 21:1');
+    runner.assertEqual(Themes.contrastRatio('#ffffff', '#000000').toFixed(2), '21.00', 'Order should not matter');
+    runner.assertEqual(Themes.contrastRatio('#777777', '#777777'), 1, 'Identical colors are 1:1');
+    runner.assertEqual(Themes.contrastRatio('#767676', '#ffffff').toFixed(2), '4.54', 'Should match the WCAG reference gray');
+});
+
+// Test 2: Contrast checks
+runner.test('Should list the unreadable color pairs of a theme', () => {
+    runner.assertEqual(Themes.checkContrast(READABLE).length, 0, 'A readable theme should pass');
+
+    const failures = Themes.checkContrast({ ...READABLE, textColor: '#cccccc', accentColor: '#ffd700' });
+    const labels = failures.map((failure) => failure.label);
+    runner.assert(labels.includes('Body text on background'), 'Should flag light text');
+    runner.assert(labels.includes('Accent links on background'), 'Should flag a light accent');
+    runner.assert(labels.includes('White badge text on accent'), 'Should flag white text on a light accent');
+    runner.assertEqual(failures.length, 3, 'Readable pairs should not be listed');
+    runner.assert(failures.every((failure) => failure.ratio < failure.minimum), 'Failures should report their ratio');
+});
+
+// Test 3: CSS custom properties
+runner.test('Should map a theme to CSS custom properties', () => {
+    const variables = Themes.toCssVariables(READABLE);
+    runner.assertEqual(variables['--primary-color'], '#1f4e79');
+    runner.assertEqual(variables['--text-color'], '#333333');
+    runner.assertEqual(variables['--heading-font'], Themes.FONT_STACKS.serif, 'Fonts should become font stacks');
+    runner.assertEqual(Object.keys(variables).length, Object.keys(Themes.CSS_VARIABLES).length);
+    runner.assert(!('--body-font' in Themes.toCssVariables({ ...READABLE, bodyFont: 'comic' })), 'Unknown fonts should be skipped');
+});
+
+// Test 4: Dark mode
+runner.test('Should keep the dark palette and drop unreadable accents in dark mode', () => {
+    const dark = Themes.toCssVariables(READABLE, 'dark');
+    runner.assert(!('--background-color' in dark) && !('--text-color' in dark), 'Dark mode should keep its own background and text');
+    runner.assertEqual(dark['--primary-color'], '#1f4e79', 'Button colors should still apply');
+    runner.assertEqual(dark['--heading-font'], Themes.FONT_STACKS.serif, 'Fonts should still apply');
+    runner.assert(!('--accent-color' in dark), 'A dark accent should be dropped on the dark background');
+    runner.assertEqual(Themes.toCssVariables({ ...READABLE, accentColor: '#5fd3c0' }, 'dark')['--accent-color'], '#5fd3c0', 'A light accent should be kept');
+});
+
+runner.run().then(() => {
+    if (runner.failed > 0) {
+        process.exitCode = 1;
+    }
+});
@@ -0,0 +1,148 @@
+/**
+ * Tests for config export and import
+ * Tests ConfigManager.exportConfig() and parseImport(), including migration of old exports
+ * Node-only: run with `node tests/transfer.test.js`
+ */
+
+const { ConfigManager } = require('../assets/js/config.mjs');
+const ConfigMigrations = require('../assets/js/migrations.js');
+
+// Mock localStorage for ConfigManager
+class MockStorage {
+    constructor() {
+        this.store = {};
+    }
+
+    getItem(key) {
+        return key in this.store ? this.store[key] : null;
+    }
+
+    setItem(key, value) {
+        this.store[key] = String(value);
+    }
+
+    removeItem(key) {
+        delete this.store[key];
+    }
+
+    clear() {
+        this.store = {};
+    }
+}
+
+const mockLocalStorage = new MockStorage();
+global.localStorage = mockLocalStorage;
+
+class TestRunner {
+    constructor() {
+        this.tests = [];
+        this.passed = 0;
+        this.failed = 0;
+    }
+
+    test(name, fn) {
+        this.tests.push({ name, fn });
+    }
+
+    async run() {
+        console.log('Running export/import tests...\n');
+        for (const test of this.tests) {
+            try {
+                await test.fn();
+                console.log(`✓ ${test.name}`);
+                this.passed++;
+            } catch (error) {
+                console.error(`✗ ${test.name}`);
+                console.error(`  Error: ${error.message}`);
+                this.failed++;
+            }
+        }
+        console.log(`\nResults: ${this.passed} passed, ${this.failed} failed`);
+    }
+
+    assert(condition, message) {
+        if (!condition) {
+            throw new Error(message || 'Assertion failed');
+        }
+    }
+
+    assertEqual(actual, expected, message) {
+        if (actual !== expected) {
+            throw new Error(message || `Expected ${expected}, got ${actual}`);
+        }
+    }
+}
+
+const runner = new TestRunner();
+
+// Test 1: Export contents
+runner.test('Should export the loaded config with version metadata', () => {
+    mockLocalStorage.clear();
+    const manager = new ConfigManager();
+    manager.save({ heroName: 'Exported Name' });
+    const data = manager.exportConfig();
+    runner.assertEqual(data.format, 'fnp-site-config');
+    runner.assertEqual(data.configVersion, ConfigMigrations.CURRENT_VERSION);
+    runner.assert(!Number.isNaN(Date.parse(data.exportedAt)), 'exportedAt should be a timestamp');
+    runner.assertEqual(data.config.heroName, 'Exported Name');
+});
+
+// Test 2: Round trip
+runner.test('Should import its own export unchanged', () => {
+    mockLocalStorage.clear();
+    const manager = new ConfigManager();
+    manager.save({ heroName: 'Round Trip', theme: 'winter' });
+    const exported = JSON.parse(JSON.stringify(manager.exportConfig()));
+    const result = manager.parseImport(exported);
+    runner.assert(result.valid, 'Export should import cleanly');
+    runner.assertEqual(result.config.heroName, 'Round Trip');
+    runner.assertEqual(result.config.theme, 'winter');
+    runner.assertEqual(result.fromVersion, ConfigMigrations.CURRENT_VERSION);
+});
+
+// Test 3: Migrating older exports
+runner.test('Should migrate exports from older config versions', () => {
+    const manager = new ConfigManager();
+    const result = manager.parseImport({
+        format: 'fnp-site-config',
+        configVersion: '2.0',
+        config: { heroName: 'Jane Doe, FNP', location: 'Bel Air, Maryland (serving surrounding communities)' }
+    });
+    runner.assert(result.valid, `Old export should be valid after migration: ${JSON.stringify(result.errors)}`);
+    runner.assertEqual(result.fromVersion, 2);
+    runner.assertEqual(result.config.heroName, 'Rujita Munankarmi, FNP');
+    runner.assertEqual(result.config.location, 'Harford County, Maryland');
+});
+
+// Test 4: Unknown keys and invalid values
+runner.test('Should reject imports with unknown keys or invalid values', () => {
+    const manager = new ConfigManager();
+    const result = manager.parseImport({
+        format: 'fnp-site-config',
+        configVersion: ConfigMigrations.CURRENT_VERSION,
+        config: { mysteryKey: true, contactEmail: 'nope' }
+    });
+    runner.assert(result.valid === false, 'Import should be rejected');
+    runner.assert(result.errors.mysteryKey, 'Unknown key should be reported');
+    runner.assert(result.errors.contactEmail, 'Invalid email should be reported');
+    runner.assertEqual(result.config, null, 'No config should be returned');
+});
+
+// Test 5: Wrong files
+runner.test('Should reject files that are not config exports or come from a newer version', () => {
+    const manager = new ConfigManager();
+    runner.assert(manager.parseImport({ heroName: 'Bare object' }).errors._file, 'Bare objects should be rejected');
+    runner.assert(manager.parseImport(null).errors._file, 'null should be rejected');
+    const newer = manager.parseImport({
+        format: 'fnp-site-config',
+        configVersion: ConfigMigrations.CURRENT_VERSION + 1,
+        config: {}
+    });
+    runner.assert(newer.errors._file[0].includes('newer version'), 'Newer exports should be rejected');
+});
+
+runner.run().then(() => {
+    if (runner.failed > 0) {
+        process.exitCode = 1;
+    }
+});